@@ -0,0 +1,41 @@
+// routes/aiRoute.js
+const express = require('express');
+
+/**
+ * Build the query router backed by QueryAssistant.processQuery
+ * POST /chatprompt mirrors the Flask endpoint used by chatPrompt.jsx
+ */
+function createAiRouter(system) {
+  const router = express.Router();
+
+  const handleQuery = async (req, res) => {
+    const query = String(req.body?.query || req.body?.question || '').trim();
+
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide a question in the "query" field',
+        response: 'Please provide a question in the "query" field'
+      });
+    }
+
+    const result = await system.queryAssistant.processQuery(query);
+
+    res.json({
+      success: result.success,
+      message: result.message || null,
+      formatted: result.formatted || null,
+      data: result.data || null,
+      error: result.error || null,
+      // chatPrompt.jsx renders data.response
+      response: result.formatted || result.message || result.error || 'No results found'
+    });
+  };
+
+  router.post('/chatprompt', handleQuery);
+  router.post('/api/v1/query', handleQuery);
+
+  return router;
+}
+
+module.exports = createAiRouter;
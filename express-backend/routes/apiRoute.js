@@ -0,0 +1,829 @@
+// routes/apiRoute.js
+const express = require('express');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { DocumentTypes } = require('../utils/document_classifier');
+const departmentRegistry = require('../utils/department_registry');
+const { RecordSchemas, getSchemaCollections } = require('../utils/record_schemas');
+const { HistoryRecordTypes } = require('../utils/record_history');
+const { isTabularFile } = require('../utils/workbook_reader');
+const { MediaExtensions } = require('../utils/media_batch_importer');
+const completenessRules = require('../utils/completeness_rules');
+const MediaStore = require('../utils/media_store');
+const { PendingPersonTypes, PendingItems } = require('../utils/pending_media_workflow');
+const { MediaDefaults } = require('../utils/main');
+
+/**
+ * Send a list/object result in the standard API envelope
+ */
+function sendData(res, data) {
+  if (Array.isArray(data)) {
+    return res.json({ success: true, count: data.length, data });
+  }
+  return res.json({ success: true, data });
+}
+
+/**
+ * Send a 404 in the standard API envelope
+ */
+function sendNotFound(res, message) {
+  return res.status(404).json({ success: false, error: message });
+}
+
+/**
+ * Case-insensitive name match across the name fields used by the managers
+ */
+function filterByName(records, query) {
+  if (!query) return records;
+  const needle = String(query).toLowerCase();
+  return records.filter(record =>
+    [record.full_name, record.adviser_name, record.staff_name, record.program, record.course]
+      .some(value => value && String(value).toLowerCase().includes(needle))
+  );
+}
+
+/**
+ * Drop the inline photo buffer so resume lists stay small
+ */
+function withoutPhotoBuffer(resume) {
+  if (!resume || !resume.photo) return resume;
+  const { buffer, ...photo } = resume.photo;
+  return { ...resume, photo };
+}
+
+/**
+ * Pick student search filters out of the query string
+ */
+function getStudentFilters(query) {
+  const filters = {};
+  ['department', 'course', 'year', 'section'].forEach(key => {
+    if (query[key]) filters[key] = query[key];
+  });
+  return Object.keys(filters).length > 0 ? filters : null;
+}
+
+/**
+ * Send a 400 in the standard API envelope
+ */
+function sendBadRequest(res, message) {
+  return res.status(400).json({ success: false, error: message });
+}
+
+/**
+ * Optional ?type= must be one of the document types
+ */
+function getPreviewType(query) {
+  if (!query.type) return { type: null };
+  if (!Object.values(DocumentTypes).includes(query.type)) {
+    return { error: `Unknown document type '${query.type}'. Use one of: ${Object.values(DocumentTypes).join(', ')}` };
+  }
+  return { type: query.type };
+}
+
+/**
+ * Pending-media filters from a query string or JSON body → { filters } or { error }
+ */
+function getPendingFilters(source = {}) {
+  const filters = {};
+  ['type', 'department', 'course', 'year', 'section', 'missing', 'assigned_to', 'overdue', 'item', 'since', 'until'].forEach(key => {
+    if (source[key] !== undefined && source[key] !== null && String(source[key]).trim() !== '') {
+      filters[key] = String(source[key]).trim();
+    }
+  });
+  if (Array.isArray(source.ids)) filters.ids = source.ids.map(String);
+
+  if (filters.type && !PendingPersonTypes[filters.type]) {
+    return { error: `Unknown type '${filters.type}'. Use one of: ${Object.keys(PendingPersonTypes).join(', ')}` };
+  }
+  const item = filters.missing || filters.item;
+  if (item && !PendingItems.includes(item)) {
+    return { error: `Unknown item '${item}'. Use one of: ${PendingItems.join(', ')}` };
+  }
+  return { filters };
+}
+
+/**
+ * :recordType of the history routes must be a record type with a history
+ */
+function checkHistoryRecordType(recordType) {
+  if (HistoryRecordTypes[recordType]) return null;
+  return `Unknown record type '${recordType}'. Use one of: ${Object.keys(HistoryRecordTypes).join(', ')}`;
+}
+
+/**
+ * Stream a record's photo/recording: GridFS files are piped through (?thumbnail=true for
+ * the image thumbnail), media still stored inline is decoded and sent as is
+ */
+async function sendMedia(res, mediaStore, media, { thumbnail = false, notFound }) {
+  if (MediaStore.isStored(media)) {
+    const fileId = thumbnail && media.thumbnail_id ? media.thumbnail_id : media.data;
+    const file = await mediaStore.getFile(fileId);
+    if (!file) return sendNotFound(res, notFound);
+
+    res.type(file.metadata?.content_type || media.content_type || 'application/octet-stream');
+    res.set('Content-Length', String(file.length));
+    res.set('Cache-Control', 'private, max-age=86400');
+
+    const stream = mediaStore.openDownloadStream(fileId);
+    stream.on('error', () => res.destroy());
+    return stream.pipe(res);
+  }
+
+  const inline = media && (media.buffer || media.data);
+  const buffer = inline && inline !== MediaDefaults.IMAGE.data ? MediaStore.toBuffer(inline) : null;
+  if (!buffer || buffer.length === 0) return sendNotFound(res, notFound);
+
+  res.type(media.content_type || MediaStore.getContentType(media.filename || `media.${media.extension || 'bin'}`));
+  return res.send(buffer);
+}
+
+/**
+ * Build the versioned (v1) REST router over the database and managers
+ */
+function createApiRouter(system) {
+  const router = express.Router();
+
+  router.get('/health', (req, res) => {
+    res.json({ success: true, status: 'ok', database: system.db.databaseName });
+  });
+
+  // ---------------- DEPARTMENTS ----------------
+
+  router.get('/departments', (req, res) => {
+    sendData(res, departmentRegistry.getColleges());
+  });
+
+  // ---------------- RECORD SCHEMAS ----------------
+
+  router.get('/schemas', (req, res) => {
+    sendData(res, Object.entries(RecordSchemas).map(([recordType, { schema }]) => ({
+      record_type: recordType,
+      collections: getSchemaCollections(recordType),
+      schema
+    })));
+  });
+
+  // ---------------- STUDENTS ----------------
+
+  router.get('/students', async (req, res) => {
+    const students = await system.db.getStudentsWithDefaults(req.query.q || null, getStudentFilters(req.query));
+    const limit = parseInt(req.query.limit, 10);
+    sendData(res, limit > 0 ? students.slice(0, limit) : students);
+  });
+
+  router.get('/students/statistics', async (req, res) => {
+    sendData(res, await system.db.getStatistics());
+  });
+
+  router.get('/students/pending-media', async (req, res) => {
+    const { filters, error } = getPendingFilters(req.query);
+    if (error) return sendBadRequest(res, error);
+    sendData(res, await system.db.getPendingMediaStudents(filters));
+  });
+
+  // Batch photo/audio import: a .zip of files named after student IDs as the request body
+  // (?dry_run=true only reports the matches, ?media_type=image|audio, ?overwrite=true)
+  router.post('/students/media/batch', express.raw({ type: () => true, limit: '200mb' }), async (req, res) => {
+    const mediaType = req.query.media_type || null;
+    if (mediaType && !MediaExtensions[mediaType]) {
+      return sendBadRequest(res, `Unknown media type '${mediaType}'. Use one of: ${Object.keys(MediaExtensions).join(', ')}`);
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return sendBadRequest(res, 'Send a .zip of media files as the request body');
+    }
+
+    const tempFolder = await fs.mkdtemp(path.join(os.tmpdir(), 'school-media-'));
+    try {
+      const zipPath = path.join(tempFolder, 'upload.zip');
+      await fs.writeFile(zipPath, req.body);
+      const report = await system.mediaImporter.importFrom(zipPath, {
+        mediaType,
+        dryRun: req.query.dry_run === 'true',
+        overwrite: req.query.overwrite === 'true'
+      });
+      if (report.error) return sendBadRequest(res, `Could not read the upload: ${report.error}`);
+      sendData(res, { ...report, source: 'upload.zip' });
+    } finally {
+      await fs.rm(tempFolder, { recursive: true, force: true });
+    }
+  });
+
+  router.get('/students/department/:department', async (req, res) => {
+    const students = await system.db.getStudentsByDepartment(req.params.department);
+    sendData(res, system.db.getStudentsDisplay(students));
+  });
+
+  router.get('/students/department/:department/statistics', async (req, res) => {
+    sendData(res, await system.db.getDepartmentStatistics(req.params.department));
+  });
+
+  router.get('/students/:studentId', async (req, res) => {
+    const student = await system.db.getStudentByIdWithDefaults(req.params.studentId, req.query.department || null);
+    if (!student) return sendNotFound(res, `Student ${req.params.studentId} not found`);
+    sendData(res, student);
+  });
+
+  router.get('/students/:studentId/media/:mediaType', async (req, res) => {
+    if (!MediaExtensions[req.params.mediaType]) {
+      return sendBadRequest(res, `Unknown media type '${req.params.mediaType}'. Use one of: ${Object.keys(MediaExtensions).join(', ')}`);
+    }
+    const student = await system.db.getStudentById(req.params.studentId, req.query.department || null);
+    if (!student) return sendNotFound(res, `Student ${req.params.studentId} not found`);
+    await sendMedia(res, system.db.mediaStore, student[req.params.mediaType], {
+      thumbnail: req.query.thumbnail === 'true',
+      notFound: `No ${req.params.mediaType} for ${req.params.studentId}`
+    });
+  });
+
+  // Latest term, or one term with ?school_year=2024-2025&semester=2nd
+  router.get('/students/:studentId/grades', async (req, res) => {
+    const term = req.query.school_year || req.query.semester
+      ? { school_year: req.query.school_year || null, semester: req.query.semester || null }
+      : null;
+    const grades = await system.gradesManager.getStudentGrades(req.params.studentId, req.query.department || null, term);
+    if (!grades) return sendNotFound(res, `No grades found for ${req.params.studentId}`);
+    sendData(res, grades);
+  });
+
+  // Every term with its GWA, plus the cumulative GWA
+  router.get('/students/:studentId/academic-history', async (req, res) => {
+    const history = await system.gradesManager.getAcademicHistory(req.params.studentId, req.query.department || null);
+    if (!history) return sendNotFound(res, `No grades found for ${req.params.studentId}`);
+    sendData(res, history);
+  });
+
+  // Completed / failed / in-progress / remaining curriculum subjects, units per year, back subjects
+  router.get('/students/:studentId/degree-audit', async (req, res) => {
+    const audit = await system.degreeAudit.auditStudent(req.params.studentId, req.query.department || null);
+    if (!audit) return sendNotFound(res, `No student record or grades found for ${req.params.studentId}`);
+    sendData(res, audit);
+  });
+
+  // Check subjects a student wants to take against their passed subjects (body: { subjects: ['IT 201', ...] })
+  router.post('/students/:studentId/enrollment-check', async (req, res) => {
+    const subjects = Array.isArray(req.body?.subjects)
+      ? req.body.subjects
+      : String(req.body?.subjects || '').split(',');
+    const codes = subjects.map(code => String(code).trim()).filter(Boolean);
+    if (codes.length === 0) return sendBadRequest(res, 'Give the subjects to check, e.g. { "subjects": ["IT 201", "IT 202"] }');
+
+    const result = await system.degreeAudit.checkEnrollment(req.params.studentId, codes, req.query.department || null);
+    if (!result) return sendNotFound(res, `No student record or grades found for ${req.params.studentId}`);
+    sendData(res, result);
+  });
+
+  // One summary row per student (?department=&course=&year=&section=&irregular=true)
+  router.get('/degree-audit', async (req, res) => {
+    const filters = {};
+    ['department', 'course', 'year', 'section'].forEach(key => {
+      if (req.query[key]) filters[key] = String(req.query[key]).trim();
+    });
+    if (Object.keys(filters).length === 0) {
+      return sendBadRequest(res, 'Give at least one of department, course, year or section');
+    }
+    const rows = await system.degreeAudit.auditStudents(filters);
+    sendData(res, req.query.irregular === 'true' ? rows.filter(row => row.irregular) : rows);
+  });
+
+  // Grades whose sheet GWA disagrees with the subject rows (?department=&course=&year=&section=&school_year=&semester=)
+  router.get('/grades/gwa-mismatches', async (req, res) => {
+    const filters = {};
+    ['department', 'course', 'year', 'section', 'school_year', 'semester'].forEach(key => {
+      if (req.query[key]) filters[key] = String(req.query[key]).trim();
+    });
+    sendData(res, await system.gradesManager.getGwaMismatches(filters));
+  });
+
+  // Recompute stored GWAs with the current gwa_policy.json (body: same filters as above)
+  router.post('/grades/recompute-gwa', async (req, res) => {
+    const filters = {};
+    // Plain strings only: JSON bodies could otherwise smuggle in operators like { "$ne": null }
+    ['department', 'course', 'year', 'section', 'student_id'].forEach(key => {
+      if (req.body?.[key]) filters[key] = String(req.body[key]).trim();
+    });
+    sendData(res, await system.gradesManager.recomputeGwa(filters));
+  });
+
+  // ---------------- ACADEMIC STANDING ----------------
+
+  const standingFilterKeys = ['department', 'course', 'year', 'section', 'student_id', 'school_year', 'semester', 'standing'];
+  const getStandingFilters = source => {
+    const filters = {};
+    standingFilterKeys.forEach(key => {
+      if (source[key]) filters[key] = String(source[key]).trim();
+    });
+    return filters;
+  };
+
+  // Stored per-term standings (?department=&course=&year=&section=&student_id=&school_year=&semester=
+  // &standing=probation|warning|good_standing|deans_list|honors_candidate)
+  router.get('/academic-standings', async (req, res) => {
+    const filters = getStandingFilters(req.query);
+    const standingNames = [...system.academicStanding.getStandingNames(), ...system.academicStanding.getDistinctionNames()];
+    if (filters.standing && !standingNames.includes(filters.standing)) {
+      return sendBadRequest(res, `Unknown standing '${filters.standing}'. Use one of: ${standingNames.join(', ')}`);
+    }
+    sendData(res, await system.academicStanding.getStandings(filters));
+  });
+
+  router.get('/academic-standings/summary', async (req, res) => {
+    sendData(res, await system.academicStanding.getSummary(getStandingFilters(req.query)));
+  });
+
+  // Re-run the standing rules (body: the filters above, except standing)
+  router.post('/academic-standings/evaluate', async (req, res) => {
+    const { standing, ...filters } = getStandingFilters(req.body || {});
+    sendData(res, await system.academicStanding.evaluate(filters));
+  });
+
+  // ---------------- PENDING MEDIA ----------------
+
+  // ?type=student|teaching|non_teaching&department=&course=&year=&section=&missing=image|audio|descriptor
+  // &assigned_to=<name>|unassigned&overdue=true
+  router.get('/pending-media', async (req, res) => {
+    const { filters, error } = getPendingFilters(req.query);
+    if (error) return sendBadRequest(res, error);
+    sendData(res, await system.db.pendingWorkflow.getPendingItems(filters));
+  });
+
+  router.get('/pending-media/summary', async (req, res) => {
+    const { filters, error } = getPendingFilters(req.query);
+    if (error) return sendBadRequest(res, error);
+    sendData(res, await system.db.pendingWorkflow.getSummary(filters));
+  });
+
+  router.get('/pending-media/reminders', async (req, res) => {
+    const withinDays = parseInt(req.query.within_days, 10);
+    sendData(res, await system.db.pendingWorkflow.getReminders({ withinDays: isNaN(withinDays) ? 3 : withinDays }));
+  });
+
+  // Completed items, newest first (?item=, ?since=YYYY-MM-DD, ?until=, plus the filters above)
+  router.get('/pending-media/history', async (req, res) => {
+    const { filters, error } = getPendingFilters(req.query);
+    if (error) return sendBadRequest(res, error);
+    sendData(res, await system.db.pendingWorkflow.getCompletionHistory(filters));
+  });
+
+  // Body: { assigned_to, due_date: 'YYYY-MM-DD', note, ids: [...] } and/or the filters above
+  router.post('/pending-media/assign', async (req, res) => {
+    const { filters, error } = getPendingFilters(req.body || {});
+    if (error) return sendBadRequest(res, error);
+    // assign() refuses filters that would select every pending entry
+    const { assigned_to: assignedTo, ...where } = filters;
+    const result = await system.db.pendingWorkflow.assign(where, {
+      assignedTo,
+      dueDate: req.body?.due_date || null,
+      note: req.body?.note || null
+    });
+    if (result.error) return sendBadRequest(res, result.error);
+    sendData(res, result);
+  });
+
+  router.post('/pending-media/unassign', async (req, res) => {
+    const { filters, error } = getPendingFilters(req.body || {});
+    if (error) return sendBadRequest(res, error);
+    const result = await system.db.pendingWorkflow.unassign(filters);
+    if (result.error) return sendBadRequest(res, result.error);
+    sendData(res, result);
+  });
+
+  // ---------------- DATA QUALITY ----------------
+
+  // Missing/invalid fields per collection, department and section
+  // ?type=student|teaching_faculty|non_teaching_faculty&department=&course=&year=&section=
+  router.get('/data-quality', async (req, res) => {
+    const filters = {};
+    ['type', 'department', 'course', 'year', 'section'].forEach(key => {
+      if (req.query[key]) filters[key] = String(req.query[key]).trim();
+    });
+    if (filters.type && !completenessRules.getRecordTypes().includes(filters.type)) {
+      return sendBadRequest(res, `Unknown type '${filters.type}'. Use one of: ${completenessRules.getRecordTypes().join(', ')}`);
+    }
+    sendData(res, await system.db.dataQuality.generate(filters));
+  });
+
+  // The completeness rules each record type is scored with
+  router.get('/data-quality/rules', async (req, res) => {
+    sendData(res, Object.fromEntries(completenessRules.getRecordTypes().map(recordType => [recordType, {
+      id_field: completenessRules.getIdField(recordType),
+      rules: completenessRules.getRules(recordType).map(rule => ({ ...rule, pattern: rule.pattern ? rule.pattern.source : null }))
+    }])));
+  });
+
+  // ---------------- COR SCHEDULES ----------------
+
+  router.get('/cor-schedules', async (req, res) => {
+    const filters = {};
+    ['department', 'course', 'year', 'section', 'school_year', 'semester'].forEach(key => {
+      if (req.query[key]) filters[key] = req.query[key];
+    });
+    sendData(res, await system.corManager.getCORSchedules(filters));
+  });
+
+  router.get('/cor-schedules/statistics', async (req, res) => {
+    sendData(res, await system.corManager.getCORStatistics());
+  });
+
+  router.get('/cor-schedules/:scheduleId', async (req, res) => {
+    const schedules = await system.corManager.getAllCORSchedules();
+    const schedule = schedules.find(s => s.schedule_id === req.params.scheduleId);
+    if (!schedule) return sendNotFound(res, `COR schedule ${req.params.scheduleId} not found`);
+    sendData(res, schedule);
+  });
+
+  // ---------------- TEACHING FACULTY ----------------
+
+  router.get('/teaching-faculty', async (req, res) => {
+    const faculty = req.query.department
+      ? await system.teachingFacultyManager.getTeachingFacultyByDepartment(req.query.department)
+      : await system.teachingFacultyManager.getAllTeachingFaculty();
+    sendData(res, filterByName(faculty, req.query.q));
+  });
+
+  router.get('/teaching-faculty/statistics', async (req, res) => {
+    sendData(res, await system.teachingFacultyManager.getTeachingFacultyStatistics());
+  });
+
+  router.get('/teaching-faculty/pending-media', async (req, res) => {
+    sendData(res, await system.teachingFacultyManager.getTeachingPendingMedia());
+  });
+
+  router.get('/teaching-faculty/department/:department', async (req, res) => {
+    sendData(res, await system.teachingFacultyManager.getTeachingFacultyByDepartment(req.params.department));
+  });
+
+  router.get('/teaching-faculty/:facultyId', async (req, res) => {
+    const faculty = await system.teachingFacultyManager.getAllTeachingFaculty();
+    const member = faculty.find(f => f.faculty_id === req.params.facultyId);
+    if (!member) return sendNotFound(res, `Teaching faculty ${req.params.facultyId} not found`);
+    sendData(res, member);
+  });
+
+  router.get('/teaching-faculty/:facultyId/media/:mediaType', async (req, res) => {
+    if (!MediaExtensions[req.params.mediaType]) {
+      return sendBadRequest(res, `Unknown media type '${req.params.mediaType}'. Use one of: ${Object.keys(MediaExtensions).join(', ')}`);
+    }
+    const faculty = await system.teachingFacultyManager.getAllTeachingFaculty();
+    const member = faculty.find(f => f.faculty_id === req.params.facultyId);
+    if (!member) return sendNotFound(res, `Teaching faculty ${req.params.facultyId} not found`);
+    await sendMedia(res, system.db.mediaStore, member[req.params.mediaType], {
+      thumbnail: req.query.thumbnail === 'true',
+      notFound: `No ${req.params.mediaType} for ${req.params.facultyId}`
+    });
+  });
+
+  // ---------------- TEACHING FACULTY SCHEDULES ----------------
+
+  router.get('/faculty-schedules', async (req, res) => {
+    const schedules = req.query.department
+      ? await system.teachingFacultyScheduleManager.getTeachingFacultySchedulesByDepartment(req.query.department)
+      : await system.teachingFacultyScheduleManager.getAllTeachingFacultySchedules();
+    sendData(res, filterByName(schedules, req.query.q));
+  });
+
+  router.get('/faculty-schedules/statistics', async (req, res) => {
+    sendData(res, await system.teachingFacultyScheduleManager.getTeachingFacultyScheduleStatistics());
+  });
+
+  router.get('/faculty-schedules/department/:department', async (req, res) => {
+    sendData(res, await system.teachingFacultyScheduleManager.getTeachingFacultySchedulesByDepartment(req.params.department));
+  });
+
+  router.get('/faculty-schedules/:scheduleId', async (req, res) => {
+    const schedules = await system.teachingFacultyScheduleManager.getAllTeachingFacultySchedules();
+    const schedule = schedules.find(s => s.schedule_id === req.params.scheduleId);
+    if (!schedule) return sendNotFound(res, `Faculty schedule ${req.params.scheduleId} not found`);
+    sendData(res, schedule);
+  });
+
+  // ---------------- NON-TEACHING FACULTY ----------------
+
+  router.get('/non-teaching-faculty', async (req, res) => {
+    const faculty = req.query.department
+      ? await system.nonTeachingFacultyManager.getNonTeachingFacultyByDepartment(req.query.department)
+      : await system.nonTeachingFacultyManager.getAllNonTeachingFaculty();
+    sendData(res, filterByName(faculty, req.query.q));
+  });
+
+  router.get('/non-teaching-faculty/statistics', async (req, res) => {
+    sendData(res, await system.nonTeachingFacultyManager.getNonTeachingFacultyStatistics());
+  });
+
+  router.get('/non-teaching-faculty/pending-media', async (req, res) => {
+    sendData(res, await system.nonTeachingFacultyManager.getNonTeachingPendingMedia());
+  });
+
+  router.get('/non-teaching-faculty/department/:department', async (req, res) => {
+    sendData(res, await system.nonTeachingFacultyManager.getNonTeachingFacultyByDepartment(req.params.department));
+  });
+
+  router.get('/non-teaching-faculty/:facultyId', async (req, res) => {
+    const faculty = await system.nonTeachingFacultyManager.getAllNonTeachingFaculty();
+    const member = faculty.find(f => f.faculty_id === req.params.facultyId);
+    if (!member) return sendNotFound(res, `Non-teaching faculty ${req.params.facultyId} not found`);
+    sendData(res, member);
+  });
+
+  router.get('/non-teaching-faculty/:facultyId/media/:mediaType', async (req, res) => {
+    if (!MediaExtensions[req.params.mediaType]) {
+      return sendBadRequest(res, `Unknown media type '${req.params.mediaType}'. Use one of: ${Object.keys(MediaExtensions).join(', ')}`);
+    }
+    const faculty = await system.nonTeachingFacultyManager.getAllNonTeachingFaculty();
+    const member = faculty.find(f => f.faculty_id === req.params.facultyId);
+    if (!member) return sendNotFound(res, `Non-teaching faculty ${req.params.facultyId} not found`);
+    await sendMedia(res, system.db.mediaStore, member[req.params.mediaType], {
+      thumbnail: req.query.thumbnail === 'true',
+      notFound: `No ${req.params.mediaType} for ${req.params.facultyId}`
+    });
+  });
+
+  // ---------------- NON-TEACHING SCHEDULES ----------------
+
+  router.get('/non-teaching-schedules', async (req, res) => {
+    const schedules = req.query.department
+      ? await system.nonTeachingScheduleManager.getNonTeachingSchedulesByDepartment(req.query.department)
+      : await system.nonTeachingScheduleManager.getAllNonTeachingSchedules();
+    sendData(res, filterByName(schedules, req.query.q));
+  });
+
+  router.get('/non-teaching-schedules/statistics', async (req, res) => {
+    sendData(res, await system.nonTeachingScheduleManager.getNonTeachingScheduleStatistics());
+  });
+
+  router.get('/non-teaching-schedules/department/:department', async (req, res) => {
+    sendData(res, await system.nonTeachingScheduleManager.getNonTeachingSchedulesByDepartment(req.params.department));
+  });
+
+  router.get('/non-teaching-schedules/staff/:staffName', async (req, res) => {
+    sendData(res, await system.nonTeachingScheduleManager.getNonTeachingScheduleByStaff(req.params.staffName));
+  });
+
+  // ---------------- CURRICULA ----------------
+
+  router.get('/curricula', async (req, res) => {
+    const curricula = req.query.department
+      ? await system.curriculumManager.getCurriculaByDepartment(req.query.department)
+      : await system.curriculumManager.getAllCurricula();
+    sendData(res, filterByName(curricula, req.query.q));
+  });
+
+  router.get('/curricula/statistics', async (req, res) => {
+    sendData(res, await system.curriculumManager.getCurriculumStatistics());
+  });
+
+  router.get('/curricula/department/:department', async (req, res) => {
+    sendData(res, await system.curriculumManager.getCurriculaByDepartment(req.params.department));
+  });
+
+  router.get('/curricula/course/:course', async (req, res) => {
+    sendData(res, await system.curriculumManager.getCurriculaByCourse(req.params.course));
+  });
+
+  // Versions of a course's curriculum by effective year, oldest first
+  router.get('/curricula/course/:course/versions', async (req, res) => {
+    const versions = await system.curriculumManager.getCurriculumVersions(req.params.course);
+    sendData(res, versions.map(({ formatted_text, curriculum, prerequisite_graph, ...version }) => version));
+  });
+
+  // Subjects added, removed, moved, re-united or renamed between two versions (?from=<curriculum_id>&to=<curriculum_id>)
+  router.get('/curricula/compare', async (req, res) => {
+    if (!req.query.from || !req.query.to) {
+      return sendBadRequest(res, 'Give the two curricula to compare as ?from=<curriculum_id>&to=<curriculum_id>');
+    }
+    const diff = await system.curriculumManager.compareCurricula(req.query.from, req.query.to);
+    if (!diff) return sendNotFound(res, `Curriculum ${req.query.from} or ${req.query.to} not found`);
+    sendData(res, diff);
+  });
+
+  // Re-number versions and re-tag every student with their batch's curriculum
+  router.post('/curricula/refresh-versions', async (req, res) => {
+    sendData(res, await system.curriculumManager.refreshVersions());
+  });
+
+  router.get('/curricula/:curriculumId', async (req, res) => {
+    const curricula = await system.curriculumManager.getAllCurricula();
+    const curriculum = curricula.find(c => c.curriculum_id === req.params.curriculumId);
+    if (!curriculum) return sendNotFound(res, `Curriculum ${req.params.curriculumId} not found`);
+    sendData(res, curriculum);
+  });
+
+  // Subjects, requisite links, prerequisite cycles and references to subjects not in the curriculum
+  router.get('/curricula/:curriculumId/prerequisites', async (req, res) => {
+    const graph = await system.curriculumManager.getPrerequisiteGraph(req.params.curriculumId);
+    if (!graph) return sendNotFound(res, `Curriculum ${req.params.curriculumId} not found`);
+    sendData(res, graph);
+  });
+
+  router.get('/curricula/:curriculumId/prerequisites/:subjectCode', async (req, res) => {
+    const graph = await system.curriculumManager.getPrerequisiteGraph(req.params.curriculumId);
+    if (!graph) return sendNotFound(res, `Curriculum ${req.params.curriculumId} not found`);
+    const chain = await system.curriculumManager.getPrerequisiteChain(req.params.curriculumId, req.params.subjectCode);
+    if (!chain) return sendNotFound(res, `Subject ${req.params.subjectCode} is not in ${req.params.curriculumId}`);
+    sendData(res, chain);
+  });
+
+  // ---------------- ADMINISTRATORS ----------------
+
+  router.get('/admins', async (req, res) => {
+    let admins = req.query.q
+      ? await system.adminManager.searchAdminByName(req.query.q)
+      : await system.adminManager.getAllAdmins();
+    if (req.query.type) {
+      admins = admins.filter(admin => admin.admin_type === req.query.type);
+    }
+    sendData(res, admins);
+  });
+
+  router.get('/admins/statistics', async (req, res) => {
+    sendData(res, await system.adminManager.getAdminStatistics());
+  });
+
+  router.get('/admins/department/:department', async (req, res) => {
+    sendData(res, await system.adminManager.getAdminsByDepartment(req.params.department));
+  });
+
+  router.get('/admins/:adminId', async (req, res) => {
+    const admins = await system.adminManager.getAllAdmins();
+    const admin = admins.find(a => a.admin_id === req.params.adminId);
+    if (!admin) return sendNotFound(res, `Administrator ${req.params.adminId} not found`);
+    sendData(res, admin);
+  });
+
+  // ---------------- GENERAL INFORMATION ----------------
+
+  router.get('/general-info', async (req, res) => {
+    const info = req.query.q
+      ? await system.generalInfoManager.searchGeneralInfo(req.query.q)
+      : await system.generalInfoManager.getAllGeneralInfo();
+    sendData(res, info);
+  });
+
+  router.get('/general-info/statistics', async (req, res) => {
+    sendData(res, await system.generalInfoManager.getGeneralInfoStatistics());
+  });
+
+  router.get('/general-info/:infoType', async (req, res) => {
+    const info = await system.generalInfoManager.getGeneralInfoByType(req.params.infoType);
+    if (!info) return sendNotFound(res, `General info '${req.params.infoType}' not found`);
+    sendData(res, info);
+  });
+
+  // ---------------- FACULTY RESUMES ----------------
+
+  router.get('/faculty-resumes', async (req, res) => {
+    const resumes = req.query.q
+      ? await system.teachingFacultyResumeManager.searchFacultyByName(req.query.q)
+      : req.query.department
+        ? await system.teachingFacultyResumeManager.getFacultyResumesByDepartment(req.query.department)
+        : await system.teachingFacultyResumeManager.getAllTeachingFacultyResumes();
+    sendData(res, resumes.map(withoutPhotoBuffer));
+  });
+
+  router.get('/faculty-resumes/statistics', async (req, res) => {
+    sendData(res, await system.teachingFacultyResumeManager.getStatistics());
+  });
+
+  router.get('/faculty-resumes/department/:department', async (req, res) => {
+    const resumes = await system.teachingFacultyResumeManager.getFacultyResumesByDepartment(req.params.department);
+    sendData(res, resumes.map(withoutPhotoBuffer));
+  });
+
+  router.get('/faculty-resumes/:facultyId', async (req, res) => {
+    const resumes = await system.teachingFacultyResumeManager.getAllTeachingFacultyResumes();
+    const resume = resumes.find(r => r.faculty_id === req.params.facultyId);
+    if (!resume) return sendNotFound(res, `Faculty resume ${req.params.facultyId} not found`);
+    sendData(res, withoutPhotoBuffer(resume));
+  });
+
+  router.get('/faculty-resumes/:facultyId/photo', async (req, res) => {
+    const photo = await system.teachingFacultyResumeManager.getFacultyPhoto(req.params.facultyId);
+    await sendMedia(res, system.db.mediaStore, photo, {
+      thumbnail: req.query.thumbnail === 'true',
+      notFound: `No photo for ${req.params.facultyId}`
+    });
+  });
+
+  // ---------------- INGESTION JOBS ----------------
+
+  router.get('/ingestion/jobs', async (req, res) => {
+    const { status, type, source, q } = req.query;
+    const limit = parseInt(req.query.limit, 10);
+    sendData(res, await system.ingestionJobs.getJobs({ status, type, source, file: q }, limit > 0 ? limit : 100));
+  });
+
+  router.get('/ingestion/jobs/statistics', async (req, res) => {
+    sendData(res, await system.ingestionJobs.getStatistics());
+  });
+
+  router.get('/ingestion/jobs/:jobId', async (req, res) => {
+    const job = await system.ingestionJobs.getJob(req.params.jobId);
+    if (!job) return sendNotFound(res, `Ingestion job ${req.params.jobId} not found`);
+    sendData(res, job);
+  });
+
+  // ---------------- DRY-RUN PREVIEW ----------------
+
+  // Preview a file already in uploaded_files (?file=cor_excel/BSIT_1YR_SECA_COR.xlsx)
+  router.get('/ingestion/preview', async (req, res) => {
+    const { type, error } = getPreviewType(req.query);
+    if (error) return sendBadRequest(res, error);
+    if (!req.query.file) return sendBadRequest(res, 'Provide the file to preview in the "file" query parameter');
+
+    const basePath = system.ingestionService.basePath;
+    const filePath = path.resolve(basePath, String(req.query.file));
+    if (!filePath.startsWith(basePath + path.sep)) {
+      return sendBadRequest(res, 'File must be inside uploaded_files');
+    }
+
+    try {
+      await fs.access(filePath);
+    } catch {
+      return sendNotFound(res, `File ${req.query.file} not found`);
+    }
+
+    sendData(res, await system.extractionPreview.previewFile(filePath, type));
+  });
+
+  // Preview an upload before it is saved: raw file bytes in the body, ?filename=BSIT_1YR_SECA_COR.xlsx
+  router.post('/ingestion/preview', express.raw({ type: () => true, limit: '25mb' }), async (req, res) => {
+    const { type, error } = getPreviewType(req.query);
+    if (error) return sendBadRequest(res, error);
+
+    const filename = path.basename(String(req.query.filename || ''));
+    if (!isTabularFile(filename) && !/\.pdf$/i.test(filename)) {
+      return sendBadRequest(res, 'Provide an .xlsx, .xls, .csv, .json or .pdf name in the "filename" query parameter');
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return sendBadRequest(res, 'Send the file contents as the request body');
+    }
+
+    const tempFolder = await fs.mkdtemp(path.join(os.tmpdir(), 'school-preview-'));
+    try {
+      const filePath = path.join(tempFolder, filename);
+      await fs.writeFile(filePath, req.body);
+      sendData(res, await system.extractionPreview.previewFile(filePath, type));
+    } finally {
+      await fs.rm(tempFolder, { recursive: true, force: true });
+    }
+  });
+
+  // ---------------- RECORD HISTORY ----------------
+
+  // Timeline of a student/faculty record, oldest first (?snapshots=true includes full copies)
+  router.get('/history/:recordType/:recordId', async (req, res) => {
+    const { recordType, recordId } = req.params;
+    const error = checkHistoryRecordType(recordType);
+    if (error) return sendBadRequest(res, error);
+
+    const timeline = await system.db.history.getTimeline(recordType, recordId, {
+      includeSnapshots: req.query.snapshots === 'true'
+    });
+    if (timeline.length === 0) return sendNotFound(res, `No history for ${recordType} ${recordId}`);
+    sendData(res, timeline);
+  });
+
+  router.get('/history/:recordType/:recordId/versions/:version', async (req, res) => {
+    const { recordType, recordId, version } = req.params;
+    const error = checkHistoryRecordType(recordType);
+    if (error) return sendBadRequest(res, error);
+
+    const entry = await system.db.history.getVersion(recordType, recordId, version);
+    if (!entry) return sendNotFound(res, `Version ${version} of ${recordType} ${recordId} not found`);
+    sendData(res, entry);
+  });
+
+  // Put the record back to an earlier version (recorded as a new version)
+  router.post('/history/:recordType/:recordId/versions/:version/restore', async (req, res) => {
+    const { recordType, recordId, version } = req.params;
+    const error = checkHistoryRecordType(recordType);
+    if (error) return sendBadRequest(res, error);
+
+    const result = await system.db.history.restoreVersion(recordType, recordId, version);
+    if (result.success) return sendData(res, result.entry);
+    if (['version_not_found', 'record_not_found'].includes(result.reason)) {
+      return sendNotFound(res, `Cannot restore ${recordType} ${recordId}: ${result.reason.replace(/_/g, ' ')}`);
+    }
+    res.status(422).json({ success: false, error: result.reason, validation_errors: result.errors });
+  });
+
+  // ---------------- EXPORTS ----------------
+
+  router.get('/exports', (req, res) => {
+    sendData(res, system.exportService.getExportTypes());
+  });
+
+  // Download as a file: ?format=xlsx|csv plus the export's filters (department, course, year, section, ...)
+  router.get('/exports/:exportType', async (req, res) => {
+    const format = req.query.format || 'xlsx';
+    const error = system.exportService.validate(req.params.exportType, format);
+    if (error) return sendBadRequest(res, error);
+
+    const file = await system.exportService.exportToBuffer(req.params.exportType, { filters: req.query, format });
+    res.attachment(file.filename).type(file.content_type).send(file.buffer);
+  });
+
+  return router;
+}
+
+module.exports = createApiRouter;
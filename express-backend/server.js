@@ -0,0 +1,221 @@
+// server.js
+const express = require('express');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  StudentDatabase,
+  CORScheduleManager,
+  StudentGradesManager,
+  TeachingFacultyManager,
+  TeachingFacultyScheduleManager,
+  NonTeachingFacultyManager,
+  CurriculumManager,
+  NonTeachingScheduleManager,
+  AdminManager,
+  GeneralInfoManager,
+  TeachingFacultyResumeManager
+} = require('./utils/main');
+const QueryAssistant = require('./utils/query_assistant');
+const AcademicStandingEngine = require('./utils/academic_standing');
+const DegreeAudit = require('./utils/degree_audit');
+const IngestionService = require('./utils/ingestion_service');
+const IngestionJobQueue = require('./utils/ingestion_job_queue');
+const ExtractionPreview = require('./utils/extraction_preview');
+const ExportService = require('./utils/export_service');
+const MediaBatchImporter = require('./utils/media_batch_importer');
+const FolderWatcher = require('./utils/folder_watcher');
+const createApiRouter = require('./routes/apiRoute');
+const createAiRouter = require('./routes/aiRoute');
+
+class SchoolApiServer {
+  constructor(connectionString = null, port = null) {
+    this.db = new StudentDatabase(connectionString || process.env.MONGODB_URI);
+    this.port = port || process.env.PORT || 3000;
+    this.app = null;
+    this.server = null;
+
+    // Ingest uploads as they arrive (set WATCH_UPLOADS=false to disable)
+    this.watchUploads = process.env.WATCH_UPLOADS !== 'false';
+    this.basePath = path.join(__dirname, 'utils', 'uploaded_files');
+    // Flask /upload buckets (faculty, students, admin) get classified and routed
+    this.bucketRoot = process.env.UPLOAD_BUCKETS_PATH || path.join(__dirname, '..', 'python-backend', 'uploads');
+    this.ingestionService = null;
+    this.ingestionJobs = null;
+    this.extractionPreview = null;
+    this.folderWatcher = null;
+
+    // Browser origins allowed to call the API (comma-separated CORS_ORIGINS, default the Vite dev server)
+    this.corsOrigins = (process.env.CORS_ORIGINS || 'http://localhost:5173,http://127.0.0.1:5173')
+      .split(',')
+      .map(origin => origin.trim())
+      .filter(Boolean);
+    // Shared token that POST/PUT/PATCH/DELETE calls under /api/v1 must send (API_TOKEN)
+    this.apiToken = process.env.API_TOKEN || null;
+  }
+
+  /**
+   * Connect to MongoDB and initialize managers (same set as run_system.js)
+   */
+  async connect() {
+    await this.db.connect();
+
+    this.corManager = new CORScheduleManager(this.db);
+    this.gradesManager = new StudentGradesManager(this.db);
+    this.teachingFacultyManager = new TeachingFacultyManager(this.db);
+    this.teachingFacultyScheduleManager = new TeachingFacultyScheduleManager(this.db);
+    this.nonTeachingFacultyManager = new NonTeachingFacultyManager(this.db);
+    this.nonTeachingScheduleManager = new NonTeachingScheduleManager(this.db);
+    this.adminManager = new AdminManager(this.db);
+    this.generalInfoManager = new GeneralInfoManager(this.db);
+    this.teachingFacultyResumeManager = new TeachingFacultyResumeManager(this.db);
+    this.curriculumManager = new CurriculumManager(this.db);
+    this.academicStanding = new AcademicStandingEngine(this.db, this.gradesManager);
+    this.degreeAudit = new DegreeAudit(this.db, this.gradesManager, this.curriculumManager, this.corManager);
+    this.queryAssistant = new QueryAssistant(this.db, this.corManager, this.gradesManager);
+    this.ingestionService = new IngestionService(this, { basePath: this.basePath });
+    this.ingestionJobs = new IngestionJobQueue(this.ingestionService);
+    await this.ingestionJobs.recoverInterruptedJobs();
+    this.extractionPreview = new ExtractionPreview(this.ingestionService);
+    this.exportService = new ExportService(this);
+    this.mediaImporter = new MediaBatchImporter(this.db);
+
+    // Enforce the record schemas in MongoDB too (INSTALL_SCHEMA_VALIDATORS=true)
+    if (process.env.INSTALL_SCHEMA_VALIDATORS === 'true') {
+      await this.db.installSchemaValidators();
+    }
+  }
+
+  /**
+   * Start the upload folder watcher
+   */
+  async startWatcher() {
+    const bucketFolders = ['faculty', 'students', 'admin'].map(bucket => path.join(this.bucketRoot, bucket));
+
+    this.folderWatcher = new FolderWatcher(this.ingestionJobs, { bucketFolders });
+    await this.folderWatcher.start();
+  }
+
+  /**
+   * Build the Express app and mount routes
+   */
+  buildApp() {
+    const app = express();
+
+    app.use(express.json());
+
+    // Only the configured frontend origins may call the API from a browser (scripts send no Origin)
+    app.use((req, res, next) => {
+      const origin = req.get('Origin');
+      res.vary('Origin');
+      if (origin && this.corsOrigins.includes(origin)) {
+        res.header('Access-Control-Allow-Origin', origin);
+        res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Token');
+        res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+      }
+      if (req.method === 'OPTIONS') return res.sendStatus(origin && !this.corsOrigins.includes(origin) ? 403 : 204);
+      next();
+    });
+
+    // Questions only read data, so the query routes stay open like the Flask endpoint they mirror
+    app.use(createAiRouter(this));
+    app.use('/api/v1', (req, res, next) => this.requireApiToken(req, res, next), createApiRouter(this));
+
+    app.use((req, res) => {
+      res.status(404).json({ success: false, error: `Route not found: ${req.method} ${req.path}` });
+    });
+
+    // Express 5 forwards rejected promises from async handlers here
+    app.use((error, req, res, next) => {
+      console.error(`❌ API error on ${req.method} ${req.path}: ${error.message}`);
+      res.status(error.status || 500).json({ success: false, error: error.message });
+    });
+
+    this.app = app;
+    return app;
+  }
+
+  /**
+   * Calls that change data (imports, restores, recomputes, assignments …) need the shared API_TOKEN,
+   * as `Authorization: Bearer <token>` or `X-API-Token: <token>`
+   */
+  requireApiToken(req, res, next) {
+    if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return next();
+
+    if (!this.apiToken) {
+      return res.status(503).json({ success: false, error: 'Set API_TOKEN on the server to enable changes through the API' });
+    }
+
+    const header = req.get('Authorization') || '';
+    const sent = Buffer.from(header.startsWith('Bearer ') ? header.slice(7).trim() : (req.get('X-API-Token') || ''));
+    const expected = Buffer.from(this.apiToken);
+    if (sent.length !== expected.length || !crypto.timingSafeEqual(sent, expected)) {
+      return res.status(401).json({ success: false, error: 'Missing or invalid API token' });
+    }
+    next();
+  }
+
+  /**
+   * Connect, build and start listening
+   */
+  async start() {
+    console.log('🌐 Starting School Information API...');
+    console.log('='.repeat(60));
+
+    await this.connect();
+    this.buildApp();
+
+    await new Promise((resolve) => {
+      this.server = this.app.listen(this.port, resolve);
+    });
+
+    console.log(`✅ API listening on http://localhost:${this.port}/api/v1`);
+    if (!this.apiToken) {
+      console.log('⚠️  API_TOKEN is not set: POST/PUT/DELETE routes under /api/v1 are disabled');
+    }
+
+    if (this.watchUploads) {
+      await this.startWatcher();
+    }
+  }
+
+  /**
+   * Stop listening and close the database connection
+   */
+  async stop() {
+    if (this.folderWatcher) {
+      await this.folderWatcher.stop();
+      this.folderWatcher = null;
+    }
+    if (this.server) {
+      await new Promise((resolve) => this.server.close(resolve));
+      this.server = null;
+    }
+    await this.db.close();
+    console.log('👋 API stopped, disconnected from MongoDB');
+  }
+}
+
+async function main() {
+  const apiServer = new SchoolApiServer();
+
+  try {
+    await apiServer.start();
+  } catch (error) {
+    console.error(`❌ Failed to start API server: ${error.message}`);
+    process.exit(1);
+  }
+
+  // Handle Ctrl+C gracefully
+  process.on('SIGINT', async () => {
+    console.log('\n\n⚠️  API shutdown requested');
+    await apiServer.stop();
+    process.exit(0);
+  });
+}
+
+// Run if executed directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = SchoolApiServer;
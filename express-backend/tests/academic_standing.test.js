@@ -0,0 +1,102 @@
+// academic_standing.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AcademicStandingEngine = require('../utils/academic_standing');
+
+const row = (subject_code, equivalent, units = '3', remarks = 'PASSED') => ({ subject_code, equivalent, units, remarks });
+const term = (school_year, semester, grades) => ({
+  student_id: 'PDM-2023-000001', full_name: 'Cruz, Juan', course: 'BSIT', year: '2', section: 'A', department: 'CCS',
+  school_year, semester, grades
+});
+
+// Engine over stand-ins for academic_standings and the grades manager
+function engineWith(records, { rulesPath = null, backedUp = true } = {}) {
+  const stored = [];
+  const queries = [];
+  const collection = {
+    createIndex: async () => null,
+    deleteMany: async () => stored.splice(0),
+    updateOne: async (filter, update) => stored.push(update.$set),
+    find: query => {
+      queries.push(query);
+      return { sort: () => ({ toArray: async () => [] }) };
+    }
+  };
+  const db = { db: { collection: () => collection }, backupBeforeClear: async () => backedUp };
+  const engine = new AcademicStandingEngine(db, { getGrades: async () => records }, rulesPath);
+  return { engine, stored, queries };
+}
+
+const excellentTerm = [row('IT101', '1.25'), row('IT102', '1.50'), row('IT103', '1.25'), row('IT104', '1.75'), row('IT105', '1.50')];
+
+test('an honors candidate is on the dean\'s list too', () => {
+  const { engine } = engineWith([]);
+  const result = engine.classify(engine.getTermMetrics(excellentTerm, excellentTerm));
+
+  assert.equal(result.standing, 'good_standing');
+  assert.deepEqual(result.distinctions.map(distinction => distinction.name), ['deans_list', 'honors_candidate']);
+  assert.equal(result.deans_list, true);
+  assert.equal(result.latin_honor, 'Magna Cum Laude');
+});
+
+test('the dean\'s list is per term: a weaker cumulative GWA only loses honors', () => {
+  const { engine } = engineWith([]);
+  const earlier = [row('IT001', '2.50'), row('IT002', '2.50'), row('IT003', '2.25'), row('IT004', '2.50'), row('IT005', '2.50')];
+  const result = engine.classify(engine.getTermMetrics(excellentTerm, [...earlier, ...excellentTerm]));
+
+  assert.deepEqual(result.distinctions.map(distinction => distinction.name), ['deans_list']);
+  assert.equal(result.latin_honor, null);
+});
+
+test('a failed subject gives a warning and no distinction', () => {
+  const { engine } = engineWith([]);
+  const grades = [...excellentTerm, row('IT106', '5.00', '3', 'FAILED')];
+  const result = engine.classify(engine.getTermMetrics(grades, grades));
+
+  assert.equal(result.standing, 'warning');
+  assert.deepEqual(result.distinctions, []);
+  assert.equal(result.deans_list, false);
+});
+
+test('evaluate stores the standing and distinctions of every term', async () => {
+  const { engine, stored } = engineWith([term('2023-2024', '1st Semester', excellentTerm)]);
+  const summary = await engine.evaluate();
+
+  assert.deepEqual(summary.by_standing, { good_standing: 1 });
+  assert.deepEqual(summary.by_distinction, { deans_list: 1, honors_candidate: 1 });
+  assert.equal(stored[0].deans_list, true);
+  assert.equal(stored[0].term, '1st Semester, A.Y. 2023-2024');
+});
+
+test('a dean\'s list query looks at the distinctions, not the standing', async () => {
+  const { engine, queries } = engineWith([]);
+  await engine.getStandings({ standing: 'deans_list' });
+  await engine.getStandings({ standing: 'probation' });
+
+  assert.deepEqual(queries, [{ 'distinctions.name': 'deans_list' }, { standing: 'probation' }]);
+});
+
+test('evaluate re-reads the rules file', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'standing-rules-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const rulesPath = path.join(dir, 'rules.json');
+  const rules = JSON.parse(fs.readFileSync(path.join(__dirname, '../utils/academic_standing_rules.json'), 'utf8'));
+  fs.writeFileSync(rulesPath, JSON.stringify(rules));
+
+  const { engine } = engineWith([term('2023-2024', '1st Semester', excellentTerm)], { rulesPath });
+  rules.distinctions.forEach(distinction => { distinction.when[0].min_units = 30; });
+  fs.writeFileSync(rulesPath, JSON.stringify(rules));
+
+  assert.deepEqual((await engine.evaluate()).by_distinction, {});
+});
+
+test('clear keeps the standings when the backup fails', async () => {
+  const { engine, stored } = engineWith([term('2023-2024', '1st Semester', excellentTerm)], { backedUp: false });
+  await engine.evaluate();
+
+  assert.equal(await engine.clear(), false);
+  assert.equal(stored.length, 1);
+});
@@ -0,0 +1,51 @@
+// academic_terms.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeSemester, normalizeSchoolYear, findTerm, findSheetTerm, compareTerms, termLabel } = require('../utils/academic_terms');
+
+test('normalizes the ways sheets write a semester', () => {
+  assert.equal(normalizeSemester('1ST SEM'), '1st Semester');
+  assert.equal(normalizeSemester('First Semester'), '1st Semester');
+  assert.equal(normalizeSemester('2'), '2nd Semester');
+  assert.equal(normalizeSemester('Semester 2'), '2nd Semester');
+  assert.equal(normalizeSemester('Midyear'), 'Summer');
+  assert.equal(normalizeSemester('Seminar'), null);
+  assert.equal(normalizeSemester(''), null);
+});
+
+test('normalizes school years and rejects ones that are not consecutive', () => {
+  assert.equal(normalizeSchoolYear('A.Y. 2024-2025'), '2024-2025');
+  assert.equal(normalizeSchoolYear('SY 2024–25'), '2024-2025');
+  assert.equal(normalizeSchoolYear('2024 / 2025'), '2024-2025');
+  assert.equal(normalizeSchoolYear('2024-2026'), null);
+  assert.equal(normalizeSchoolYear('2024'), null);
+});
+
+test('finds the term in a title or filename', () => {
+  assert.deepEqual(findTerm('2nd Semester, A.Y. 2023-2024'), { school_year: '2023-2024', semester: '2nd Semester' });
+  assert.deepEqual(findTerm('BSIT_3A_1st_Sem_2024-2025'), { school_year: '2024-2025', semester: '1st Semester' });
+  assert.deepEqual(findTerm('grades.xlsx'), { school_year: null, semester: null });
+});
+
+test('finds the term in labelled cells, else in the filename', () => {
+  const rows = [['CERTIFICATE OF REGISTRATION'], ['SEMESTER:', '2nd', 'S.Y.:', '2024-2025']];
+  assert.deepEqual(findSheetTerm(rows, 'cor.xlsx'), { school_year: '2024-2025', semester: '2nd Semester' });
+  assert.deepEqual(findSheetTerm([['Program: BSIT']], '/uploads/BSIT_3A_2ndSem_2024-2025_COR.xlsx'), { school_year: '2024-2025', semester: '2nd Semester' });
+  assert.deepEqual(findSheetTerm([['Program: BSIT']], 'cor.xlsx'), { school_year: null, semester: null });
+});
+
+test('orders terms chronologically with unspecified terms first', () => {
+  const terms = [
+    { school_year: '2024-2025', semester: 'Summer' },
+    { school_year: '2024-2025', semester: '1st Semester' },
+    { school_year: null, semester: null },
+    { school_year: '2023-2024', semester: '2nd Semester' }
+  ];
+
+  assert.deepEqual([...terms].sort(compareTerms).map(termLabel), [
+    'Unspecified term',
+    '2nd Semester, A.Y. 2023-2024',
+    '1st Semester, A.Y. 2024-2025',
+    'Summer, A.Y. 2024-2025'
+  ]);
+});
@@ -0,0 +1,61 @@
+// curriculum_versions.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sortVersions, getBatchYear, selectVersionForBatch, diffCurricula } = require('../utils/curriculum_versions');
+
+const version = (curriculum_id, effective_year, curriculum = {}) => ({ curriculum_id, effective_year, curriculum });
+
+test('sorts versions by effective year and puts undated ones last', () => {
+  const sorted = sortVersions([version('C2022', 2022), version('UNDATED', null), version('C2018', '2018')]);
+  assert.deepEqual(sorted.map(curriculum => curriculum.curriculum_id), ['C2018', 'C2022', 'UNDATED']);
+});
+
+test('takes the batch year from the record, the student number or the year level', () => {
+  const june2025 = new Date(2025, 5, 15);
+
+  assert.equal(getBatchYear({ batch_year: 2021, student_id: 'PDM-2023-000001' }), 2021);
+  assert.equal(getBatchYear({ student_id: 'PDM-2023-000001' }), 2023);
+  assert.equal(getBatchYear({ student_id: 'X-1', year: '3' }, june2025), 2023);
+  assert.equal(getBatchYear({ student_id: 'X-1', year: '3' }, new Date(2025, 2, 1)), 2022);
+  assert.equal(getBatchYear({ student_id: 'X-1' }), null);
+});
+
+test('gives a batch the latest version in effect when it entered', () => {
+  const versions = [version('C2018', 2018), version('C2022', 2022), version('UNDATED', null)];
+
+  assert.equal(selectVersionForBatch(versions, 2021).curriculum_id, 'C2018');
+  assert.equal(selectVersionForBatch(versions, 2022).curriculum_id, 'C2022');
+  assert.equal(selectVersionForBatch(versions, 2010).curriculum_id, 'C2018');
+  assert.equal(selectVersionForBatch(versions, null).curriculum_id, 'C2022');
+});
+
+test('never gives a batch a curriculum without an effective year', () => {
+  assert.equal(selectVersionForBatch([version('UNDATED', null)], 2023), null);
+  assert.equal(selectVersionForBatch([], 2023), null);
+});
+
+test('diffs two versions subject by subject', () => {
+  const subject = (subject_code, subject_name, units, prerequisites = []) => ({ subject_code, subject_name, units, prerequisites });
+  const from = version('C2018', 2018, {
+    1: { '1st Semester': [subject('IT 101', 'Intro to Computing', '3'), subject('IT 102', 'Programming 1', '3'), subject('GE 1', 'Math in the Modern World', '3')] },
+    2: { '1st Semester': [subject('IT 201', 'Data Structures', '3', ['IT 102'])] }
+  });
+  const to = version('C2022', 2022, {
+    1: {
+      '1st Semester': [subject('IT101', 'Introduction to Computing', '3'), subject('IT 102', 'Programming 1', '5')],
+      '2nd Semester': [subject('GE 1', 'Math in the Modern World', '3')]
+    },
+    2: { '1st Semester': [subject('IT 201', 'Data Structures', '3', ['IT 101', 'IT 102']), subject('IT 202', 'Networking 1', '3')] }
+  });
+
+  const diff = diffCurricula(from, to);
+
+  assert.deepEqual(diff.added.map(entry => entry.subject_code), ['IT 202']);
+  assert.deepEqual(diff.removed, []);
+  assert.deepEqual(diff.moved.map(entry => [entry.subject_code, entry.to.semester]), [['GE 1', '2nd Semester']]);
+  assert.deepEqual(diff.re_united, [{ subject_code: 'IT 102', subject_name: 'Programming 1', from_units: 3, to_units: 5 }]);
+  assert.deepEqual(diff.renamed.map(entry => entry.to_name), ['Introduction to Computing']);
+  assert.deepEqual(diff.requisites_changed.map(entry => entry.to_prerequisites), [['IT101', 'IT102']]);
+  assert.equal(diff.unchanged, 0);
+  assert.deepEqual([diff.from.total_units, diff.to.total_units], [12, 17]);
+});
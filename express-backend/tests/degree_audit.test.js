@@ -0,0 +1,56 @@
+// degree_audit.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DegreeAudit = require('../utils/degree_audit');
+
+const subject = (subject_code, units = '3') => ({ subject_code, subject_name: subject_code, units });
+
+const curriculum = {
+  curriculum_id: 'BSIT_2022',
+  curriculum: {
+    1: {
+      '1st Semester': [subject('IT 101'), subject('IT 102'), subject('IT 103'), subject('IT 104'), subject('IT 105'), subject('IT 106')]
+    }
+  }
+};
+
+function auditFor(grades) {
+  const student = { student_id: '2022-0001', full_name: 'Dela Cruz, Juan', course: 'BSIT', year: '1', section: 'A' };
+  return new DegreeAudit(
+    { getStudentById: async () => student },
+    { getAcademicHistory: async () => ({ student_id: student.student_id, terms: [{ school_year: '2022-2023', semester: '1st Semester', grades }] }) },
+    { getCurriculumForStudent: async () => curriculum },
+    { getCORSchedules: async () => [] }
+  ).auditStudent(student.student_id);
+}
+
+test('keeps INC subjects apart from failed ones', async () => {
+  const audit = await auditFor([
+    { subject_code: 'IT 101', equivalent: '1.50', remarks: 'PASSED' },
+    { subject_code: 'IT 102', equivalent: '5.00', remarks: 'FAILED' },
+    { subject_code: 'IT 103', equivalent: 'INC', remarks: '' }
+  ]);
+
+  assert.deepEqual(audit.failed.map(entry => entry.subject_code), ['IT 102']);
+  assert.deepEqual(audit.incomplete.map(entry => entry.subject_code), ['IT 103']);
+  assert.equal(audit.totals.failed_units, 3);
+  assert.equal(audit.totals.incomplete_units, 3);
+  assert.equal(audit.by_year[1].incomplete_units, 3);
+  assert.deepEqual(audit.back_subjects.map(entry => entry.subject_code), ['IT 102', 'IT 103']);
+});
+
+test('reads dropped marks and the passing grade from the GWA policy', async () => {
+  const audit = await auditFor([
+    { subject_code: 'IT 101', equivalent: '3.00', remarks: '' },
+    { subject_code: 'IT 102', equivalent: '4.00', remarks: '' },
+    { subject_code: 'IT 103', equivalent: '', remarks: 'WITHDREW' },
+    { subject_code: 'IT 104', equivalent: 'UW', remarks: '' },
+    { subject_code: 'IT 105', equivalent: 'NG', remarks: '' }
+  ]);
+
+  assert.deepEqual(audit.completed.map(entry => entry.subject_code), ['IT 101']);
+  assert.deepEqual(audit.failed.map(entry => entry.subject_code), ['IT 102']);
+  // Dropped subjects are still to be taken
+  assert.deepEqual(audit.remaining.map(entry => entry.subject_code), ['IT 103', 'IT 104', 'IT 105', 'IT 106']);
+  assert.deepEqual(audit.incomplete, []);
+});
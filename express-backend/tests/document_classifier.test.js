@@ -0,0 +1,57 @@
+// document_classifier.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DocumentClassifier = require('../utils/document_classifier');
+const { DocumentTypes } = require('../utils/document_classifier');
+
+const classifier = new DocumentClassifier();
+
+test('scores a student list by its id column, list columns and student number rows', () => {
+  const rows = [
+    ['STUDENT ID', 'SURNAME', 'FIRST NAME', 'COURSE', 'SECTION', 'YEAR'],
+    ['PDM-2025-000001', 'Cruz', 'Juan', 'BSIT', 'A', '1'],
+    ['PDM-2025-000002', 'Reyes', 'Ana', 'BSIT', 'A', '1'],
+    ['PDM-2025-000003', 'Santos', 'Mark', 'BSIT', 'A', '1']
+  ];
+  const result = classifier.classifyRows(rows, 'BSIT_1stYear_A.xlsx');
+
+  assert.equal(result.type, DocumentTypes.STUDENT_LIST);
+  assert.equal(result.folder, 'student_list_excel');
+  assert.equal(result.confidence, 1);
+});
+
+test('scores a COR by its program labels and schedule header, with a filename hint', () => {
+  const rows = [
+    ['PROGRAM:', 'BSIT', 'YEAR LEVEL:', '1'],
+    ['SECTION:', 'A', 'ADVISER:', 'Dela Cruz'],
+    ['SUBJECT CODE', 'DESCRIPTION', 'UNITS', 'DAY', 'TIME START', 'TIME END', 'ROOM']
+  ];
+  const result = classifier.classifyRows(rows, 'BSIT_1YR_SECA_COR.xlsx');
+
+  assert.equal(result.type, DocumentTypes.COR);
+  assert.equal(result.scores[DocumentTypes.COR], 1);
+  assert.ok(result.reasons.includes('cor: filename hint'));
+});
+
+test('tells a non-teaching schedule from a teaching one by the subject column', () => {
+  const grid = ['TIME', 'MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY'];
+
+  assert.equal(classifier.classifyRows([['NAME OF STAFF:', 'Juan Cruz'], grid]).type, DocumentTypes.NON_TEACHING_SCHEDULE);
+  assert.equal(classifier.classifyRows([['NAME OF ADVISER:', 'Ana Reyes'], grid]).type, DocumentTypes.TEACHING_FACULTY_SCHEDULE);
+});
+
+test('a close runner-up lowers the confidence and a weak best guess is unknown', () => {
+  const close = classifier.buildResult('x.xlsx', { [DocumentTypes.COR]: 0.8, [DocumentTypes.CURRICULUM]: 0.6 }, []);
+  assert.equal(close.type, DocumentTypes.COR);
+  assert.equal(close.confidence, 0.5);
+
+  const weak = classifier.buildResult('x.xlsx', { [DocumentTypes.CURRICULUM]: 0.2 }, []);
+  assert.equal(weak.type, DocumentTypes.UNKNOWN);
+  assert.equal(weak.confidence, 0);
+  assert.equal(weak.folder, null);
+});
+
+test('sheets with nothing recognisable are unknown', () => {
+  const result = classifier.classifyRows([['Hello'], ['World']], 'notes.xlsx');
+  assert.equal(result.type, DocumentTypes.UNKNOWN);
+});
@@ -0,0 +1,96 @@
+// folder_watcher.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FolderWatcher = require('../utils/folder_watcher');
+const IngestionLedger = require('../utils/ingestion_ledger');
+
+// In-memory collections: just the equality lookups and upserts the ledger uses
+function memoryDb() {
+  const collections = {};
+  const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => doc[key] === value);
+
+  return {
+    collections,
+    db: {
+      collection: name => {
+        const docs = collections[name] ||= [];
+        return {
+          findOne: async filter => docs.find(doc => matches(doc, filter)) || null,
+          updateOne: async (filter, update) => {
+            let doc = docs.find(existing => matches(existing, filter));
+            if (!doc) {
+              doc = { ...filter, ...update.$setOnInsert };
+              docs.push(doc);
+            }
+            Object.assign(doc, update.$set);
+          }
+        };
+      }
+    }
+  };
+}
+
+function setup() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'watcher-'));
+  const basePath = path.join(root, 'uploaded_files');
+  const bucket = path.join(root, 'uploads');
+  fs.mkdirSync(path.join(basePath, 'cor_excel'), { recursive: true });
+  fs.mkdirSync(bucket);
+
+  const db = memoryDb();
+  const ingestionService = {
+    basePath,
+    ledger: new IngestionLedger(db, basePath),
+    classifier: { minConfidence: 0.6, classifyFile: async () => ({ type: 'cor', folder: 'cor_excel', confidence: 0.9 }) }
+  };
+  // A new watcher over the same database is what a server restart looks like
+  const newWatcher = () => new FolderWatcher({ ingestionService });
+  const corFiles = () => fs.readdirSync(path.join(basePath, 'cor_excel')).sort();
+
+  return { root, basePath, bucket, db, newWatcher, corFiles };
+}
+
+const bucketInfo = { label: 'uploads', isBucket: true };
+
+test('a bucket file never overwrites a file already in the type folder', async (t) => {
+  const { root, basePath, bucket, newWatcher, corFiles } = setup();
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  fs.writeFileSync(path.join(basePath, 'cor_excel', 'BSIT_COR.xlsx'), 'already here');
+  fs.writeFileSync(path.join(bucket, 'BSIT_COR.xlsx'), 'uploaded');
+  await newWatcher()._routeBucketFile(path.join(bucket, 'BSIT_COR.xlsx'), bucketInfo, 'added');
+
+  assert.deepEqual(corFiles(), ['BSIT_COR (2).xlsx', 'BSIT_COR.xlsx']);
+  assert.equal(fs.readFileSync(path.join(basePath, 'cor_excel', 'BSIT_COR.xlsx'), 'utf8'), 'already here');
+});
+
+test('a routed file that failed to ingest is not copied again after a restart', async (t) => {
+  const { root, bucket, db, newWatcher, corFiles } = setup();
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  const file = path.join(bucket, 'BSIT_COR.xlsx');
+  fs.writeFileSync(file, 'uploaded');
+  await newWatcher()._routeBucketFile(file, bucketInfo, 'added');
+  await newWatcher()._routeBucketFile(file, bucketInfo, 'added');
+  await newWatcher()._routeBucketFile(file, bucketInfo, 'added');
+
+  assert.deepEqual(corFiles(), ['BSIT_COR.xlsx']);
+  assert.equal(db.collections.ingestion_routes.length, 1);
+  assert.equal(db.collections.ingestion_routes[0].target_key, 'cor_excel/BSIT_COR.xlsx');
+});
+
+test('new contents under the same bucket name are routed again', async (t) => {
+  const { root, bucket, newWatcher, corFiles } = setup();
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  const file = path.join(bucket, 'BSIT_COR.xlsx');
+  fs.writeFileSync(file, 'first version');
+  await newWatcher()._routeBucketFile(file, bucketInfo, 'added');
+  fs.writeFileSync(file, 'second version');
+  await newWatcher()._routeBucketFile(file, bucketInfo, 'replaced');
+
+  assert.deepEqual(corFiles(), ['BSIT_COR (2).xlsx', 'BSIT_COR.xlsx']);
+});
@@ -0,0 +1,100 @@
+// gwa_calculator.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { GwaCalculator, GwaCheckStatus } = require('../utils/gwa_calculator');
+
+// Calculator with the default policy, overridden field by field
+function calculatorWith(overrides = {}) {
+  const defaults = JSON.parse(fs.readFileSync(path.join(__dirname, '../utils/gwa_policy.json'), 'utf8'));
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gwa-policy-'));
+  const policyPath = path.join(dir, 'gwa_policy.json');
+  fs.writeFileSync(policyPath, JSON.stringify({ ...defaults, ...overrides }));
+
+  const calculator = new GwaCalculator(policyPath);
+  fs.rmSync(dir, { recursive: true, force: true });
+  return calculator;
+}
+
+const row = (subject_code, equivalent, units, remarks = 'PASSED') => ({ subject_code, equivalent, units, remarks });
+
+test('weights grades by units and rounds to the policy decimals', () => {
+  const result = calculatorWith().compute([row('IT101', '1.25', '3'), row('IT102', '2.00', '2')]);
+
+  assert.equal(result.gwa, 1.55);
+  assert.equal(result.total_units, 5);
+  assert.equal(result.counted_subjects, 2);
+  assert.deepEqual(result.excluded, []);
+});
+
+test('leaves out INC, dropped and withdrawn rows whether the mark is in remarks or the grade', () => {
+  const result = calculatorWith().compute([
+    row('IT101', '1.50', '3'),
+    row('IT102', '', '3', 'INC'),
+    row('IT103', 'DRP', '3', ''),
+    row('IT104', 'w', '3', '')
+  ]);
+
+  assert.equal(result.gwa, 1.5);
+  assert.equal(result.counted_subjects, 1);
+  assert.deepEqual(result.excluded, [
+    { subject_code: 'IT102', reason: 'INC' },
+    { subject_code: 'IT103', reason: 'DRP' },
+    { subject_code: 'IT104', reason: 'W' }
+  ]);
+});
+
+test('leaves out excluded subjects, grades outside the range and rows without units', () => {
+  const result = calculatorWith({ excluded_subjects: ['^NSTP'] }).compute([
+    row('IT101', '2.00', '3'),
+    row('NSTP 1', '1.00', '3'),
+    row('IT102', '75', '3'),
+    row('IT103', '1.00', '0')
+  ]);
+
+  assert.equal(result.gwa, 2);
+  assert.deepEqual(result.excluded.map(entry => entry.reason), ['excluded_subject', 'no_numeric_grade', 'no_units']);
+});
+
+test('counts failing grades unless the policy says otherwise', () => {
+  const grades = [row('IT101', '1.00', '3'), row('IT102', '5.00', '3', 'FAILED')];
+
+  assert.equal(calculatorWith().compute(grades).gwa, 3);
+
+  const withoutFailed = calculatorWith({ include_failed: false }).compute(grades);
+  assert.equal(withoutFailed.gwa, 1);
+  assert.deepEqual(withoutFailed.excluded, [{ subject_code: 'IT102', reason: 'failed' }]);
+});
+
+test('no counted rows gives no GWA', () => {
+  const result = calculatorWith().compute([row('IT101', '', '3', 'INC')]);
+
+  assert.equal(result.gwa, null);
+  assert.equal(result.total_units, 0);
+});
+
+test('a sheet GWA within the tolerance matches', () => {
+  const grades = [row('IT101', '1.25', '3'), row('IT102', '2.00', '2')];
+  const check = calculatorWith().verify(grades, '1.56');
+
+  assert.equal(check.status, GwaCheckStatus.MATCH);
+  assert.equal(check.computed_gwa, 1.55);
+  assert.equal(check.difference, 0.01);
+});
+
+test('a sheet GWA beyond the tolerance is a mismatch, and the tolerance comes from the policy', () => {
+  const grades = [row('IT101', '1.25', '3'), row('IT102', '2.00', '2')];
+
+  assert.equal(calculatorWith().verify(grades, '1.57').status, GwaCheckStatus.MISMATCH);
+  assert.equal(calculatorWith().verify(grades, '1.53').status, GwaCheckStatus.MISMATCH);
+  assert.equal(calculatorWith({ tolerance: 0.05 }).verify(grades, '1.59').status, GwaCheckStatus.MATCH);
+});
+
+test('reports a missing sheet GWA and grades that give no GWA', () => {
+  const calculator = calculatorWith();
+
+  assert.equal(calculator.verify([row('IT101', '1.00', '3')], '').status, GwaCheckStatus.NO_SHEET_GWA);
+  assert.equal(calculator.verify([row('IT101', '', '3', 'INC')], '1.00').status, GwaCheckStatus.NOT_COMPUTABLE);
+});
@@ -0,0 +1,49 @@
+// ingestion_job_queue.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const { spawnSync } = require('child_process');
+const IngestionJobQueue = require('../utils/ingestion_job_queue');
+const { JobStatus } = IngestionJobQueue;
+
+// In-memory ingestion_jobs: just the status / job_id filters the recovery uses
+function memoryJobs(jobs) {
+  const matches = (job, filter) => Object.entries(filter).every(([key, condition]) => {
+    if (condition && condition.$in) return condition.$in.includes(job[key]);
+    if (condition && '$ne' in condition) return job[key] !== condition.$ne;
+    return job[key] === condition;
+  });
+
+  return {
+    find: filter => ({ toArray: async () => jobs.filter(job => matches(job, filter)) }),
+    updateMany: async (filter, update) => {
+      const matched = jobs.filter(job => matches(job, filter));
+      matched.forEach(job => Object.assign(job, update.$set));
+      return { modifiedCount: matched.length };
+    }
+  };
+}
+
+// A process id that is no longer running
+function finishedPid() {
+  return spawnSync(process.execPath, ['-e', '']).pid;
+}
+
+test('recovery only fails jobs of stopped processes on this host', async () => {
+  const job = (job_id, owner) => ({ job_id, status: JobStatus.RUNNING, ...owner });
+  const jobs = [
+    job('STOPPED', { host: os.hostname(), pid: finishedPid(), instance_id: 'a' }),
+    job('RUNNING_HERE', { host: os.hostname(), pid: process.pid, instance_id: 'b' }),
+    job('OTHER_HOST', { host: `${os.hostname()}-elsewhere`, pid: finishedPid(), instance_id: 'c' }),
+    job('LEGACY', {}),
+    { job_id: 'DONE', status: JobStatus.SUCCEEDED, host: os.hostname(), pid: finishedPid(), instance_id: 'd' }
+  ];
+  const collection = memoryJobs(jobs);
+  const queue = new IngestionJobQueue({ system: { db: { db: { collection: () => collection } } } });
+
+  assert.equal(await queue.recoverInterruptedJobs(), 2);
+  assert.deepEqual(
+    Object.fromEntries(jobs.map(entry => [entry.job_id, entry.status])),
+    { STOPPED: 'failed', RUNNING_HERE: 'running', OTHER_HOST: 'running', LEGACY: 'failed', DONE: 'succeeded' }
+  );
+});
@@ -0,0 +1,36 @@
+// ingestion_service.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const IngestionService = require('../utils/ingestion_service');
+const { StudentDataExtractor } = require('../utils/main');
+const { DocumentTypes } = require('../utils/document_classifier');
+
+function serviceWithStoredStudents(t, storedIds) {
+  const tagged = [];
+  t.mock.method(StudentDataExtractor, 'storeStudents', async () => storedIds);
+  const service = new IngestionService({
+    db: {},
+    basePath: '/tmp/uploaded_files',
+    curriculumManager: { tagStudents: async (filter) => tagged.push(filter) }
+  });
+  return { service, handler: service.handlers[DocumentTypes.STUDENT_LIST], tagged };
+}
+
+test('a student list reports how many students it stored', async (t) => {
+  const { service, handler, tagged } = serviceWithStoredStudents(t, ['2021-0001', '2021-0002', '2021-0003']);
+
+  const result = await service.ingestSheet(handler, 'students.xlsx');
+
+  assert.equal(result.status, 'succeeded');
+  assert.equal(result.records, 3);
+  assert.deepEqual(tagged, [{ student_id: { $in: ['2021-0001', '2021-0002', '2021-0003'] } }]);
+});
+
+test('a student list that stored nobody fails', async (t) => {
+  const { service, handler, tagged } = serviceWithStoredStudents(t, []);
+
+  const result = await service.ingestSheet(handler, 'students.xlsx');
+
+  assert.equal(result.status, 'failed');
+  assert.equal(tagged.length, 0);
+});
@@ -0,0 +1,54 @@
+// pending_media_workflow.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PendingMediaWorkflow = require('../utils/pending_media_workflow');
+
+// Workflow over a pending_media stand-in that records every updateMany
+function workflowWithUpdates() {
+  const updates = [];
+  const collection = {
+    updateMany: async (query, update) => {
+      updates.push({ query, update });
+      return { modifiedCount: 1 };
+    }
+  };
+  const workflow = new PendingMediaWorkflow({ db: { collection: () => collection } });
+  return { workflow, updates };
+}
+
+test('filters by the missing item whether it is given as missing or item', () => {
+  const { workflow } = workflowWithUpdates();
+
+  assert.deepEqual(workflow.buildQuery({ item: 'image' }), { 'waiting_for.image': true });
+  assert.deepEqual(workflow.buildQuery({ missing: 'audio' }), { 'waiting_for.audio': true });
+  assert.throws(() => workflow.buildQuery({ item: 'video' }), /Unknown item 'video'/);
+});
+
+test('history-only and false filters select nothing', () => {
+  const { workflow } = workflowWithUpdates();
+  assert.deepEqual(workflow.buildQuery({ since: '2025-01-01', until: '2025-02-01', overdue: 'false' }), {});
+});
+
+test('assign and unassign refuse filters that would match every pending entry', async () => {
+  const { workflow, updates } = workflowWithUpdates();
+
+  const assigned = await workflow.assign({ overdue: 'false', since: '2025-01-01' }, { assignedTo: 'Registrar Staff' });
+  assert.equal(assigned.assigned, 0);
+  assert.match(assigned.error, /Pick the entries/);
+
+  const unassigned = await workflow.unassign({});
+  assert.equal(unassigned.unassigned, 0);
+  assert.match(unassigned.error, /Pick the entries/);
+
+  assert.equal(updates.length, 0);
+});
+
+test('assign only touches the selected entries', async () => {
+  const { workflow, updates } = workflowWithUpdates();
+  const result = await workflow.assign({ item: 'image', section: 'A' }, { assignedTo: ' Registrar Staff ', dueDate: '2025-03-01' });
+
+  assert.deepEqual(result, { assigned: 1 });
+  assert.deepEqual(updates[0].query, { section: { $regex: '^A$', $options: 'i' }, 'waiting_for.image': true });
+  assert.equal(updates[0].update.$set.assignment.assigned_to, 'Registrar Staff');
+  assert.equal(updates[0].update.$set.assignment.due_date.getDate(), 1);
+});
@@ -0,0 +1,88 @@
+// prerequisite_graph.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRequisites, buildPrerequisiteGraph, findCycles, getPrerequisiteChain, checkEnrollment } = require('../utils/prerequisite_graph');
+
+const subject = (subject_code, prerequisites = [], corequisites = []) => ({ subject_code, subject_name: subject_code, units: '3', prerequisites, corequisites });
+
+const curriculum = {
+  1: {
+    '1st Semester': [subject('IT 101'), subject('MATH 101')],
+    '2nd Semester': [subject('IT 102', ['IT101']), subject('IT 102L', [], ['IT-102'])]
+  },
+  2: {
+    '1st Semester': [subject('IT 201', ['IT 102', 'MATH 101']), subject('IT 202', ['CS 999'])]
+  }
+};
+
+test('splits requisite cells into subject codes and notes', () => {
+  assert.deepEqual(parseRequisites('IT 101, MATH-102'), { codes: ['IT101', 'MATH-102'], notes: [] });
+  assert.deepEqual(parseRequisites('IT101 & IT102 and 3rd Year Standing'), { codes: ['IT101', 'IT102'], notes: ['3rd Year Standing'] });
+  assert.deepEqual(parseRequisites('IT 101; it 101'), { codes: ['IT101'], notes: [] });
+  assert.deepEqual(parseRequisites('None'), { codes: [], notes: [] });
+  assert.deepEqual(parseRequisites('-'), { codes: [], notes: [] });
+  assert.deepEqual(parseRequisites('P.E. 1, N.S.T.P. 1'), { codes: ['PE1', 'NSTP1'], notes: [] });
+});
+
+test('links requisites to curriculum subjects however their codes are written', () => {
+  const graph = buildPrerequisiteGraph(curriculum);
+
+  assert.equal(graph.nodes.IT201.subject_code, 'IT 201');
+  assert.deepEqual(graph.nodes.IT201.prerequisites, ['IT102', 'MATH101']);
+  assert.deepEqual(graph.nodes.IT102L.corequisites, ['IT102']);
+  assert.deepEqual(graph.unknown_references, [{ subject_code: 'IT 202', reference: 'CS 999', type: 'prerequisite' }]);
+  assert.deepEqual(graph.cycles, []);
+});
+
+test('finds prerequisite loops but not corequisite pairs', () => {
+  const graph = buildPrerequisiteGraph({
+    1: {
+      '1st Semester': [subject('A 101', ['C 101']), subject('B 101', ['A 101']), subject('C 101', ['B 101'])],
+      '2nd Semester': [subject('D 101', [], ['E 101']), subject('E 101', [], ['D 101'])]
+    }
+  });
+
+  assert.equal(graph.cycles.length, 1);
+  assert.deepEqual([...new Set(graph.cycles[0])].sort(), ['A101', 'B101', 'C101']);
+  assert.deepEqual(findCycles({ nodes: { X: { prerequisites: ['X'] } } }), [['X', 'X']]);
+});
+
+test('lists the whole prerequisite chain, earliest first', () => {
+  const chain = getPrerequisiteChain(buildPrerequisiteGraph(curriculum), 'it201');
+
+  assert.equal(chain.subject_code, 'IT 201');
+  assert.deepEqual(chain.chain.map(entry => entry.subject_code), ['IT 101', 'MATH 101', 'IT 102']);
+  assert.equal(getPrerequisiteChain(buildPrerequisiteGraph(curriculum), 'NOPE 1'), null);
+});
+
+test('checks an enrollment against passed subjects, allowing corequisites taken together', () => {
+  const graph = buildPrerequisiteGraph(curriculum);
+  const check = checkEnrollment(graph, ['IT101'], ['IT 102', 'IT 102L', 'IT 201', 'IT 101', 'XX 1']);
+  const bySubject = Object.fromEntries(check.subjects.map(entry => [entry.subject_code, entry]));
+
+  assert.equal(check.allowed, false);
+  assert.equal(bySubject['IT 102'].allowed, true);
+  assert.equal(bySubject['IT 102L'].allowed, true);
+  assert.deepEqual(bySubject['IT 201'].missing_prerequisites, ['IT 102', 'MATH 101']);
+  assert.equal(bySubject['IT 101'].already_passed, true);
+  assert.equal(bySubject['XX 1'].in_curriculum, false);
+
+  assert.deepEqual(checkEnrollment(graph, [], ['IT 102L']).subjects[0].missing_corequisites, ['IT 102']);
+});
+
+test('keys dotted subject codes without dots and blocks enrollment on them', () => {
+  const graph = buildPrerequisiteGraph({
+    1: {
+      '1st Semester': [subject('P.E. 1'), subject('N.S.T.P. 1')],
+      '2nd Semester': [subject('P.E. 2', parseRequisites('P.E. 1').codes), subject('N.S.T.P. 2', parseRequisites('NSTP 1').codes)]
+    }
+  });
+
+  assert.deepEqual(Object.keys(graph.nodes), ['PE1', 'NSTP1', 'PE2', 'NSTP2']);
+  assert.deepEqual(graph.nodes.PE2.prerequisites, ['PE1']);
+
+  const check = checkEnrollment(graph, [], ['PE 2', 'N.S.T.P. 2']);
+  assert.equal(check.allowed, false);
+  assert.deepEqual(check.subjects.map(entry => entry.missing_prerequisites), [['P.E. 1'], ['N.S.T.P. 1']]);
+  assert.equal(checkEnrollment(graph, ['PE1', 'nstp 1'], ['P.E. 2', 'N.S.T.P. 2']).allowed, true);
+});
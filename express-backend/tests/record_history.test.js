@@ -0,0 +1,46 @@
+// record_history.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RecordHistory = require('../utils/record_history');
+
+// In-memory record_history with the unique (record_type, record_id, version) index.
+// staleReads makes the first latest-version lookups miss a version another writer just stored.
+function historyWith(existing = [], staleReads = 0) {
+  const docs = [...existing];
+  const collection = {
+    findOne: async (filter) => {
+      const versions = docs.filter(doc => doc.record_type === filter.record_type && doc.record_id === filter.record_id);
+      if (staleReads > 0) {
+        staleReads--;
+        return null;
+      }
+      return versions.sort((a, b) => b.version - a.version)[0] || null;
+    },
+    insertOne: async (doc) => {
+      if (docs.some(other => other.record_type === doc.record_type && other.record_id === doc.record_id && other.version === doc.version)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      docs.push(doc);
+    }
+  };
+  return { history: new RecordHistory({ db: { collection: () => collection } }), docs };
+}
+
+const change = { recordType: 'student', recordId: 'PDM-2023-000001', collectionName: 'students_ccs', source: 'test' };
+
+test('a version taken by a concurrent write is retried with the next number', async () => {
+  const { history, docs } = historyWith([{ record_type: 'student', record_id: 'PDM-2023-000001', version: 1 }], 1);
+
+  const entry = await history.recordChange({ ...change, before: { full_name: 'Cruz' }, after: { full_name: 'Cruz, Juan' } });
+
+  assert.equal(entry.version, 2);
+  assert.deepEqual(docs.map(doc => doc.version), [1, 2]);
+  assert.deepEqual(entry.changes, [{ field: 'full_name', before: 'Cruz', after: 'Cruz, Juan' }]);
+});
+
+test('an unchanged record stores no version', async () => {
+  const { history, docs } = historyWith();
+
+  assert.equal(await history.recordChange({ ...change, before: { full_name: 'Cruz', updated_at: 1 }, after: { full_name: 'Cruz', updated_at: 2 } }), null);
+  assert.equal(docs.length, 0);
+});
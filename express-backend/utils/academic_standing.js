@@ -0,0 +1,336 @@
+// academic_standing.js
+const fs = require('fs');
+const path = require('path');
+const gwaCalculator = require('./gwa_calculator');
+const { normalizeSchoolYear, normalizeSemester, compareTerms, termLabel } = require('./academic_terms');
+const { escapeRegex } = require('./query_helpers');
+
+const DEFAULT_RULES_PATH = path.join(__dirname, 'academic_standing_rules.json');
+
+const FAILED_REMARKS = ['FAILED', 'F'];
+
+function toGrade(value) {
+  const grade = typeof value === 'number' ? value : parseFloat(String(value ?? '').trim());
+  return Number.isFinite(grade) && grade >= 1.0 && grade <= 5.0 ? grade : null;
+}
+
+function toUnits(value) {
+  const units = typeof value === 'number' ? value : parseFloat(String(value ?? '').trim());
+  return Number.isFinite(units) && units > 0 ? units : 0;
+}
+
+// Lower grades are better (1.0 highest, 3.0 passing, 5.0 failed)
+// condition name → (term metrics, configured value) → { met, reason }
+const StandingConditions = {
+  gwa_at_most: (m, value) => ({ met: m.gwa !== null && m.gwa <= value, reason: `GWA ${m.gwa} (cutoff ${value})` }),
+  gwa_above: (m, value) => ({ met: m.gwa !== null && m.gwa > value, reason: `GWA ${m.gwa} above ${value}` }),
+  cumulative_gwa_at_most: (m, value) => ({
+    met: m.cumulative_gwa !== null && m.cumulative_gwa <= value,
+    reason: `cumulative GWA ${m.cumulative_gwa} (cutoff ${value})`
+  }),
+  worst_grade_at_most: (m, value) => ({
+    met: m.worst_grade !== null && m.worst_grade <= value,
+    reason: `no grade below ${value}`
+  }),
+  no_incomplete: (m, value) => ({ met: !value || m.incomplete === 0, reason: 'no INC' }),
+  no_failed: (m, value) => ({ met: !value || m.failed_subjects === 0, reason: 'no failed subject' }),
+  min_units: (m, value) => ({ met: m.units >= value, reason: `${m.units} unit(s) (minimum ${value})` }),
+  failed_subjects_at_least: (m, value) => ({
+    met: m.failed_subjects >= value,
+    reason: `${m.failed_subjects} failed subject(s)`
+  }),
+  failed_units_percent_at_least: (m, value) => ({
+    met: m.failed_units_percent >= value,
+    reason: `${m.failed_units_percent}% of units failed`
+  }),
+  incomplete_at_least: (m, value) => ({ met: m.incomplete >= value, reason: `${m.incomplete} INC` })
+};
+
+/**
+ * Per-term academic standing from the grades_* collections, by the rules in
+ * academic_standing_rules.json (or ACADEMIC_STANDING_RULES_FILE).
+ * Standings (probation, warning) are checked in file order and the first whose `when` matches wins;
+ * distinctions (dean's list, honors candidate) are each checked on their own, so a term can have
+ * several. Each `when` entry is a set of conditions that must all hold. Results are stored in
+ * `academic_standings`, one document per student and term.
+ */
+class AcademicStandingEngine {
+  constructor(db, gradesManager, rulesPath = null) {
+    this.db = db;
+    this.gradesManager = gradesManager;
+    this.rulesPath = rulesPath || process.env.ACADEMIC_STANDING_RULES_FILE || DEFAULT_RULES_PATH;
+    this.reload();
+  }
+
+  get collection() {
+    return this.db.db.collection('academic_standings');
+  }
+
+  /**
+   * (Re)read the rules file; unknown conditions are an error rather than silently ignored
+   */
+  reload() {
+    const rules = JSON.parse(fs.readFileSync(this.rulesPath, 'utf8'));
+
+    [...(rules.standings || []), ...(rules.distinctions || [])].forEach(standing => {
+      (standing.when || []).forEach(conditions => {
+        Object.keys(conditions).forEach(condition => {
+          if (!StandingConditions[condition]) {
+            throw new Error(`Unknown condition '${condition}' in standing '${standing.name}'. Use one of: ${Object.keys(StandingConditions).join(', ')}`);
+          }
+        });
+      });
+    });
+
+    this.rules = {
+      failingGrade: typeof rules.failing_grade === 'number' ? rules.failing_grade : 5.0,
+      incompleteMarks: (rules.incomplete_marks || ['INC']).map(mark => String(mark).toUpperCase()),
+      standings: rules.standings || [],
+      distinctions: rules.distinctions || [],
+      defaultStanding: rules.default_standing || { name: 'good_standing', label: 'Good Standing' },
+      latinHonors: [...(rules.latin_honors || [])].sort((a, b) => a.cumulative_gwa_at_most - b.cumulative_gwa_at_most)
+    };
+  }
+
+  getStandingNames() {
+    return [...this.rules.standings.map(standing => standing.name), this.rules.defaultStanding.name];
+  }
+
+  getDistinctionNames() {
+    return this.rules.distinctions.map(distinction => distinction.name);
+  }
+
+  /**
+   * Numbers the conditions look at, for one term's grade rows
+   */
+  getTermMetrics(grades, cumulativeGrades) {
+    const metrics = {
+      gwa: null,
+      cumulative_gwa: null,
+      units: 0,
+      worst_grade: null,
+      failed_subjects: 0,
+      failed_units: 0,
+      failed_units_percent: 0,
+      incomplete: 0
+    };
+    let attemptedUnits = 0;
+
+    (grades || []).forEach(row => {
+      const remarks = String(row.remarks || '').toUpperCase().trim();
+      const equivalent = String(row.equivalent ?? '').toUpperCase().trim();
+      const grade = toGrade(row.equivalent);
+      const units = toUnits(row.units);
+
+      if (this.rules.incompleteMarks.includes(remarks) || this.rules.incompleteMarks.includes(equivalent)) {
+        metrics.incomplete++;
+        return;
+      }
+
+      const failed = FAILED_REMARKS.includes(remarks) || (grade !== null && grade >= this.rules.failingGrade);
+      if (grade === null && !failed) return;
+
+      attemptedUnits += units;
+      if (grade !== null) metrics.worst_grade = Math.max(metrics.worst_grade ?? grade, grade);
+      if (failed) {
+        metrics.failed_subjects++;
+        metrics.failed_units += units;
+      }
+    });
+
+    const term = gwaCalculator.compute(grades);
+    metrics.gwa = term.gwa;
+    metrics.units = term.total_units;
+    metrics.cumulative_gwa = gwaCalculator.compute(cumulativeGrades).gwa;
+    metrics.failed_units_percent = attemptedUnits > 0 ? Math.round((metrics.failed_units / attemptedUnits) * 1000) / 10 : 0;
+
+    return metrics;
+  }
+
+  /**
+   * Standing and distinctions for one term's metrics
+   * → { standing, standing_label, reasons, distinctions: [{ name, label, reasons }], deans_list, latin_honor }
+   */
+  classify(metrics) {
+    const standing = this.rules.standings
+      .map(rule => ({ rule, reasons: this._matchRule(rule, metrics) }))
+      .find(match => match.reasons);
+    const distinctions = this.rules.distinctions
+      .map(rule => ({ name: rule.name, label: rule.label || rule.name, reasons: this._matchRule(rule, metrics) }))
+      .filter(distinction => distinction.reasons);
+    const rule = standing ? standing.rule : this.rules.defaultStanding;
+
+    return {
+      standing: rule.name,
+      standing_label: rule.label || rule.name,
+      reasons: standing ? standing.reasons : [],
+      distinctions,
+      deans_list: distinctions.some(distinction => distinction.name === 'deans_list'),
+      latin_honor: distinctions.some(distinction => distinction.name === 'honors_candidate')
+        ? this._getLatinHonor(metrics.cumulative_gwa)
+        : null
+    };
+  }
+
+  /**
+   * Reasons of the first `when` entry of a rule that fully holds, or null
+   */
+  _matchRule(rule, metrics) {
+    for (const conditions of rule.when || []) {
+      const results = Object.entries(conditions).map(([condition, value]) => StandingConditions[condition](metrics, value));
+      if (results.every(result => result.met)) return results.map(result => result.reason);
+    }
+    return null;
+  }
+
+  /**
+   * Classify every term of the students matching filters
+   * ({ department, course, year, section, student_id, school_year, semester }) and store the results.
+   * Cumulative GWA always covers every earlier term, even when only one term is evaluated.
+   * → { evaluated, by_standing: { name: count }, by_distinction: { name: count } }
+   */
+  async evaluate(filters = {}) {
+    const summary = { evaluated: 0, by_standing: {}, by_distinction: {} };
+
+    try {
+      // Pick up edits to academic_standing_rules.json made since the server started
+      this.reload();
+      const { school_year: schoolYear, semester, ...studentFilters } = filters;
+      const records = await this.gradesManager.getGrades(studentFilters);
+
+      const byStudent = {};
+      records.forEach(record => {
+        (byStudent[record.student_id] ||= []).push(record);
+      });
+
+      await this.collection.createIndex({ student_id: 1, school_year: 1, semester: 1 });
+      await this.collection.createIndex({ department: 1, standing: 1 });
+
+      for (const terms of Object.values(byStudent)) {
+        terms.sort(compareTerms);
+
+        for (let i = 0; i < terms.length; i++) {
+          const record = terms[i];
+          if (schoolYear && record.school_year !== normalizeSchoolYear(schoolYear)) continue;
+          if (semester && record.semester !== normalizeSemester(semester)) continue;
+
+          const metrics = this.getTermMetrics(record.grades, terms.slice(0, i + 1).flatMap(term => term.grades || []));
+          const result = this.classify(metrics);
+
+          const standingDoc = {
+            student_id: record.student_id,
+            full_name: record.full_name || record.student_name || null,
+            course: record.course,
+            year: record.year,
+            section: record.section,
+            department: record.department,
+            school_year: record.school_year ?? null,
+            semester: record.semester ?? null,
+            term: termLabel(record),
+            ...result,
+            metrics,
+            source_file: record.source_file || null,
+            evaluated_at: new Date()
+          };
+
+          await this.collection.updateOne(
+            { student_id: standingDoc.student_id, school_year: standingDoc.school_year, semester: standingDoc.semester },
+            { $set: standingDoc },
+            { upsert: true }
+          );
+
+          summary.evaluated++;
+          summary.by_standing[result.standing] = (summary.by_standing[result.standing] || 0) + 1;
+          result.distinctions.forEach(({ name }) => {
+            summary.by_distinction[name] = (summary.by_distinction[name] || 0) + 1;
+          });
+        }
+      }
+
+      console.log(`✅ Academic standing evaluated for ${summary.evaluated} student term(s)`);
+      return summary;
+    } catch (error) {
+      console.error(`❌ Error evaluating academic standing: ${error.message}`);
+      return summary;
+    }
+  }
+
+  /**
+   * Stored standings filtered by department, course, year, section, student_id, school_year, semester
+   * or standing (a standing name, or a distinction such as deans_list)
+   */
+  async getStandings(filters = {}) {
+    try {
+      return await this.collection
+        .find(this._buildQuery(filters))
+        .sort({ department: 1, course: 1, year: 1, section: 1, full_name: 1, school_year: 1, semester: 1 })
+        .toArray();
+    } catch (error) {
+      console.error(`❌ Error getting academic standings: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Counts per standing and per distinction, overall and per department
+   */
+  async getSummary(filters = {}) {
+    const standings = await this.getStandings(filters);
+    const summary = { total: standings.length, by_standing: {}, by_distinction: {}, by_department: {} };
+
+    standings.forEach(({ standing, distinctions, department }) => {
+      const dept = department || 'UNKNOWN';
+      summary.by_standing[standing] = (summary.by_standing[standing] || 0) + 1;
+      summary.by_department[dept] ||= {};
+      summary.by_department[dept][standing] = (summary.by_department[dept][standing] || 0) + 1;
+
+      (distinctions || []).forEach(({ name }) => {
+        summary.by_distinction[name] = (summary.by_distinction[name] || 0) + 1;
+        summary.by_department[dept][name] = (summary.by_department[dept][name] || 0) + 1;
+      });
+    });
+
+    return summary;
+  }
+
+  async clear() {
+    try {
+      if (!(await this.db.backupBeforeClear('before_clear_academic_standings'))) return false;
+      await this.collection.deleteMany({});
+      return true;
+    } catch (error) {
+      console.error(`❌ Error clearing academic standings: ${error.message}`);
+      return false;
+    }
+  }
+
+  _getLatinHonor(cumulativeGwa) {
+    if (cumulativeGwa === null) return null;
+    const honor = this.rules.latinHonors.find(level => cumulativeGwa <= level.cumulative_gwa_at_most);
+    return honor ? honor.name : null;
+  }
+
+  _buildQuery(filters) {
+    const query = {};
+
+    ['department', 'course', 'section'].forEach(field => {
+      if (filters[field]) {
+        query[field] = { $regex: `^${escapeRegex(String(filters[field]).trim())}$`, $options: 'i' };
+      }
+    });
+    if (filters.year) query.year = String(filters.year);
+    if (filters.student_id) query.student_id = String(filters.student_id).trim().toUpperCase();
+    if (filters.school_year) query.school_year = normalizeSchoolYear(filters.school_year);
+    if (filters.semester) query.semester = normalizeSemester(filters.semester);
+    if (filters.standing && this.getDistinctionNames().includes(filters.standing)) {
+      query['distinctions.name'] = filters.standing;
+    } else if (filters.standing) {
+      query.standing = filters.standing;
+    }
+
+    return query;
+  }
+}
+
+module.exports = AcademicStandingEngine;
+module.exports.StandingConditions = StandingConditions;
@@ -0,0 +1,108 @@
+// academic_terms.js
+
+// Semester names as the curriculum extractor writes them, in the order they fall in a school year
+const Semesters = ['1st Semester', '2nd Semester', 'Summer'];
+
+/**
+ * '1ST SEM', 'First Semester', '2', 'Midyear' … → '1st Semester' | '2nd Semester' | 'Summer', or null
+ */
+function normalizeSemester(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).toUpperCase().trim();
+  if (!text) return null;
+
+  if (/SUMMER|MID-?YEAR/.test(text)) return 'Summer';
+  if (/^(2|2ND|SECOND)\b|\b(2ND|SECOND)\s*(SEM|TERM)|\bSEM(ESTER)?\s*2\b/.test(text)) return '2nd Semester';
+  if (/^(1|1ST|FIRST)\b|\b(1ST|FIRST)\s*(SEM|TERM)|\bSEM(ESTER)?\s*1\b/.test(text)) return '1st Semester';
+  return null;
+}
+
+/**
+ * 'A.Y. 2024-2025', 'SY 2024–25', '2024 - 2025' … → '2024-2025', or null
+ */
+function normalizeSchoolYear(value) {
+  if (value === undefined || value === null) return null;
+  const match = String(value).match(/(20\d{2})\s*[-–/_ ]\s*(20\d{2}|\d{2})(?!\d)/);
+  if (!match) return null;
+
+  const start = parseInt(match[1], 10);
+  const end = match[2].length === 2 ? parseInt(match[1].slice(0, 2) + match[2], 10) : parseInt(match[2], 10);
+  return end === start + 1 ? `${start}-${end}` : null;
+}
+
+/**
+ * School year and semester named anywhere in a piece of text (a header cell, a filename)
+ */
+function findTerm(text) {
+  const value = String(text || '').replace(/[_]+/g, ' ');
+  const semesterMatch = value.match(/\b(1ST|2ND|FIRST|SECOND)\s*-?\s*(SEM(ESTER)?|TERM)\b|\bSUMMER\b|\bMID-?YEAR\b/i);
+  return {
+    school_year: normalizeSchoolYear(value),
+    semester: semesterMatch ? normalizeSemester(semesterMatch[0]) : null
+  };
+}
+
+/**
+ * School year and semester from the top rows of a sheet ("SEMESTER: | 2nd", "S.Y.: | 2024-2025",
+ * a title like "1st Semester, A.Y. 2024-2025"), else from the filename; missing parts are null
+ */
+function findSheetTerm(rows, filename = '', maxRows = 30) {
+  const term = { school_year: null, semester: null };
+
+  for (const row of (rows || []).slice(0, maxRows)) {
+    (row || []).forEach((cell, j) => {
+      const cellValue = String(cell ?? '').trim();
+      if (!cellValue) return;
+
+      const cellUpper = cellValue.toUpperCase();
+      const rightValue = String(row[j + 1] ?? '').trim();
+      const labelValue = cellValue.includes(':') ? cellValue.split(':').slice(1).join(':').trim() || rightValue : rightValue;
+      const found = findTerm(cellValue);
+
+      if (!term.semester) {
+        term.semester = /^(SEMESTER|SEM|TERM)\b/.test(cellUpper) ? normalizeSemester(labelValue) : found.semester;
+      }
+      if (!term.school_year) {
+        term.school_year = /^(SCHOOL YEAR|ACADEMIC YEAR|A\.?Y\.?|S\.?Y\.?)(\s|:|$)/.test(cellUpper)
+          ? normalizeSchoolYear(labelValue) || found.school_year
+          : found.school_year;
+      }
+    });
+    if (term.school_year && term.semester) return term;
+  }
+
+  // e.g. BSIT_3A_2ndSem_2024-2025_COR.xlsx
+  const fromFilename = findTerm(String(filename || '').split(/[/\\]/).pop().replace(/([a-z])([A-Z0-9])/g, '$1 $2'));
+  return {
+    school_year: term.school_year || fromFilename.school_year,
+    semester: term.semester || fromFilename.semester
+  };
+}
+
+/**
+ * Sort key so terms order chronologically; terms without a school year come first
+ */
+function termSortKey({ school_year: schoolYear, semester }) {
+  const year = schoolYear ? schoolYear.slice(0, 4) : '0000';
+  const index = Semesters.indexOf(semester);
+  return `${year}-${index === -1 ? 0 : index + 1}`;
+}
+
+function compareTerms(a, b) {
+  return termSortKey(a).localeCompare(termSortKey(b));
+}
+
+function termLabel({ school_year: schoolYear, semester }) {
+  if (!schoolYear && !semester) return 'Unspecified term';
+  return [semester, schoolYear ? `A.Y. ${schoolYear}` : null].filter(Boolean).join(', ');
+}
+
+module.exports = {
+  Semesters,
+  normalizeSemester,
+  normalizeSchoolYear,
+  findTerm,
+  findSheetTerm,
+  compareTerms,
+  termLabel
+};
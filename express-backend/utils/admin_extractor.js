@@ -1,5 +1,6 @@
 // admin_extractor.js
 const xlsx = require('xlsx');
+const { readSheet } = require('./workbook_reader');
 const fs = require('fs');
 
 class AdminExtractor {
@@ -10,14 +11,12 @@ class AdminExtractor {
   /**
    * Main function to process Admin Excel file
    */
-  async processAdminExcel(filePath) {
+  async processAdminExcel(filePath, sheetName = null) {
     try {
       console.log(`\n📋 Processing admin file: ${filePath}`);
       
       // Read the Excel file
-      const workbook = xlsx.readFile(filePath);
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
+      const { worksheet } = readSheet(filePath, sheetName);
       
       // Convert to array of arrays for easier processing
       const data = xlsx.utils.sheet_to_json(worksheet, { header: 1, defval: null });
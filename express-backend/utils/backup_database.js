@@ -0,0 +1,82 @@
+/**
+ * Backup / restore from the command line
+ *
+ *   node utils/backup_database.js backup [--format json|bson]
+ *   node utils/backup_database.js list
+ *   node utils/backup_database.js restore <backup_name> [--departments CCS,CBA] [--types student,cor_schedule] [--mode merge|replace]
+ *
+ * Uses MONGODB_URI (default mongodb://localhost:27017/)
+ */
+
+const { StudentDatabase } = require('./main');
+const { getBackupDocumentTypes } = require('./backup_manager');
+
+function parseArgs(argv) {
+  const args = { positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      args.positional.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+function splitList(value) {
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : null;
+}
+
+function printUsage() {
+  console.log('Usage:');
+  console.log('  node utils/backup_database.js backup [--format json|bson]');
+  console.log('  node utils/backup_database.js list');
+  console.log('  node utils/backup_database.js restore <backup_name> [--departments CCS,CBA] [--types student,cor_schedule] [--mode merge|replace]');
+  console.log(`\nDocument types: ${getBackupDocumentTypes().join(', ')}`);
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const args = parseArgs(rest);
+
+  if (!['backup', 'list', 'restore'].includes(command) || (command === 'restore' && !args.positional[0])) {
+    printUsage();
+    process.exit(1);
+  }
+
+  const db = new StudentDatabase(process.env.MONGODB_URI);
+  let ok = true;
+
+  try {
+    await db.connect();
+
+    if (command === 'backup') {
+      ok = Boolean(await db.backupManager.createBackup('manual', { format: args.format || 'json' }));
+    } else if (command === 'list') {
+      const backups = await db.backupManager.listBackups();
+      if (backups.length === 0) console.log(`⚠️  No backups found in ${db.backupManager.backupRoot}`);
+      backups.forEach(backup => {
+        console.log(`${backup.backup_name} [${backup.format}] ${backup.created_at} - ${backup.reason}, ${backup.total_documents} document(s)`);
+      });
+    } else {
+      const summary = await db.backupManager.restoreBackup(args.positional[0], {
+        departments: splitList(args.departments),
+        documentTypes: splitList(args.types),
+        mode: args.mode || 'merge'
+      });
+      ok = Boolean(summary) && summary.failed === 0;
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    ok = false;
+  } finally {
+    await db.close();
+  }
+
+  process.exit(ok ? 0 : 1);
+}
+
+if (require.main === module) {
+  main();
+}
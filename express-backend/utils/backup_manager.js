@@ -0,0 +1,497 @@
+// backup_manager.js
+const fs = require('fs').promises;
+const { createReadStream, createWriteStream } = require('fs');
+const { once } = require('events');
+const { pipeline } = require('stream/promises');
+const readline = require('readline');
+const path = require('path');
+const { BSON } = require('mongodb');
+const { RecordSchemas } = require('./record_schemas');
+const departmentRegistry = require('./department_registry');
+const { MediaCollections } = require('./media_store');
+
+const { EJSON } = BSON;
+
+// Archive file extension per format
+const BackupFormats = {
+  json: '.jsonl',
+  bson: '.bson'
+};
+
+// Collections shared by all departments (documents may still carry a department),
+// plus the GridFS bucket holding the photos and recordings records point at
+const SharedCollections = ['pending_media', 'pending_media_completions', 'academic_standings', 'record_history', 'ingestion_ledger', 'ingestion_routes', 'ingestion_jobs', ...MediaCollections];
+
+// Documents written per bulk write during a restore
+const RESTORE_BATCH_SIZE = 500;
+
+const [MEDIA_FILES, MEDIA_CHUNKS] = MediaCollections;
+
+/**
+ * Document type and department a collection holds, from the record schema collection names
+ * e.g. grades_ccs → { document_type: 'student_grades', department: 'CCS', group: 'college' }
+ */
+function classifyCollection(name) {
+  let match = null;
+
+  Object.entries(RecordSchemas).forEach(([recordType, { collections }]) => {
+    if (collections.names && collections.names.includes(name)) {
+      match = { document_type: recordType, department: null, group: null, prefix: '' };
+    } else if (collections.prefix && name.startsWith(`${collections.prefix}_`)) {
+      // Longest prefix wins (faculty_schedules_ccs is a schedule, not a faculty_ collection)
+      if (!match || collections.prefix.length > match.prefix.length) {
+        match = {
+          document_type: recordType,
+          department: name.slice(collections.prefix.length + 1).toUpperCase(),
+          group: collections.group,
+          prefix: collections.prefix
+        };
+      }
+    }
+  });
+
+  if (!match) return { document_type: name, department: null, group: null };
+  const { prefix, ...classification } = match;
+  return classification;
+}
+
+/**
+ * Document types a restore can be limited to
+ */
+function getBackupDocumentTypes() {
+  return [...Object.keys(RecordSchemas), ...SharedCollections];
+}
+
+/**
+ * Backups are single timestamped archives in utils/backups:
+ *   backup_<timestamp>.jsonl - manifest line, then one EJSON { collection, document } line per document
+ *   backup_<timestamp>.bson  - manifest document, then one BSON { collection, document } per document
+ * Backup folders from older versions (manifest.json + <collection>.json) can still be listed and restored.
+ */
+class BackupManager {
+  constructor(db, backupRoot = null) {
+    this.db = db;
+    this.backupRoot = backupRoot || path.join(__dirname, 'backups');
+  }
+
+  /**
+   * Timestamp safe for file names (2025-01-31T08-15-00-000Z)
+   */
+  _timestamp() {
+    return new Date().toISOString().replace(/[:.]/g, '-');
+  }
+
+  /**
+   * Dump every collection in the database to one timestamped archive. Returns the archive path, or null.
+   */
+  async createBackup(reason = 'manual', { format = 'json' } = {}) {
+    const extension = BackupFormats[format];
+    if (!extension) {
+      console.error(`❌ Unknown backup format '${format}'. Use one of: ${Object.keys(BackupFormats).join(', ')}`);
+      return null;
+    }
+
+    const backupName = `backup_${this._timestamp()}`;
+    const archivePath = path.join(this.backupRoot, `${backupName}${extension}`);
+    const bodyPath = `${archivePath}.partial`;
+
+    try {
+      await fs.mkdir(this.backupRoot, { recursive: true });
+
+      const collections = await this.db.db.listCollections().toArray();
+      const manifest = {
+        backup_name: backupName,
+        format,
+        database: this.db.databaseName,
+        reason,
+        created_at: new Date().toISOString(),
+        total_documents: 0,
+        collections: {}
+      };
+
+      // Documents go to a temporary body first so the manifest (with final counts) can lead the archive
+      const body = createWriteStream(bodyPath);
+      for (const { name } of collections.sort((a, b) => a.name.localeCompare(b.name))) {
+        // Cursor, not toArray: fs.chunks alone can be larger than memory
+        let count = 0;
+        for await (const document of this.db.db.collection(name).find({})) {
+          if (!body.write(this._encode(format, { collection: name, document }))) {
+            await once(body, 'drain');
+          }
+          count++;
+        }
+
+        manifest.collections[name] = { documents: count, ...classifyCollection(name) };
+        manifest.total_documents += count;
+      }
+      body.end();
+      await once(body, 'finish');
+
+      await fs.writeFile(archivePath, this._encode(format, manifest, true));
+      await pipeline(createReadStream(bodyPath), createWriteStream(archivePath, { flags: 'a' }));
+      await fs.unlink(bodyPath);
+
+      console.log(`💾 Backup created: ${archivePath}`);
+      console.log(`   Collections: ${collections.length}, Documents: ${manifest.total_documents}`);
+
+      return archivePath;
+    } catch (error) {
+      console.error(`❌ Error creating backup: ${error.message}`);
+      await fs.unlink(bodyPath).catch(() => null);
+      return null;
+    }
+  }
+
+  /**
+   * List existing backups (newest first), as their manifests
+   */
+  async listBackups() {
+    try {
+      const entries = await fs.readdir(this.backupRoot);
+      const backups = [];
+
+      for (const entry of entries.filter(name => name.startsWith('backup_') && !name.endsWith('.partial'))) {
+        const archive = await this._findArchive(path.join(this.backupRoot, entry));
+        if (!archive) continue;
+
+        try {
+          backups.push({ ...(await this._readManifest(archive)), path: archive.path });
+        } catch {
+          // Incomplete backup, ignore
+          continue;
+        }
+      }
+
+      return backups.sort((a, b) => b.created_at.localeCompare(a.created_at));
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Replay a backup into the database (empty or not).
+   * options:
+   *   departments   - only these departments (CCS, REGISTRAR, ...); shared collections keep matching documents
+   *                   (GridFS files by metadata.department, chunks along with their files)
+   *   documentTypes - only these document types (student, cor_schedule, ..., see getBackupDocumentTypes)
+   *   mode          - 'merge' upserts by _id and keeps everything else;
+   *                   'replace' first deletes what the restore covers (after an automatic backup)
+   * Returns { backup_name, mode, restored, skipped, failed, collections }, or null on error
+   */
+  async restoreBackup(backupName, { departments = null, documentTypes = null, mode = 'merge' } = {}) {
+    try {
+      const archive = await this._findArchive(backupName);
+      if (!archive) {
+        console.error(`❌ Backup not found: ${backupName}`);
+        return null;
+      }
+      if (!['merge', 'replace'].includes(mode)) {
+        console.error(`❌ Unknown restore mode '${mode}'. Use merge or replace`);
+        return null;
+      }
+
+      const unknownTypes = (documentTypes || []).filter(type => !getBackupDocumentTypes().includes(type));
+      if (unknownTypes.length > 0) {
+        console.error(`❌ Unknown document type(s): ${unknownTypes.join(', ')}. Use: ${getBackupDocumentTypes().join(', ')}`);
+        return null;
+      }
+
+      const scope = {
+        departments: departments && departments.length > 0
+          ? departments.map(dept => String(dept).toUpperCase().trim().replace(/[^A-Z0-9]+/g, '_'))
+          : null,
+        documentTypes: documentTypes && documentTypes.length > 0 ? documentTypes : null,
+        mediaFileIds: null
+      };
+      const manifest = await this._readManifest(archive);
+
+      // fs.chunks sorts before fs.files, so find the files being restored first
+      if ((scope.departments || scope.documentTypes) && manifest.collections[MEDIA_CHUNKS]) {
+        scope.mediaFileIds = await this._collectMediaFileIds(archive, scope);
+      }
+
+      console.log(`\n♻️  Restoring ${manifest.backup_name} (${manifest.created_at}) - ${mode} mode`);
+      if (scope.departments) console.log(`   Departments: ${scope.departments.join(', ')}`);
+      if (scope.documentTypes) console.log(`   Document types: ${scope.documentTypes.join(', ')}`);
+
+      if (mode === 'replace') {
+        const backedUp = await this.db.backupBeforeClear('before_restore_replace');
+        if (!backedUp) return null;
+        await this._clearScope(Object.keys(manifest.collections), scope);
+      }
+
+      const summary = { backup_name: manifest.backup_name, mode, restored: 0, skipped: 0, failed: 0, collections: {} };
+      const batches = new Map();
+
+      await this._eachDocument(archive, async (name, document) => {
+        if (!this._inScope(name, document, scope)) {
+          summary.skipped++;
+          return;
+        }
+
+        if (!batches.has(name)) batches.set(name, []);
+        const batch = batches.get(name);
+        batch.push(document);
+        if (batch.length >= RESTORE_BATCH_SIZE) {
+          await this._writeBatch(name, batches.get(name).splice(0), summary);
+        }
+      });
+
+      for (const [name, batch] of batches) {
+        if (batch.length > 0) await this._writeBatch(name, batch, summary);
+      }
+
+      console.log(`✅ Restored ${summary.restored} document(s) into ${Object.keys(summary.collections).length} collection(s)`);
+      if (summary.skipped > 0) console.log(`   ⏭️  ${summary.skipped} outside the selected departments/types`);
+      if (summary.failed > 0) console.log(`   ⚠️  ${summary.failed} could not be written (see errors above)`);
+
+      return summary;
+    } catch (error) {
+      console.error(`❌ Error restoring backup: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Upsert documents by _id, keeping their exact stored form (schema validators are bypassed)
+   */
+  async _writeBatch(name, documents, summary) {
+    const operations = documents.map(document => ({
+      replaceOne: { filter: { _id: document._id }, replacement: document, upsert: true }
+    }));
+
+    try {
+      await this.db.db.collection(name).bulkWrite(operations, { ordered: false, bypassDocumentValidation: true });
+      summary.restored += documents.length;
+      summary.collections[name] = (summary.collections[name] || 0) + documents.length;
+    } catch (error) {
+      // Unordered: everything except the failed writes (e.g. duplicate student_id under another _id) went in
+      const failed = error.writeErrors ? error.writeErrors.length : documents.length;
+      console.error(`   ⚠️  ${name}: ${failed} document(s) not restored - ${error.message}`);
+      summary.failed += failed;
+      summary.restored += documents.length - failed;
+      summary.collections[name] = (summary.collections[name] || 0) + documents.length - failed;
+    }
+  }
+
+  /**
+   * _ids (as strings) of the GridFS files a scoped restore brings back; their chunks come with them
+   */
+  async _collectMediaFileIds(archive, scope) {
+    const fileIds = new Set();
+    await this._eachDocument(archive, async (name, document) => {
+      if (name === MEDIA_FILES && this._inScope(name, document, scope)) fileIds.add(String(document._id));
+    });
+    return fileIds;
+  }
+
+  /**
+   * Delete what a replace-mode restore will write back
+   */
+  async _clearScope(collectionNames, scope) {
+    const mediaFilter = scope.departments ? { 'metadata.department': { $in: scope.departments } } : {};
+    const mediaInScope = !scope.documentTypes || scope.documentTypes.includes(MEDIA_FILES);
+    // Taken before fs.files is cleared (fs.chunks sorts first, but don't rely on it)
+    const mediaFileIds = mediaInScope && collectionNames.includes(MEDIA_FILES)
+      ? await this.db.db.collection(MEDIA_FILES).distinct('_id', mediaFilter)
+      : [];
+
+    for (const name of collectionNames) {
+      const { document_type: documentType, department } = classifyCollection(name);
+      let filter = {};
+
+      if (name === MEDIA_CHUNKS) {
+        // Chunks go with their files, whatever types were asked for
+        if (!mediaInScope) continue;
+        if (scope.departments) filter = { files_id: { $in: mediaFileIds } };
+      } else if (scope.documentTypes && !scope.documentTypes.includes(documentType)) {
+        continue;
+      } else if (name === MEDIA_FILES) {
+        filter = mediaFilter;
+      } else if (scope.departments) {
+        if (department) {
+          if (!scope.departments.includes(department)) continue;
+        } else {
+          filter = {
+            $or: [
+              { department: { $in: scope.departments } },
+              { 'snapshot.department': { $in: scope.departments } }
+            ]
+          };
+        }
+      }
+
+      const result = await this.db.db.collection(name).deleteMany(filter);
+      if (result.deletedCount > 0) {
+        console.log(`   🗑️  Cleared ${result.deletedCount} document(s) from ${name}`);
+      }
+    }
+  }
+
+  /**
+   * Whether a backed-up document is covered by the restore's departments/types
+   */
+  _inScope(name, document, scope) {
+    // Chunks follow the file they belong to (see _collectMediaFileIds)
+    if (name === MEDIA_CHUNKS) return !scope.mediaFileIds || scope.mediaFileIds.has(String(document.files_id));
+
+    const { document_type: documentType, department } = classifyCollection(name);
+    if (scope.documentTypes && !scope.documentTypes.includes(documentType)) return false;
+    if (!scope.departments) return true;
+
+    const documentDepartment = department || document.department ||
+      (document.snapshot && document.snapshot.department) ||
+      (document.metadata && document.metadata.department);
+    return Boolean(documentDepartment) && scope.departments.includes(String(documentDepartment).toUpperCase());
+  }
+
+  /**
+   * Backup by name (backup_2025-...), archive file name or full path → { path, format }
+   */
+  async _findArchive(backupName) {
+    const base = path.isAbsolute(backupName) ? backupName : path.join(this.backupRoot, backupName);
+    const candidates = [base, ...Object.values(BackupFormats).map(extension => `${base}${extension}`)];
+
+    for (const candidate of candidates) {
+      try {
+        const stats = await fs.stat(candidate);
+        if (stats.isDirectory()) return { path: candidate, format: 'folder' };
+
+        const format = Object.keys(BackupFormats).find(key => candidate.endsWith(BackupFormats[key]));
+        if (format) return { path: candidate, format };
+      } catch {
+        continue;
+      }
+    }
+    return null;
+  }
+
+  async _readManifest(archive) {
+    if (archive.format === 'folder') {
+      const manifest = JSON.parse(await fs.readFile(path.join(archive.path, 'manifest.json'), 'utf8'));
+      // Older manifests stored plain counts per collection
+      const collections = Object.fromEntries(Object.entries(manifest.collections).map(([name, count]) => [
+        name,
+        typeof count === 'number' ? { documents: count, ...classifyCollection(name) } : count
+      ]));
+      const total = Object.values(collections).reduce((sum, info) => sum + info.documents, 0);
+      return { ...manifest, format: 'folder', total_documents: total, collections };
+    }
+
+    if (archive.format === 'bson') {
+      const handle = await fs.open(archive.path, 'r');
+      try {
+        const size = Buffer.alloc(4);
+        await handle.read(size, 0, 4, 0);
+        const buffer = Buffer.alloc(size.readInt32LE(0));
+        await handle.read(buffer, 0, buffer.length, 0);
+        return BSON.deserialize(buffer);
+      } finally {
+        await handle.close();
+      }
+    }
+
+    const lines = readline.createInterface({ input: createReadStream(archive.path), crlfDelay: Infinity });
+    try {
+      for await (const line of lines) {
+        return JSON.parse(line);
+      }
+      throw new Error('Empty backup archive');
+    } finally {
+      lines.close();
+    }
+  }
+
+  /**
+   * Call handler(collectionName, document) for every document in a backup, in archive order
+   */
+  async _eachDocument(archive, handler) {
+    if (archive.format === 'folder') {
+      const manifest = await this._readManifest(archive);
+      for (const name of Object.keys(manifest.collections)) {
+        const text = await fs.readFile(path.join(archive.path, `${name}.json`), 'utf8');
+        for (const document of EJSON.parse(text, { relaxed: false })) {
+          await handler(name, document);
+        }
+      }
+      return;
+    }
+
+    if (archive.format === 'bson') {
+      // Read the archive a chunk at a time; only the current document is kept whole
+      let pending = Buffer.alloc(0);
+      let isManifest = true;
+
+      for await (const chunk of createReadStream(archive.path)) {
+        pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+
+        while (pending.length >= 4 && pending.length >= pending.readInt32LE(0)) {
+          const size = pending.readInt32LE(0);
+          const bytes = pending.subarray(0, size);
+          pending = pending.subarray(size);
+
+          if (isManifest) {
+            isManifest = false;
+            continue;
+          }
+          // promoteValues: false keeps Int32/Long/Double exactly as they were stored
+          const entry = BSON.deserialize(bytes, { promoteValues: false });
+          await handler(entry.collection.toString(), entry.document);
+        }
+      }
+
+      if (pending.length > 0) throw new Error('Backup archive ends in the middle of a document');
+      return;
+    }
+
+    const lines = readline.createInterface({ input: createReadStream(archive.path), crlfDelay: Infinity });
+    let isManifest = true;
+    for await (const line of lines) {
+      if (isManifest || !line.trim()) {
+        isManifest = false;
+        continue;
+      }
+      // Canonical EJSON keeps ObjectIds, Dates and Binary (photos) restorable
+      const entry = EJSON.parse(line, { relaxed: false });
+      await handler(entry.collection, entry.document);
+    }
+  }
+
+  _encode(format, value, isManifest = false) {
+    if (format === 'bson') return BSON.serialize(value);
+    return `${isManifest ? JSON.stringify(value) : EJSON.stringify(value, { relaxed: false })}\n`;
+  }
+
+  /**
+   * Department collections whose department is no longer in the department registry
+   * (e.g. after a college was renamed or removed) → [{ name, documents, document_type, department }]
+   */
+  async findOrphanedCollections() {
+    try {
+      const collections = await this.db.db.listCollections().toArray();
+      const orphaned = [];
+
+      for (const { name } of collections) {
+        const classification = classifyCollection(name);
+        if (!classification.group) continue;
+
+        const registered = departmentRegistry.getCollectionKeys(classification.group)
+          .includes(classification.department.toLowerCase());
+        if (registered) continue;
+
+        const documents = await this.db.db.collection(name).countDocuments();
+        orphaned.push({ name, documents, ...classification });
+      }
+
+      return orphaned;
+    } catch (error) {
+      console.error(`❌ Error finding orphaned collections: ${error.message}`);
+      return [];
+    }
+  }
+}
+
+module.exports = BackupManager;
+module.exports.BackupFormats = BackupFormats;
+module.exports.classifyCollection = classifyCollection;
+module.exports.getBackupDocumentTypes = getBackupDocumentTypes;
@@ -0,0 +1,138 @@
+// completeness_rules.js
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RULES_PATH = path.join(__dirname, 'completeness_rules.json');
+
+// field_status values (same strings as FieldStatus in main.js, plus invalid)
+const RuleStatus = {
+  COMPLETE: 'complete',
+  WAITING: 'waiting',
+  MISSING: 'missing',
+  INVALID: 'invalid'
+};
+
+function getValue(record, field) {
+  return field.split('.').reduce((current, key) => (current == null ? undefined : current[key]), record);
+}
+
+function isFilled(value) {
+  if (value === undefined || value === null) return false;
+  if (typeof value === 'string') return value.trim() !== '';
+  if (Array.isArray(value)) return value.length > 0;
+  return true;
+}
+
+/**
+ * Profile-completeness rules per record type, from completeness_rules.json
+ * (or COMPLETENESS_RULES_FILE). A rule covers one field or a group of fields:
+ *   { name, fields: [...] (default [name]), match: 'all'|'any', required, weight, pattern, values, media }
+ * Required rules weigh 1 and optional ones 0 unless a weight is given; media rules
+ * (image/audio) are complete once their status is 'complete'.
+ */
+class CompletenessRules {
+  constructor(configPath = null) {
+    this.configPath = configPath || process.env.COMPLETENESS_RULES_FILE || DEFAULT_RULES_PATH;
+    this.reload();
+  }
+
+  /**
+   * (Re)read the rules file
+   */
+  reload() {
+    const config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+
+    this.recordTypes = Object.fromEntries(Object.entries(config).map(([recordType, definition]) => [recordType, {
+      idField: definition.id_field,
+      rules: (definition.rules || []).map(rule => {
+        const required = rule.required !== false;
+        return {
+          name: rule.name,
+          fields: rule.fields || [rule.name],
+          match: rule.match === 'any' ? 'any' : 'all',
+          required,
+          weight: typeof rule.weight === 'number' ? rule.weight : (required ? 1 : 0),
+          pattern: rule.pattern ? new RegExp(rule.pattern) : null,
+          values: rule.values || null,
+          media: Boolean(rule.media)
+        };
+      })
+    }]));
+  }
+
+  getRecordTypes() {
+    return Object.keys(this.recordTypes);
+  }
+
+  getRules(recordType) {
+    return this.recordTypes[recordType]?.rules || [];
+  }
+
+  getIdField(recordType) {
+    return this.recordTypes[recordType]?.idField || null;
+  }
+
+  /**
+   * Score a record against its type's rules.
+   * source 'manual_input' marks empty fields as waiting (still to be typed in) rather than missing.
+   * → { completion_percentage, field_status, missing: [rule names], invalid: [{ rule, field, value }] }
+   */
+  evaluate(recordType, record, { source = null } = {}) {
+    const rules = this.getRules(recordType);
+    const result = { completion_percentage: 0, field_status: {}, missing: [], invalid: [] };
+    let totalWeight = 0;
+    let completedWeight = 0;
+
+    rules.forEach(rule => {
+      const { status, invalid } = this._evaluateRule(rule, record || {}, source);
+      result.field_status[rule.name] = status;
+
+      if (status === RuleStatus.INVALID) {
+        result.invalid.push(...invalid);
+      } else if (status !== RuleStatus.COMPLETE) {
+        result.missing.push(rule.name);
+      }
+
+      totalWeight += rule.weight;
+      if (status === RuleStatus.COMPLETE) completedWeight += rule.weight;
+    });
+
+    result.completion_percentage = totalWeight > 0 ? (completedWeight / totalWeight) * 100 : 100;
+    return result;
+  }
+
+  /**
+   * Names of the required rules among a list of rule names
+   */
+  requiredOnly(recordType, names) {
+    const required = new Set(this.getRules(recordType).filter(rule => rule.required).map(rule => rule.name));
+    return names.filter(name => required.has(name));
+  }
+
+  _evaluateRule(rule, record, source) {
+    if (rule.media) {
+      const media = getValue(record, rule.fields[0]);
+      return { status: media?.status === RuleStatus.COMPLETE ? RuleStatus.COMPLETE : RuleStatus.WAITING, invalid: [] };
+    }
+
+    const filled = rule.fields.filter(field => isFilled(getValue(record, field)));
+    const present = rule.match === 'any' ? filled.length > 0 : filled.length === rule.fields.length;
+    if (!present) {
+      return { status: source === 'manual_input' ? RuleStatus.WAITING : RuleStatus.MISSING, invalid: [] };
+    }
+
+    const invalid = filled
+      .map(field => ({ rule: rule.name, field, value: getValue(record, field) }))
+      .filter(({ value }) => {
+        const text = String(value).trim();
+        if (rule.pattern && !rule.pattern.test(text)) return true;
+        return rule.values ? !rule.values.map(String).includes(text) : false;
+      });
+
+    return { status: invalid.length > 0 ? RuleStatus.INVALID : RuleStatus.COMPLETE, invalid };
+  }
+}
+
+module.exports = new CompletenessRules();
+module.exports.CompletenessRules = CompletenessRules;
+module.exports.RuleStatus = RuleStatus;
@@ -1,31 +1,24 @@
 // cor_excel_extractor.js
 const xlsx = require('xlsx');
+const { readSheet } = require('./workbook_reader');
 const path = require('path');
 const fs = require('fs').promises;
+const departmentRegistry = require('./department_registry');
+const { findSheetTerm, termLabel } = require('./academic_terms');
 
 class CORExcelExtractor {
   constructor() {
-    // Department mapping
-    this.knownCourses = {
-      'CCS': ['BSCS', 'BSIT'],
-      'CHTM': ['BSHM', 'BSTM'],
-      'CBA': ['BSBA', 'BSOA'],
-      'CTE': ['BECED', 'BTLE'],
-      'COE': ['BSEE', 'BSCE', 'BSME'],
-      'CON': ['BSN'],
-      'CAS': ['AB', 'BS']
-    };
+    // Department mapping (programs per college come from departments.json)
+    this.knownCourses = departmentRegistry.getProgramsByCollege();
   }
 
   /**
    * Main extraction method - Universal COR extraction
    */
-  async extractCORExcelInfoSmart(filename) {
+  async extractCORExcelInfoSmart(filename, sheetName = null) {
     try {
       // Read the entire Excel file without headers
-      const workbook = xlsx.readFile(filename);
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
+      const { worksheet } = readSheet(filename, sheetName);
       
       // Convert to 2D array (no header row)
       const data = xlsx.utils.sheet_to_json(worksheet, { header: 1, defval: '' });
@@ -69,11 +62,16 @@ class CORExcelExtractor {
       // STEP 3: Universal Total Units Extraction
       totalUnits = this.scanForTotalUnits(data);
       console.log(`📋 Total Units: ${totalUnits}`);
+
+      // STEP 4: School year and semester (a section has one COR per term)
+      const term = findSheetTerm(data, filename);
+      console.log(`📋 Term: ${termLabel(term)}`);
       
       return {
         program_info: programInfo,
         schedule: scheduleData,
-        total_units: totalUnits
+        total_units: totalUnits,
+        term
       };
       
     } catch (error) {
@@ -533,6 +531,7 @@ Program: ${corInfo.program_info.Program}
 Year Level: ${corInfo.program_info['Year Level']}
 Section: ${corInfo.program_info.Section}
 Adviser: ${corInfo.program_info.Adviser}
+Term: ${termLabel(corInfo.term || {})}
 Total Units: ${corInfo.total_units || 'N/A'}
 
 ENROLLED SUBJECTS (${corInfo.schedule.length} subjects):
@@ -561,64 +560,15 @@ Subject ${i + 1}:
    * Detect department from course code
    */
   detectDepartmentFromCourse(courseCode) {
-  if (!courseCode) return 'UNKNOWN';
-  
-  const courseUpper = String(courseCode).toUpperCase().trim();
-  
-  // Handle full program names FIRST (NEW!)
-  if (courseUpper.includes('COMPUTER SCIENCE')) {
-    return 'CCS';
-  } else if (courseUpper.includes('INFORMATION TECHNOLOGY')) {
-    return 'CCS';
-  } else if (courseUpper.includes('HOSPITALITY MANAGEMENT') || courseUpper.includes('HOSPITALITY')) {
-    return 'CHTM';
-  } else if (courseUpper.includes('TOURISM MANAGEMENT') || courseUpper.includes('TOURISM')) {
-    return 'CHTM';
-  } else if (courseUpper.includes('BUSINESS ADMINISTRATION') || courseUpper.includes('BUSINESS')) {
-    return 'CBA';
-  } else if (courseUpper.includes('OFFICE ADMINISTRATION')) {
-    return 'CBA';
-  } else if (courseUpper.includes('EDUCATION')) {
-    return 'CTE';
-  } else if (courseUpper.includes('ENGINEERING')) {
-    return 'COE';
-  } else if (courseUpper.includes('NURSING')) {
-    return 'CON';
-  } else if (courseUpper.includes('ARTS') && courseUpper.includes('SCIENCES')) {
-    return 'CAS';
+    return departmentRegistry.detectDepartment(courseCode);
   }
-  
-  // Check abbreviated codes
-  for (const [dept, courses] of Object.entries(this.knownCourses)) {
-    if (courses.includes(courseUpper)) {
-      return dept;
-    }
-  }
-  
-  // Additional check for BS/AB prefix patterns (NEW!)
-  if (courseUpper.startsWith('BS HM') || courseUpper.startsWith('BSHM')) {
-    return 'CHTM';
-  } else if (courseUpper.startsWith('BS TM') || courseUpper.startsWith('BSTM')) {
-    return 'CHTM';
-  } else if (courseUpper.startsWith('BS IT') || courseUpper.startsWith('BSIT')) {
-    return 'CCS';
-  } else if (courseUpper.startsWith('BS CS') || courseUpper.startsWith('BSCS')) {
-    return 'CCS';
-  } else if (courseUpper.startsWith('BS BA') || courseUpper.startsWith('BSBA')) {
-    return 'CBA';
-  } else if (courseUpper.startsWith('BS OA') || courseUpper.startsWith('BSOA')) {
-    return 'CBA';
-  }
-  
-  return 'UNKNOWN';
-}
 
   /**
    * Process COR Excel file and return structured data
    */
-  async processCORExcel(filename) {
+  async processCORExcel(filename, sheetName = null) {
   try {
-    const corInfo = await this.extractCORExcelInfoSmart(filename);
+    const corInfo = await this.extractCORExcelInfoSmart(filename, sheetName);
     
     if (!corInfo || !corInfo.program_info.Program) {
       console.log('❌ Could not extract COR data from Excel');
@@ -637,6 +587,8 @@ Subject ${i + 1}:
       section: corInfo.program_info.Section,
       year: corInfo.program_info['Year Level'],  // ← CHANGED from year_level
       adviser: corInfo.program_info.Adviser,
+      school_year: corInfo.term?.school_year || null,
+      semester: corInfo.term?.semester || null,
       data_type: 'cor_schedule',
       subject_codes: subjectCodesString,
       total_units: String(corInfo.total_units || ''),
@@ -1,32 +1,35 @@
 // curriculum_extractor.js
 const xlsx = require('xlsx');
+const { readSheet } = require('./workbook_reader');
 const fs = require('fs');
+const departmentRegistry = require('./department_registry');
+const { parseRequisites } = require('./prerequisite_graph');
 
 class CurriculumExtractor {
   constructor() {
-    // Department keyword patterns for intelligent detection
-    this.departmentKeywords = {
-      'CCS': ['COMPUTER', 'INFORMATION TECHNOLOGY', 'IT', 'INFORMATION SYSTEMS', 'SOFTWARE', 'PROGRAMMING', 'DATA'],
-      'CHTM': ['HOSPITALITY', 'HOTEL', 'TOURISM', 'TRAVEL', 'RESTAURANT', 'CULINARY'],
-      'CBA': ['BUSINESS', 'ADMINISTRATION', 'MANAGEMENT', 'ACCOUNTANCY', 'ACCOUNTING', 'OFFICE', 'ENTREPRENEURSHIP', 'MARKETING', 'FINANCE'],
-      'CTE': ['EDUCATION', 'TEACHING', 'TEACHER', 'ELEMENTARY', 'SECONDARY'],
-      'COE': ['ENGINEERING', 'CIVIL', 'ELECTRICAL', 'MECHANICAL', 'ELECTRONICS', 'INDUSTRIAL'],
-      'CON': ['NURSING', 'NURSE', 'MIDWIFERY', 'HEALTH'],
-      'CAS': ['ARTS', 'SCIENCES', 'LIBERAL', 'HUMANITIES', 'SOCIAL', 'PSYCHOLOGY', 'BIOLOGY', 'CHEMISTRY', 'PHYSICS', 'MATHEMATICS', 'COMMUNICATION']
+    // Subject table columns and the header labels that map to them
+    this.subjectFieldMappings = {
+      'year_level': ['YEAR LEVEL', 'YEAR', 'YR', 'LEVEL', 'YR LEVEL'],
+      'semester': ['SEMESTER', 'SEM', 'TERM', 'PERIOD'],
+      'subject_code': ['SUBJECT CODE', 'COURSE CODE', 'CODE', 'SUBJ CODE', 'SUBJ. CODE'],
+      'subject_name': ['SUBJECT NAME', 'COURSE NAME', 'SUBJECT', 'COURSE TITLE', 'DESCRIPTION', 'TITLE', 'SUBJECT DESCRIPTION', 'SUBJ DESCRIPTION'],
+      'type': ['TYPE', 'CATEGORY', 'CLASSIFICATION', 'KIND'],
+      'hours_per_week': ['HOURS/WEEK', 'HOURS PER WEEK', 'HOURS', 'HRS/WK', 'CONTACT HOURS'],
+      'units': ['UNITS', 'CREDITS', 'CREDIT UNITS', 'CR', 'UNIT'],
+      'prerequisites': ['PRE-REQUISITE', 'PREREQUISITE', 'PRE REQUISITE', 'PRE-REQUISITES', 'PREREQUISITES', 'PRE-REQ', 'PREREQ', 'PRE REQ'],
+      'corequisites': ['CO-REQUISITE', 'COREQUISITE', 'CO REQUISITE', 'CO-REQUISITES', 'COREQUISITES', 'CO-REQ', 'COREQ', 'CO REQ']
     };
   }
 
   /**
    * Main function to process curriculum Excel file
    */
-  async processCurriculumExcel(filePath) {
+  async processCurriculumExcel(filePath, sheetName = null) {
     try {
       console.log(`\n📚 Processing curriculum file: ${filePath}`);
       
       // Read the Excel file
-      const workbook = xlsx.readFile(filePath);
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
+      const { worksheet } = readSheet(filePath, sheetName);
       
       // Convert to array of arrays for easier processing
       const data = xlsx.utils.sheet_to_json(worksheet, { header: 1, defval: null });
@@ -50,7 +53,8 @@ class CurriculumExtractor {
           program: metadata.program,
           course: metadata.program, // Same as program for consistency
           department: metadata.department,
-          effective_year: metadata.effective_year || new Date().getFullYear(),
+          // null when the sheet names no year; versioning reports it instead of guessing
+          effective_year: metadata.effective_year || null,
           curriculum_year: metadata.curriculum_year || 'Not specified',
           revision: metadata.revision || '1.0',
           total_subjects: subjects.length,
@@ -298,47 +302,7 @@ class CurriculumExtractor {
    * Detect department from course code or program name - UNIVERSAL APPROACH
    */
   detectDepartment(courseCodeOrProgram) {
-    if (!courseCodeOrProgram) return 'UNKNOWN';
-    
-    const upper = courseCodeOrProgram.toUpperCase();
-    
-    // Score each department based on keyword matches
-    const scores = {};
-    
-    for (const [dept, keywords] of Object.entries(this.departmentKeywords)) {
-      scores[dept] = 0;
-      
-      for (const keyword of keywords) {
-        if (upper.includes(keyword)) {
-          // Longer keywords get higher score (more specific)
-          scores[dept] += keyword.length;
-        }
-      }
-    }
-    
-    // Find department with highest score
-    let bestDept = 'UNKNOWN';
-    let bestScore = 0;
-    
-    for (const [dept, score] of Object.entries(scores)) {
-      if (score > bestScore) {
-        bestScore = score;
-        bestDept = dept;
-      }
-    }
-    
-    // If no keywords matched, try to infer from course prefix
-    if (bestScore === 0) {
-      // Check if it starts with department-like prefix
-      if (upper.match(/^(CS|IT|IS)/)) return 'CCS';
-      if (upper.match(/^(HM|TM|HRM)/)) return 'CHTM';
-      if (upper.match(/^(BA|BS|ACC|FIN|MGT|MKT|OA)/)) return 'CBA';
-      if (upper.match(/^(ED|BSED|BEED)/)) return 'CTE';
-      if (upper.match(/^(CE|EE|ME|IE)/)) return 'COE';
-      if (upper.match(/^(NS|NUR)/)) return 'CON';
-    }
-    
-    return bestDept;
+    return departmentRegistry.detectDepartment(courseCodeOrProgram);
   }
 
   /**
@@ -351,15 +315,7 @@ class CurriculumExtractor {
     let headerRow = -1;
     const columnMapping = {};
     
-    const fieldMappings = {
-      'year_level': ['YEAR LEVEL', 'YEAR', 'YR', 'LEVEL', 'YR LEVEL'],
-      'semester': ['SEMESTER', 'SEM', 'TERM', 'PERIOD'],
-      'subject_code': ['SUBJECT CODE', 'COURSE CODE', 'CODE', 'SUBJ CODE', 'SUBJ. CODE'],
-      'subject_name': ['SUBJECT NAME', 'COURSE NAME', 'SUBJECT', 'COURSE TITLE', 'DESCRIPTION', 'TITLE', 'SUBJECT DESCRIPTION', 'SUBJ DESCRIPTION'],
-      'type': ['TYPE', 'CATEGORY', 'CLASSIFICATION', 'KIND'],
-      'hours_per_week': ['HOURS/WEEK', 'HOURS PER WEEK', 'HOURS', 'HRS/WK', 'CONTACT HOURS'],
-      'units': ['UNITS', 'CREDITS', 'CREDIT UNITS', 'CR', 'UNIT']
-    };
+    const fieldMappings = this.subjectFieldMappings;
     
     // Search for header row
     for (let i = 0; i < Math.min(15, data.length); i++) {
@@ -424,6 +380,11 @@ class CurriculumExtractor {
       }
     }
     
+    // A single "PRE-REQUISITE/CO-REQUISITE" column holds prerequisites only
+    if (columnMapping.corequisites !== undefined && columnMapping.corequisites === columnMapping.prerequisites) {
+      delete columnMapping.corequisites;
+    }
+    
     // Extract subject data with year/semester inheritance
     let currentYear = '1';
     let currentSemester = '1st Semester';
@@ -487,6 +448,12 @@ class CurriculumExtractor {
       for (const [field, colIdx] of Object.entries(columnMapping)) {
         if (colIdx < row.length && row[colIdx]) {
           const value = String(row[colIdx]).trim();
+          if (value && ['prerequisites', 'corequisites'].includes(field)) {
+            const { codes, notes } = parseRequisites(value);
+            subjectEntry[field] = codes;
+            if (notes.length > 0) subjectEntry.requisite_notes = [...(subjectEntry.requisite_notes || []), ...notes];
+            continue;
+          }
           if (value && !['N/A', 'NONE', 'TBA', 'TBD'].includes(value.toUpperCase())) {
             const cleanedValue = this.cleanValue(value, field);
             if (cleanedValue) {
@@ -517,6 +484,11 @@ class CurriculumExtractor {
           subjectEntry[field] = defaultValue;
         }
       }
+      ['prerequisites', 'corequisites'].forEach(field => {
+        if (columnMapping[field] !== undefined && !subjectEntry[field]) {
+          subjectEntry[field] = [];
+        }
+      });
       
       // Add if valid
       if (isValid && (subjectEntry.subject_code || subjectEntry.subject_name)) {
@@ -654,7 +626,12 @@ class CurriculumExtractor {
         const subjects = curriculum[year][semester];
         
         for (const subject of subjects) {
-          text += `  ${subject.subject_code.padEnd(12)} | ${subject.subject_name.padEnd(40)} | ${subject.units} units\n`;
+          const requisites = [
+            subject.prerequisites?.length ? `Pre-req: ${subject.prerequisites.join(', ')}` : null,
+            subject.corequisites?.length ? `Co-req: ${subject.corequisites.join(', ')}` : null,
+            subject.requisite_notes?.length ? subject.requisite_notes.join(', ') : null
+          ].filter(Boolean).join('; ');
+          text += `  ${subject.subject_code.padEnd(12)} | ${subject.subject_name.padEnd(40)} | ${subject.units} units${requisites ? ` | ${requisites}` : ''}\n`;
         }
       }
     }
@@ -0,0 +1,159 @@
+// curriculum_versions.js
+const { normalizeSubjectCode } = require('./prerequisite_graph');
+
+function toYear(value) {
+  const year = parseInt(String(value ?? '').trim(), 10);
+  return Number.isFinite(year) && year > 1900 ? year : null;
+}
+
+function toUnits(value) {
+  const units = typeof value === 'number' ? value : parseFloat(String(value ?? '').trim());
+  return Number.isFinite(units) ? units : null;
+}
+
+/**
+ * Whether a curriculum has a known effective year (sheets that name none are stored with null)
+ */
+function hasEffectiveYear(curriculum) {
+  return toYear(curriculum?.effective_year) !== null;
+}
+
+/**
+ * Curricula of one program, oldest effective year first; ones without a year come last
+ */
+function sortVersions(curricula) {
+  return [
+    ...curricula.filter(hasEffectiveYear).sort((a, b) => toYear(a.effective_year) - toYear(b.effective_year)),
+    ...curricula.filter(curriculum => !hasEffectiveYear(curriculum))
+  ];
+}
+
+/**
+ * Year the student's batch entered: a stored batch_year, the year in the student number
+ * (PDM-2023-000123 → 2023), or else counted back from the year level and the current school year
+ */
+function getBatchYear(student, today = new Date()) {
+  if (!student) return null;
+  if (toYear(student.batch_year)) return toYear(student.batch_year);
+
+  const idMatch = String(student.student_id || '').match(/(?:^|\D)(20\d{2})(?:\D|$)/);
+  if (idMatch) return parseInt(idMatch[1], 10);
+
+  const yearLevel = parseInt(student.year, 10);
+  if (!Number.isFinite(yearLevel) || yearLevel < 1) return null;
+
+  // School years start in June
+  const schoolYearStart = today.getMonth() >= 5 ? today.getFullYear() : today.getFullYear() - 1;
+  return schoolYearStart - (yearLevel - 1);
+}
+
+/**
+ * The version a batch follows: the latest one in effect when the batch entered.
+ * Batches older than every stored version get the oldest; an unknown batch gets the latest.
+ * Curricula without an effective year are never picked: nobody can tell which batches they cover.
+ */
+function selectVersionForBatch(curricula, batchYear) {
+  const versions = sortVersions(curricula.filter(hasEffectiveYear));
+  if (versions.length === 0) return null;
+  if (!batchYear) return versions[versions.length - 1];
+
+  const applicable = versions.filter(curriculum => toYear(curriculum.effective_year) <= batchYear);
+  return applicable.length > 0 ? applicable[applicable.length - 1] : versions[0];
+}
+
+/**
+ * Subjects of a curriculum keyed by normalized code
+ */
+function indexSubjects(curriculum) {
+  const subjects = {};
+
+  Object.entries(curriculum?.curriculum || {}).forEach(([year, semesters]) => {
+    Object.entries(semesters || {}).forEach(([semester, rows]) => {
+      (rows || []).forEach(subject => {
+        const code = normalizeSubjectCode(subject.subject_code);
+        if (!code || code === 'NA' || subjects[code]) return;
+        subjects[code] = {
+          subject_code: subject.subject_code,
+          subject_name: subject.subject_name || null,
+          units: toUnits(subject.units),
+          year_level: subject.year_level || String(year),
+          semester: subject.semester || semester,
+          prerequisites: (subject.prerequisites || []).map(normalizeSubjectCode).sort()
+        };
+      });
+    });
+  });
+
+  return subjects;
+}
+
+/**
+ * Differences between two versions of a curriculum:
+ *   added / removed  subjects only in the newer / older version
+ *   moved            same subject offered in another year or semester
+ *   re_united        same subject with a different number of units
+ *   renamed          same code, different descriptive title
+ *   requisites_changed  same subject, different prerequisites
+ */
+function diffCurricula(from, to) {
+  const before = indexSubjects(from);
+  const after = indexSubjects(to);
+  const placement = subject => ({ year_level: subject.year_level, semester: subject.semester });
+
+  const diff = {
+    from: { curriculum_id: from.curriculum_id, effective_year: from.effective_year, total_subjects: Object.keys(before).length },
+    to: { curriculum_id: to.curriculum_id, effective_year: to.effective_year, total_subjects: Object.keys(after).length },
+    added: [],
+    removed: [],
+    moved: [],
+    re_united: [],
+    renamed: [],
+    requisites_changed: [],
+    unchanged: 0
+  };
+
+  Object.entries(after).forEach(([code, subject]) => {
+    if (!before[code]) diff.added.push(subject);
+  });
+
+  Object.entries(before).forEach(([code, old]) => {
+    const current = after[code];
+    if (!current) {
+      diff.removed.push(old);
+      return;
+    }
+
+    let changed = false;
+    if (old.year_level !== current.year_level || old.semester !== current.semester) {
+      diff.moved.push({ subject_code: current.subject_code, subject_name: current.subject_name, from: placement(old), to: placement(current) });
+      changed = true;
+    }
+    if (old.units !== current.units) {
+      diff.re_united.push({ subject_code: current.subject_code, subject_name: current.subject_name, from_units: old.units, to_units: current.units });
+      changed = true;
+    }
+    if ((old.subject_name || '').toUpperCase() !== (current.subject_name || '').toUpperCase()) {
+      diff.renamed.push({ subject_code: current.subject_code, from_name: old.subject_name, to_name: current.subject_name });
+      changed = true;
+    }
+    if (old.prerequisites.join(',') !== current.prerequisites.join(',')) {
+      diff.requisites_changed.push({ subject_code: current.subject_code, from_prerequisites: old.prerequisites, to_prerequisites: current.prerequisites });
+      changed = true;
+    }
+    if (!changed) diff.unchanged++;
+  });
+
+  const units = subjects => Object.values(subjects).reduce((sum, subject) => sum + (subject.units || 0), 0);
+  diff.from.total_units = units(before);
+  diff.to.total_units = units(after);
+
+  return diff;
+}
+
+module.exports = {
+  hasEffectiveYear,
+  sortVersions,
+  getBatchYear,
+  selectVersionForBatch,
+  diffCurricula
+};
@@ -0,0 +1,170 @@
+// data_quality_report.js
+const { getSchemaCollections } = require('./record_schemas');
+const completenessRules = require('./completeness_rules');
+const { escapeRegex } = require('./query_helpers');
+
+function sectionLabel(record) {
+  return `${record.course || 'NO COURSE'} ${record.year || '?'}-${record.section || '?'}`;
+}
+
+function emptyGroup() {
+  return { records: 0, complete: 0, with_problems: 0, missing: {}, invalid: {} };
+}
+
+function countInto(group, required, invalid) {
+  group.records++;
+  if (required.length === 0 && invalid.length === 0) group.complete++;
+  if (required.length > 0 || invalid.length > 0) group.with_problems++;
+  required.forEach(name => { group.missing[name] = (group.missing[name] || 0) + 1; });
+  invalid.forEach(({ rule }) => { group.invalid[rule] = (group.invalid[rule] || 0) + 1; });
+}
+
+/**
+ * Missing and invalid fields across student/faculty records, scored with completeness_rules.json
+ * and totalled per collection, per department and (for students) per course year-section
+ */
+class DataQualityReport {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * filters: { type (student|teaching_faculty|non_teaching_faculty), department, course, year, section }
+   * → { generated_at, totals, by_collection, by_department, by_section, problems }
+   * problems lists each record with a missing required field or an invalid value.
+   * rescore: also write the rule-based field_status/completion_percentage back to each record
+   * (after completeness_rules.json changes); report.rescored counts the records updated.
+   */
+  async generate(filters = {}, { rescore = false } = {}) {
+    const recordTypes = completenessRules.getRecordTypes();
+    if (filters.type && !recordTypes.includes(filters.type)) {
+      throw new Error(`Unknown type '${filters.type}'. Use one of: ${recordTypes.join(', ')}`);
+    }
+
+    const report = {
+      generated_at: new Date(),
+      totals: emptyGroup(),
+      by_collection: {},
+      by_department: {},
+      by_section: {},
+      problems: [],
+      rescored: 0
+    };
+
+    const existing = (await this.db.db.listCollections({}, { nameOnly: true }).toArray()).map(info => info.name);
+
+    // course/year/section only narrow students; faculty are left out when one is given
+    const studentOnly = ['course', 'year', 'section'].some(field => filters[field]);
+
+    for (const recordType of filters.type ? [filters.type] : recordTypes) {
+      if (studentOnly && recordType !== 'student') continue;
+      const idField = completenessRules.getIdField(recordType);
+      const query = this._buildQuery(recordType, filters);
+
+      for (const name of getSchemaCollections(recordType).filter(name => existing.includes(name))) {
+        const records = await this.db.db.collection(name)
+          .find(query, { projection: { 'image.data': 0, 'audio.data': 0 } })
+          .toArray();
+
+        for (const record of records) {
+          // Inline media bytes are left out; media rules only look at the status
+          const { completion_percentage, field_status, missing, invalid } = completenessRules.evaluate(recordType, record, { source: record.source });
+          const required = completenessRules.requiredOnly(recordType, missing);
+
+          countInto(report.totals, required, invalid);
+          countInto(report.by_collection[name] ||= { record_type: recordType, ...emptyGroup() }, required, invalid);
+          countInto(report.by_department[record.department || 'UNKNOWN'] ||= emptyGroup(), required, invalid);
+          if (recordType === 'student') {
+            countInto(report.by_section[sectionLabel(record)] ||= { department: record.department || null, ...emptyGroup() }, required, invalid);
+          }
+
+          if (rescore && (record.completion_percentage !== completion_percentage ||
+              JSON.stringify(record.field_status) !== JSON.stringify(field_status))) {
+            await this.db.db.collection(name).updateOne(
+              { _id: record._id },
+              { $set: { field_status, completion_percentage } }
+            );
+            report.rescored++;
+          }
+
+          if (required.length > 0 || invalid.length > 0) {
+            report.problems.push({
+              record_type: recordType,
+              collection: name,
+              id: record[idField],
+              name: record.full_name || [record.first_name, record.surname].filter(Boolean).join(' '),
+              department: record.department || null,
+              section: recordType === 'student' ? sectionLabel(record) : null,
+              completion_percentage: Math.round(completion_percentage * 10) / 10,
+              missing_required: required,
+              missing_optional: missing.filter(rule => !required.includes(rule)),
+              invalid
+            });
+          }
+        }
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Print a report from generate() to the console
+   */
+  printReport(report) {
+    const formatCounts = counts => Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .map(([rule, count]) => `${rule} (${count})`)
+      .join(', ') || '-';
+
+    console.log('\n' + '='.repeat(70));
+    console.log('🩺 DATA QUALITY REPORT');
+    console.log('='.repeat(70));
+    console.log(`Records checked: ${report.totals.records} | Complete: ${report.totals.complete} | With problems: ${report.totals.with_problems}`);
+    if (report.rescored > 0) {
+      console.log(`🔄 Re-scored ${report.rescored} record(s) with the current completeness rules`);
+    }
+
+    const sections = [
+      ['📁 By collection', report.by_collection],
+      ['🏢 By department', report.by_department],
+      ['🎓 By section (students)', report.by_section]
+    ];
+
+    sections.forEach(([title, groups]) => {
+      if (Object.keys(groups).length === 0) return;
+      console.log(`\n${title}:`);
+      Object.entries(groups).sort(([a], [b]) => a.localeCompare(b)).forEach(([key, group]) => {
+        console.log(`   ${key}: ${group.with_problems}/${group.records} with problems`);
+        if (Object.keys(group.missing).length > 0) console.log(`      Missing: ${formatCounts(group.missing)}`);
+        if (Object.keys(group.invalid).length > 0) console.log(`      Invalid: ${formatCounts(group.invalid)}`);
+      });
+    });
+
+    if (report.problems.length > 0) {
+      console.log(`\n⚠️  Records with problems (${report.problems.length}):`);
+      report.problems.slice(0, 50).forEach(problem => {
+        const invalid = problem.invalid.map(({ field, value }) => `${field}='${value}'`);
+        console.log(`   ${problem.id} - ${problem.name || 'N/A'} [${problem.section || problem.department || problem.collection}]`);
+        if (problem.missing_required.length > 0) console.log(`      Missing: ${problem.missing_required.join(', ')}`);
+        if (invalid.length > 0) console.log(`      Invalid: ${invalid.join(', ')}`);
+      });
+      if (report.problems.length > 50) {
+        console.log(`   ... and ${report.problems.length - 50} more (export 'data_quality' for the full list)`);
+      }
+    }
+  }
+
+  _buildQuery(recordType, filters) {
+    const query = {};
+    const fields = recordType === 'student' ? ['department', 'course', 'year', 'section'] : ['department'];
+    fields.forEach(field => {
+      if (filters[field]) {
+        query[field] = { $regex: `^${escapeRegex(String(filters[field]).trim())}$`, $options: 'i' };
+      }
+    });
+    return query;
+  }
+}
+
+module.exports = DataQualityReport;
@@ -0,0 +1,389 @@
+// degree_audit.js
+const { Semesters, compareTerms, termLabel } = require('./academic_terms');
+const { normalizeSubjectCode, buildPrerequisiteGraph, checkEnrollment } = require('./prerequisite_graph');
+const gwaCalculator = require('./gwa_calculator');
+
+const PASSED_REMARKS = ['PASSED', 'P'];
+const FAILED_REMARKS = ['FAILED', 'F'];
+
+// Where each curriculum subject stands for the student
+const AuditStatus = {
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  INCOMPLETE: 'incomplete',
+  IN_PROGRESS: 'in_progress',
+  REMAINING: 'remaining'
+};
+
+function toUnits(value) {
+  const units = typeof value === 'number' ? value : parseFloat(String(value ?? '').trim());
+  return Number.isFinite(units) && units > 0 ? units : 0;
+}
+
+function toYearLevel(value) {
+  const year = parseInt(String(value ?? '').trim(), 10);
+  return Number.isFinite(year) ? year : null;
+}
+
+function semesterIndex(semester) {
+  const index = Semesters.indexOf(semester);
+  return index === -1 ? Semesters.length : index;
+}
+
+/**
+ * One grade row → 'passed' | 'failed' | 'incomplete' | 'dropped', or null when it says nothing.
+ * INC/DRP marks, the grade range and the passing grade come from gwa_policy.json, so the audit
+ * and the GWA agree on what a row means; excluded marks other than INC count as dropped.
+ */
+function gradeOutcome(row, policy = gwaCalculator.policy) {
+  const remarks = String(row.remarks || '').toUpperCase().trim();
+  const equivalent = String(row.equivalent ?? '').toUpperCase().trim();
+  const marks = [remarks, equivalent];
+
+  if (marks.some(mark => policy.incompleteRemarks.includes(mark))) return 'incomplete';
+  if (marks.some(mark => policy.excludedRemarks.includes(mark))) return 'dropped';
+  if (FAILED_REMARKS.includes(remarks)) return 'failed';
+  if (PASSED_REMARKS.includes(remarks)) return 'passed';
+
+  const grade = parseFloat(equivalent);
+  if (!Number.isFinite(grade) || grade < policy.gradeRange[0] || grade > policy.gradeRange[1]) return null;
+  return grade <= policy.passingGrade ? 'passed' : 'failed';
+}
+
+/**
+ * Compares a student's grades (every term) and current COR against their program curriculum:
+ * which subjects are completed, failed, INC, being taken now or still to take, units per
+ * curriculum year, back subjects and whether the student is irregular.
+ * Nothing is stored; an audit is computed from the current records each time.
+ */
+class DegreeAudit {
+  constructor(db, gradesManager, curriculumManager, corManager) {
+    this.db = db;
+    this.gradesManager = gradesManager;
+    this.curriculumManager = curriculumManager;
+    this.corManager = corManager;
+  }
+
+  /**
+   * Audit one student → the audit, or null when the student has neither a record nor grades
+   */
+  async auditStudent(studentId, department = null) {
+    try {
+      gwaCalculator.reload();
+      const student = await this.db.getStudentById(studentId, department);
+      const history = await this.gradesManager.getAcademicHistory(studentId, department);
+      if (!student && !history) return null;
+
+      return await this._audit(student, history);
+    } catch (error) {
+      console.error(`❌ Error auditing ${studentId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Audit every student matching filters ({ department, course, year, section })
+   * → one summary row per student (no subject lists), irregular students first
+   */
+  async auditStudents(filters = {}) {
+    try {
+      gwaCalculator.reload();
+      const students = await this.db.searchStudents(null, filters);
+      const rows = [];
+
+      for (const student of students) {
+        const history = await this.gradesManager.getAcademicHistory(student.student_id, student.department);
+        const audit = await this._audit(student, history);
+        rows.push(this.toSummaryRow(audit));
+      }
+
+      return rows.sort((a, b) =>
+        Number(b.irregular) - Number(a.irregular) ||
+        String(a.section || '').localeCompare(String(b.section || '')) ||
+        String(a.full_name || '').localeCompare(String(b.full_name || ''))
+      );
+    } catch (error) {
+      console.error(`❌ Error auditing students: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Check a proposed enrollment (subject codes) against the prerequisites in the student's
+   * curriculum and the subjects they have passed → see prerequisite_graph.checkEnrollment,
+   * plus the student and curriculum; null when the student has neither a record nor grades
+   */
+  async checkEnrollment(studentId, subjectCodes, department = null) {
+    try {
+      gwaCalculator.reload();
+      const student = await this.db.getStudentById(studentId, department);
+      const history = await this.gradesManager.getAcademicHistory(studentId, department);
+      if (!student && !history) return null;
+
+      const course = student?.course || history?.course || null;
+      const result = {
+        student_id: student?.student_id || history.student_id,
+        full_name: student?.full_name || history?.full_name || null,
+        course,
+        curriculum_id: null,
+        passed_subjects: [],
+        allowed: false,
+        subjects: []
+      };
+
+      const curriculum = await this.curriculumManager.getCurriculumForStudent({ ...student, student_id: result.student_id, course });
+      if (!curriculum) {
+        result.error = `No dated curriculum version stored for ${course || 'the student\'s course'}`;
+        return result;
+      }
+
+      const graph = curriculum.prerequisite_graph || buildPrerequisiteGraph(curriculum.curriculum);
+      result.curriculum_id = curriculum.curriculum_id;
+      result.passed_subjects = Object.values(this._getAttempts(history))
+        .filter(attempts => attempts.some(attempt => attempt.outcome === 'passed'))
+        .map(attempts => attempts[0].subject_code);
+
+      return { ...result, ...checkEnrollment(graph, result.passed_subjects, subjectCodes) };
+    } catch (error) {
+      console.error(`❌ Error checking enrollment for ${studentId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Flat row for lists and exports
+   */
+  toSummaryRow(audit) {
+    return {
+      student_id: audit.student_id,
+      full_name: audit.full_name,
+      course: audit.course,
+      year: audit.year,
+      section: audit.section,
+      department: audit.department,
+      curriculum_id: audit.curriculum?.curriculum_id || null,
+      irregular: audit.irregular,
+      irregular_reasons: audit.irregular_reasons,
+      required_units: audit.totals.required_units,
+      earned_units: audit.totals.earned_units,
+      failed_units: audit.totals.failed_units,
+      incomplete_units: audit.totals.incomplete_units,
+      in_progress_units: audit.totals.in_progress_units,
+      remaining_units: audit.totals.remaining_units,
+      percent_complete: audit.totals.percent_complete,
+      back_subjects: audit.back_subjects.map(subject => subject.subject_code),
+      incomplete: audit.incomplete.map(subject => subject.subject_code),
+      in_progress: audit.in_progress.map(subject => subject.subject_code)
+    };
+  }
+
+  async _audit(student, history) {
+    const profile = {
+      student_id: student?.student_id || history.student_id,
+      full_name: student?.full_name || history?.full_name || null,
+      course: student?.course || history?.course || null,
+      year: student?.year || history?.year || null,
+      section: student?.section || history?.section || null,
+      department: student?.department || history?.department || null
+    };
+    const currentYear = toYearLevel(profile.year);
+
+    const audit = {
+      ...profile,
+      curriculum: null,
+      irregular: false,
+      irregular_reasons: [],
+      totals: { required_units: 0, earned_units: 0, failed_units: 0, incomplete_units: 0, in_progress_units: 0, remaining_units: 0, percent_complete: 0 },
+      by_year: {},
+      completed: [],
+      failed: [],
+      incomplete: [],
+      in_progress: [],
+      remaining: [],
+      back_subjects: [],
+      not_in_curriculum: [],
+      audited_at: new Date()
+    };
+
+    // The version the student's batch follows
+    const curriculum = await this.curriculumManager.getCurriculumForStudent({ ...student, ...profile });
+    if (!curriculum) {
+      audit.irregular_reasons.push(`No dated curriculum version stored for ${profile.course || 'the student\'s course'}`);
+      return audit;
+    }
+    audit.curriculum = {
+      curriculum_id: curriculum.curriculum_id,
+      program: curriculum.program,
+      effective_year: curriculum.effective_year,
+      version: curriculum.version ?? null,
+      revision: curriculum.revision
+    };
+
+    const attempts = this._getAttempts(history);
+    const enrolled = await this._getEnrolledSubjects(profile);
+    const curriculumCodes = new Set();
+
+    this._getCurriculumSubjects(curriculum).forEach(subject => {
+      const code = normalizeSubjectCode(subject.subject_code);
+      curriculumCodes.add(code);
+
+      const subjectAttempts = attempts[code] || [];
+      const passed = subjectAttempts.find(attempt => attempt.outcome === 'passed');
+      const latest = subjectAttempts[subjectAttempts.length - 1];
+
+      let status = AuditStatus.REMAINING;
+      if (passed) status = AuditStatus.COMPLETED;
+      else if (enrolled.has(code)) status = AuditStatus.IN_PROGRESS;
+      else if (latest?.outcome === 'failed') status = AuditStatus.FAILED;
+      else if (latest?.outcome === 'incomplete') status = AuditStatus.INCOMPLETE;
+
+      const entry = {
+        subject_code: subject.subject_code,
+        subject_name: subject.subject_name || null,
+        units: subject.units,
+        year_level: subject.year_level,
+        semester: subject.semester,
+        status,
+        grade: (passed || latest)?.equivalent ?? null,
+        term: (passed || latest)?.term || null,
+        attempts: subjectAttempts.length
+      };
+
+      const yearTotals = audit.by_year[subject.year_level] ||= {
+        required_units: 0, earned_units: 0, failed_units: 0, incomplete_units: 0, in_progress_units: 0, remaining_units: 0
+      };
+      yearTotals.required_units += subject.units;
+
+      if (status === AuditStatus.COMPLETED) {
+        yearTotals.earned_units += subject.units;
+        audit.completed.push(entry);
+      } else if (status === AuditStatus.IN_PROGRESS) {
+        yearTotals.in_progress_units += subject.units;
+        audit.in_progress.push(entry);
+      } else if (status === AuditStatus.INCOMPLETE) {
+        yearTotals.incomplete_units += subject.units;
+        audit.incomplete.push(entry);
+      } else if (status === AuditStatus.FAILED) {
+        yearTotals.failed_units += subject.units;
+        audit.failed.push(entry);
+      } else {
+        yearTotals.remaining_units += subject.units;
+        audit.remaining.push(entry);
+      }
+
+      // Failed/INC anywhere, or never passed from a year the student is already past
+      const behind = currentYear !== null && toYearLevel(subject.year_level) < currentYear;
+      if (status !== AuditStatus.COMPLETED && (subjectAttempts.length > 0 || behind)) {
+        audit.back_subjects.push(entry);
+      }
+    });
+
+    Object.values(audit.by_year).forEach(yearTotals => {
+      Object.keys(yearTotals).forEach(key => {
+        audit.totals[key] += yearTotals[key];
+      });
+    });
+    audit.totals.percent_complete = audit.totals.required_units > 0
+      ? Math.round((audit.totals.earned_units / audit.totals.required_units) * 1000) / 10
+      : 0;
+
+    Object.entries(attempts).forEach(([code, subjectAttempts]) => {
+      if (curriculumCodes.has(code)) return;
+      const latest = subjectAttempts[subjectAttempts.length - 1];
+      audit.not_in_curriculum.push({
+        subject_code: latest.subject_code,
+        subject_name: latest.subject_name,
+        grade: latest.equivalent ?? null,
+        outcome: latest.outcome,
+        term: latest.term
+      });
+    });
+
+    // Enrolled in subjects from another curriculum year than the student's own
+    const offYear = currentYear === null
+      ? []
+      : audit.in_progress.filter(subject => toYearLevel(subject.year_level) !== currentYear);
+
+    if (audit.back_subjects.length > 0) {
+      audit.irregular_reasons.push(`${audit.back_subjects.length} back subject(s): ${audit.back_subjects.map(subject => subject.subject_code).join(', ')}`);
+    }
+    if (offYear.length > 0) {
+      audit.irregular_reasons.push(`Enrolled in subject(s) outside year ${currentYear}: ${offYear.map(subject => subject.subject_code).join(', ')}`);
+    }
+    audit.irregular = audit.irregular_reasons.length > 0;
+
+    return audit;
+  }
+
+  /**
+   * Curriculum subjects in year/semester order, with numeric units
+   */
+  _getCurriculumSubjects(curriculum) {
+    const subjects = [];
+
+    Object.keys(curriculum.curriculum || {})
+      .sort((a, b) => (toYearLevel(a) ?? 99) - (toYearLevel(b) ?? 99))
+      .forEach(year => {
+        Object.keys(curriculum.curriculum[year] || {})
+          .sort((a, b) => semesterIndex(a) - semesterIndex(b))
+          .forEach(semester => {
+            (curriculum.curriculum[year][semester] || []).forEach(subject => {
+              if (!normalizeSubjectCode(subject.subject_code)) return;
+              subjects.push({ ...subject, year_level: String(year), semester, units: toUnits(subject.units) });
+            });
+          });
+      });
+
+    return subjects;
+  }
+
+  /**
+   * Every graded attempt per normalized subject code, oldest term first
+   */
+  _getAttempts(history) {
+    const attempts = {};
+    if (!history) return attempts;
+
+    [...history.terms].sort(compareTerms).forEach(term => {
+      (term.grades || []).forEach(row => {
+        const code = normalizeSubjectCode(row.subject_code);
+        const outcome = gradeOutcome(row);
+        if (!code || !outcome) return;
+
+        (attempts[code] ||= []).push({
+          subject_code: row.subject_code,
+          subject_name: row.subject_description || row.subject_name || null,
+          equivalent: row.equivalent,
+          outcome,
+          term: termLabel(term)
+        });
+      });
+    });
+
+    return attempts;
+  }
+
+  /**
+   * Subject codes on the student's current COR (same course, year and section)
+   */
+  async _getEnrolledSubjects({ course, year, section, department }) {
+    const enrolled = new Set();
+    if (!course || !year || !section) return enrolled;
+
+    // Only the latest term's COR is being taken now; older ones are already in the grades
+    const schedules = await this.corManager.getCORSchedules({ department, course, year, section });
+    const current = schedules.reduce((latest, schedule) => (!latest || compareTerms(schedule, latest) > 0 ? schedule : latest), null);
+    [current].filter(Boolean).forEach(schedule => {
+      (schedule.subjects || []).forEach(subject => {
+        const code = normalizeSubjectCode(subject['Subject Code'] || subject.subject_code);
+        if (code) enrolled.add(code);
+      });
+    });
+
+    return enrolled;
+  }
+}
+
+module.exports = DegreeAudit;
+module.exports.AuditStatus = AuditStatus;
+module.exports.normalizeSubjectCode = normalizeSubjectCode;
@@ -0,0 +1,197 @@
+// department_registry.js
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'departments.json');
+
+/**
+ * Single source of truth for colleges, their programs and the department keys
+ * used in per-department collection names (students_ccs, faculty_con, ...).
+ * Edit departments.json (or point SCHOOL_DEPARTMENTS_FILE at another file) to add a college or program.
+ */
+class DepartmentRegistry {
+  constructor(configPath = null) {
+    this.configPath = configPath || process.env.SCHOOL_DEPARTMENTS_FILE || DEFAULT_CONFIG_PATH;
+    this.reload();
+  }
+
+  /**
+   * (Re)read the config file
+   */
+  reload() {
+    const config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+
+    this.colleges = (config.colleges || []).map(college => ({
+      code: college.code.toUpperCase(),
+      name: college.name || college.code,
+      programs: (college.programs || []).map(program => program.toUpperCase()),
+      aliases: (college.aliases || []).map(alias => alias.toUpperCase()),
+      keywords: (college.keywords || []).map(keyword => keyword.toUpperCase()),
+      prefixes: (college.prefixes || []).map(prefix => prefix.toUpperCase())
+    }));
+    this.offices = (config.offices || []).map(office => office.toUpperCase());
+    this.adminUnits = (config.admin_units || []).map(unit => unit.toUpperCase());
+
+    // Which department keys each family of collections is split by, and where unmatched records go
+    this.collectionGroups = {
+      college: { keys: [...this.getCollegeCodes(), 'UNKNOWN'], fallback: 'UNKNOWN' },
+      faculty: { keys: [...this.getCollegeCodes(), 'ADMIN', 'UNKNOWN'], fallback: 'UNKNOWN' },
+      office: { keys: [...this.offices], fallback: 'ADMIN_SUPPORT' },
+      staff_schedule: {
+        keys: [...this.getCollegeCodes(), ...this.getCollegeCodes().map(code => `${code}_ADMIN`), ...this.offices, 'UNKNOWN'],
+        fallback: 'UNKNOWN'
+      },
+      admin: { keys: [...this.adminUnits], fallback: 'ADMIN' }
+    };
+
+    return this;
+  }
+
+  getColleges() {
+    return this.colleges;
+  }
+
+  getCollegeCodes() {
+    return this.colleges.map(college => college.code);
+  }
+
+  getCollege(code) {
+    const upper = String(code || '').toUpperCase().trim();
+    return this.colleges.find(college => college.code === upper) || null;
+  }
+
+  /**
+   * { CCS: ['BSCS', 'BSIT'], ... }
+   */
+  getProgramsByCollege() {
+    return Object.fromEntries(this.colleges.map(college => [college.code, [...college.programs]]));
+  }
+
+  /**
+   * { CCS: ['COMPUTER', ...], ... }
+   */
+  getKeywordsByCollege() {
+    return Object.fromEntries(this.colleges.map(college => [college.code, [...college.keywords]]));
+  }
+
+  /**
+   * { 'COLLEGE OF COMPUTER STUDIES': 'CCS', ... } - longest names first
+   */
+  getAliasMap() {
+    const entries = [];
+    this.colleges.forEach(college => {
+      college.aliases.forEach(alias => entries.push([alias, college.code]));
+      entries.push([college.name.toUpperCase(), college.code]);
+    });
+    return Object.fromEntries(entries.sort((a, b) => b[0].length - a[0].length));
+  }
+
+  /**
+   * College for an exact program code (BSIT, "BS IT") or null
+   */
+  getCollegeForProgram(program) {
+    const compact = String(program || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    if (!compact) return null;
+    const college = this.colleges.find(c => c.programs.includes(compact));
+    return college ? college.code : null;
+  }
+
+  /**
+   * College code from a code, program or college name only (no keyword guessing), or null
+   */
+  matchCollege(value) {
+    const upper = String(value || '').toUpperCase().trim();
+    if (!upper) return null;
+
+    if (this.getCollege(upper)) return upper;
+
+    const byProgram = this.getCollegeForProgram(upper);
+    if (byProgram) return byProgram;
+
+    // Bare short forms such as "IT" or "HM"
+    const byShortForm = this.colleges.find(college => college.prefixes.includes(upper));
+    if (byShortForm) return byShortForm.code;
+
+    for (const [alias, code] of Object.entries(this.getAliasMap())) {
+      if (upper.includes(alias)) return code;
+    }
+    return null;
+  }
+
+  /**
+   * Best college by keyword matches (longer keywords count more), or null
+   */
+  detectByKeywords(value) {
+    const upper = String(value || '').toUpperCase();
+    if (!upper.trim()) return null;
+
+    let bestCode = null;
+    let bestScore = 0;
+
+    this.colleges.forEach(college => {
+      const score = college.keywords
+        .filter(keyword => this._containsWord(upper, keyword))
+        .reduce((sum, keyword) => sum + keyword.length, 0);
+      if (score > bestScore) {
+        bestScore = score;
+        bestCode = college.code;
+      }
+    });
+
+    return bestCode;
+  }
+
+  /**
+   * College code for any course code, program name or department text; 'UNKNOWN' if nothing matches
+   */
+  detectDepartment(value) {
+    if (!value) return 'UNKNOWN';
+
+    const matched = this.matchCollege(value) || this.detectByKeywords(value);
+    if (matched) return matched;
+
+    // Last resort: department-like course prefixes (IT101 → CCS)
+    const compact = String(value).toUpperCase().replace(/[^A-Z0-9]/g, '');
+    const byPrefix = this.colleges.find(college => college.prefixes.some(prefix => compact.startsWith(prefix)));
+    return byPrefix ? byPrefix.code : 'UNKNOWN';
+  }
+
+  /**
+   * Department key (lowercase) a record goes to within a collection group
+   */
+  collectionKey(group, department) {
+    const { keys, fallback } = this._group(group);
+    const upper = String(department || '').toUpperCase().trim().replace(/[^A-Z0-9]+/g, '_');
+    return (keys.includes(upper) ? upper : fallback).toLowerCase();
+  }
+
+  /**
+   * Every department key (lowercase) of a collection group
+   */
+  getCollectionKeys(group) {
+    return [...new Set(this._group(group).keys)].map(key => key.toLowerCase());
+  }
+
+  /**
+   * e.g. collectionName('schedules', 'college', 'CCS') → 'schedules_ccs'
+   */
+  collectionName(prefix, group, department) {
+    return `${prefix}_${this.collectionKey(group, department)}`;
+  }
+
+  _group(group) {
+    const definition = this.collectionGroups[group];
+    if (!definition) throw new Error(`Unknown department group '${group}'`);
+    return definition;
+  }
+
+  _containsWord(text, keyword) {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    // Short keywords (IT, CS) must be whole words; longer ones may start a word (COMPUTER → COMPUTERS)
+    const pattern = keyword.length <= 3 ? `(^|[^A-Z])${escaped}($|[^A-Z])` : `(^|[^A-Z])${escaped}`;
+    return new RegExp(pattern).test(text);
+  }
+}
+
+module.exports = new DepartmentRegistry();
+module.exports.DepartmentRegistry = DepartmentRegistry;
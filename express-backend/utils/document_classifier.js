@@ -0,0 +1,320 @@
+// document_classifier.js
+const xlsx = require('xlsx');
+const { readSheet, getSheetNames, isTabularFile } = require('./workbook_reader');
+const path = require('path');
+const StudentGradesExtractor = require('./student_grades_extractor');
+const GeneralInfoExtractor = require('./general_info_extractor');
+const departmentRegistry = require('./department_registry');
+
+// Document types the ingestion pipeline knows how to extract
+const DocumentTypes = {
+  STUDENT_LIST: 'student_list',
+  COR: 'cor',
+  STUDENT_GRADES: 'student_grades',
+  TEACHING_FACULTY: 'teaching_faculty',
+  TEACHING_FACULTY_SCHEDULE: 'teaching_faculty_schedule',
+  NON_TEACHING_FACULTY: 'non_teaching_faculty',
+  NON_TEACHING_SCHEDULE: 'non_teaching_schedule',
+  CURRICULUM: 'curriculum',
+  ADMIN: 'admin',
+  GENERAL_INFO: 'general_info',
+  TEACHING_FACULTY_RESUME_PDF: 'teaching_faculty_resume_pdf',
+  UNKNOWN: 'unknown'
+};
+
+// uploaded_files subfolder each document type belongs in
+const DocumentTypeFolders = {
+  [DocumentTypes.STUDENT_LIST]: 'student_list_excel',
+  [DocumentTypes.COR]: 'cor_excel',
+  [DocumentTypes.STUDENT_GRADES]: 'student_grades_excel',
+  [DocumentTypes.TEACHING_FACULTY]: 'teaching_faculty_excel',
+  [DocumentTypes.TEACHING_FACULTY_SCHEDULE]: 'teaching_faculty_sched_excel',
+  [DocumentTypes.NON_TEACHING_FACULTY]: 'non_teaching_faculty_excel',
+  [DocumentTypes.NON_TEACHING_SCHEDULE]: 'non_teaching_schedules_excel',
+  [DocumentTypes.CURRICULUM]: 'curriculum_excel',
+  [DocumentTypes.ADMIN]: 'admin_excel',
+  [DocumentTypes.GENERAL_INFO]: 'general_info',
+  [DocumentTypes.TEACHING_FACULTY_RESUME_PDF]: 'teaching_faculty_resumes_pdf'
+};
+
+class DocumentClassifier {
+  constructor(options = {}) {
+    // Below this confidence a file is left where it was uploaded
+    this.minConfidence = options.minConfidence ?? 0.6;
+    this.scanRows = options.scanRows ?? 25;
+
+    this.gradesExtractor = new StudentGradesExtractor();
+    this.generalInfoExtractor = new GeneralInfoExtractor();
+
+    this.adminPositionKeywords = [
+      'BOARD MEMBER', 'BOARD OF DIRECTORS', 'BOARD DIRECTOR', 'SCHOOL ADMIN',
+      'PRESIDENT', 'CHANCELLOR', 'VICE PRESIDENT', 'CHAIRMAN'
+    ];
+    this.teachingPositionKeywords = [
+      'PROFESSOR', 'INSTRUCTOR', 'LECTURER', 'TEACHER', 'FACULTY', 'DEAN', 'PROGRAM HEAD', 'CHAIRPERSON'
+    ];
+    this.nonTeachingPositionKeywords = [
+      'REGISTRAR', 'ACCOUNT', 'CASHIER', 'FINANCE', 'GUIDANCE', 'COUNSELOR', 'LIBRAR',
+      'NURSE', 'HEALTH', 'CLINIC', 'MAINTENANCE', 'CUSTODIAL', 'JANITOR', 'SECURITY',
+      'GUARD', 'SYSTEM ADMIN', 'IT SUPPORT', 'CLERK', 'SECRETARY', 'STAFF', 'ASSISTANT'
+    ];
+    this.collegeKeywords = [...departmentRegistry.getCollegeCodes(), 'COLLEGE'];
+  }
+
+  /**
+   * Classify any supported upload (Excel, CSV, JSON or PDF)
+   */
+  async classifyFile(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+
+    try {
+      if (isTabularFile(filePath)) {
+        return this.classifyExcel(filePath);
+      }
+      if (ext === '.pdf') {
+        return await this.classifyPDF(filePath);
+      }
+    } catch (error) {
+      console.error(`❌ Error classifying ${path.basename(filePath)}: ${error.message}`);
+    }
+
+    return this.buildResult(filePath, {}, []);
+  }
+
+  /**
+   * Classify an Excel workbook. Workbooks with several sheets are classified sheet by sheet:
+   * the file gets the type of its first recognised sheet, plus a `sheets` list with every result.
+   */
+  classifyExcel(filePath) {
+    const sheets = this.classifySheets(filePath);
+    if (sheets.length <= 1) {
+      return sheets[0] || this.buildResult(filePath, {}, []);
+    }
+
+    const first = sheets.find(result => result.type !== DocumentTypes.UNKNOWN) || sheets[0];
+    return { ...first, sheet: null, sheets };
+  }
+
+  /**
+   * One classification per non-blank sheet, each tagged with its sheet name
+   */
+  classifySheets(filePath) {
+    return getSheetNames(filePath).map(sheetName => this.classifySheet(filePath, sheetName));
+  }
+
+  /**
+   * Classify a single sheet from its headers and layout
+   */
+  classifySheet(filePath, sheetName = null) {
+    const { sheetName: name, worksheet } = readSheet(filePath, sheetName);
+    const data = xlsx.utils.sheet_to_json(worksheet, { header: 1, defval: '' });
+    return { ...this.classifyRows(data, filePath), sheet: name };
+  }
+
+  /**
+   * Score every Excel document type against a raw 2D sheet
+   */
+  classifyRows(data, filePath = '') {
+    const rows = data.slice(0, this.scanRows).map(row =>
+      (row || []).map(cell => String(cell ?? '').toUpperCase().trim())
+    );
+    const text = rows.map(row => row.filter(cell => cell).join(' ')).join('\n');
+    const fileName = path.basename(filePath).toUpperCase();
+
+    const scores = {};
+    const reasons = [];
+    const add = (type, points, reason) => {
+      scores[type] = (scores[type] || 0) + points;
+      reasons.push(`${type}: ${reason}`);
+    };
+
+    const findHeaderRow = (required) => rows.find(row =>
+      required.every(label => row.some(cell => cell.includes(label)))
+    );
+    const hasDayGrid = !!findHeaderRow(['TIME', 'MON', 'TUE', 'WED']);
+
+    // ---------------- STUDENT LIST ----------------
+    const studentHeader = rows.find(row => row.some(cell => cell === 'STUDENT ID' || cell === 'ID NO'));
+    if (studentHeader) {
+      add(DocumentTypes.STUDENT_LIST, 0.4, 'student id column header');
+      const listColumns = ['NAME', 'SURNAME', 'FIRST NAME', 'COURSE', 'SECTION', 'YEAR', 'GUARDIAN NAME', 'CONTACT NUMBER'];
+      const matched = listColumns.filter(label => studentHeader.includes(label)).length;
+      if (matched >= 3) add(DocumentTypes.STUDENT_LIST, 0.3, `${matched} student list columns`);
+    }
+    const idRows = rows.filter(row => /^PDM[-\s]?\d{4}[-\s]?\d{4,6}$/.test(row[0] || '')).length;
+    if (idRows >= 3) add(DocumentTypes.STUDENT_LIST, 0.3, `${idRows} rows starting with a student id`);
+
+    // ---------------- COR ----------------
+    const corLabels = ['PROGRAM:', 'YEAR LEVEL:', 'SECTION:', 'ADVISER:'].filter(label => text.includes(label));
+    if (corLabels.length >= 2) add(DocumentTypes.COR, 0.1 * corLabels.length, `program info labels (${corLabels.length})`);
+    if (findHeaderRow(['SUBJECT CODE', 'DAY', 'ROOM']) || findHeaderRow(['SUBJECT CODE', 'TIME START'])) {
+      add(DocumentTypes.COR, 0.5, 'subject/day/room schedule header');
+    }
+
+    // ---------------- STUDENT GRADES ----------------
+    if (this.gradesExtractor.isStudentGradesExcel(data)) {
+      add(DocumentTypes.STUDENT_GRADES, 0.6, 'grades indicators');
+    }
+    if (text.includes('STUDENT NUMBER') && findHeaderRow(['SUBJECT CODE', 'EQUIVALENT'])) {
+      add(DocumentTypes.STUDENT_GRADES, 0.4, 'student number with equivalent grade column');
+    }
+
+    // ---------------- CURRICULUM ----------------
+    if (text.includes('CURRICULUM')) add(DocumentTypes.CURRICULUM, 0.3, 'curriculum keyword');
+    if (findHeaderRow(['SUBJECT CODE', 'UNIT']) && (findHeaderRow(['SEMESTER']) || findHeaderRow(['TERM']))) {
+      add(DocumentTypes.CURRICULUM, 0.5, 'semester/term + subject code + units header');
+    }
+    if (text.includes('PRE-REQUISITE') || text.includes('PREREQUISITE') || text.includes('HOURS/WEEK')) {
+      add(DocumentTypes.CURRICULUM, 0.2, 'prerequisite or hours/week column');
+    }
+
+    // ---------------- TEACHING / NON-TEACHING SCHEDULES ----------------
+    if (hasDayGrid) {
+      if (text.includes('NAME OF ADVISER') || findHeaderRow(['SUBJECT/S', 'TIME'])) {
+        add(DocumentTypes.TEACHING_FACULTY_SCHEDULE, 0.9, 'adviser weekly subject grid');
+      } else {
+        add(DocumentTypes.NON_TEACHING_SCHEDULE, 0.6, 'weekly time grid without subjects');
+        if (text.includes('NAME OF FACULTY') || text.includes('NAME OF STAFF')) {
+          add(DocumentTypes.NON_TEACHING_SCHEDULE, 0.3, 'staff name header');
+        }
+      }
+    }
+
+    // ---------------- RESUME-STYLE (faculty / admin) ----------------
+    const resumeSections = ['PERSONAL INFORMATION', 'OCCUPATIONAL INFORMATION', 'FAMILY BACKGROUND', 'GOVERNMENT IDS', 'CONTACT INFORMATION']
+      .filter(section => text.includes(section));
+    if (resumeSections.length >= 2) {
+      const allRows = data.map(row => (row || []).map(cell => String(cell ?? '').toUpperCase().trim()));
+      const position = this.findLabelValue(allRows, 'POSITION');
+      const department = this.findLabelValue(allRows, 'DEPARTMENT');
+      const occupation = `${position} ${department}`;
+
+      const base = 0.5;
+      [DocumentTypes.ADMIN, DocumentTypes.TEACHING_FACULTY, DocumentTypes.NON_TEACHING_FACULTY]
+        .forEach(type => add(type, base, 'resume-style personal information sheet'));
+
+      if (this.adminPositionKeywords.some(word => occupation.includes(word))) {
+        add(DocumentTypes.ADMIN, 0.4, `administrative position "${position || department}"`);
+      } else if (this.nonTeachingPositionKeywords.some(word => occupation.includes(word))) {
+        add(DocumentTypes.NON_TEACHING_FACULTY, 0.4, `non-teaching position "${position || department}"`);
+      } else if (this.teachingPositionKeywords.some(word => position.includes(word)) ||
+                 this.collegeKeywords.some(word => department.split(/\W+/).includes(word))) {
+        add(DocumentTypes.TEACHING_FACULTY, 0.4, `teaching position "${position || department}"`);
+      }
+    }
+
+    // ---------------- FILENAME HINTS ----------------
+    this.addFilenameHints(fileName, add, false);
+
+    return this.buildResult(filePath, scores, reasons);
+  }
+
+  /**
+   * Classify a PDF by its text (general info vs. faculty resume)
+   */
+  async classifyPDF(filePath) {
+    const text = (await this.generalInfoExtractor.extractTextFromPDF(filePath) || '').toUpperCase();
+    const fileName = path.basename(filePath).toUpperCase();
+
+    const scores = {};
+    const reasons = [];
+    const add = (type, points, reason) => {
+      scores[type] = (scores[type] || 0) + points;
+      reasons.push(`${type}: ${reason}`);
+    };
+
+    const infoKeywords = ['MISSION', 'VISION', 'OBJECTIVE', 'HISTORY', 'CORE VALUES', 'HYMN', 'PHILOSOPHY'];
+    const resumeKeywords = ['EDUCATION', 'EXPERIENCE', 'SKILLS', 'EMAIL', 'PHONE', 'CONTACT', 'REFERENCES', 'CERTIFICATION', 'PROFILE'];
+
+    const infoHits = infoKeywords.filter(word => text.includes(word));
+    const resumeHits = resumeKeywords.filter(word => text.includes(word));
+
+    if (infoHits.length > 0) {
+      add(DocumentTypes.GENERAL_INFO, Math.min(0.8, 0.3 + 0.15 * infoHits.length), `keywords ${infoHits.join(', ')}`);
+    }
+    if (resumeHits.length > 0) {
+      add(DocumentTypes.TEACHING_FACULTY_RESUME_PDF, Math.min(0.8, 0.15 * resumeHits.length), `keywords ${resumeHits.join(', ')}`);
+    }
+    if (/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/.test(text)) {
+      add(DocumentTypes.TEACHING_FACULTY_RESUME_PDF, 0.1, 'email address');
+    }
+
+    this.addFilenameHints(fileName, add, true);
+
+    return this.buildResult(filePath, scores, reasons);
+  }
+
+  /**
+   * Small score bonus when the filename agrees with a type
+   */
+  addFilenameHints(fileName, add, isPDF) {
+    const pdfTypes = [DocumentTypes.GENERAL_INFO, DocumentTypes.TEACHING_FACULTY_RESUME_PDF];
+    const hints = [
+      [/\bCOR\b|_COR\b/, DocumentTypes.COR],
+      [/CURR/, DocumentTypes.CURRICULUM],
+      [/GRADE/, DocumentTypes.STUDENT_GRADES],
+      [/NON[-_\s]?TEACHING.*SCHED/, DocumentTypes.NON_TEACHING_SCHEDULE],
+      [/NON[-_\s]?TEACHING.*(RESUME|STAFF|FACULTY)/, DocumentTypes.NON_TEACHING_FACULTY],
+      [/ADMIN/, DocumentTypes.ADMIN],
+      [/MISSIO|VISION|OBJECT|HISTOR|HYMN|VALUE/, DocumentTypes.GENERAL_INFO],
+      [/CV|RESUME/, DocumentTypes.TEACHING_FACULTY_RESUME_PDF]
+    ];
+
+    for (const [pattern, type] of hints) {
+      if (pdfTypes.includes(type) !== isPDF) continue;
+      if (pattern.test(fileName)) {
+        add(type, 0.1, 'filename hint');
+        return;
+      }
+    }
+  }
+
+  /**
+   * Find the value next to a "Label" cell in resume-style sheets
+   */
+  findLabelValue(rows, label) {
+    for (const row of rows) {
+      const index = row.findIndex(cell => cell.replace(/:$/, '') === label);
+      if (index !== -1) {
+        const value = row.slice(index + 1).find(cell => cell);
+        if (value) return value;
+      }
+    }
+    return '';
+  }
+
+  /**
+   * Pick the best type; a close runner-up lowers the confidence
+   */
+  buildResult(filePath, scores, reasons) {
+    const ranked = Object.entries(scores)
+      .map(([type, score]) => [type, Math.min(1, score)])
+      .sort((a, b) => b[1] - a[1]);
+
+    const [bestType, bestScore] = ranked[0] || [DocumentTypes.UNKNOWN, 0];
+    const runnerUpScore = ranked[1] ? ranked[1][1] : 0;
+    const confidence = Math.max(0, Math.round((bestScore - runnerUpScore / 2) * 100) / 100);
+    const type = bestScore >= 0.3 ? bestType : DocumentTypes.UNKNOWN;
+
+    return {
+      file: path.basename(filePath),
+      type,
+      confidence: type === DocumentTypes.UNKNOWN ? 0 : confidence,
+      folder: DocumentTypeFolders[type] || null,
+      scores: Object.fromEntries(ranked.map(([t, s]) => [t, Math.round(s * 100) / 100])),
+      reasons
+    };
+  }
+
+  /**
+   * Document type expected for an uploaded_files subfolder
+   */
+  getTypeForFolder(folderName) {
+    const entry = Object.entries(DocumentTypeFolders).find(([, folder]) => folder === folderName);
+    return entry ? entry[0] : null;
+  }
+}
+
+module.exports = DocumentClassifier;
+module.exports.DocumentTypes = DocumentTypes;
+module.exports.DocumentTypeFolders = DocumentTypeFolders;
@@ -0,0 +1,461 @@
+// export_service.js
+const xlsx = require('xlsx');
+const fs = require('fs').promises;
+const path = require('path');
+
+const ExportFormats = {
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  csv: 'text/csv'
+};
+
+// Filters every export understands (only the ones an export lists are applied)
+const ExportFilterKeys = ['department', 'course', 'year', 'section', 'student_id', 'school_year', 'semester', 'standing', 'q'];
+
+function pick(filters, keys) {
+  const picked = {};
+  keys.forEach(key => {
+    if (filters[key] !== undefined && filters[key] !== null && String(filters[key]).trim() !== '') {
+      picked[key] = String(filters[key]).trim();
+    }
+  });
+  return picked;
+}
+
+const facultyColumns = [
+  ['Faculty ID', 'faculty_id'],
+  ['Surname', 'surname'],
+  ['First Name', 'first_name'],
+  ['Full Name', 'full_name'],
+  ['Position', 'position'],
+  ['Department', 'department'],
+  ['Employment Status', 'employment_status'],
+  ['Email', 'email'],
+  ['Phone', 'phone'],
+  ['Photo', record => record.image?.status || ''],
+  ['Source File', 'source_file']
+];
+
+/**
+ * What each export reads and which columns it writes: [header, field or row → value]
+ * load() returns the rows, one per spreadsheet line; sheetBy(row) splits an .xlsx into one sheet per value
+ */
+const ExportDefinitions = {
+  students: {
+    label: 'Student masterlist',
+    sheet: 'Students',
+    filters: ['department', 'course', 'year', 'section', 'q'],
+    load: (system, filters) => {
+      const { q, ...fields } = filters;
+      return system.db.searchStudents(q || null, Object.keys(fields).length > 0 ? fields : null);
+    },
+    sortBy: ['department', 'course', 'year', 'section', 'surname', 'first_name'],
+    columns: [
+      ['Student ID', 'student_id'],
+      ['Surname', 'surname'],
+      ['First Name', 'first_name'],
+      ['Full Name', 'full_name'],
+      ['Course', 'course'],
+      ['Year', 'year'],
+      ['Section', 'section'],
+      ['Department', 'department'],
+      ['Contact Number', 'contact_number'],
+      ['Guardian Name', 'guardian_name'],
+      ['Guardian Contact', 'guardian_contact'],
+      ['Photo', student => student.image?.status || ''],
+      ['Voice', student => student.audio?.status || ''],
+      ['Completion %', student => typeof student.completion_percentage === 'number' ? Number(student.completion_percentage.toFixed(1)) : '']
+    ]
+  },
+
+  grades: {
+    label: 'Grades per class (one line per subject and term)',
+    sheet: 'Grades',
+    filters: ['department', 'course', 'year', 'section', 'student_id', 'school_year', 'semester'],
+    load: async (system, filters) => {
+      const records = await system.gradesManager.getGrades(filters);
+      return records.flatMap(record => (record.grades || []).map(grade => ({ ...grade, student: record })));
+    },
+    sortBy: ['student.course', 'student.year', 'student.section', 'student.full_name', 'student.school_year', 'student.semester', 'subject_code'],
+    columns: [
+      ['Student ID', row => row.student.student_id],
+      ['Student Name', row => row.student.full_name || row.student.student_name],
+      ['Course', row => row.student.course],
+      ['Year', row => row.student.year],
+      ['Section', row => row.student.section],
+      ['School Year', row => row.student.school_year],
+      ['Semester', row => row.student.semester],
+      ['Subject Code', 'subject_code'],
+      ['Description', 'subject_description'],
+      ['Units', 'units'],
+      ['Grade', 'equivalent'],
+      ['Remarks', 'remarks'],
+      ['GWA', row => row.student.gwa],
+      ['Sheet GWA', row => row.student.sheet_gwa],
+      ['GWA Check', row => row.student.gwa_check?.status || '']
+    ]
+  },
+
+  teaching_faculty: {
+    label: 'Teaching faculty directory',
+    sheet: 'Teaching Faculty',
+    filters: ['department'],
+    load: (system, filters) => filters.department
+      ? system.teachingFacultyManager.getTeachingFacultyByDepartment(filters.department)
+      : system.teachingFacultyManager.getAllTeachingFaculty(),
+    sortBy: ['department', 'surname', 'first_name'],
+    columns: facultyColumns
+  },
+
+  non_teaching_faculty: {
+    label: 'Non-teaching staff directory',
+    sheet: 'Non-Teaching Staff',
+    filters: ['department'],
+    load: (system, filters) => filters.department
+      ? system.nonTeachingFacultyManager.getNonTeachingFacultyByDepartment(filters.department)
+      : system.nonTeachingFacultyManager.getAllNonTeachingFaculty(),
+    sortBy: ['department', 'surname', 'first_name'],
+    columns: facultyColumns
+  },
+
+  cor_subjects: {
+    label: 'COR subject lists (one line per subject)',
+    sheet: 'COR Subjects',
+    filters: ['department', 'course', 'year', 'section'],
+    load: async (system, filters) => {
+      const schedules = await system.corManager.getCORSchedules(filters);
+      return schedules.flatMap(schedule => (schedule.subjects || []).map(subject => ({ ...subject, cor: schedule })));
+    },
+    sortBy: ['cor.course', 'cor.year', 'cor.section'],
+    columns: [
+      ['Course', row => row.cor.course],
+      ['Year', row => row.cor.year],
+      ['Section', row => row.cor.section],
+      ['Department', row => row.cor.department],
+      ['Adviser', row => row.cor.adviser],
+      ['Subject Code', 'Subject Code'],
+      ['Description', 'Description'],
+      ['Type', 'Type'],
+      ['Units', 'Units'],
+      ['Day', 'Day'],
+      ['Time Start', 'Time Start'],
+      ['Time End', 'Time End'],
+      ['Room', 'Room']
+    ]
+  },
+
+  curriculum_subjects: {
+    label: 'Curriculum subjects (one line per subject)',
+    sheet: 'Curriculum',
+    filters: ['department', 'course'],
+    load: async (system, filters) => {
+      let curricula = filters.department
+        ? await system.curriculumManager.getCurriculaByDepartment(filters.department)
+        : await system.curriculumManager.getAllCurricula();
+      if (filters.course) {
+        curricula = curricula.filter(curriculum => curriculum.course === filters.course.toUpperCase());
+      }
+
+      return curricula.flatMap(curriculum =>
+        Object.entries(curriculum.curriculum || {}).flatMap(([year, semesters]) =>
+          Object.entries(semesters || {}).flatMap(([semester, subjects]) =>
+            (subjects || []).map(subject => ({ ...subject, year, semester, curriculum }))
+          )
+        )
+      );
+    },
+    columns: [
+      ['Course', row => row.curriculum.course],
+      ['Department', row => row.curriculum.department],
+      ['Effective Year', row => row.curriculum.effective_year],
+      ['Year Level', 'year'],
+      ['Semester', 'semester'],
+      ['Subject Code', 'subject_code'],
+      ['Subject Name', 'subject_name'],
+      ['Type', 'type'],
+      ['Hours/Week', 'hours_per_week'],
+      ['Units', 'units']
+    ]
+  },
+
+  pending_media: {
+    label: 'Pending media checklists (one sheet per section)',
+    sheet: 'Pending Media',
+    filters: ['department', 'course', 'year', 'section'],
+    load: (system, filters) => system.db.getPendingMediaStudents(filters),
+    sortBy: ['department', 'course', 'year', 'section', 'full_name'],
+    sheetBy: row => `${row.course || 'NO COURSE'} ${row.year || '?'}-${row.section || '?'}`,
+    columns: [
+      ['Student ID', 'student_id'],
+      ['Name', 'full_name'],
+      ['Course', 'course'],
+      ['Year', 'year'],
+      ['Section', 'section'],
+      ['Department', 'department'],
+      ['Photo', row => (row.waiting_for?.image ? '☐ needed' : '✓')],
+      ['Voice', row => (row.waiting_for?.audio ? '☐ needed' : '✓')],
+      ['Assigned To', 'assignment.assigned_to'],
+      ['Due Date', 'assignment.due_date'],
+      ['Done (date / initials)', () => '']
+    ]
+  },
+
+  academic_standings: {
+    label: 'Academic standing lists (probation, dean\'s list, honors; one sheet per department)',
+    sheet: 'Academic Standing',
+    filters: ['department', 'course', 'year', 'section', 'school_year', 'semester', 'standing'],
+    load: (system, filters) => system.academicStanding.getStandings(filters),
+    sortBy: ['department', 'standing', 'course', 'year', 'section', 'full_name'],
+    sheetBy: row => row.department || 'UNKNOWN',
+    columns: [
+      ['Student ID', 'student_id'],
+      ['Name', 'full_name'],
+      ['Course', 'course'],
+      ['Year', 'year'],
+      ['Section', 'section'],
+      ['Department', 'department'],
+      ['School Year', 'school_year'],
+      ['Semester', 'semester'],
+      ['Standing', 'standing_label'],
+      ['Distinctions', row => (row.distinctions || []).map(distinction => distinction.label).join(', ')],
+      ['Latin Honor', 'latin_honor'],
+      ['Term GWA', 'metrics.gwa'],
+      ['Cumulative GWA', 'metrics.cumulative_gwa'],
+      ['Units', 'metrics.units'],
+      ['Failed Subjects', 'metrics.failed_subjects'],
+      ['INC', 'metrics.incomplete'],
+      ['Reasons', row => (row.reasons || []).join('; ')]
+    ]
+  },
+
+  degree_audit: {
+    label: 'Degree audit (units earned, back subjects, irregular students; one sheet per section)',
+    sheet: 'Degree Audit',
+    filters: ['department', 'course', 'year', 'section'],
+    load: (system, filters) => system.degreeAudit.auditStudents(filters),
+    sortBy: ['course', 'year', 'section', 'full_name'],
+    sheetBy: row => `${row.course || 'UNKNOWN'} ${row.year || ''}-${row.section || ''}`,
+    columns: [
+      ['Student ID', 'student_id'],
+      ['Name', 'full_name'],
+      ['Course', 'course'],
+      ['Year', 'year'],
+      ['Section', 'section'],
+      ['Department', 'department'],
+      ['Curriculum', 'curriculum_id'],
+      ['Status', row => (row.irregular ? 'Irregular' : 'Regular')],
+      ['Required Units', 'required_units'],
+      ['Earned Units', 'earned_units'],
+      ['Failed Units', 'failed_units'],
+      ['Incomplete Units', 'incomplete_units'],
+      ['In Progress Units', 'in_progress_units'],
+      ['Remaining Units', 'remaining_units'],
+      ['% Complete', 'percent_complete'],
+      ['Back Subjects', row => (row.back_subjects || []).join(', ')],
+      ['Reasons', row => (row.irregular_reasons || []).join('; ')]
+    ]
+  },
+
+  data_quality: {
+    label: 'Data quality problems (missing/invalid fields, one sheet per record type)',
+    sheet: 'Data Quality',
+    filters: ['department', 'course', 'year', 'section'],
+    load: async (system, filters) => (await system.db.dataQuality.generate(filters)).problems,
+    sortBy: ['record_type', 'department', 'section', 'id'],
+    sheetBy: row => row.record_type,
+    columns: [
+      ['Record Type', 'record_type'],
+      ['ID', 'id'],
+      ['Name', 'name'],
+      ['Department', 'department'],
+      ['Section', 'section'],
+      ['Collection', 'collection'],
+      ['Completion %', 'completion_percentage'],
+      ['Missing (required)', row => row.missing_required.join(', ')],
+      ['Missing (optional)', row => row.missing_optional.join(', ')],
+      ['Invalid', row => row.invalid.map(({ field, value }) => `${field}: ${value}`).join(', ')]
+    ]
+  },
+
+  admins: {
+    label: 'Administrators',
+    sheet: 'Administrators',
+    filters: ['department'],
+    load: (system, filters) => filters.department
+      ? system.adminManager.getAdminsByDepartment(filters.department)
+      : system.adminManager.getAllAdmins(),
+    sortBy: ['department', 'surname', 'first_name'],
+    columns: [
+      ['Admin ID', 'admin_id'],
+      ['Full Name', 'full_name'],
+      ['Position', 'position'],
+      ['Admin Type', 'admin_type'],
+      ['Department', 'department'],
+      ['Employment Status', 'employment_status'],
+      ['Email', 'email'],
+      ['Phone', 'phone']
+    ]
+  }
+};
+
+/**
+ * Writes filtered query results to .xlsx or .csv with readable column headers
+ */
+class ExportService {
+  constructor(system, exportRoot = null) {
+    this.system = system;
+    this.exportRoot = exportRoot || path.join(__dirname, 'exports');
+  }
+
+  getExportTypes() {
+    return Object.entries(ExportDefinitions).map(([type, definition]) => ({
+      type,
+      label: definition.label,
+      filters: definition.filters,
+      columns: definition.columns.map(([header]) => header)
+    }));
+  }
+
+  /**
+   * Error message for an unknown export type or format, or null
+   */
+  validate(exportType, format = 'xlsx') {
+    if (!ExportDefinitions[exportType]) {
+      return `Unknown export '${exportType}'. Use one of: ${Object.keys(ExportDefinitions).join(', ')}`;
+    }
+    if (!ExportFormats[format]) {
+      return `Unknown format '${format}'. Use one of: ${Object.keys(ExportFormats).join(', ')}`;
+    }
+    return null;
+  }
+
+  /**
+   * Header row + value rows for an export → { headers, rows, filters }
+   */
+  async buildTable(exportType, filters = {}) {
+    const definition = ExportDefinitions[exportType];
+    const applied = pick(filters, definition.filters);
+    const records = (await definition.load(this.system, applied)) || [];
+
+    if (definition.sortBy) {
+      records.sort((a, b) => this._compare(a, b, definition.sortBy));
+    }
+
+    return {
+      headers: definition.columns.map(([header]) => header),
+      rows: records.map(record => definition.columns.map(([, field]) => this._cellValue(record, field))),
+      sheets: definition.sheetBy ? records.map(record => definition.sheetBy(record)) : null,
+      filters: applied
+    };
+  }
+
+  /**
+   * Export into the exports folder (or outputPath) → { file_path, filename, rows }, or null on error
+   */
+  async exportToFile(exportType, { filters = {}, format = 'xlsx', outputPath = null } = {}) {
+    try {
+      const { buffer, filename, rows } = await this.exportToBuffer(exportType, { filters, format });
+      const filePath = outputPath || path.join(this.exportRoot, filename);
+
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+
+      console.log(`✅ Exported ${rows} row(s) to ${filePath}`);
+      return { file_path: filePath, filename: path.basename(filePath), rows };
+    } catch (error) {
+      console.error(`❌ Error exporting ${exportType}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Export in memory → { buffer, filename, content_type, rows }
+   */
+  async exportToBuffer(exportType, { filters = {}, format = 'xlsx' } = {}) {
+    const problem = this.validate(exportType, format);
+    if (problem) throw new Error(problem);
+
+    const table = await this.buildTable(exportType, filters);
+    const workbook = format === 'xlsx' && table.sheets && table.rows.length > 0
+      ? this._buildSplitWorkbook(table)
+      : this._buildWorkbook(ExportDefinitions[exportType].sheet, table);
+
+    return {
+      buffer: xlsx.write(workbook, { type: 'buffer', bookType: format }),
+      filename: this._filename(exportType, table.filters, format),
+      content_type: ExportFormats[format],
+      rows: table.rows.length
+    };
+  }
+
+  _buildWorkbook(sheetName, { headers, rows }) {
+    const workbook = xlsx.utils.book_new();
+    xlsx.utils.book_append_sheet(workbook, this._buildWorksheet(headers, rows), sheetName);
+    return workbook;
+  }
+
+  /**
+   * One sheet per sheetBy value, in row order
+   */
+  _buildSplitWorkbook({ headers, rows, sheets }) {
+    const groups = new Map();
+    rows.forEach((row, index) => {
+      // Sheet names: at most 31 characters, none of : \ / ? * [ ]
+      const name = String(sheets[index]).replace(/[:\\/?*[\]]/g, '-').slice(0, 31);
+      if (!groups.has(name)) groups.set(name, []);
+      groups.get(name).push(row);
+    });
+
+    const workbook = xlsx.utils.book_new();
+    groups.forEach((groupRows, name) => {
+      xlsx.utils.book_append_sheet(workbook, this._buildWorksheet(headers, groupRows), name);
+    });
+    return workbook;
+  }
+
+  _buildWorksheet(headers, rows) {
+    const worksheet = xlsx.utils.aoa_to_sheet([headers, ...rows], { cellDates: true });
+
+    // Column widths from the longest value (capped so long descriptions stay readable)
+    worksheet['!cols'] = headers.map((header, index) => {
+      const longest = rows.reduce((max, row) => Math.max(max, String(row[index] ?? '').length), header.length);
+      return { wch: Math.min(longest + 2, 50) };
+    });
+    return worksheet;
+  }
+
+  /**
+   * e.g. students_CCS_BSIT_1_A_2025-01-31T08-15-00-000Z.xlsx
+   */
+  _filename(exportType, filters, format) {
+    const parts = Object.values(filters).map(value => String(value).replace(/[^A-Za-z0-9-]+/g, '_'));
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    return `${[exportType, ...parts, timestamp].join('_')}.${format}`;
+  }
+
+  _cellValue(record, field) {
+    const value = typeof field === 'function'
+      ? field(record)
+      : field.split('.').reduce((current, key) => (current == null ? undefined : current[key]), record);
+
+    if (value === undefined || value === null) return '';
+    if (value instanceof Date) return value;
+    if (Array.isArray(value)) return value.join(', ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+  }
+
+  _compare(a, b, fields) {
+    for (const field of fields) {
+      const left = String(this._cellValue(a, field));
+      const right = String(this._cellValue(b, field));
+      const order = left.localeCompare(right, undefined, { numeric: true });
+      if (order !== 0) return order;
+    }
+    return 0;
+  }
+}
+
+module.exports = ExportService;
+module.exports.ExportDefinitions = ExportDefinitions;
+module.exports.ExportFormats = ExportFormats;
+module.exports.ExportFilterKeys = ExportFilterKeys;
@@ -0,0 +1,451 @@
+// extraction_preview.js
+const xlsx = require('xlsx');
+const { readSheet, getSheetNames, isTabularFile } = require('./workbook_reader');
+const path = require('path');
+const { StudentDataExtractor } = require('./main');
+const StudentGradesExtractor = require('./student_grades_extractor');
+const CurriculumExtractor = require('./curriculum_extractor');
+const { DocumentTypes } = require('./document_classifier');
+
+// Values the extractors fall back to when a cell was empty
+const EMPTY_VALUES = ['', 'N/A', 'NA', 'NONE', 'NULL', 'UNKNOWN', 'UNKNOWN SUBJECT', 'NOT SPECIFIED', 'TBA', 'TBD'];
+
+// Same column positions CORExcelExtractor.extractScheduleFlexible reads
+const COR_COLUMNS = [
+  ['Subject Code', ['SUBJECT CODE', 'CODE']],
+  ['Description', ['DESCRIPTION', 'SUBJECT']],
+  ['Type', ['TYPE']],
+  ['Units', ['UNITS', 'UNIT']],
+  ['Day', ['DAY']],
+  ['Time Start', ['TIME START', 'START']],
+  ['Time End', ['TIME END', 'END']],
+  ['Room', ['ROOM']]
+];
+
+const PROFILE_FIELDS = ['surname', 'first_name', 'department', 'position', 'employment_status', 'email', 'phone'];
+
+/**
+ * What to check for each document type:
+ * columns - how header cells map to fields ('aliases', 'exact' or 'positional');
+ *           required lists columns that must be present (an array entry means any one of them)
+ * metadataFields - metadata fields that should not be empty
+ * records/recordFields - parsed rows and the fields each row should have
+ */
+const PREVIEW_SPECS = {
+  [DocumentTypes.STUDENT_LIST]: {
+    columns: {
+      mode: 'exact',
+      mapping: () => StudentDataExtractor.columnMapping,
+      headerRow: 0,
+      required: ['student_id', ['full_name', 'surname'], 'course', 'year', 'section']
+    },
+    metadata: (data) => data.metadata,
+    metadataFields: [],
+    records: (data) => data.students,
+    recordFields: ['student_id', 'full_name', 'course', 'year', 'section'],
+    recordLabel: 'students'
+  },
+  [DocumentTypes.COR]: {
+    columns: { mode: 'positional', columns: COR_COLUMNS, required: [] },
+    metadata: (data) => data.metadata,
+    metadataFields: ['course', 'year', 'section', 'adviser', 'department', 'total_units'],
+    records: (data) => data.cor_info.schedule,
+    recordFields: ['Subject Code', 'Description', 'Units', 'Day', 'Time Start', 'Time End', 'Room'],
+    recordLabel: 'subjects'
+  },
+  [DocumentTypes.STUDENT_GRADES]: {
+    columns: {
+      mode: 'aliases',
+      mapping: () => new StudentGradesExtractor().gradesFieldMappings,
+      required: ['subject_code', 'subject_description', 'units', 'equivalent', 'remarks']
+    },
+    metadata: (data) => data.metadata,
+    metadataFields: ['student_number', 'student_name', 'course', 'gwa'],
+    records: (data) => data.grades_info.grades,
+    recordFields: ['subject_code', 'subject_description', 'units', 'equivalent', 'remarks'],
+    recordLabel: 'grades'
+  },
+  [DocumentTypes.CURRICULUM]: {
+    columns: {
+      mode: 'aliases',
+      mapping: () => new CurriculumExtractor().subjectFieldMappings,
+      // year level and semester are carried down from section rows when there is no column
+      required: ['subject_code', 'subject_name', 'units']
+    },
+    metadata: (data) => data.metadata,
+    metadataFields: ['program', 'department', 'curriculum_year'],
+    records: (data) => data.curriculum_data.all_subjects,
+    recordFields: ['subject_code', 'subject_name', 'units'],
+    recordLabel: 'subjects'
+  },
+  [DocumentTypes.TEACHING_FACULTY]: {
+    metadata: (data) => data.metadata,
+    metadataFields: PROFILE_FIELDS,
+    details: (data) => data.faculty_info
+  },
+  [DocumentTypes.TEACHING_FACULTY_SCHEDULE]: {
+    metadata: (data) => data.metadata,
+    metadataFields: ['adviser_name', 'department'],
+    records: (data) => data.schedule_info.schedule,
+    recordFields: ['day', 'time', 'subject'],
+    recordLabel: 'classes'
+  },
+  [DocumentTypes.NON_TEACHING_FACULTY]: {
+    metadata: (data) => data.metadata,
+    metadataFields: PROFILE_FIELDS,
+    details: (data) => data.faculty_info
+  },
+  [DocumentTypes.NON_TEACHING_SCHEDULE]: {
+    metadata: (data) => data.metadata,
+    metadataFields: ['staff_name', 'department'],
+    records: (data) => data.schedule_data.schedule,
+    recordFields: ['day', 'time', 'duty'],
+    recordLabel: 'shifts'
+  },
+  [DocumentTypes.ADMIN]: {
+    metadata: (data) => data.metadata,
+    metadataFields: ['surname', 'first_name', 'department', 'position', 'email', 'phone'],
+    details: (data) => data.admin_data
+  },
+  [DocumentTypes.GENERAL_INFO]: {
+    metadata: (data) => data.metadata,
+    metadataFields: ['info_type'],
+    details: (data) => data.content
+  },
+  [DocumentTypes.TEACHING_FACULTY_RESUME_PDF]: {
+    metadata: (data) => data.metadata,
+    metadataFields: ['surname', 'first_name', 'department', 'position', 'email', 'phone']
+  }
+};
+
+/**
+ * Dry run: extract a file exactly like an ingestion would, but never write to MongoDB.
+ * Returns a report the frontend can show before the user confirms the import.
+ */
+class ExtractionPreview {
+  constructor(ingestionService) {
+    this.ingestionService = ingestionService;
+    this.classifier = ingestionService.classifier;
+  }
+
+  /**
+   * Preview one file. documentType defaults to the uploaded_files folder it sits in,
+   * then to whatever the classifier detects.
+   * Workbooks with several sheets get one report per sheet (see previewWorkbook).
+   */
+  async previewFile(filePath, documentType = null) {
+    let sheetNames = [];
+    try {
+      sheetNames = isTabularFile(filePath) ? getSheetNames(filePath) : [];
+    } catch {
+      // Unreadable file - previewSheet reports the error
+    }
+
+    if (sheetNames.length > 1) {
+      return this.previewWorkbook(filePath, documentType, sheetNames);
+    }
+    return this.previewSheet(filePath, documentType, sheetNames[0] || null);
+  }
+
+  /**
+   * One report per sheet, typed the way IngestionService.ingestWorkbook would ingest it.
+   * The workbook is ready only when every sheet is (or is skipped).
+   */
+  async previewWorkbook(filePath, documentType, sheetNames) {
+    const fileType = documentType || this.ingestionService.getTypeForPath(filePath);
+    const sheets = [];
+
+    for (const sheetName of sheetNames) {
+      const classification = this.classifier.classifySheet(filePath, sheetName);
+      const type = fileType ? this.ingestionService.getSheetType(classification, fileType) : classification.type;
+      const report = await this.previewSheet(filePath, type, sheetName);
+
+      // Same as ingestion: an unrecognised sheet with nothing to extract is skipped
+      if (report.status === 'failed' && classification.type === DocumentTypes.UNKNOWN) {
+        report.status = 'skipped';
+      }
+      sheets.push(report);
+    }
+
+    const failed = sheets.filter(sheet => sheet.status === 'failed');
+    const importable = sheets.filter(sheet => sheet.status !== 'skipped');
+    const withWarnings = importable.some(sheet => sheet.status === 'ready_with_warnings');
+
+    let error = null;
+    if (failed.length > 0) {
+      error = `${failed.length} of ${sheets.length} sheet(s) cannot be imported`;
+    } else if (importable.length === 0) {
+      error = 'No sheet could be recognised';
+    }
+
+    return {
+      file: path.basename(filePath),
+      document_type: fileType || null,
+      status: error ? 'failed' : withWarnings ? 'ready_with_warnings' : 'ready',
+      record_count: sheets.reduce((total, sheet) => total + sheet.record_count, 0),
+      skipped_sheets: sheets.filter(sheet => sheet.status === 'skipped').map(sheet => sheet.sheet),
+      sheets,
+      error
+    };
+  }
+
+  /**
+   * Preview one sheet of a workbook (sheetName null = first sheet, or a PDF)
+   */
+  async previewSheet(filePath, documentType = null, sheetName = null) {
+    const report = {
+      file: path.basename(filePath),
+      sheet: sheetName,
+      document_type: null,
+      classification: null,
+      status: 'failed',
+      department: null,
+      metadata: null,
+      columns: null,
+      record_count: 0,
+      records: [],
+      details: null,
+      warnings: [],
+      error: null
+    };
+
+    try {
+      const classification = sheetName
+        ? this.classifier.classifySheet(filePath, sheetName)
+        : await this.classifier.classifyFile(filePath);
+      report.classification = {
+        type: classification.type,
+        confidence: classification.confidence,
+        reasons: classification.reasons
+      };
+
+      const type = documentType || this.ingestionService.getTypeForPath(filePath) || classification.type;
+      report.document_type = type;
+
+      const spec = PREVIEW_SPECS[type];
+      const handler = this.ingestionService.handlers[type];
+      if (!spec || !handler) {
+        report.error = type === 'unknown'
+          ? 'Could not detect the document type - pass one explicitly'
+          : `No extractor for document type '${type}'`;
+        return report;
+      }
+
+      if (classification.type !== type && classification.type !== 'unknown' &&
+          classification.confidence >= this.classifier.minConfidence) {
+        this._warn(report, 'type_mismatch', null,
+          `File looks like ${classification.type} (confidence ${classification.confidence}), not ${type}`);
+      }
+
+      const data = await this._extract(type, handler, filePath, sheetName);
+      if (!data) {
+        report.error = 'Could not extract data';
+        return report;
+      }
+
+      report.metadata = spec.metadata(data) || null;
+      report.department = report.metadata?.department ||
+        (report.metadata?.course ? StudentDataExtractor.detectDepartment(report.metadata.course) : null);
+      report.details = spec.details ? spec.details(data) || null : null;
+
+      if (spec.columns) {
+        report.columns = this._analyzeColumns(filePath, spec.columns, sheetName);
+        if (report.columns) {
+          report.columns.unmapped.forEach(({ column, header }) =>
+            this._warn(report, 'unmapped_header', header, `Column ${column} "${header}" is not read by the extractor`));
+          report.columns.unexpected.forEach(({ column, header, field }) =>
+            this._warn(report, 'unexpected_header', header, `Column ${column} "${header}" will be read as ${field}`));
+          report.columns.missing.forEach(field =>
+            this._warn(report, 'missing_column', field, `No column found for ${field}`));
+        } else {
+          this._warn(report, 'missing_header_row', null, 'Could not find the header row');
+        }
+      }
+
+      spec.metadataFields.forEach(field => {
+        if (this._isEmpty(report.metadata?.[field])) {
+          this._warn(report, 'empty_field', field, `${field} is empty`);
+        }
+      });
+
+      if (spec.records) {
+        report.records = spec.records(data) || [];
+        report.record_count = report.records.length;
+        this._checkRecords(report, spec);
+      } else {
+        report.record_count = 1;
+      }
+
+      if (type === DocumentTypes.STUDENT_LIST) {
+        report.department = this._mostCommon(report.records.map(student => student.department));
+      }
+      if (String(report.department || '').toUpperCase() === 'UNKNOWN') {
+        this._warn(report, 'unknown_department', 'department', 'Department could not be detected');
+      }
+
+      report.status = report.warnings.length > 0 ? 'ready_with_warnings' : 'ready';
+      return report;
+    } catch (error) {
+      report.error = error.message;
+      return report;
+    }
+  }
+
+  async _extract(type, handler, filePath, sheetName) {
+    if (type === DocumentTypes.STUDENT_LIST) {
+      // The student list handler stores rows as it parses them
+      const students = StudentDataExtractor.extractStudents(filePath, sheetName);
+      return {
+        students,
+        metadata: { total_students: students.length, source_file: path.basename(filePath), data_type: 'student_list' }
+      };
+    }
+    return handler.extract(filePath, sheetName);
+  }
+
+  /**
+   * Find the header row of a table sheet and report which header cells map to which field
+   */
+  _analyzeColumns(filePath, columnSpec, sheetName = null) {
+    if (path.extname(filePath).toLowerCase() === '.pdf') return null;
+
+    const { worksheet } = readSheet(filePath, sheetName);
+    const data = xlsx.utils.sheet_to_json(worksheet, { header: 1, defval: null });
+
+    const aliasesByField = columnSpec.mode === 'positional'
+      ? Object.fromEntries(columnSpec.columns)
+      : columnSpec.mode === 'exact'
+        ? this._invertMapping(columnSpec.mapping())
+        : columnSpec.mapping();
+
+    const headerRow = columnSpec.headerRow ?? this._findHeaderRow(data, aliasesByField);
+    if (headerRow === -1 || !data[headerRow]) return null;
+
+    const headerCells = data[headerRow]
+      .map((cell, column) => [column, cell === null ? '' : String(cell).trim()])
+      .filter(([, header]) => header);
+
+    const mapped = [];
+    const unexpected = []; // positional columns whose header does not look like the field read there
+    const used = new Set();
+
+    if (columnSpec.mode === 'positional') {
+      columnSpec.columns.forEach(([field, aliases], column) => {
+        const header = headerCells.find(([index]) => index === column)?.[1] || '';
+        if (!header) return;
+        used.add(column);
+        mapped.push({ column, header, field });
+        if (!aliases.some(alias => header.toUpperCase().includes(alias))) {
+          unexpected.push({ column, header, field });
+        }
+      });
+    } else if (columnSpec.mode === 'exact') {
+      const mapping = columnSpec.mapping();
+      headerCells.forEach(([column, header]) => {
+        const field = mapping[header.toLowerCase()];
+        if (field) {
+          used.add(column);
+          mapped.push({ column, header, field });
+        }
+      });
+    } else {
+      // Same best-match scoring the grades/curriculum extractors use
+      Object.entries(aliasesByField).forEach(([field, aliases]) => {
+        let best = null;
+        let bestScore = 0;
+        headerCells.forEach(([column, header]) => {
+          const headerUpper = header.toUpperCase();
+          aliases.forEach(alias => {
+            if (headerUpper.includes(alias)) {
+              const score = headerUpper === alias ? alias.length : alias.length - 1;
+              if (score > bestScore) {
+                bestScore = score;
+                best = [column, header];
+              }
+            }
+          });
+        });
+        if (best) {
+          used.add(best[0]);
+          mapped.push({ column: best[0], header: best[1], field });
+        }
+      });
+    }
+
+    const mappedFields = new Set(mapped.map(entry => entry.field));
+
+    return {
+      header_row: headerRow,
+      mapped: mapped.sort((a, b) => a.column - b.column),
+      unexpected,
+      unmapped: headerCells
+        .filter(([column]) => !used.has(column))
+        .map(([column, header]) => ({ column, header })),
+      missing: columnSpec.required
+        .map(entry => [].concat(entry))
+        .filter(alternatives => !alternatives.some(field => mappedFields.has(field)))
+        .map(alternatives => alternatives.join(' or '))
+    };
+  }
+
+  _findHeaderRow(data, aliasesByField) {
+    for (let i = 0; i < Math.min(20, data.length); i++) {
+      const rowText = (data[i] || []).map(cell => (cell === null ? '' : String(cell).toUpperCase())).join(' ');
+      const hits = Object.values(aliasesByField)
+        .filter(aliases => aliases.some(alias => rowText.includes(alias))).length;
+      if (hits >= 3) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * { 'student id': 'student_id', 'id': 'student_id' } → { student_id: ['STUDENT ID', 'ID'] }
+   */
+  _invertMapping(mapping) {
+    const byField = {};
+    Object.entries(mapping).forEach(([header, field]) => {
+      (byField[field] = byField[field] || []).push(header.toUpperCase());
+    });
+    return byField;
+  }
+
+  /**
+   * One warning per field that is empty in some of the parsed rows
+   */
+  _checkRecords(report, spec) {
+    if (report.record_count === 0) {
+      this._warn(report, 'no_records', null, `No ${spec.recordLabel} found`);
+      return;
+    }
+
+    spec.recordFields.forEach(field => {
+      const emptyRows = report.records
+        .map((record, index) => (this._isEmpty(record[field]) ? index + 1 : null))
+        .filter(row => row !== null);
+
+      if (emptyRows.length > 0) {
+        this._warn(report, 'empty_record_field', field,
+          `${emptyRows.length} of ${report.record_count} ${spec.recordLabel} have no ${field}`,
+          { rows: emptyRows });
+      }
+    });
+  }
+
+  _isEmpty(value) {
+    if (value === null || value === undefined) return true;
+    return EMPTY_VALUES.includes(String(value).trim().toUpperCase());
+  }
+
+  _mostCommon(values) {
+    const counts = {};
+    values.filter(Boolean).forEach(value => { counts[value] = (counts[value] || 0) + 1; });
+    const sorted = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    return sorted.length > 0 ? sorted[0][0] : null;
+  }
+
+  _warn(report, code, field, message, extra = {}) {
+    report.warnings.push({ code, field, message, ...extra });
+  }
+}
+
+module.exports = ExtractionPreview;
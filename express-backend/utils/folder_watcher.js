@@ -0,0 +1,236 @@
+// folder_watcher.js
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const { TABULAR_EXTENSIONS } = require('./workbook_reader');
+
+const SUPPORTED_EXTENSIONS = [...TABULAR_EXTENSIONS, '.pdf'];
+
+/**
+ * Watches uploaded_files/<type folder>/ and queues an ingestion job seconds after a file lands.
+ * Optional bucket folders (e.g. the Flask uploads/faculty|students|admin) are classified
+ * and copied into the matching type folder.
+ */
+class FolderWatcher {
+  constructor(jobQueue, options = {}) {
+    this.jobQueue = jobQueue;
+    this.ingestionService = jobQueue.ingestionService;
+    this.classifier = this.ingestionService.classifier;
+    this.debounceMs = options.debounceMs ?? 2000;
+    this.stableCheckMs = options.stableCheckMs ?? 500;
+    this.bucketFolders = options.bucketFolders || [];
+    this.onResult = options.onResult || null;
+
+    this.watchers = [];
+    this.timers = new Map();      // filePath → pending debounce timer
+    this.knownFiles = new Set();  // files currently present in watched folders
+    this.ownMoves = new Set();    // files we moved to processed/ ourselves
+    this.queue = Promise.resolve();
+    this.running = false;
+  }
+
+  /**
+   * Start watching every type folder (and bucket folders)
+   */
+  async start({ scanExisting = true } = {}) {
+    if (this.running) return;
+    this.running = true;
+
+    for (const { type, folder, path: folderPath } of this.ingestionService.getTypeFolders()) {
+      await this._watchFolder(folderPath, { type, label: folder, isBucket: false }, scanExisting);
+    }
+
+    for (const bucketPath of this.bucketFolders) {
+      await this._watchFolder(bucketPath, { type: null, label: path.basename(bucketPath), isBucket: true }, scanExisting);
+    }
+
+    console.log(`👀 Watching ${this.watchers.length} upload folder(s) for changes`);
+  }
+
+  /**
+   * Stop all watchers and pending timers
+   */
+  async stop() {
+    this.running = false;
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers = [];
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+
+    // Let an in-flight ingestion finish
+    await this.queue;
+    console.log('👀 Upload folder watcher stopped');
+  }
+
+  async _watchFolder(folderPath, folderInfo, scanExisting) {
+    try {
+      await fsp.mkdir(folderPath, { recursive: true });
+
+      const existing = (await fsp.readdir(folderPath)).filter(file => this._isSupported(file));
+      existing.forEach(file => this.knownFiles.add(path.join(folderPath, file)));
+
+      const watcher = fs.watch(folderPath, (eventType, filename) => {
+        if (filename && this._isSupported(filename)) {
+          this._schedule(path.join(folderPath, filename), folderInfo);
+        }
+      });
+      watcher.on('error', (error) => {
+        console.error(`❌ Watcher error on ${folderInfo.label}: ${error.message}`);
+      });
+      this.watchers.push(watcher);
+
+      if (scanExisting) {
+        existing.forEach(file => this._schedule(path.join(folderPath, file), folderInfo, 0));
+      }
+    } catch (error) {
+      console.error(`❌ Could not watch ${folderPath}: ${error.message}`);
+    }
+  }
+
+  _isSupported(filename) {
+    // Skip Office lock files (~$Book.xlsx) and partial downloads
+    if (filename.startsWith('~$') || filename.startsWith('.')) return false;
+    return SUPPORTED_EXTENSIONS.includes(path.extname(filename).toLowerCase());
+  }
+
+  /**
+   * Debounce: every new event for the same file restarts its timer
+   */
+  _schedule(filePath, folderInfo, delay = this.debounceMs) {
+    if (!this.running) return;
+
+    clearTimeout(this.timers.get(filePath));
+    this.timers.set(filePath, setTimeout(() => {
+      this.timers.delete(filePath);
+      this.queue = this.queue
+        .then(() => this._settle(filePath, folderInfo))
+        .catch(error => console.error(`❌ Watcher error for ${path.basename(filePath)}: ${error.message}`));
+    }, delay));
+  }
+
+  /**
+   * Decide whether the file was added, replaced or deleted, once its size stops changing
+   */
+  async _settle(filePath, folderInfo) {
+    const file = path.basename(filePath);
+    const firstStat = await this._stat(filePath);
+
+    if (!firstStat) {
+      return this._handleDeleted(filePath, folderInfo);
+    }
+
+    // Still being written? check again later
+    await new Promise(resolve => setTimeout(resolve, this.stableCheckMs));
+    const secondStat = await this._stat(filePath);
+    if (!secondStat) {
+      return this._handleDeleted(filePath, folderInfo);
+    }
+    if (secondStat.size !== firstStat.size || secondStat.mtimeMs !== firstStat.mtimeMs || secondStat.size === 0) {
+      console.log(`   ⏳ ${file} is still being written, waiting...`);
+      return this._schedule(filePath, folderInfo);
+    }
+
+    const event = this.knownFiles.has(filePath) ? 'replaced' : 'added';
+    this.knownFiles.add(filePath);
+
+    if (folderInfo.isBucket) {
+      return this._routeBucketFile(filePath, folderInfo, event);
+    }
+
+    console.log(`\n📥 [${folderInfo.label}] ${file} ${event} - ingesting...`);
+    const result = await this.jobQueue.runFile(filePath, { type: folderInfo.type, source: 'watcher', event });
+
+    if (result.status === 'succeeded') {
+      console.log(`   ✅ ${file} ingested (${result.document_type}${result.record_id ? `, ${result.record_id}` : ''}) [${result.job_id}, ${result.duration_ms}ms]`);
+    } else if (result.status === 'skipped') {
+      console.log(`   ⏭️  ${file} skipped - already ingested [${result.job_id}]`);
+    } else {
+      console.log(`   ❌ ${file} - ${result.error} [${result.job_id}]`);
+    }
+
+    // Ingested/skipped files are moved to processed/ - not a user deletion
+    if (result.status !== 'failed' && !(await this._stat(filePath))) {
+      this.ownMoves.add(filePath);
+      this.knownFiles.delete(filePath);
+    }
+
+    if (this.onResult) this.onResult(result);
+    return result;
+  }
+
+  async _handleDeleted(filePath, folderInfo) {
+    if (this.ownMoves.delete(filePath)) return null;
+
+    const wasKnown = this.knownFiles.delete(filePath);
+    if (wasKnown) {
+      console.log(`\n🗑️  [${folderInfo.label}] ${path.basename(filePath)} deleted - stored records are kept`);
+      const result = { status: 'skipped', event: 'deleted', document_type: folderInfo.type, file: path.basename(filePath), error: null };
+      if (this.onResult) this.onResult(result);
+      return result;
+    }
+    return null;
+  }
+
+  /**
+   * Bucket uploads: classify, then copy into the matching type folder (which is watched too).
+   * Each version of a bucket file is routed once (kept in the ledger's ingestion_routes, so restarts
+   * and failed ingestions don't copy it again), and never over a file already in the type folder.
+   */
+  async _routeBucketFile(filePath, folderInfo, event) {
+    const file = path.basename(filePath);
+    const { ledger } = this.ingestionService;
+    const { content_hash: contentHash } = await ledger.fingerprint(filePath);
+
+    // Repeated events for the same contents, or a restart rescanning the bucket
+    if (await ledger.findRouted(filePath, contentHash)) return null;
+    if (await ledger.findIngested(filePath)) {
+      console.log(`\n⏭️  [${folderInfo.label}] ${file} ${event} - already ingested, not routed again`);
+      return null;
+    }
+
+    const classification = await this.classifier.classifyFile(filePath);
+
+    if (classification.type === 'unknown' || classification.confidence < this.classifier.minConfidence) {
+      console.log(`\n⚠️  [${folderInfo.label}] ${file} ${event} but could not be classified (best guess: ${classification.type}, confidence ${classification.confidence})`);
+      return null;
+    }
+
+    const targetFolder = path.join(this.ingestionService.basePath, classification.folder);
+    await fsp.mkdir(targetFolder, { recursive: true });
+    const target = await this._copyAsNewFile(filePath, targetFolder);
+    await ledger.markRouted(filePath, contentHash, target, classification.type);
+
+    const renamed = path.basename(target) !== file ? ` as ${path.basename(target)}` : '';
+    console.log(`\n🔀 [${folderInfo.label}] ${file} ${event} → ${classification.folder}${renamed} (${classification.type}, confidence ${classification.confidence})`);
+    return null;
+  }
+
+  /**
+   * Copy a file into a folder without replacing anything there: 'Grades.xlsx' becomes
+   * 'Grades (2).xlsx' when the name is taken. Returns the new path.
+   */
+  async _copyAsNewFile(filePath, folder) {
+    const extension = path.extname(filePath);
+    const base = path.basename(filePath, extension);
+
+    for (let copy = 1; ; copy++) {
+      const target = path.join(folder, copy === 1 ? `${base}${extension}` : `${base} (${copy})${extension}`);
+      try {
+        await fsp.copyFile(filePath, target, fs.constants.COPYFILE_EXCL);
+        return target;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+    }
+  }
+
+  async _stat(filePath) {
+    try {
+      return await fsp.stat(filePath);
+    } catch {
+      return null;
+    }
+  }
+}
+
+module.exports = FolderWatcher;
@@ -0,0 +1,132 @@
+// gwa_calculator.js
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_POLICY_PATH = path.join(__dirname, 'gwa_policy.json');
+
+// Result of comparing our GWA with the one written on the sheet
+const GwaCheckStatus = {
+  MATCH: 'match',
+  MISMATCH: 'mismatch',
+  NO_SHEET_GWA: 'no_sheet_gwa',
+  NOT_COMPUTABLE: 'not_computable'
+};
+
+const FAILED_REMARKS = ['FAILED', 'F'];
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = typeof value === 'number' ? value : parseFloat(String(value).trim());
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Unit-weighted GWA from individual grade rows, under the policy in gwa_policy.json
+ * (or GWA_POLICY_FILE):
+ *   excluded_remarks  rows whose remarks/grade say INC, DRP, W, ... are left out
+ *   incomplete_remarks which of those mean INC (still to complete) rather than dropped
+ *   passing_grade     highest numeric grade that still passes
+ *   excluded_subjects subject code patterns left out (e.g. "^NSTP")
+ *   include_failed    whether failing grades count
+ *   grade_range       numeric grades outside it are not grades (sheet typos)
+ *   decimals          rounding of the result
+ *   tolerance         largest difference from the sheet's GWA still treated as a match
+ */
+class GwaCalculator {
+  constructor(policyPath = null) {
+    this.policyPath = policyPath || process.env.GWA_POLICY_FILE || DEFAULT_POLICY_PATH;
+    this.reload();
+  }
+
+  /**
+   * (Re)read the policy file
+   */
+  reload() {
+    const policy = JSON.parse(fs.readFileSync(this.policyPath, 'utf8'));
+
+    this.policy = {
+      excludedRemarks: (policy.excluded_remarks || []).map(remark => String(remark).toUpperCase()),
+      excludedSubjects: (policy.excluded_subjects || []).map(pattern => new RegExp(pattern, 'i')),
+      incompleteRemarks: (policy.incomplete_remarks || ['INC']).map(remark => String(remark).toUpperCase()),
+      passingGrade: typeof policy.passing_grade === 'number' ? policy.passing_grade : 3.0,
+      includeFailed: policy.include_failed !== false,
+      gradeRange: policy.grade_range || [1.0, 5.0],
+      decimals: typeof policy.decimals === 'number' ? policy.decimals : 2,
+      tolerance: typeof policy.tolerance === 'number' ? policy.tolerance : 0.01
+    };
+  }
+
+  /**
+   * → { gwa, total_units, counted_subjects, excluded: [{ subject_code, reason }] }
+   * gwa is null when no row counts
+   */
+  compute(grades = []) {
+    const { excludedRemarks, excludedSubjects, includeFailed, gradeRange, decimals } = this.policy;
+    const result = { gwa: null, total_units: 0, counted_subjects: 0, excluded: [] };
+    let weighted = 0;
+
+    (grades || []).forEach(row => {
+      const subjectCode = row.subject_code || 'N/A';
+      const remarks = String(row.remarks || '').toUpperCase().trim();
+      const equivalent = String(row.equivalent ?? '').toUpperCase().trim();
+      const exclude = reason => result.excluded.push({ subject_code: subjectCode, reason });
+
+      const marker = excludedRemarks.find(excluded => excluded === remarks || excluded === equivalent);
+      if (marker) return exclude(marker);
+      if (excludedSubjects.some(pattern => pattern.test(subjectCode))) return exclude('excluded_subject');
+
+      const grade = toNumber(row.equivalent);
+      if (grade === null || grade < gradeRange[0] || grade > gradeRange[1]) return exclude('no_numeric_grade');
+
+      const units = toNumber(row.units);
+      if (!units || units <= 0) return exclude('no_units');
+
+      if (!includeFailed && (FAILED_REMARKS.includes(remarks) || grade === gradeRange[1])) return exclude('failed');
+
+      weighted += grade * units;
+      result.total_units += units;
+      result.counted_subjects++;
+    });
+
+    if (result.total_units > 0) {
+      result.gwa = Number((weighted / result.total_units).toFixed(decimals));
+    }
+    return result;
+  }
+
+  /**
+   * Compute the GWA and compare it with the sheet's stated one
+   * → { computed_gwa, sheet_gwa, status, difference, tolerance, total_units, counted_subjects, excluded }
+   */
+  verify(grades, sheetGwa) {
+    const computed = this.compute(grades);
+    const stated = toNumber(sheetGwa);
+    const check = {
+      computed_gwa: computed.gwa,
+      sheet_gwa: stated,
+      status: GwaCheckStatus.MATCH,
+      difference: null,
+      tolerance: this.policy.tolerance,
+      total_units: computed.total_units,
+      counted_subjects: computed.counted_subjects,
+      excluded: computed.excluded
+    };
+
+    if (computed.gwa === null) {
+      check.status = GwaCheckStatus.NOT_COMPUTABLE;
+    } else if (stated === null) {
+      check.status = GwaCheckStatus.NO_SHEET_GWA;
+    } else {
+      check.difference = Number((stated - computed.gwa).toFixed(this.policy.decimals + 2));
+      if (Math.abs(check.difference) > this.policy.tolerance + Number.EPSILON) {
+        check.status = GwaCheckStatus.MISMATCH;
+      }
+    }
+
+    return check;
+  }
+}
+
+module.exports = new GwaCalculator();
+module.exports.GwaCalculator = GwaCalculator;
+module.exports.GwaCheckStatus = GwaCheckStatus;
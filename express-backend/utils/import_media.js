@@ -0,0 +1,64 @@
+/**
+ * Batch-attach student photos/audio from the command line
+ *
+ *   node utils/import_media.js <folder|file.zip> [--type image|audio] [--dry-run] [--overwrite] [--patterns patterns.json]
+ *
+ * Filenames are matched to student IDs with media_id_patterns.json (2025-0001.png → PDM-2025-000001).
+ * Uses MONGODB_URI (default mongodb://localhost:27017/)
+ */
+
+const path = require('path');
+const { StudentDatabase } = require('./main');
+const MediaBatchImporter = require('./media_batch_importer');
+
+function parseArgs(argv) {
+  const args = { positional: [], flags: new Set() };
+  for (let i = 0; i < argv.length; i++) {
+    if (['--dry-run', '--overwrite'].includes(argv[i])) {
+      args.flags.add(argv[i].slice(2));
+    } else if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      args.positional.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const source = args.positional[0];
+
+  if (!source || (args.type && !MediaBatchImporter.MediaExtensions[args.type])) {
+    console.log('Usage:');
+    console.log('  node utils/import_media.js <folder|file.zip> [--type image|audio] [--dry-run] [--overwrite] [--patterns patterns.json]');
+    process.exit(1);
+  }
+
+  const db = new StudentDatabase(process.env.MONGODB_URI);
+  let ok = true;
+
+  try {
+    await db.connect();
+
+    const importer = new MediaBatchImporter(db, { patternsPath: args.patterns || null });
+    const report = await importer.importFrom(path.resolve(source), {
+      mediaType: args.type || null,
+      dryRun: args.flags.has('dry-run'),
+      overwrite: args.flags.has('overwrite')
+    });
+    ok = !report.error && report.failed.length === 0;
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    ok = false;
+  } finally {
+    await db.close();
+  }
+
+  process.exit(ok ? 0 : 1);
+}
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,268 @@
+// ingestion_job_queue.js
+const os = require('os');
+const path = require('path');
+const { ObjectId } = require('mongodb');
+const { escapeRegex } = require('./query_helpers');
+
+const JobStatus = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+};
+
+/**
+ * Whether a process on this machine is still running (EPERM: running, owned by another user)
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Every file ingestion runs as a job stored in `ingestion_jobs`.
+ * Jobs run one at a time, in the order they were queued.
+ * Each job records the host and process that queued it, so a restart only fails the jobs
+ * its dead predecessor left behind, not those of the API server or CLI still running next to it.
+ */
+class IngestionJobQueue {
+  constructor(ingestionService) {
+    this.ingestionService = ingestionService;
+    this.db = ingestionService.system.db;
+    this.queue = Promise.resolve();
+    this.pending = new Map(); // job_id → promise of the finished job
+    this.owner = { host: os.hostname(), pid: process.pid, instance_id: new ObjectId().toHexString() };
+  }
+
+  get collection() {
+    return this.db.db.collection('ingestion_jobs');
+  }
+
+  /**
+   * Queue one file for ingestion. Returns the queued job document.
+   * source: 'auto_scan', 'watcher', 'api' or 'manual'; event: 'added' or 'replaced' (watcher only)
+   */
+  async enqueue(filePath, { type = null, source = 'manual', event = null } = {}) {
+    const job = {
+      job_id: `JOB_${new ObjectId().toHexString().toUpperCase()}`,
+      file: path.basename(filePath),
+      file_key: this.ingestionService.ledger._fileKey(filePath),
+      document_type: type || this.ingestionService.getTypeForPath(filePath),
+      source,
+      event,
+      ...this.owner,
+      status: JobStatus.QUEUED,
+      record_id: null,
+      records: 0,
+      error: null,
+      validation_errors: null,
+      skip_reason: null,
+      sheets: null,
+      queued_at: new Date(),
+      started_at: null,
+      finished_at: null,
+      duration_ms: null
+    };
+
+    try {
+      await this.collection.insertOne({ ...job });
+    } catch (error) {
+      // Still ingest the file - the job just won't show up in the job list
+      console.error(`❌ Error saving ingestion job: ${error.message}`);
+    }
+
+    const finished = this.queue.then(() => this._runJob(job, filePath));
+    this.queue = finished.catch(() => null);
+    this.pending.set(job.job_id, finished);
+    finished.finally(() => this.pending.delete(job.job_id)).catch(() => null);
+
+    return job;
+  }
+
+  /**
+   * Queue a file and wait for its job to finish
+   */
+  async runFile(filePath, options = {}) {
+    const job = await this.enqueue(filePath, options);
+    return this.waitFor(job.job_id);
+  }
+
+  /**
+   * Finished job document for a job queued by this process (null if unknown)
+   */
+  async waitFor(jobId) {
+    const pending = this.pending.get(jobId);
+    return pending ? pending : this.getJob(jobId);
+  }
+
+  async _runJob(job, filePath) {
+    const startedAt = new Date();
+    Object.assign(job, { status: JobStatus.RUNNING, started_at: startedAt });
+    await this._update(job.job_id, { status: job.status, started_at: startedAt });
+
+    let result;
+    try {
+      result = await this.ingestionService.ingestFile(filePath, job.document_type);
+    } catch (error) {
+      result = { status: JobStatus.FAILED, error: error.message };
+    }
+
+    const finishedAt = new Date();
+    const outcome = {
+      status: result.status,
+      document_type: result.type || job.document_type,
+      record_id: result.record_id || null,
+      records: result.records || 0, // a partly failed workbook still stored its good sheets
+      error: result.error || null,
+      validation_errors: result.validation_errors || null,
+      skip_reason: result.reason || null,
+      sheets: result.sheets || null, // per-sheet results for multi-sheet workbooks
+      finished_at: finishedAt,
+      duration_ms: finishedAt - startedAt
+    };
+
+    Object.assign(job, outcome);
+    await this._update(job.job_id, outcome);
+    return job;
+  }
+
+  async _update(jobId, fields) {
+    try {
+      await this.collection.updateOne({ job_id: jobId }, { $set: fields });
+      return true;
+    } catch (error) {
+      console.error(`❌ Error updating ingestion job ${jobId}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Jobs left queued/running by a stopped process on this host can never finish - mark them failed.
+   * Jobs of other hosts are left alone: we can't tell whether they are still running.
+   */
+  async recoverInterruptedJobs() {
+    try {
+      const unfinished = await this.collection
+        .find(
+          { status: { $in: [JobStatus.QUEUED, JobStatus.RUNNING] }, instance_id: { $ne: this.owner.instance_id } },
+          { projection: { _id: 0, job_id: 1, host: 1, pid: 1 } }
+        )
+        .toArray();
+
+      // Jobs saved before jobs recorded their process have no owner left to finish them either
+      const interrupted = unfinished
+        .filter(job => !job.host || (job.host === this.owner.host && !isProcessAlive(job.pid)))
+        .map(job => job.job_id);
+      if (interrupted.length === 0) return 0;
+
+      const result = await this.collection.updateMany(
+        { job_id: { $in: interrupted }, status: { $in: [JobStatus.QUEUED, JobStatus.RUNNING] } },
+        {
+          $set: {
+            status: JobStatus.FAILED,
+            error: 'Interrupted before finishing (server stopped)',
+            finished_at: new Date()
+          }
+        }
+      );
+      if (result.modifiedCount > 0) {
+        console.log(`⚠️  Marked ${result.modifiedCount} interrupted ingestion job(s) as failed`);
+      }
+      return result.modifiedCount;
+    } catch (error) {
+      console.error(`❌ Error recovering ingestion jobs: ${error.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * Jobs newest first, optionally filtered by status, document type, source or filename
+   */
+  async getJobs(filters = {}, limit = 100) {
+    try {
+      const query = {};
+      if (filters.status) query.status = filters.status;
+      if (filters.type) query.document_type = filters.type;
+      if (filters.source) query.source = filters.source;
+      if (filters.file) {
+        query.file = { $regex: escapeRegex(filters.file), $options: 'i' };
+      }
+
+      return await this.collection
+        .find(query, { projection: { _id: 0 } })
+        .sort({ queued_at: -1 })
+        .limit(limit)
+        .toArray();
+    } catch (error) {
+      console.error(`❌ Error reading ingestion jobs: ${error.message}`);
+      return [];
+    }
+  }
+
+  async getJob(jobId) {
+    try {
+      return await this.collection.findOne({ job_id: jobId }, { projection: { _id: 0 } });
+    } catch (error) {
+      console.error(`❌ Error reading ingestion job: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Job counts by status and document type, plus the latest finished job
+   */
+  async getStatistics() {
+    try {
+      const jobs = await this.collection
+        .find({}, { projection: { _id: 0, status: 1, document_type: 1, records: 1, finished_at: 1, file: 1 } })
+        .toArray();
+
+      const stats = {
+        total_jobs: jobs.length,
+        total_records: 0,
+        by_status: Object.fromEntries(Object.values(JobStatus).map(status => [status, 0])),
+        by_type: {},
+        last_finished: null
+      };
+
+      jobs.forEach(job => {
+        stats.by_status[job.status] = (stats.by_status[job.status] || 0) + 1;
+        stats.by_type[job.document_type] = (stats.by_type[job.document_type] || 0) + 1;
+        stats.total_records += job.records || 0;
+
+        if (job.finished_at && (!stats.last_finished || job.finished_at > stats.last_finished.finished_at)) {
+          stats.last_finished = { file: job.file, status: job.status, finished_at: job.finished_at };
+        }
+      });
+
+      return stats;
+    } catch (error) {
+      console.error(`❌ Error getting ingestion job statistics: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Delete the job history
+   */
+  async clear() {
+    try {
+      if (!(await this.db.backupBeforeClear('before_clear_ingestion_jobs'))) return 0;
+
+      const result = await this.collection.deleteMany({});
+      console.log(`🗑️ Cleared ${result.deletedCount} ingestion job(s)`);
+      return result.deletedCount;
+    } catch (error) {
+      console.error(`❌ Error clearing ingestion jobs: ${error.message}`);
+      return 0;
+    }
+  }
+}
+
+module.exports = IngestionJobQueue;
+module.exports.JobStatus = JobStatus;
@@ -0,0 +1,152 @@
+// ingestion_ledger.js
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+class IngestionLedger {
+  constructor(db, basePath) {
+    this.db = db;
+    this.basePath = basePath;
+  }
+
+  get collection() {
+    return this.db.db.collection('ingestion_ledger');
+  }
+
+  // Bucket uploads already copied into a type folder, by bucket path and contents
+  get routes() {
+    return this.db.db.collection('ingestion_routes');
+  }
+
+  /**
+   * Ledger key: path relative to uploaded_files (e.g. cor_excel/BSIT_1YR_SECA_COR.xlsx)
+   */
+  _fileKey(filePath) {
+    return path.relative(this.basePath, filePath).split(path.sep).join('/');
+  }
+
+  /**
+   * SHA-256 of the file contents plus its size
+   */
+  async fingerprint(filePath) {
+    const buffer = await fs.readFile(filePath);
+    return {
+      content_hash: crypto.createHash('sha256').update(buffer).digest('hex'),
+      size: buffer.length
+    };
+  }
+
+  /**
+   * Ledger entry of an earlier ingestion with identical contents (any filename), or null
+   */
+  async findIngested(filePath) {
+    try {
+      const { content_hash } = await this.fingerprint(filePath);
+      return await this.collection.findOne({ content_hash });
+    } catch (error) {
+      console.error(`❌ Error checking ingestion ledger: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * True if the file was never ingested or changed since the last ingestion
+   */
+  async hasChanged(filePath) {
+    return !(await this.findIngested(filePath));
+  }
+
+  /**
+   * Record a successful ingestion (one entry per upload path, latest contents win)
+   */
+  async markIngested(filePath, dataType, processedPath = null) {
+    try {
+      const current = await this.fingerprint(filePath);
+      const fileKey = this._fileKey(filePath);
+
+      await this.collection.updateOne(
+        { file_key: fileKey },
+        {
+          $set: {
+            file_key: fileKey,
+            filename: path.basename(filePath),
+            data_type: dataType,
+            content_hash: current.content_hash,
+            size: current.size,
+            processed_path: processedPath,
+            ingested_at: new Date()
+          },
+          $setOnInsert: { first_ingested_at: new Date() }
+        },
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      console.error(`❌ Error updating ingestion ledger: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Route entry for a bucket file with these contents, or null (it has not been routed yet)
+   */
+  async findRouted(bucketPath, contentHash) {
+    try {
+      return await this.routes.findOne({ bucket_path: path.resolve(bucketPath), content_hash: contentHash });
+    } catch (error) {
+      console.error(`❌ Error checking routed uploads: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Remember that a bucket file (these contents) was copied to targetPath
+   */
+  async markRouted(bucketPath, contentHash, targetPath, dataType) {
+    try {
+      await this.routes.updateOne(
+        { bucket_path: path.resolve(bucketPath), content_hash: contentHash },
+        {
+          $set: { target_key: this._fileKey(targetPath), data_type: dataType, routed_at: new Date() },
+          $setOnInsert: { filename: path.basename(bucketPath) }
+        },
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      console.error(`❌ Error recording routed upload: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * All ledger entries (newest first)
+   */
+  async getEntries(filter = {}) {
+    try {
+      return await this.collection.find(filter).sort({ ingested_at: -1 }).toArray();
+    } catch (error) {
+      console.error(`❌ Error reading ingestion ledger: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Forget every ingested and routed file (next scan re-ingests everything)
+   */
+  async clear() {
+    try {
+      if (!(await this.db.backupBeforeClear('before_clear_ingestion_ledger'))) return 0;
+
+      await this.routes.deleteMany({});
+      const result = await this.collection.deleteMany({});
+      console.log(`🗑️ Cleared ${result.deletedCount} ingestion ledger entr${result.deletedCount === 1 ? 'y' : 'ies'}`);
+      return result.deletedCount;
+    } catch (error) {
+      console.error(`❌ Error clearing ingestion ledger: ${error.message}`);
+      return 0;
+    }
+  }
+}
+
+module.exports = IngestionLedger;
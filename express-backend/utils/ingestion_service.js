@@ -0,0 +1,312 @@
+// ingestion_service.js
+const fs = require('fs').promises;
+const path = require('path');
+const { StudentDataExtractor } = require('./main');
+const CORExcelExtractor = require('./cor_excel_extractor');
+const StudentGradesExtractor = require('./student_grades_extractor');
+const TeachingFacultyExtractor = require('./teaching_faculty_extractor');
+const TeachingFacultyScheduleExtractor = require('./teaching_faculty_schedule_extractor');
+const NonTeachingFacultyExtractor = require('./non_teaching_faculty_extractor');
+const NonTeachingScheduleExtractor = require('./non_teaching_schedule_extractor');
+const CurriculumExtractor = require('./curriculum_extractor');
+const AdminExtractor = require('./admin_extractor');
+const GeneralInfoExtractor = require('./general_info_extractor');
+const TeachingFacultyResumeExtractor = require('./teaching_faculty_resume_pdf_extractor');
+const DocumentClassifier = require('./document_classifier');
+const IngestionLedger = require('./ingestion_ledger');
+const { RecordValidationError } = require('./record_schemas');
+const { getSheetNames, isTabularFile } = require('./workbook_reader');
+
+const { DocumentTypes, DocumentTypeFolders } = DocumentClassifier;
+
+/**
+ * Runs the matching extractor + manager store for one uploaded file.
+ * `system` is anything holding db and the managers (SchoolInformationSystem, SchoolApiServer).
+ */
+class IngestionService {
+  constructor(system, options = {}) {
+    this.system = system;
+    this.basePath = options.basePath || system.basePath || path.join(__dirname, 'uploaded_files');
+    this.processedFolder = options.processedFolder || path.join(this.basePath, 'processed');
+    this.dataMode = options.dataMode || system.dataMode || 'persistent';
+
+    this.ledger = new IngestionLedger(system.db, this.basePath);
+    this.classifier = new DocumentClassifier();
+
+    // Extractor + store per document type (Excel extractors read sheetName, or the first sheet)
+    this.handlers = {
+      [DocumentTypes.STUDENT_LIST]: {
+        extract: async (filePath, sheetName) => ({ filePath, sheetName }),
+        // StudentDataExtractor parses and stores each row itself
+        store: async (data) => {
+          const storedIds = await StudentDataExtractor.storeStudents(data.filePath, this.system.db, data.sheetName);
+          if (storedIds.length > 0 && this.system.curriculumManager) {
+            // Students on this sheet follow the curriculum version of their batch
+            await this.system.curriculumManager.tagStudents({ student_id: { $in: storedIds } });
+          }
+          return storedIds.length > 0 ? storedIds : null;
+        },
+        count: (data, storedIds) => storedIds.length
+      },
+      [DocumentTypes.COR]: {
+        extract: (filePath, sheetName) => new CORExcelExtractor().processCORExcel(filePath, sheetName),
+        store: (data) => this.system.corManager.storeCORSchedule(data),
+        count: (data) => data.metadata?.subject_count
+      },
+      [DocumentTypes.STUDENT_GRADES]: {
+        extract: (filePath, sheetName) => new StudentGradesExtractor().processStudentGradesExcel(filePath, sheetName),
+        store: async (data) => {
+          const result = await this.system.gradesManager.storeStudentGrades(data);
+          if (result && result.success && this.system.academicStanding) {
+            // New or re-uploaded grades change that student's standing (and later terms' cumulative GWA)
+            await this.system.academicStanding.evaluate({ student_id: data.metadata.student_number });
+          }
+          return result && result.success ? result : null;
+        },
+        count: (data) => data.metadata?.total_subjects
+      },
+      [DocumentTypes.TEACHING_FACULTY]: {
+        extract: (filePath, sheetName) => new TeachingFacultyExtractor().processTeachingFacultyExcel(filePath, sheetName),
+        store: (data) => this.system.teachingFacultyManager.storeTeachingFaculty(data)
+      },
+      [DocumentTypes.TEACHING_FACULTY_SCHEDULE]: {
+        extract: (filePath, sheetName) => new TeachingFacultyScheduleExtractor().processTeachingFacultyScheduleExcel(filePath, sheetName),
+        store: (data) => this.system.teachingFacultyScheduleManager.storeTeachingFacultySchedule(data),
+        count: (data) => data.metadata?.total_subjects
+      },
+      [DocumentTypes.NON_TEACHING_FACULTY]: {
+        extract: (filePath, sheetName) => new NonTeachingFacultyExtractor().processNonTeachingFacultyExcel(filePath, sheetName),
+        store: (data) => this.system.nonTeachingFacultyManager.storeNonTeachingFaculty(data)
+      },
+      [DocumentTypes.NON_TEACHING_SCHEDULE]: {
+        extract: (filePath, sheetName) => new NonTeachingScheduleExtractor().processNonTeachingScheduleExcel(filePath, sheetName),
+        store: (data) => this.system.nonTeachingScheduleManager.storeNonTeachingSchedule(data),
+        count: (data) => data.metadata?.total_shifts
+      },
+      [DocumentTypes.CURRICULUM]: {
+        extract: (filePath, sheetName) => new CurriculumExtractor().processCurriculumExcel(filePath, sheetName),
+        store: (data) => this.system.curriculumManager.storeCurriculum(data),
+        count: (data) => data.metadata?.total_subjects
+      },
+      [DocumentTypes.ADMIN]: {
+        extract: (filePath, sheetName) => new AdminExtractor().processAdminExcel(filePath, sheetName),
+        store: (data) => this.system.adminManager.storeAdmin(data)
+      },
+      [DocumentTypes.GENERAL_INFO]: {
+        extract: (filePath) => new GeneralInfoExtractor().processGeneralInfoPDF(filePath),
+        store: (data) => this.system.generalInfoManager.storeGeneralInfo(data)
+      },
+      [DocumentTypes.TEACHING_FACULTY_RESUME_PDF]: {
+        extract: (filePath) => new TeachingFacultyResumeExtractor().processTeachingFacultyResumePDF(filePath),
+        store: (data) => this.system.teachingFacultyResumeManager.storeTeachingFacultyResume(data)
+      }
+    };
+  }
+
+  /**
+   * Document type for a file, from the uploaded_files subfolder it sits in
+   */
+  getTypeForPath(filePath) {
+    const folderName = path.basename(path.dirname(filePath));
+    return this.classifier.getTypeForFolder(folderName);
+  }
+
+  /**
+   * Extract + store one file. Returns { status, type, file, record_id, records, error }
+   * status is 'succeeded', 'skipped' or 'failed'.
+   * Workbooks with several sheets are ingested sheet by sheet (see ingestWorkbook).
+   */
+  async ingestFile(filePath, documentType = null) {
+    const file = path.basename(filePath);
+    const type = documentType || this.getTypeForPath(filePath);
+    const handler = this.handlers[type];
+
+    if (!handler) {
+      return { status: 'failed', type, file, error: `No extractor for document type '${type}'` };
+    }
+
+    try {
+      if (!(await this.shouldIngestFile(filePath))) {
+        return { status: 'skipped', type, file, error: null, reason: 'already_ingested' };
+      }
+
+      const sheetNames = isTabularFile(filePath) ? getSheetNames(filePath) : [];
+      if (sheetNames.length > 1) {
+        return await this.ingestWorkbook(filePath, type, sheetNames);
+      }
+
+      const result = await this.ingestSheet(handler, filePath, sheetNames[0] || null);
+      if (result.status === 'succeeded') {
+        await this.markFileIngested(filePath, type);
+      }
+
+      return { ...result, type, file };
+    } catch (error) {
+      return { status: 'failed', type, file, error: error.message };
+    }
+  }
+
+  /**
+   * Every sheet of a workbook is classified and ingested on its own: a sheet the classifier
+   * recognises uses its own type, anything else uses the file's type (its folder).
+   * Unrecognised sheets with nothing to extract are skipped. The file counts as ingested
+   * only when no sheet failed, so failed sheets are retried.
+   */
+  async ingestWorkbook(filePath, documentType, sheetNames) {
+    const file = path.basename(filePath);
+    console.log(`   📑 ${file}: ${sheetNames.length} sheets`);
+
+    const sheets = [];
+    for (const sheetName of sheetNames) {
+      const classification = this.classifier.classifySheet(filePath, sheetName);
+      const type = this.getSheetType(classification, documentType);
+      const handler = this.handlers[type];
+
+      let result = handler
+        ? await this.ingestSheet(handler, filePath, sheetName)
+        : { status: 'failed', error: `No extractor for document type '${type}'` };
+
+      // Cover pages, notes, ... : not recognised and nothing the file's extractor can read either
+      if (result.reason === 'no_data' && classification.type === DocumentTypes.UNKNOWN) {
+        result = { status: 'skipped', error: null, reason: 'unrecognised_sheet' };
+      }
+      sheets.push({ sheet: sheetName, type, confidence: classification.confidence, record_id: null, records: 0, ...result });
+
+      if (result.status === 'succeeded') {
+        console.log(`      ✅ [${sheetName}] ${type} (${result.records} record(s))`);
+      } else if (result.status === 'skipped') {
+        console.log(`      ⏭️  [${sheetName}] not recognised, skipped`);
+      } else {
+        console.log(`      ❌ [${sheetName}] ${type} - ${result.error}`);
+      }
+    }
+
+    const failed = sheets.filter(sheet => sheet.status === 'failed');
+    const succeeded = failed.length === 0 && sheets.some(sheet => sheet.status === 'succeeded');
+    if (succeeded) {
+      await this.markFileIngested(filePath, documentType);
+    }
+
+    let error = null;
+    if (failed.length > 0) {
+      error = `${failed.length} of ${sheets.length} sheet(s) failed: ${failed.map(sheet => `${sheet.sheet} (${sheet.error})`).join('; ')}`;
+    } else if (!succeeded) {
+      error = 'No sheet could be recognised';
+    }
+
+    return {
+      status: succeeded ? 'succeeded' : 'failed',
+      type: documentType,
+      file,
+      record_id: null,
+      records: sheets.reduce((total, sheet) => total + sheet.records, 0),
+      error,
+      validation_errors: failed.find(sheet => sheet.validation_errors)?.validation_errors || null,
+      sheets
+    };
+  }
+
+  /**
+   * Extract + store one sheet (sheetName null = first sheet, or a PDF)
+   * → { status: 'succeeded' | 'failed', record_id, records, error, reason }
+   */
+  async ingestSheet(handler, filePath, sheetName = null) {
+    try {
+      const data = await handler.extract(filePath, sheetName);
+      if (!data) {
+        return { status: 'failed', error: 'Could not extract data', reason: 'no_data' };
+      }
+
+      const recordId = await handler.store(data);
+      if (!recordId) {
+        return { status: 'failed', error: 'Failed to store' };
+      }
+
+      return {
+        status: 'succeeded',
+        record_id: typeof recordId === 'string' ? recordId : null,
+        // count() sees what store() returned, for handlers that only know the row count after storing
+        records: (handler.count && handler.count(data, recordId)) || 1,
+        error: null
+      };
+    } catch (error) {
+      // Schema rejections carry a field-level report
+      return { status: 'failed', error: error.message, validation_errors: error instanceof RecordValidationError ? error.errors : null };
+    }
+  }
+
+  /**
+   * Type a workbook sheet is ingested as: its classified type when the classifier is confident,
+   * otherwise the type of the file
+   */
+  getSheetType(classification, documentType) {
+    const confident = classification.type !== DocumentTypes.UNKNOWN &&
+      classification.confidence >= this.classifier.minConfidence;
+    return confident && this.handlers[classification.type] ? classification.type : documentType;
+  }
+
+  /**
+   * Persistent mode: only ingest files whose contents were not ingested before
+   */
+  async shouldIngestFile(filePath) {
+    if (this.dataMode !== 'persistent') return true;
+
+    const previous = await this.ledger.findIngested(filePath);
+    if (!previous) return true;
+
+    // Identical contents were already ingested - just file it away
+    console.log(`   ℹ️  ${path.basename(filePath)} has the same contents as ${previous.file_key}`);
+    await this.moveToProcessed(filePath);
+    return false;
+  }
+
+  /**
+   * Remember a successfully ingested file in the ledger and move it to processed/
+   */
+  async markFileIngested(filePath, dataType) {
+    // Ephemeral mode wipes the data on exit, so files stay put to be re-ingested next run
+    const processedPath = this.dataMode === 'persistent' ? this.getProcessedPath(filePath) : null;
+    await this.ledger.markIngested(filePath, dataType, processedPath);
+
+    if (processedPath) {
+      await this.moveToProcessed(filePath);
+    }
+  }
+
+  /**
+   * processed/<type folder>/<file> for a file in uploaded_files/<type folder>/
+   */
+  getProcessedPath(filePath) {
+    const relative = path.relative(this.basePath, filePath);
+    return path.join(this.processedFolder, relative);
+  }
+
+  /**
+   * Move an ingested upload into processed/, replacing an older copy with the same name
+   */
+  async moveToProcessed(filePath) {
+    try {
+      const target = this.getProcessedPath(filePath);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.rename(filePath, target);
+      console.log(`   📦 Moved to processed/${path.relative(this.processedFolder, target).split(path.sep).join('/')}`);
+      return target;
+    } catch (error) {
+      console.error(`   ⚠️  Could not move ${path.basename(filePath)} to processed/: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Absolute paths of every watched type folder
+   */
+  getTypeFolders() {
+    return Object.entries(DocumentTypeFolders).map(([type, folder]) => ({
+      type,
+      folder,
+      path: path.join(this.basePath, folder)
+    }));
+  }
+}
+
+module.exports = IngestionService;
@@ -1,14 +1,30 @@
 // studentDatabase.js
 const { MongoClient } = require('mongodb');
 const xlsx = require('xlsx');
+const { readSheet } = require('./workbook_reader');
 const fs = require('fs').promises;
 const path = require('path');
+const departmentRegistry = require('./department_registry');
+const { assertValidRecord, logValidationErrors, RecordValidationError, installValidators } = require('./record_schemas');
+const RecordHistory = require('./record_history');
+const BackupManager = require('./backup_manager');
+const MediaStore = require('./media_store');
+const PendingMediaWorkflow = require('./pending_media_workflow');
+const completenessRules = require('./completeness_rules');
+const DataQualityReport = require('./data_quality_report');
+const gwaCalculator = require('./gwa_calculator');
+const { escapeRegex } = require('./query_helpers');
+const { buildPrerequisiteGraph, getPrerequisiteChain, displayCodes } = require('./prerequisite_graph');
+const { hasEffectiveYear, sortVersions, getBatchYear, selectVersionForBatch, diffCurricula } = require('./curriculum_versions');
+const { GwaCheckStatus } = gwaCalculator;
+const { normalizeSchoolYear, normalizeSemester, compareTerms, termLabel } = require('./academic_terms');
 
 // Field Status Enum
 const FieldStatus = {
   COMPLETE: 'complete',
   WAITING: 'waiting',
-  MISSING: 'missing'
+  MISSING: 'missing',
+  INVALID: 'invalid'
 };
 
 const MediaDefaults = {
@@ -24,6 +40,34 @@ const MediaDefaults = {
   }
 };
 
+// Stable record ID from identifying fields, so re-ingesting a file updates instead of duplicating
+function buildRecordId(prefix, ...parts) {
+  const cleaned = parts
+    .filter(part => part !== undefined && part !== null && String(part).trim() !== '')
+    .map(part => String(part).trim().toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, ''));
+  return [prefix, ...cleaned].join('_');
+}
+
+// Upsert a document by its ID field; created_at (and any insertOnly fields) are only set once
+async function upsertRecord(collection, idField, doc, insertOnlyFields = []) {
+  const $set = { ...doc };
+  const $setOnInsert = { created_at: doc.created_at || new Date() };
+  delete $set.created_at;
+
+  insertOnlyFields.forEach(field => {
+    $setOnInsert[field] = $set[field];
+    delete $set[field];
+  });
+
+  const result = await collection.updateOne(
+    { [idField]: doc[idField] },
+    { $set, $setOnInsert },
+    { upsert: true }
+  );
+
+  return { inserted: result.upsertedCount > 0, result };
+}
+
 class StudentDatabase {
   constructor(connectionString = null, databaseName = 'school_system') {
   this.connectionString = connectionString || 'mongodb://localhost:27017/';
@@ -31,16 +75,29 @@ class StudentDatabase {
   this.client = null;
   this.db = null;
   
-  // Department collections (NEW!)
-  this.collections = {
-    ccs: null,
-    chtm: null,
-    cba: null,
-    cte: null,
-    unknown: null
-  };
+  // Department collections, one per college in the department registry (+ unknown)
+  this.collections = Object.fromEntries(
+    departmentRegistry.getCollectionKeys('college').map(dept => [dept, null])
+  );
   
   this.pendingMedia = null;
+
+  // Assignment, reminders and completion log for pending_media
+  this.pendingWorkflow = new PendingMediaWorkflow(this);
+
+  // Versioned change history of student and faculty records
+  this.history = new RecordHistory(this);
+
+  // Every clear backs up the whole database first (AUTO_BACKUP_BEFORE_CLEAR=false to turn off)
+  this.backupManager = new BackupManager(this);
+  this.autoBackupBeforeClear = process.env.AUTO_BACKUP_BEFORE_CLEAR !== 'false';
+  this._autoBackupHolds = 0;
+
+  // Photos and recordings live in GridFS; records only keep a reference
+  this.mediaStore = new MediaStore(this);
+
+  // Missing/invalid fields per collection, department and section (completeness_rules.json)
+  this.dataQuality = new DataQualityReport(this);
   }
 
   async connect() {
@@ -56,11 +113,9 @@ class StudentDatabase {
     this.db = this.client.db(this.databaseName);
     
     // Initialize department collections
-    this.collections.ccs = this.db.collection('students_ccs');
-    this.collections.chtm = this.db.collection('students_chtm');
-    this.collections.cba = this.db.collection('students_cba');
-    this.collections.cte = this.db.collection('students_cte');
-    this.collections.unknown = this.db.collection('students_unknown');
+    Object.keys(this.collections).forEach(dept => {
+      this.collections[dept] = this.db.collection(`students_${dept}`);
+    });
     
     this.pendingMedia = this.db.collection('pending_media');
 
@@ -98,18 +153,33 @@ class StudentDatabase {
     }
   }
 
+  // Grades are kept per student and term
+  for (const dept of Object.keys(this.collections)) {
+    await this.db.collection(`grades_${dept}`).createIndex({ student_id: 1, school_year: 1, semester: 1 });
+  }
+
   // Pending media indexes
   await this.pendingMedia.createIndex({ student_id: 1 });
   await this.pendingMedia.createIndex({ department: 1 });
   await this.pendingMedia.createIndex({ status: 1 });
+  await this.pendingWorkflow.ensureIndexes();
+
+  await this.history.ensureIndexes();
 }
 
 
 _getCollectionByDepartment(department) {
-  const dept = (department || 'UNKNOWN').toLowerCase();
+  const dept = departmentRegistry.collectionKey('college', department);
   return this.collections[dept] || this.collections.unknown;
 }
 
+  /**
+   * Install the record schemas as MongoDB collection validators
+   */
+  async installSchemaValidators(options = {}) {
+    return installValidators(this.db, options);
+  }
+
 
   async createStudentRecord(data, source = 'file_extraction') {
   try {
@@ -126,88 +196,92 @@ _getCollectionByDepartment(department) {
       guardian_contact: data.guardian_contact || '',
       department: data.department || 'UNKNOWN',
       descriptor: data.descriptor || null,
+      source_file: data.source_file || null,
 
       image: {
-        data: data.image_data || null,
+        data: null,
         filename: data.image_filename || null,
         status: source === 'file_extraction' 
           ? FieldStatus.WAITING 
           : (data.image_data ? FieldStatus.COMPLETE : FieldStatus.WAITING)
       },
       audio: {
-        data: data.audio_data || null,
+        data: null,
         filename: data.audio_filename || null,
         status: source === 'file_extraction'
           ? FieldStatus.WAITING
           : (data.audio_data ? FieldStatus.COMPLETE : FieldStatus.WAITING)
       },
 
-      field_status: this._determineFieldStatus(data, source),
       source: source,
       created_at: new Date(),
-      updated_at: new Date(),
-      completion_percentage: this._calculateCompletion(data, source)
+      updated_at: new Date()
     };
 
     // Get the appropriate collection based on department
     const collection = this._getCollectionByDepartment(studentDoc.department);
 
-    const result = await collection.updateOne(
+    // Re-ingesting a list must not detach media or a descriptor the student already has:
+    // those (and created_at) are only written when the record is new, unless this call brings them
+    const insertOnlyFields = ['image', 'audio', 'descriptor'].filter(field =>
+      field === 'descriptor' ? !data.descriptor : !data[`${field}_data`]
+    );
+    const existing = await collection.findOne(
       { student_id: studentDoc.student_id },
-      { $set: studentDoc },
-      { upsert: true }
+      { projection: { 'image.data': 0, 'audio.data': 0 } }
     );
+    const stored = { ...studentDoc };
+    if (existing) {
+      insertOnlyFields.forEach(field => {
+        if (existing[field] !== undefined) stored[field] = existing[field];
+      });
+    }
+
+    // field_status and completion come from the student completeness rules, over what will be stored
+    const completeness = completenessRules.evaluate('student', stored, { source });
+    studentDoc.field_status = completeness.field_status;
+    studentDoc.completion_percentage = completeness.completion_percentage;
 
-    if (studentDoc.image.status === FieldStatus.WAITING || 
-        studentDoc.audio.status === FieldStatus.WAITING) {
-      await this._addToPendingMedia(studentDoc);
+    assertValidRecord('student', studentDoc);
+
+    // Media handed in with the record goes to GridFS like any later upload
+    for (const mediaType of ['image', 'audio']) {
+      const mediaData = data[`${mediaType}_data`];
+      if (!mediaData) continue;
+
+      Object.assign(studentDoc[mediaType], await this.mediaStore.saveMedia(
+        mediaData,
+        studentDoc[mediaType].filename || `${studentDoc.student_id}_${mediaType}`,
+        { record_type: 'student', record_id: studentDoc.student_id, media_type: mediaType, department: studentDoc.department }
+      ));
+    }
+
+    await this.history.track({
+      recordType: 'student',
+      collection,
+      recordId: studentDoc.student_id,
+      source,
+      sourceFile: studentDoc.source_file
+    }, () => upsertRecord(collection, 'student_id', studentDoc, insertOnlyFields));
+
+    if (stored.image?.status === FieldStatus.WAITING || 
+        stored.audio?.status === FieldStatus.WAITING) {
+      await this._addToPendingMedia(stored);
     }
 
     console.log(`✅ Student record created/updated in ${studentDoc.department}: ${studentDoc.student_id}`);
     return studentDoc.student_id;
 
   } catch (error) {
+    if (error instanceof RecordValidationError) {
+      logValidationErrors(error, data.student_id || data.full_name);
+      return null;
+    }
     console.error(`❌ Error creating student record: ${error.message}`);
     return null;
   }
 }
 
-  _determineFieldStatus(data, source) {
-    const fieldStatus = {};
-    const textFields = ['student_id', 'surname', 'first_name', 'course', 'section', 'year'];
-
-    textFields.forEach(field => {
-      const value = data[field] || '';
-      if (source === 'manual_input') {
-        fieldStatus[field] = value ? FieldStatus.COMPLETE : FieldStatus.WAITING;
-      } else {
-        fieldStatus[field] = value ? FieldStatus.COMPLETE : FieldStatus.MISSING;
-      }
-    });
-
-    fieldStatus.image = FieldStatus.WAITING;
-    fieldStatus.audio = FieldStatus.WAITING;
-
-    return fieldStatus;
-  }
-
-  _calculateCompletion(data, source) {
-    const totalFields = 9;
-    let completed = 0;
-
-    const textFields = ['student_id', 'surname', 'first_name', 'course', 'section', 'year'];
-  textFields.forEach(field => {
-    if (data[field]) completed++;
-  });
-
-  if (data.image_data) completed++;
-  if (data.audio_data) completed++;
-  // Add descriptor check
-  if (data.descriptor) completed++;  // ← ADD THIS LINE
-
-  return (completed / totalFields) * 100;
-}
-
   async _addToPendingMedia(studentDoc) {
     const pendingDoc = {
       student_id: studentDoc.student_id,
@@ -215,6 +289,7 @@ _getCollectionByDepartment(department) {
       course: studentDoc.course,
       section: studentDoc.section,
       year: studentDoc.year,
+      department: studentDoc.department,
       waiting_for: {
         image: studentDoc.image.status === FieldStatus.WAITING,
         audio: studentDoc.audio.status === FieldStatus.WAITING
@@ -233,21 +308,32 @@ _getCollectionByDepartment(department) {
   try {
     // Get the appropriate collection
     const collection = this._getCollectionByDepartment(department);
-    
+
+    const existing = await collection.findOne({ student_id: studentId });
+    if (!existing) {
+      console.log(`⚠️ Student ${studentId} not found`);
+      return false;
+    }
+
+    const stored = await this.mediaStore.saveMedia(mediaData, filename, {
+      record_type: 'student', record_id: studentId, media_type: mediaType, department
+    });
+
     const updateData = {
-      [`${mediaType}.data`]: mediaData,
-      [`${mediaType}.filename`]: filename,
+      ...this.mediaStore.toMediaUpdate(mediaType, stored),
       [`${mediaType}.status`]: FieldStatus.COMPLETE,
       [`field_status.${mediaType}`]: FieldStatus.COMPLETE,
       updated_at: new Date()
     };
 
-    const result = await collection.updateOne(
-      { student_id: studentId },
-      { $set: updateData }
+    const result = await this.history.track(
+      { recordType: 'student', collection, recordId: studentId, source: 'media_upload', sourceFile: filename },
+      () => collection.updateOne({ student_id: studentId }, { $set: updateData })
     );
 
     if (result.modifiedCount > 0) {
+      // The replaced photo/recording is no longer referenced
+      await this.mediaStore.deleteMedia(existing[mediaType]);
       await this._updateCompletionPercentage(studentId, department);
       await this._checkPendingMediaComplete(studentId, department);
       console.log(`✅ Updated ${mediaType} for student ${studentId}`);
@@ -268,23 +354,11 @@ _getCollectionByDepartment(department) {
   const student = await collection.findOne({ student_id: studentId });
   if (!student) return;
 
-  const totalFields = 9;
-  let completed = 0;
-
-  const textFields = ['student_id', 'surname', 'first_name', 'course', 'section', 'year'];
-  textFields.forEach(field => {
-    if (student[field]) completed++;
-  });
-
-  if (student.image?.status === FieldStatus.COMPLETE) completed++;
-  if (student.audio?.status === FieldStatus.COMPLETE) completed++;
-  if (student.descriptor) completed++;
-
-  const completion = (completed / totalFields) * 100;
+  const { field_status, completion_percentage } = completenessRules.evaluate('student', student, { source: student.source });
 
   await collection.updateOne(
     { student_id: studentId },
-    { $set: { completion_percentage: completion } }
+    { $set: { field_status, completion_percentage } }
   );
 }
 
@@ -293,14 +367,17 @@ async updateDescriptor(studentId, descriptor, department) {
   try {
     const collection = this._getCollectionByDepartment(department);
     
-    const result = await collection.updateOne(
-      { student_id: studentId },
-      { 
-        $set: { 
-          descriptor: descriptor,
-          updated_at: new Date()
-        } 
-      }
+    const result = await this.history.track(
+      { recordType: 'student', collection, recordId: studentId, source: 'descriptor_update' },
+      () => collection.updateOne(
+        { student_id: studentId },
+        { 
+          $set: { 
+            descriptor: descriptor,
+            updated_at: new Date()
+          } 
+        }
+      )
     );
 
     if (result.modifiedCount > 0) {
@@ -326,25 +403,35 @@ async updateDescriptor(studentId, descriptor, department) {
   const imageComplete = student.image?.status === FieldStatus.COMPLETE;
   const audioComplete = student.audio?.status === FieldStatus.COMPLETE;
 
-  if (imageComplete && audioComplete) {
-    await this.pendingMedia.deleteOne({ student_id: studentId });
+  // Keeps the pending entry in step with what is still missing and logs what came in
+  const progress = await this.pendingWorkflow.recordProgress('student', studentId, {
+    image: !imageComplete,
+    audio: !audioComplete
+  });
+
+  if (progress?.done) {
     console.log(`🎉 Student ${studentId} completed all media requirements`);
   }
 }
 
-  async getPendingMediaStudents() {
-    return await this.pendingMedia.find({}).toArray();
+  /**
+   * Students still waiting for media (filters: department, course, year, section, missing, assigned_to, overdue)
+   */
+  async getPendingMediaStudents(filters = {}) {
+    return await this.pendingWorkflow.getPendingItems({ ...filters, type: 'student' });
   }
 
   async searchStudents(query = null, filters = null) {
   const searchFilter = {};
 
   if (query) {
+    // Literal text search: ?q= comes straight from the API and exports
+    const pattern = escapeRegex(String(query).trim());
     searchFilter.$or = [
-      { surname: { $regex: query, $options: 'i' } },
-      { first_name: { $regex: query, $options: 'i' } },
-      { full_name: { $regex: query, $options: 'i' } },
-      { student_id: { $regex: query, $options: 'i' } }
+      { surname: { $regex: pattern, $options: 'i' } },
+      { first_name: { $regex: pattern, $options: 'i' } },
+      { full_name: { $regex: pattern, $options: 'i' } },
+      { student_id: { $regex: pattern, $options: 'i' } }
     ];
   }
 
@@ -411,6 +498,12 @@ async updateDescriptor(studentId, descriptor, department) {
       status: displayStudent.image?.status || FieldStatus.WAITING,
       is_default: true
     };
+  } else if (MediaStore.isStored(displayStudent.image)) {
+    displayStudent.image.is_default = false;
+    displayStudent.image.display_path = `/api/v1/students/${displayStudent.student_id}/media/image`;
+    displayStudent.image.thumbnail_path = displayStudent.image.thumbnail_id
+      ? `${displayStudent.image.display_path}?thumbnail=true`
+      : displayStudent.image.display_path;
   } else {
     displayStudent.image.is_default = false;
     displayStudent.image.display_path = `/images/${displayStudent.image.filename}`;
@@ -431,7 +524,9 @@ async updateDescriptor(studentId, descriptor, department) {
     };
   } else {
     displayStudent.audio.is_default = false;
-    displayStudent.audio.display_path = `/audio/${displayStudent.audio.filename}`;
+    displayStudent.audio.display_path = MediaStore.isStored(displayStudent.audio)
+      ? `/api/v1/students/${displayStudent.student_id}/media/audio`
+      : `/audio/${displayStudent.audio.filename}`;
   }
 
   return displayStudent;
@@ -524,13 +619,20 @@ async getStudentsWithDefaults(query = null, filters = null) {
   }
 
   async exportToDict() {
+    const students = [];
+    for (const collection of Object.values(this.collections)) {
+      students.push(...await collection.find({}).toArray());
+    }
+
     return {
-      students: await this.students.find({}).toArray(),
+      students,
       pending_media: await this.pendingMedia.find({}).toArray()
     };
   }
 
   async clearAllData() {
+  if (!(await this.backupBeforeClear('before_clear_students'))) return;
+
   // Clear all department collections
   for (const collection of Object.values(this.collections)) {
     await collection.deleteMany({});
@@ -539,6 +641,34 @@ async getStudentsWithDefaults(query = null, filters = null) {
   console.log('🗑️ All data cleared from all department collections');
 }
 
+  /**
+   * Back up the whole database before a clear. Returns false when the backup failed,
+   * in which case the caller must not clear. Skipped inside withoutAutoBackup().
+   */
+  async backupBeforeClear(reason) {
+    if (!this.autoBackupBeforeClear || this._autoBackupHolds > 0) return true;
+
+    console.log(`💾 Backing up before clearing (${reason})...`);
+    const backupPath = await this.backupManager.createBackup(reason);
+    if (!backupPath) {
+      console.log('❌ Backup failed - nothing was cleared');
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Run several clears that were already covered by one backup
+   */
+  async withoutAutoBackup(operation) {
+    this._autoBackupHolds++;
+    try {
+      return await operation();
+    } finally {
+      this._autoBackupHolds--;
+    }
+  }
+
 async getStudentsByDepartment(department) {
   const collection = this._getCollectionByDepartment(department);
   return await collection.find({}).sort({ 
@@ -594,72 +724,96 @@ async getDepartmentStatistics(department) {
 }
 
 class StudentDataExtractor {
-  static async processExcel(filePath, db) {
-    try {
-      const workbook = xlsx.readFile(filePath);
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
-      const data = xlsx.utils.sheet_to_json(worksheet);
-
-      const columnMapping = {
-        'student id': 'student_id',
-        'id no': 'student_id',
-        'id': 'student_id',
-        'full name': 'full_name',
-        'name': 'full_name',
-        'surname': 'surname',
-        'first name': 'first_name',
-        'year': 'year',
-        'course': 'course',
-        'section': 'section',
-        'contact number': 'contact_number',
-        'guardian name': 'guardian_name',
-        'guardian contact': 'guardian_contact'
-      };
+  static columnMapping = {
+    'student id': 'student_id',
+    'id no': 'student_id',
+    'id': 'student_id',
+    'full name': 'full_name',
+    'name': 'full_name',
+    'surname': 'surname',
+    'first name': 'first_name',
+    'year': 'year',
+    'course': 'course',
+    'section': 'section',
+    'contact number': 'contact_number',
+    'guardian name': 'guardian_name',
+    'guardian contact': 'guardian_contact'
+  };
 
-      let processedCount = 0;
+  /**
+   * Parse a student list without storing anything
+   */
+  static extractStudents(filePath, sheetName = null) {
+    const { worksheet } = readSheet(filePath, sheetName);
+    const data = xlsx.utils.sheet_to_json(worksheet);
 
-      for (const row of data) {
-        const studentData = {};
+    const students = [];
 
-        const normalizedRow = {};
-        Object.keys(row).forEach(key => {
-          normalizedRow[key.toLowerCase().trim()] = row[key];
-        });
+    for (const row of data) {
+      const studentData = {};
 
-        Object.keys(columnMapping).forEach(colHeader => {
-          const dataKey = columnMapping[colHeader];
-          if (normalizedRow[colHeader] !== undefined && normalizedRow[colHeader] !== null) {
-            const rawValue = String(normalizedRow[colHeader]).trim();
-            if (rawValue && !['nan', '', 'null'].includes(rawValue.toLowerCase())) {
-              studentData[dataKey] = this.cleanValue(rawValue, dataKey);
-            }
-          }
-        });
+      const normalizedRow = {};
+      Object.keys(row).forEach(key => {
+        normalizedRow[key.toLowerCase().trim()] = row[key];
+      });
 
-        if (studentData.course) {
-          studentData.department = this.detectDepartment(studentData.course);
+      Object.keys(this.columnMapping).forEach(colHeader => {
+        const dataKey = this.columnMapping[colHeader];
+        if (normalizedRow[colHeader] !== undefined && normalizedRow[colHeader] !== null) {
+          const rawValue = String(normalizedRow[colHeader]).trim();
+          if (rawValue && !['nan', '', 'null'].includes(rawValue.toLowerCase())) {
+            studentData[dataKey] = this.cleanValue(rawValue, dataKey);
+          }
         }
+      });
 
-        if (!studentData.full_name && studentData.surname && studentData.first_name) {
-          studentData.full_name = `${studentData.surname}, ${studentData.first_name}`;
-        }
+      if (studentData.course) {
+        studentData.department = this.detectDepartment(studentData.course);
+      }
 
-        if (studentData.student_id || studentData.full_name) {
-          const result = await db.createStudentRecord(studentData, 'file_extraction');
-          if (result) processedCount++;
-        }
+      if (!studentData.full_name && studentData.surname && studentData.first_name) {
+        studentData.full_name = `${studentData.surname}, ${studentData.first_name}`;
       }
 
-      console.log(`📊 Processed ${processedCount} students from Excel`);
-      return processedCount > 0;
+      if (studentData.student_id || studentData.full_name) {
+        students.push(studentData);
+      }
+    }
+
+    return students;
+  }
+
+  /**
+   * Parse and store a student list → student_ids of the rows that were stored
+   */
+  static async storeStudents(filePath, db, sheetName = null) {
+    const storedIds = [];
+
+    try {
+      const students = this.extractStudents(filePath, sheetName);
+
+      for (const studentData of students) {
+        studentData.source_file = path.basename(filePath);
+        const studentId = await db.createStudentRecord(studentData, 'file_extraction');
+        if (studentId) storedIds.push(studentId);
+      }
+
+      console.log(`📊 Processed ${storedIds.length} students from Excel`);
+      if (storedIds.length < students.length) {
+        console.log(`⚠️  ${students.length - storedIds.length} row(s) were not stored (see errors above)`);
+      }
+      return storedIds;
 
     } catch (error) {
       console.error(`❌ Error processing Excel: ${error.message}`);
-      return false;
+      return storedIds;
     }
   }
 
+  static async processExcel(filePath, db, sheetName = null) {
+    return (await this.storeStudents(filePath, db, sheetName)).length > 0;
+  }
+
   static cleanValue(value, fieldType) {
     if (!value) return null;
 
@@ -685,24 +839,7 @@ class StudentDataExtractor {
   }
 
   static detectDepartment(courseCode) {
-    if (!courseCode) return 'UNKNOWN';
-
-    const courseUpper = String(courseCode).toUpperCase().trim();
-
-    const knownCourses = {
-      'CCS': ['BSCS', 'BSIT'],
-      'CHTM': ['BSHM', 'BSTM'],
-      'CBA': ['BSBA', 'BSOA'],
-      'CTE': ['BECED', 'BTLE']
-    };
-
-    for (const [dept, courses] of Object.entries(knownCourses)) {
-      if (courses.includes(courseUpper)) {
-        return dept;
-      }
-    }
-
-    return 'UNKNOWN';
+    return departmentRegistry.detectDepartment(courseCode);
   }
 }
 
@@ -718,14 +855,18 @@ class CORScheduleManager {
    */
   async storeCORSchedule(corData) {
   try {
-    const dept = (corData.metadata.department || 'UNKNOWN').toLowerCase();
+    const dept = departmentRegistry.collectionKey('college', corData.metadata.department);
     
     // Get the schedules collection for this department
     const collection = this.db.db.collection(`schedules_${dept}`);
     
     const scheduleDoc = {
       // Identification
-      schedule_id: `COR_${corData.metadata.department}_${corData.metadata.course}_Y${corData.metadata.year}_${corData.metadata.section}_${Date.now()}`,
+      // One COR per section per term; a sheet without a term keeps the term-less id
+      schedule_id: buildRecordId(
+        'COR', corData.metadata.department, corData.metadata.course, `Y${corData.metadata.year}`, corData.metadata.section,
+        corData.metadata.school_year, corData.metadata.semester
+      ),
       
       // Program Information
       course: corData.metadata.course,
@@ -733,6 +874,8 @@ class CORScheduleManager {
       year: corData.metadata.year,  // ← CHANGED from year_level
       adviser: corData.metadata.adviser,
       department: corData.metadata.department,
+      school_year: normalizeSchoolYear(corData.metadata.school_year),
+      semester: normalizeSemester(corData.metadata.semester),
       
       // Schedule Summary
       total_units: corData.metadata.total_units,
@@ -752,16 +895,21 @@ class CORScheduleManager {
       updated_at: new Date()
     };
 
-    // Insert the document
-    const result = await collection.insertOne(scheduleDoc);
+    assertValidRecord('cor_schedule', scheduleDoc);
+
+    // Upsert by schedule_id (re-processing the same COR updates it)
+    const { inserted } = await upsertRecord(collection, 'schedule_id', scheduleDoc);
 
-    console.log(`✅ COR schedule stored in: schedules_${dept}`);
+    console.log(`✅ COR schedule ${inserted ? 'stored' : 'updated'} in: schedules_${dept}`);
     console.log(`   Schedule ID: ${scheduleDoc.schedule_id}`);
-    console.log(`   MongoDB _id: ${result.insertedId}`);
     
     return scheduleDoc.schedule_id;
 
   } catch (error) {
+    if (error instanceof RecordValidationError) {
+      logValidationErrors(error, corData.metadata?.source_file);
+      throw error;
+    }
     console.error(`❌ Error storing COR: ${error.message}`);
     return null;
   }
@@ -787,16 +935,22 @@ async getCORSchedules(filters = {}) {
     if (filters.section) {
       query.section = filters.section;
     }
+    if (filters.school_year) {
+      query.school_year = normalizeSchoolYear(filters.school_year);
+    }
+    if (filters.semester) {
+      query.semester = normalizeSemester(filters.semester);
+    }
 
     // If department filter is specified, search only that collection
     if (filters.department) {
-      const dept = filters.department.toLowerCase();
+      const dept = departmentRegistry.collectionKey('college', filters.department);
       const collection = this.db.db.collection(`schedules_${dept}`);
       return await collection.find(query).toArray();
     }
 
     // Otherwise, search all department collections
-    const departments = ['ccs', 'chtm', 'cba', 'cte', 'unknown'];
+    const departments = departmentRegistry.getCollectionKeys('college');
     const allSchedules = [];
 
     for (const dept of departments) {
@@ -822,7 +976,7 @@ async getCORSchedules(filters = {}) {
    */
   async getAllCORSchedules() {
     try {
-      const departments = ['ccs', 'chtm', 'cba', 'cte', 'unknown'];
+      const departments = departmentRegistry.getCollectionKeys('college');
       const allSchedules = [];
 
       for (const dept of departments) {
@@ -904,9 +1058,15 @@ class StudentGradesManager {
     console.log(`✅ Student ${studentNumber} exists: ${existingStudent.full_name}`);
 
     // Store grades in the student's department collection
-    const dept = (existingStudent.department || 'UNKNOWN').toLowerCase();
+    const dept = departmentRegistry.collectionKey('college', existingStudent.department);
     const collection = this.db.db.collection(`grades_${dept}`);
 
+    // Our unit-weighted GWA from the subject rows, checked against the one on the sheet
+    const gwaCheck = gwaCalculator.verify(gradesData.grades_info.grades, gradesData.metadata.gwa);
+    if (gwaCheck.status === GwaCheckStatus.MISMATCH) {
+      console.log(`⚠️  GWA mismatch for ${studentNumber}: sheet says ${gwaCheck.sheet_gwa}, subjects give ${gwaCheck.computed_gwa}`);
+    }
+
     const gradesDoc = {
       student_id: studentNumber,
       student_name: gradesData.metadata.student_name,
@@ -915,9 +1075,15 @@ class StudentGradesManager {
       department: existingStudent.department,
       year: existingStudent.year,  // ← CHANGED from year_level
       section: existingStudent.section,
+
+      // Term the sheet covers (null when the sheet does not say)
+      school_year: gradesData.metadata.school_year || null,
+      semester: gradesData.metadata.semester || null,
       
-      // Grades data
-      gwa: gradesData.metadata.gwa,
+      // Grades data (gwa is ours; the sheet's stays in sheet_gwa)
+      gwa: gwaCheck.computed_gwa ?? gwaCheck.sheet_gwa,
+      sheet_gwa: gradesData.metadata.gwa || null,
+      gwa_check: this._toGwaCheck(gwaCheck),
       total_subjects: gradesData.metadata.total_subjects,
       grades: gradesData.grades_info.grades,
       
@@ -928,56 +1094,225 @@ class StudentGradesManager {
       updated_at: new Date()
     };
 
-    // Check if grades already exist for this student
-    const existing = await collection.findOne({ student_id: studentNumber });
+    assertValidRecord('student_grades', gradesDoc);
+
+    // One document per student and term; another term's sheet adds to the history instead of replacing it
+    const termQuery = { student_id: studentNumber, school_year: gradesDoc.school_year, semester: gradesDoc.semester };
+    const existing = await collection.findOne(termQuery);
     
     if (existing) {
-      // Update existing grades
+      // Re-upload of the same term
       await collection.updateOne(
-        { student_id: studentNumber },
+        { _id: existing._id },
         { $set: gradesDoc }
       );
-      console.log(`✅ Updated grades for ${studentNumber} in grades_${dept}`);
+      console.log(`✅ Updated ${termLabel(gradesDoc)} grades for ${studentNumber} in grades_${dept}`);
     } else {
       // Insert new grades
       await collection.insertOne(gradesDoc);
-      console.log(`✅ Stored grades for ${studentNumber} in grades_${dept}`);
+      console.log(`✅ Stored ${termLabel(gradesDoc)} grades for ${studentNumber} in grades_${dept}`);
     }
 
-    return { success: true, department: dept };
+    return { success: true, department: dept, school_year: gradesDoc.school_year, semester: gradesDoc.semester };
 
   } catch (error) {
+    if (error instanceof RecordValidationError) {
+      logValidationErrors(error, gradesData.metadata?.source_file);
+      throw error;
+    }
     console.error(`❌ Error storing grades: ${error.message}`);
     return { success: false, reason: error.message };
   }
 }
 
   /**
-   * Get student grades
+   * gwa_check as stored on a grades record
+   */
+  _toGwaCheck(check) {
+    return {
+      status: check.status,
+      computed_gwa: check.computed_gwa,
+      difference: check.difference,
+      tolerance: check.tolerance,
+      total_units: check.total_units,
+      counted_subjects: check.counted_subjects,
+      excluded: check.excluded,
+      checked_at: new Date()
+    };
+  }
+
+  /**
+   * Recompute gwa/gwa_check of stored grades from their subject rows (after gwa_policy.json changes)
+   * → { checked, updated, mismatches }
    */
-  async getStudentGrades(studentId, department = null) {
+  async recomputeGwa(filters = {}) {
+    const summary = { checked: 0, updated: 0, mismatches: 0 };
+
     try {
-      if (department) {
-        const collection = this.db.db.collection(`grades_${department.toLowerCase()}`);
-        return await collection.findOne({ student_id: studentId });
+      // Pick up edits to gwa_policy.json made since the server started
+      gwaCalculator.reload();
+
+      for (const record of await this.getGrades(filters)) {
+        const collection = this.db.db.collection(departmentRegistry.collectionName('grades', 'college', record.department));
+        // Records stored before the GWA check only have the sheet's value, in gwa
+        const sheetGwa = 'sheet_gwa' in record ? record.sheet_gwa : (record.gwa ?? null);
+        const check = gwaCalculator.verify(record.grades, sheetGwa);
+        const gwa = check.computed_gwa ?? check.sheet_gwa;
+
+        summary.checked++;
+        if (check.status === GwaCheckStatus.MISMATCH) summary.mismatches++;
+
+        if (gwa !== record.gwa || check.status !== record.gwa_check?.status ||
+            check.computed_gwa !== record.gwa_check?.computed_gwa) {
+          await collection.updateOne(
+            { _id: record._id },
+            {
+              $set: {
+                gwa,
+                sheet_gwa: sheetGwa,
+                gwa_check: this._toGwaCheck(check),
+                updated_at: new Date()
+              }
+            }
+          );
+          summary.updated++;
+        }
       }
 
-      // Search all department collections
-      const departments = ['ccs', 'chtm', 'cba', 'cte', 'unknown'];
+      console.log(`✅ GWA checked for ${summary.checked} student(s): ${summary.updated} updated, ${summary.mismatches} mismatch(es) with the sheet`);
+      return summary;
+    } catch (error) {
+      console.error(`❌ Error recomputing GWA: ${error.message}`);
+      return summary;
+    }
+  }
+
+  /**
+   * Grades records whose stated GWA does not match the subject rows
+   */
+  async getGwaMismatches(filters = {}) {
+    const grades = await this.getGrades(filters);
+    return grades.filter(record => record.gwa_check?.status === GwaCheckStatus.MISMATCH);
+  }
+
+  /**
+   * Get a student's grades for one term ({ school_year, semester }), or their latest term
+   */
+  async getStudentGrades(studentId, department = null, term = null) {
+    try {
+      const terms = await this._getStudentTerms(studentId, department);
+      if (!term) return terms[terms.length - 1] || null;
+
+      const schoolYear = normalizeSchoolYear(term.school_year);
+      const semester = normalizeSemester(term.semester);
+      return terms.find(record =>
+        (!term.school_year || record.school_year === schoolYear) &&
+        (!term.semester || record.semester === semester)
+      ) || null;
+    } catch (error) {
+      console.error(`❌ Error getting grades: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Every term of a student's grades with per-term and cumulative GWA
+   * → { student_id, full_name, course, department, terms: [...], cumulative_gwa, total_units, ... } or null
+   * Cumulative GWA weighs every counted subject row of every term by its units (gwa_policy.json applies).
+   */
+  async getAcademicHistory(studentId, department = null) {
+    try {
+      const terms = await this._getStudentTerms(studentId, department);
+      if (terms.length === 0) return null;
+
+      const latest = terms[terms.length - 1];
+      const cumulative = gwaCalculator.compute(terms.flatMap(record => record.grades || []));
+
+      return {
+        student_id: latest.student_id,
+        full_name: latest.full_name || latest.student_name,
+        course: latest.course,
+        department: latest.department,
+        year: latest.year,
+        section: latest.section,
+        terms: terms.map(record => ({
+          school_year: record.school_year ?? null,
+          semester: record.semester ?? null,
+          term: termLabel(record),
+          gwa: record.gwa,
+          sheet_gwa: record.sheet_gwa ?? null,
+          gwa_check: record.gwa_check?.status || null,
+          units: record.gwa_check?.total_units ?? null,
+          total_subjects: record.total_subjects,
+          grades: record.grades,
+          source_file: record.source_file
+        })),
+        total_terms: terms.length,
+        cumulative_gwa: cumulative.gwa,
+        total_units: cumulative.total_units,
+        counted_subjects: cumulative.counted_subjects,
+        excluded_subjects: cumulative.excluded
+      };
+    } catch (error) {
+      console.error(`❌ Error getting academic history: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * All of a student's grade documents, oldest term first
+   */
+  async _getStudentTerms(studentId, department = null) {
+    const departments = department
+      ? [departmentRegistry.collectionKey('college', department)]
+      : departmentRegistry.getCollectionKeys('college');
+    const terms = [];
+
+    for (const dept of departments) {
+      try {
+        const collection = this.db.db.collection(`grades_${dept}`);
+        terms.push(...await collection.find({ student_id: studentId }).toArray());
+      } catch {
+        continue;
+      }
+    }
+
+    return terms.sort(compareTerms);
+  }
+
+  /**
+   * Grade records (one per student and term) filtered by department, course, year, section,
+   * student, school_year or semester
+   */
+  async getGrades(filters = {}) {
+    try {
+      const query = { data_type: 'student_grades' };
+      ['course', 'section', 'student_id'].forEach(key => {
+        if (filters[key]) query[key] = filters[key];
+      });
+      if (filters.year) query.year = String(filters.year);
+      if (filters.school_year) query.school_year = normalizeSchoolYear(filters.school_year);
+      if (filters.semester) query.semester = normalizeSemester(filters.semester);
+
+      const departments = filters.department
+        ? [departmentRegistry.collectionKey('college', filters.department)]
+        : departmentRegistry.getCollectionKeys('college');
+      const allGrades = [];
+
       for (const dept of departments) {
         try {
           const collection = this.db.db.collection(`grades_${dept}`);
-          const grades = await collection.findOne({ student_id: studentId });
-          if (grades) return grades;
+          const grades = await collection.find(query).toArray();
+          allGrades.push(...grades);
         } catch {
           continue;
         }
       }
 
-      return null;
+      return allGrades;
     } catch (error) {
       console.error(`❌ Error getting grades: ${error.message}`);
-      return null;
+      return [];
     }
   }
 
@@ -986,7 +1321,9 @@ class StudentGradesManager {
    */
   async clearAllGrades() {
     try {
-      const departments = ['ccs', 'chtm', 'cba', 'cte', 'unknown'];
+      if (!(await this.db.backupBeforeClear('before_clear_grades'))) return;
+
+      const departments = departmentRegistry.getCollectionKeys('college');
       let totalCleared = 0;
 
       for (const dept of departments) {
@@ -1022,14 +1359,14 @@ class TeachingFacultyManager {
    */
   async storeTeachingFaculty(facultyData) {
   try {
-    const dept = (facultyData.metadata.department || 'UNKNOWN').toLowerCase();
+    const dept = departmentRegistry.collectionKey('faculty', facultyData.metadata.department);
     
     // Get the faculty collection for this department
     const collection = this.db.db.collection(`faculty_${dept}`);
     
     const facultyDoc = {
       // Identification
-      faculty_id: `FACULTY_${facultyData.metadata.department}_${Date.now()}`,
+      faculty_id: buildRecordId('FACULTY', facultyData.metadata.department, facultyData.metadata.surname, facultyData.metadata.first_name),
       full_name: facultyData.metadata.full_name,
       surname: facultyData.metadata.surname,
       first_name: facultyData.metadata.first_name,
@@ -1096,19 +1433,6 @@ class TeachingFacultyManager {
         philhealth: facultyData.faculty_info.philhealth
       },
       
-      // Field status tracking
-      field_status: {
-        personal_info: 'complete',
-        contact_info: 'complete',
-        professional_info: 'complete',
-        image: 'waiting',
-        audio: 'waiting',
-        descriptor: facultyData.faculty_info.descriptor ? 'complete' : 'waiting'
-      },
-      
-      // Completion percentage
-      completion_percentage: this._calculateTeachingFacultyCompletion(facultyData),
-      
       // Full formatted text for display
       formatted_text: facultyData.formatted_text,
       
@@ -1120,72 +1444,47 @@ class TeachingFacultyManager {
       updated_at: new Date()
     };
     
-    // Insert the document
-    const result = await collection.insertOne(facultyDoc);
+    // field_status and completion come from the teaching faculty completeness rules
+    const completeness = completenessRules.evaluate('teaching_faculty', facultyDoc);
+    facultyDoc.field_status = completeness.field_status;
+    facultyDoc.completion_percentage = completeness.completion_percentage;
+
+    assertValidRecord('teaching_faculty', facultyDoc);
+
+    // Upsert by faculty_id; media already uploaded for an existing record is kept
+    const { inserted } = await this.db.history.track({
+      recordType: 'teaching_faculty',
+      collection,
+      recordId: facultyDoc.faculty_id,
+      source: 'file_extraction',
+      sourceFile: facultyDoc.source_file
+    }, () => upsertRecord(collection, 'faculty_id', facultyDoc,
+      ['image', 'audio', 'descriptor', 'field_status', 'completion_percentage']));
     
     // ← ADD THIS: Add to pending media if waiting for image/audio
-    await this._addTeachingToPendingMedia(facultyDoc);
+    if (inserted) {
+      await this._addTeachingToPendingMedia(facultyDoc);
+    } else {
+      // Re-score with the media/descriptor the stored record already has
+      await this._updateTeachingCompletion(facultyDoc.faculty_id, facultyDoc.department);
+    }
     
-    console.log(`✅ Teaching faculty stored in: faculty_${dept}`);
+    console.log(`✅ Teaching faculty ${inserted ? 'stored' : 'updated'} in: faculty_${dept}`);
     console.log(`   Faculty ID: ${facultyDoc.faculty_id}`);
     console.log(`   Completion: ${facultyDoc.completion_percentage.toFixed(1)}%`);
-    console.log(`   MongoDB _id: ${result.insertedId}`);
     
     return facultyDoc.faculty_id;
     
   } catch (error) {
+    if (error instanceof RecordValidationError) {
+      logValidationErrors(error, facultyData.metadata?.source_file);
+      throw error;
+    }
     console.error(`❌ Error storing teaching faculty: ${error.message}`);
     return null;
   }
 }
 
-  /**
- * Calculate completion percentage for teaching faculty
- */
-_calculateTeachingFacultyCompletion(facultyData) {
-  const totalFields = 9; // personal + contact + professional + image + audio + descriptor
-  let completed = 0;
-
-  // Personal info (if has surname and first name)
-  if (facultyData.faculty_info.surname && facultyData.faculty_info.first_name) {
-    completed++;
-  }
-
-  // Contact info (if has phone or email)
-  if (facultyData.faculty_info.phone || facultyData.faculty_info.email) {
-    completed++;
-  }
-
-  // Professional info (if has position and department)
-  if (facultyData.metadata.position && facultyData.metadata.department) {
-    completed++;
-  }
-
-  // Address
-  if (facultyData.faculty_info.address) {
-    completed++;
-  }
-
-  // GSIS or PhilHealth
-  if (facultyData.faculty_info.gsis || facultyData.faculty_info.philhealth) {
-    completed++;
-  }
-
-  // Civil Status
-  if (facultyData.faculty_info.civil_status) {
-    completed++;
-  }
-
-  // Image (not yet uploaded, so doesn't count)
-  // Audio (not yet uploaded, so doesn't count)
-  // Descriptor (check if exists)
-  if (facultyData.faculty_info.descriptor) {
-    completed++;
-  }
-
-  return (completed / totalFields) * 100;
-}
-
 /**
  * Add teaching faculty to pending media collection
  */
@@ -1222,23 +1521,33 @@ async _addTeachingToPendingMedia(facultyDoc) {
  */
 async updateTeachingMedia(facultyId, mediaType, mediaData, filename, department) {
   try {
-    const dept = department.toLowerCase();
+    const dept = departmentRegistry.collectionKey('faculty', department);
     const collection = this.db.db.collection(`faculty_${dept}`);
 
+    const existing = await collection.findOne({ faculty_id: facultyId });
+    if (!existing) {
+      console.log(`⚠️  Teaching faculty ${facultyId} not found`);
+      return false;
+    }
+
+    const stored = await this.db.mediaStore.saveMedia(mediaData, filename, {
+      record_type: 'teaching_faculty', record_id: facultyId, media_type: mediaType, department
+    });
+
     const updateData = {
-      [`${mediaType}.data`]: mediaData,
-      [`${mediaType}.filename`]: filename,
+      ...this.db.mediaStore.toMediaUpdate(mediaType, stored),
       [`${mediaType}.status`]: 'complete',
       [`field_status.${mediaType}`]: 'complete',
       updated_at: new Date()
     };
 
-    const result = await collection.updateOne(
-      { faculty_id: facultyId },
-      { $set: updateData }
+    const result = await this.db.history.track(
+      { recordType: 'teaching_faculty', collection, recordId: facultyId, source: 'media_upload', sourceFile: filename },
+      () => collection.updateOne({ faculty_id: facultyId }, { $set: updateData })
     );
 
     if (result.modifiedCount > 0) {
+      await this.db.mediaStore.deleteMedia(existing[mediaType]);
       await this._updateTeachingCompletion(facultyId, department);
       await this._checkTeachingMediaComplete(facultyId, department);
       console.log(`✅ Updated ${mediaType} for teaching faculty ${facultyId}`);
@@ -1259,22 +1568,26 @@ async updateTeachingMedia(facultyId, mediaType, mediaData, filename, department)
  */
 async updateTeachingDescriptor(facultyId, descriptor, department) {
   try {
-    const dept = department.toLowerCase();
+    const dept = departmentRegistry.collectionKey('faculty', department);
     const collection = this.db.db.collection(`faculty_${dept}`);
 
-    const result = await collection.updateOne(
-      { faculty_id: facultyId },
-      { 
-        $set: { 
-          descriptor: descriptor,
-          'field_status.descriptor': 'complete',
-          updated_at: new Date()
-        } 
-      }
+    const result = await this.db.history.track(
+      { recordType: 'teaching_faculty', collection, recordId: facultyId, source: 'descriptor_update' },
+      () => collection.updateOne(
+        { faculty_id: facultyId },
+        { 
+          $set: { 
+            descriptor: descriptor,
+            'field_status.descriptor': 'complete',
+            updated_at: new Date()
+          } 
+        }
+      )
     );
 
     if (result.modifiedCount > 0) {
       await this._updateTeachingCompletion(facultyId, department);
+      await this._checkTeachingMediaComplete(facultyId, department);
       console.log(`✅ Updated descriptor for teaching faculty ${facultyId}`);
       return true;
     } else {
@@ -1293,31 +1606,17 @@ async updateTeachingDescriptor(facultyId, descriptor, department) {
  */
 async _updateTeachingCompletion(facultyId, department) {
   try {
-    const dept = department.toLowerCase();
+    const dept = departmentRegistry.collectionKey('faculty', department);
     const collection = this.db.db.collection(`faculty_${dept}`);
     const faculty = await collection.findOne({ faculty_id: facultyId });
     
     if (!faculty) return;
 
-    const totalFields = 9;
-    let completed = 0;
-
-    // Check each field
-    if (faculty.surname && faculty.first_name) completed++;
-    if (faculty.phone || faculty.email) completed++;
-    if (faculty.position && faculty.department) completed++;
-    if (faculty.address) completed++;
-    if (faculty.government_ids?.gsis || faculty.government_ids?.philhealth) completed++;
-    if (faculty.civil_status) completed++;
-    if (faculty.image?.status === 'complete') completed++;
-    if (faculty.audio?.status === 'complete') completed++;
-    if (faculty.descriptor) completed++;
-
-    const completion = (completed / totalFields) * 100;
+    const { field_status, completion_percentage } = completenessRules.evaluate('teaching_faculty', faculty);
 
     await collection.updateOne(
       { faculty_id: facultyId },
-      { $set: { completion_percentage: completion } }
+      { $set: { field_status, completion_percentage } }
     );
   } catch (error) {
     console.error(`❌ Error updating teaching completion: ${error.message}`);
@@ -1329,7 +1628,7 @@ async _updateTeachingCompletion(facultyId, department) {
  */
 async _checkTeachingMediaComplete(facultyId, department) {
   try {
-    const dept = department.toLowerCase();
+    const dept = departmentRegistry.collectionKey('faculty', department);
     const collection = this.db.db.collection(`faculty_${dept}`);
     const faculty = await collection.findOne({ faculty_id: facultyId });
     
@@ -1339,8 +1638,13 @@ async _checkTeachingMediaComplete(facultyId, department) {
     const audioComplete = faculty.audio?.status === 'complete';
     const descriptorComplete = !!faculty.descriptor;
 
-    if (imageComplete && audioComplete && descriptorComplete) {
-      await this.db.db.collection('pending_media').deleteOne({ faculty_id: facultyId });
+    const progress = await this.db.pendingWorkflow.recordProgress('teaching', facultyId, {
+      image: !imageComplete,
+      audio: !audioComplete,
+      descriptor: !descriptorComplete
+    });
+
+    if (progress?.done) {
       console.log(`   🎉 Teaching faculty ${facultyId} completed all media requirements`);
     }
   } catch (error) {
@@ -1367,7 +1671,7 @@ async getTeachingPendingMedia() {
    */
   async getAllTeachingFaculty() {
     try {
-      const departments = ['cas', 'ccs', 'chtm', 'cba', 'cte', 'coe', 'con', 'admin', 'unknown'];
+      const departments = departmentRegistry.getCollectionKeys('faculty');
       const allFaculty = [];
 
       for (const dept of departments) {
@@ -1393,7 +1697,7 @@ async getTeachingPendingMedia() {
    */
   async getTeachingFacultyByDepartment(department) {
     try {
-      const dept = department.toLowerCase();
+      const dept = departmentRegistry.collectionKey('faculty', department);
       const collection = this.db.db.collection(`faculty_${dept}`);
       return await collection.find({ data_type: 'teaching_faculty' }).toArray();
     } catch (error) {
@@ -1442,7 +1746,9 @@ async getTeachingPendingMedia() {
    */
   async clearAllTeachingFaculty() {
     try {
-      const departments = ['cas', 'ccs', 'chtm', 'cba', 'cte', 'coe', 'con', 'admin', 'unknown'];
+      if (!(await this.db.backupBeforeClear('before_clear_teaching_faculty'))) return;
+
+      const departments = departmentRegistry.getCollectionKeys('faculty');
       let totalCleared = 0;
 
       for (const dept of departments) {
@@ -1478,14 +1784,14 @@ class TeachingFacultyScheduleManager {
    */
   async storeTeachingFacultySchedule(scheduleData) {
     try {
-      const dept = (scheduleData.metadata.department || 'UNKNOWN').toLowerCase();
+      const dept = departmentRegistry.collectionKey('faculty', scheduleData.metadata.department);
       
       // Get the faculty schedule collection for this department
       const collection = this.db.db.collection(`faculty_schedules_${dept}`);
       
       const scheduleDoc = {
         // Identification
-        schedule_id: `FACULTY_SCHED_${scheduleData.metadata.department}_${Date.now()}`,
+        schedule_id: buildRecordId('FACULTY_SCHED', scheduleData.metadata.department, scheduleData.metadata.adviser_name),
         adviser_name: scheduleData.metadata.adviser_name,
         full_name: scheduleData.metadata.full_name,
         department: scheduleData.metadata.department,
@@ -1508,16 +1814,21 @@ class TeachingFacultyScheduleManager {
         updated_at: new Date()
       };
       
-      // Insert the document
-      const result = await collection.insertOne(scheduleDoc);
+      assertValidRecord('teaching_faculty_schedule', scheduleDoc);
+
+      // Upsert by schedule_id (re-processing the same schedule updates it)
+      const { inserted } = await upsertRecord(collection, 'schedule_id', scheduleDoc);
       
-      console.log(`✅ Teaching faculty schedule stored in: faculty_schedules_${dept}`);
+      console.log(`✅ Teaching faculty schedule ${inserted ? 'stored' : 'updated'} in: faculty_schedules_${dept}`);
       console.log(`   Schedule ID: ${scheduleDoc.schedule_id}`);
-      console.log(`   MongoDB _id: ${result.insertedId}`);
       
       return scheduleDoc.schedule_id;
       
     } catch (error) {
+      if (error instanceof RecordValidationError) {
+        logValidationErrors(error, scheduleData.metadata?.source_file);
+        throw error;
+      }
       console.error(`❌ Error storing teaching faculty schedule: ${error.message}`);
       return null;
     }
@@ -1528,7 +1839,7 @@ class TeachingFacultyScheduleManager {
    */
   async getAllTeachingFacultySchedules() {
     try {
-      const departments = ['cas', 'ccs', 'chtm', 'cba', 'cte', 'coe', 'con', 'admin', 'unknown'];
+      const departments = departmentRegistry.getCollectionKeys('faculty');
       const allSchedules = [];
 
       for (const dept of departments) {
@@ -1554,7 +1865,7 @@ class TeachingFacultyScheduleManager {
    */
   async getTeachingFacultySchedulesByDepartment(department) {
     try {
-      const dept = department.toLowerCase();
+      const dept = departmentRegistry.collectionKey('faculty', department);
       const collection = this.db.db.collection(`faculty_schedules_${dept}`);
       return await collection.find({ data_type: 'teaching_faculty_schedule' }).toArray();
     } catch (error) {
@@ -1603,6 +1914,8 @@ class TeachingFacultyScheduleManager {
    */
   async clearAllTeachingFacultySchedules() {
     try {
+      if (!(await this.db.backupBeforeClear('before_clear_teaching_faculty_schedules'))) return;
+
       // Get ALL collections in the database
       const collections = await this.db.db.listCollections().toArray();
       
@@ -1650,14 +1963,14 @@ class NonTeachingFacultyManager {
    */
   async storeNonTeachingFaculty(facultyData) {
   try {
-    const dept = (facultyData.metadata.department || 'ADMIN_SUPPORT').toLowerCase();
+    const dept = departmentRegistry.collectionKey('office', facultyData.metadata.department);
     
     // Get the non-teaching faculty collection for this department
     const collection = this.db.db.collection(`non_teaching_faculty_${dept}`);
     
     const facultyDoc = {
       // Identification
-      faculty_id: `NON_TEACHING_${facultyData.metadata.department}_${Date.now()}`,
+      faculty_id: buildRecordId('NON_TEACHING', facultyData.metadata.department, facultyData.metadata.surname, facultyData.metadata.first_name),
       full_name: facultyData.metadata.full_name,
       surname: facultyData.metadata.surname,
       first_name: facultyData.metadata.first_name,
@@ -1724,19 +2037,6 @@ class NonTeachingFacultyManager {
         philhealth: facultyData.faculty_info.philhealth
       },
       
-      //Field status tracking
-      field_status: {
-        personal_info: 'complete',
-        contact_info: 'complete',
-        professional_info: 'complete',
-        image: 'waiting',
-        audio: 'waiting',
-        descriptor: facultyData.faculty_info.descriptor ? 'complete' : 'waiting'
-      },
-      
-      // Completion percentage
-      completion_percentage: this._calculateNonTeachingFacultyCompletion(facultyData),
-      
       // Full formatted text for display
       formatted_text: facultyData.formatted_text,
       
@@ -1748,72 +2048,47 @@ class NonTeachingFacultyManager {
       updated_at: new Date()
     };
     
-    // Insert the document
-    const result = await collection.insertOne(facultyDoc);
+    // field_status and completion come from the non-teaching faculty completeness rules
+    const completeness = completenessRules.evaluate('non_teaching_faculty', facultyDoc);
+    facultyDoc.field_status = completeness.field_status;
+    facultyDoc.completion_percentage = completeness.completion_percentage;
+
+    assertValidRecord('non_teaching_faculty', facultyDoc);
+
+    // Upsert by faculty_id; media already uploaded for an existing record is kept
+    const { inserted } = await this.db.history.track({
+      recordType: 'non_teaching_faculty',
+      collection,
+      recordId: facultyDoc.faculty_id,
+      source: 'file_extraction',
+      sourceFile: facultyDoc.source_file
+    }, () => upsertRecord(collection, 'faculty_id', facultyDoc,
+      ['image', 'audio', 'descriptor', 'field_status', 'completion_percentage']));
     
     // ← ADD THIS: Add to pending media if waiting for image/audio
-    await this._addNonTeachingToPendingMedia(facultyDoc);
+    if (inserted) {
+      await this._addNonTeachingToPendingMedia(facultyDoc);
+    } else {
+      // Re-score with the media/descriptor the stored record already has
+      await this._updateNonTeachingCompletion(facultyDoc.faculty_id, facultyDoc.department);
+    }
     
-    console.log(`✅ Non-teaching faculty stored in: non_teaching_faculty_${dept}`);
+    console.log(`✅ Non-teaching faculty ${inserted ? 'stored' : 'updated'} in: non_teaching_faculty_${dept}`);
     console.log(`   Faculty ID: ${facultyDoc.faculty_id}`);
     console.log(`   Completion: ${facultyDoc.completion_percentage.toFixed(1)}%`);
-    console.log(`   MongoDB _id: ${result.insertedId}`);
     
     return facultyDoc.faculty_id;
     
   } catch (error) {
+    if (error instanceof RecordValidationError) {
+      logValidationErrors(error, facultyData.metadata?.source_file);
+      throw error;
+    }
     console.error(`❌ Error storing non-teaching faculty: ${error.message}`);
     return null;
   }
 }
 
-  /**
- * Calculate completion percentage for non-teaching faculty
- */
-_calculateNonTeachingFacultyCompletion(facultyData) {
-  const totalFields = 9; // personal + contact + professional + image + audio + descriptor
-  let completed = 0;
-
-  // Personal info (if has surname and first name)
-  if (facultyData.faculty_info.surname && facultyData.faculty_info.first_name) {
-    completed++;
-  }
-
-  // Contact info (if has phone or email)
-  if (facultyData.faculty_info.phone || facultyData.faculty_info.email) {
-    completed++;
-  }
-
-  // Professional info (if has position and department)
-  if (facultyData.metadata.position && facultyData.metadata.department) {
-    completed++;
-  }
-
-  // Address
-  if (facultyData.faculty_info.address) {
-    completed++;
-  }
-
-  // GSIS or PhilHealth
-  if (facultyData.faculty_info.gsis || facultyData.faculty_info.philhealth) {
-    completed++;
-  }
-
-  // Civil Status
-  if (facultyData.faculty_info.civil_status) {
-    completed++;
-  }
-
-  // Image (not yet uploaded, so doesn't count)
-  // Audio (not yet uploaded, so doesn't count)
-  // Descriptor (check if exists)
-  if (facultyData.faculty_info.descriptor) {
-    completed++;
-  }
-
-  return (completed / totalFields) * 100;
-}
-
 /**
  * Add non-teaching faculty to pending media collection
  */
@@ -1850,23 +2125,33 @@ async _addNonTeachingToPendingMedia(facultyDoc) {
  */
 async updateNonTeachingMedia(facultyId, mediaType, mediaData, filename, department) {
   try {
-    const dept = department.toLowerCase();
+    const dept = departmentRegistry.collectionKey('office', department);
     const collection = this.db.db.collection(`non_teaching_faculty_${dept}`);
 
+    const existing = await collection.findOne({ faculty_id: facultyId });
+    if (!existing) {
+      console.log(`⚠️  Non-teaching faculty ${facultyId} not found`);
+      return false;
+    }
+
+    const stored = await this.db.mediaStore.saveMedia(mediaData, filename, {
+      record_type: 'non_teaching_faculty', record_id: facultyId, media_type: mediaType, department
+    });
+
     const updateData = {
-      [`${mediaType}.data`]: mediaData,
-      [`${mediaType}.filename`]: filename,
+      ...this.db.mediaStore.toMediaUpdate(mediaType, stored),
       [`${mediaType}.status`]: 'complete',
       [`field_status.${mediaType}`]: 'complete',
       updated_at: new Date()
     };
 
-    const result = await collection.updateOne(
-      { faculty_id: facultyId },
-      { $set: updateData }
+    const result = await this.db.history.track(
+      { recordType: 'non_teaching_faculty', collection, recordId: facultyId, source: 'media_upload', sourceFile: filename },
+      () => collection.updateOne({ faculty_id: facultyId }, { $set: updateData })
     );
 
     if (result.modifiedCount > 0) {
+      await this.db.mediaStore.deleteMedia(existing[mediaType]);
       await this._updateNonTeachingCompletion(facultyId, department);
       await this._checkNonTeachingMediaComplete(facultyId, department);
       console.log(`✅ Updated ${mediaType} for non-teaching faculty ${facultyId}`);
@@ -1887,22 +2172,26 @@ async updateNonTeachingMedia(facultyId, mediaType, mediaData, filename, departme
  */
 async updateNonTeachingDescriptor(facultyId, descriptor, department) {
   try {
-    const dept = department.toLowerCase();
+    const dept = departmentRegistry.collectionKey('office', department);
     const collection = this.db.db.collection(`non_teaching_faculty_${dept}`);
 
-    const result = await collection.updateOne(
-      { faculty_id: facultyId },
-      { 
-        $set: { 
-          descriptor: descriptor,
-          'field_status.descriptor': 'complete',
-          updated_at: new Date()
-        } 
-      }
+    const result = await this.db.history.track(
+      { recordType: 'non_teaching_faculty', collection, recordId: facultyId, source: 'descriptor_update' },
+      () => collection.updateOne(
+        { faculty_id: facultyId },
+        { 
+          $set: { 
+            descriptor: descriptor,
+            'field_status.descriptor': 'complete',
+            updated_at: new Date()
+          } 
+        }
+      )
     );
 
     if (result.modifiedCount > 0) {
       await this._updateNonTeachingCompletion(facultyId, department);
+      await this._checkNonTeachingMediaComplete(facultyId, department);
       console.log(`✅ Updated descriptor for non-teaching faculty ${facultyId}`);
       return true;
     } else {
@@ -1921,31 +2210,17 @@ async updateNonTeachingDescriptor(facultyId, descriptor, department) {
  */
 async _updateNonTeachingCompletion(facultyId, department) {
   try {
-    const dept = department.toLowerCase();
+    const dept = departmentRegistry.collectionKey('office', department);
     const collection = this.db.db.collection(`non_teaching_faculty_${dept}`);
     const faculty = await collection.findOne({ faculty_id: facultyId });
     
     if (!faculty) return;
 
-    const totalFields = 9;
-    let completed = 0;
-
-    // Check each field
-    if (faculty.surname && faculty.first_name) completed++;
-    if (faculty.phone || faculty.email) completed++;
-    if (faculty.position && faculty.department) completed++;
-    if (faculty.address) completed++;
-    if (faculty.government_ids?.gsis || faculty.government_ids?.philhealth) completed++;
-    if (faculty.civil_status) completed++;
-    if (faculty.image?.status === 'complete') completed++;
-    if (faculty.audio?.status === 'complete') completed++;
-    if (faculty.descriptor) completed++;
-
-    const completion = (completed / totalFields) * 100;
+    const { field_status, completion_percentage } = completenessRules.evaluate('non_teaching_faculty', faculty);
 
     await collection.updateOne(
       { faculty_id: facultyId },
-      { $set: { completion_percentage: completion } }
+      { $set: { field_status, completion_percentage } }
     );
   } catch (error) {
     console.error(`❌ Error updating non-teaching completion: ${error.message}`);
@@ -1957,7 +2232,7 @@ async _updateNonTeachingCompletion(facultyId, department) {
  */
 async _checkNonTeachingMediaComplete(facultyId, department) {
   try {
-    const dept = department.toLowerCase();
+    const dept = departmentRegistry.collectionKey('office', department);
     const collection = this.db.db.collection(`non_teaching_faculty_${dept}`);
     const faculty = await collection.findOne({ faculty_id: facultyId });
     
@@ -1967,8 +2242,13 @@ async _checkNonTeachingMediaComplete(facultyId, department) {
     const audioComplete = faculty.audio?.status === 'complete';
     const descriptorComplete = !!faculty.descriptor;
 
-    if (imageComplete && audioComplete && descriptorComplete) {
-      await this.db.db.collection('pending_media').deleteOne({ faculty_id: facultyId });
+    const progress = await this.db.pendingWorkflow.recordProgress('non_teaching', facultyId, {
+      image: !imageComplete,
+      audio: !audioComplete,
+      descriptor: !descriptorComplete
+    });
+
+    if (progress?.done) {
       console.log(`   🎉 Non-teaching faculty ${facultyId} completed all media requirements`);
     }
   } catch (error) {
@@ -1995,11 +2275,7 @@ async getNonTeachingPendingMedia() {
    */
   async getAllNonTeachingFaculty() {
     try {
-      const departments = [
-        'registrar', 'accounting', 'guidance', 'library', 
-        'health_services', 'maintenance_custodial', 'security', 
-        'system_admin', 'admin_support'
-      ];
+      const departments = departmentRegistry.getCollectionKeys('office');
       const allFaculty = [];
 
       for (const dept of departments) {
@@ -2025,7 +2301,7 @@ async getNonTeachingPendingMedia() {
    */
   async getNonTeachingFacultyByDepartment(department) {
     try {
-      const dept = department.toLowerCase();
+      const dept = departmentRegistry.collectionKey('office', department);
       const collection = this.db.db.collection(`non_teaching_faculty_${dept}`);
       return await collection.find({ data_type: 'non_teaching_faculty' }).toArray();
     } catch (error) {
@@ -2074,6 +2350,8 @@ async getNonTeachingPendingMedia() {
    */
   async clearAllNonTeachingFaculty() {
     try {
+      if (!(await this.db.backupBeforeClear('before_clear_non_teaching_faculty'))) return;
+
       // Get ALL collections in the database
       const collections = await this.db.db.listCollections().toArray();
       
@@ -2121,14 +2399,14 @@ class CurriculumManager {
    */
   async storeCurriculum(curriculumData) {
     try {
-      const dept = (curriculumData.metadata.department || 'UNKNOWN').toLowerCase();
+      const dept = departmentRegistry.collectionKey('college', curriculumData.metadata.department);
       
       // Get the curriculum collection for this department
       const collection = this.db.db.collection(`curriculum_${dept}`);
       
       const curriculumDoc = {
         // Identification
-        curriculum_id: `CURRICULUM_${curriculumData.metadata.department}_${curriculumData.metadata.course}_${curriculumData.metadata.effective_year || Date.now()}`,
+        curriculum_id: buildRecordId('CURRICULUM', curriculumData.metadata.department, curriculumData.metadata.course, curriculumData.metadata.effective_year || curriculumData.metadata.curriculum_year),
         program: curriculumData.metadata.program,
         course: curriculumData.metadata.course,
         department: curriculumData.metadata.department,
@@ -2141,6 +2419,9 @@ class CurriculumManager {
         
         // Full curriculum structure (organized by year and semester)
         curriculum: curriculumData.curriculum_data.curriculum,
+
+        // Pre-/co-requisites between the subjects above
+        prerequisite_graph: buildPrerequisiteGraph(curriculumData.curriculum_data.curriculum),
         
         // Full formatted text
         formatted_text: curriculumData.formatted_text,
@@ -2152,16 +2433,40 @@ class CurriculumManager {
         updated_at: new Date()
       };
       
-      // Insert the document
-      const result = await collection.insertOne(curriculumDoc);
+      assertValidRecord('curriculum', curriculumDoc);
+
+      // Upsert by curriculum_id (re-processing the same curriculum updates it)
+      const { inserted } = await upsertRecord(collection, 'curriculum_id', curriculumDoc);
       
-      console.log(`✅ Curriculum stored in: curriculum_${dept}`);
+      console.log(`✅ Curriculum ${inserted ? 'stored' : 'updated'} in: curriculum_${dept}`);
       console.log(`   Curriculum ID: ${curriculumDoc.curriculum_id}`);
-      console.log(`   MongoDB _id: ${result.insertedId}`);
+
+      const { edges, cycles, unknown_references: unknownReferences } = curriculumDoc.prerequisite_graph;
+      if (edges.length > 0) {
+        console.log(`   Requisites: ${edges.length} link(s)`);
+      }
+      cycles.forEach(cycle => console.log(`⚠️  Prerequisite cycle: ${displayCodes(curriculumDoc.prerequisite_graph, cycle).join(' → ')}`));
+      unknownReferences.forEach(({ subject_code: code, reference, type }) => {
+        console.log(`⚠️  ${code} lists ${type} ${reference}, which is not in this curriculum`);
+      });
+
+      // A new effective year changes the version chain and which batches follow which version
+      const versions = await this._updateVersionChain(curriculumDoc.course);
+      const version = versions.find(curriculum => curriculum.curriculum_id === curriculumDoc.curriculum_id);
+      if (version && version.version) {
+        console.log(`   Version: ${version.version} of ${versions.filter(hasEffectiveYear).length}${version.is_current ? ' (current)' : ''}`);
+      } else {
+        console.log('⚠️  No effective year found: this curriculum is not numbered as a version or assigned to any batch');
+      }
+      await this.tagStudents({ course: curriculumDoc.course });
       
       return curriculumDoc.curriculum_id;
       
     } catch (error) {
+      if (error instanceof RecordValidationError) {
+        logValidationErrors(error, curriculumData.metadata?.source_file);
+        throw error;
+      }
       console.error(`❌ Error storing curriculum: ${error.message}`);
       return null;
     }
@@ -2172,7 +2477,7 @@ class CurriculumManager {
    */
   async getAllCurricula() {
     try {
-      const departments = ['cas', 'ccs', 'chtm', 'cba', 'cte', 'coe', 'con', 'unknown'];
+      const departments = departmentRegistry.getCollectionKeys('college');
       const allCurricula = [];
 
       for (const dept of departments) {
@@ -2198,7 +2503,7 @@ class CurriculumManager {
    */
   async getCurriculaByDepartment(department) {
     try {
-      const dept = department.toLowerCase();
+      const dept = departmentRegistry.collectionKey('college', department);
       const collection = this.db.db.collection(`curriculum_${dept}`);
       return await collection.find({ data_type: 'curriculum' }).toArray();
     } catch (error) {
@@ -2207,6 +2512,28 @@ class CurriculumManager {
     }
   }
 
+  async getCurriculumById(curriculumId) {
+    const curricula = await this.getAllCurricula();
+    return curricula.find(curriculum => curriculum.curriculum_id === curriculumId) || null;
+  }
+
+  /**
+   * Prerequisite graph of a curriculum (built on the fly for curricula stored before requisites were read)
+   */
+  async getPrerequisiteGraph(curriculumId) {
+    const curriculum = await this.getCurriculumById(curriculumId);
+    if (!curriculum) return null;
+    return curriculum.prerequisite_graph || buildPrerequisiteGraph(curriculum.curriculum);
+  }
+
+  /**
+   * Every subject to pass before subjectCode, as a tree and as an ordered list; null if unknown
+   */
+  async getPrerequisiteChain(curriculumId, subjectCode) {
+    const graph = await this.getPrerequisiteGraph(curriculumId);
+    return graph ? getPrerequisiteChain(graph, subjectCode) : null;
+  }
+
   /**
    * Get curricula by course
    */
@@ -2220,6 +2547,127 @@ class CurriculumManager {
     }
   }
 
+  /**
+   * Every version (effective year) of a course's curriculum, oldest first
+   */
+  async getCurriculumVersions(course) {
+    return sortVersions(await this.getCurriculaByCourse(course));
+  }
+
+  /**
+   * Number a course's versions by effective year and link each to the one before and after it.
+   * Curricula without an effective year get no number or links (version: null).
+   */
+  async _updateVersionChain(course) {
+    try {
+      const versions = await this.getCurriculumVersions(course);
+      const dated = versions.filter(hasEffectiveYear).length;
+
+      for (let i = 0; i < versions.length; i++) {
+        const chain = i < dated
+          ? {
+            version: i + 1,
+            previous_curriculum_id: i > 0 ? versions[i - 1].curriculum_id : null,
+            next_curriculum_id: i < dated - 1 ? versions[i + 1].curriculum_id : null,
+            is_current: i === dated - 1
+          }
+          : { version: null, previous_curriculum_id: null, next_curriculum_id: null, is_current: false };
+        Object.assign(versions[i], chain);
+
+        const dept = departmentRegistry.collectionKey('college', versions[i].department);
+        await this.db.db.collection(`curriculum_${dept}`).updateOne(
+          { curriculum_id: versions[i].curriculum_id },
+          { $set: chain }
+        );
+      }
+
+      return versions;
+    } catch (error) {
+      console.error(`❌ Error updating curriculum versions: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Re-number every course's versions and re-tag all students (curricula stored before versioning)
+   * → { courses, undated_curricula, tagged, without_curriculum, by_curriculum }
+   */
+  async refreshVersions() {
+    const curricula = await this.getAllCurricula();
+    const courses = [...new Set(curricula.map(curriculum => curriculum.course).filter(Boolean))];
+    for (const course of courses) {
+      await this._updateVersionChain(course);
+    }
+
+    const undated = curricula.filter(curriculum => !hasEffectiveYear(curriculum)).map(curriculum => curriculum.curriculum_id);
+    undated.forEach(curriculumId => console.log(`⚠️  ${curriculumId} has no effective year and is not used for any batch`));
+    return { courses: courses.length, undated_curricula: undated, ...(await this.tagStudents()) };
+  }
+
+  /**
+   * Added, removed, moved, re-united, renamed subjects between two curricula; null if either is missing
+   */
+  async compareCurricula(fromCurriculumId, toCurriculumId) {
+    const from = await this.getCurriculumById(fromCurriculumId);
+    const to = await this.getCurriculumById(toCurriculumId);
+    if (!from || !to) return null;
+    return diffCurricula(from, to);
+  }
+
+  /**
+   * The curriculum a student follows: the version they are tagged with, else the one for their batch
+   */
+  async getCurriculumForStudent(student) {
+    if (!student) return null;
+    if (student.curriculum_id) {
+      const tagged = await this.getCurriculumById(student.curriculum_id);
+      if (tagged) return tagged;
+    }
+    if (!student.course) return null;
+    return selectVersionForBatch(await this.getCurriculaByCourse(student.course), getBatchYear(student));
+  }
+
+  /**
+   * Tag students (filters: department, course, year, section, student_id) with the curriculum
+   * version of their batch: batch_year, curriculum_id, curriculum_effective_year.
+   * → { tagged, without_curriculum, by_curriculum: { curriculum_id: count } }
+   */
+  async tagStudents(filters = {}) {
+    const summary = { tagged: 0, without_curriculum: 0, by_curriculum: {} };
+
+    try {
+      const students = await this.db.searchStudents(null, Object.keys(filters).length > 0 ? filters : null);
+      const versionsByCourse = {};
+
+      for (const student of students) {
+        if (!student.course) continue;
+        versionsByCourse[student.course] ||= await this.getCurriculaByCourse(student.course);
+
+        const batchYear = getBatchYear(student);
+        const curriculum = selectVersionForBatch(versionsByCourse[student.course], batchYear);
+        if (!curriculum) {
+          summary.without_curriculum++;
+          continue;
+        }
+
+        await this.db._getCollectionByDepartment(student.department).updateOne(
+          { student_id: student.student_id },
+          { $set: { batch_year: batchYear, curriculum_id: curriculum.curriculum_id, curriculum_effective_year: curriculum.effective_year } }
+        );
+        summary.tagged++;
+        summary.by_curriculum[curriculum.curriculum_id] = (summary.by_curriculum[curriculum.curriculum_id] || 0) + 1;
+      }
+
+      if (summary.tagged > 0) {
+        console.log(`✅ Tagged ${summary.tagged} student(s) with their batch's curriculum`);
+      }
+      return summary;
+    } catch (error) {
+      console.error(`❌ Error tagging students with curricula: ${error.message}`);
+      return summary;
+    }
+  }
+
   /**
    * Get curriculum statistics
    */
@@ -2264,6 +2712,8 @@ class CurriculumManager {
    */
   async clearAllCurricula() {
   try {
+    if (!(await this.db.backupBeforeClear('before_clear_curricula'))) return;
+
     console.log('🔍 Searching for curriculum collections...');
     
     // Get the actual MongoDB database object
@@ -2330,15 +2780,21 @@ class NonTeachingScheduleManager {
 
   async storeNonTeachingSchedule(scheduleData) {
     try {
-      const dept = (scheduleData.metadata.department || 'UNKNOWN').toLowerCase();
+      const dept = departmentRegistry.collectionKey('staff_schedule', scheduleData.metadata.department);
       const collection = this.db.db.collection(`non_teaching_schedule_${dept}`);
       
       const scheduleDoc = {
-        schedule_id: `SCHEDULE_NT_${scheduleData.metadata.staff_name.replace(/\s+/g, '_').toUpperCase()}_${Date.now()}`,
+        // Same name can work in two offices, and a schedule changes per term
+        schedule_id: buildRecordId(
+          'SCHEDULE_NT', scheduleData.metadata.department, scheduleData.metadata.staff_name,
+          scheduleData.metadata.school_year, scheduleData.metadata.semester
+        ),
         staff_name: scheduleData.metadata.staff_name,
         full_name: scheduleData.metadata.full_name,
         department: scheduleData.metadata.department,
         position: scheduleData.metadata.position || 'Staff',
+        school_year: normalizeSchoolYear(scheduleData.metadata.school_year),
+        semester: normalizeSemester(scheduleData.metadata.semester),
         total_shifts: scheduleData.metadata.total_shifts,
         days_working: scheduleData.metadata.days_working,
         schedule: scheduleData.schedule_data.schedule,
@@ -2351,14 +2807,19 @@ class NonTeachingScheduleManager {
         updated_at: new Date()
       };
       
-      const result = await collection.insertOne(scheduleDoc);
-      console.log(`✅ Non-teaching schedule stored in: non_teaching_schedule_${dept}`);
+      assertValidRecord('non_teaching_schedule', scheduleDoc);
+
+      const { inserted } = await upsertRecord(collection, 'schedule_id', scheduleDoc);
+      console.log(`✅ Non-teaching schedule ${inserted ? 'stored' : 'updated'} in: non_teaching_schedule_${dept}`);
       console.log(`   Schedule ID: ${scheduleDoc.schedule_id}`);
       console.log(`   Staff: ${scheduleDoc.staff_name}`);
-      console.log(`   MongoDB _id: ${result.insertedId}`);
       
       return scheduleDoc.schedule_id;
     } catch (error) {
+      if (error instanceof RecordValidationError) {
+        logValidationErrors(error, scheduleData.metadata?.source_file);
+        throw error;
+      }
       console.error(`❌ Error storing non-teaching schedule: ${error.message}`);
       return null;
     }
@@ -2366,7 +2827,7 @@ class NonTeachingScheduleManager {
 
   async getAllNonTeachingSchedules() {
     try {
-      const departments = ['ccs', 'chtm', 'cba', 'cte', 'coe', 'con', 'cas', 'admin', 'registrar', 'library', 'finance', 'hr', 'unknown'];
+      const departments = departmentRegistry.getCollectionKeys('staff_schedule');
       const allSchedules = [];
       for (const dept of departments) {
         try {
@@ -2384,7 +2845,7 @@ class NonTeachingScheduleManager {
 
   async getNonTeachingSchedulesByDepartment(department) {
     try {
-      const dept = department.toLowerCase();
+      const dept = departmentRegistry.collectionKey('staff_schedule', department);
       const collection = this.db.db.collection(`non_teaching_schedule_${dept}`);
       return await collection.find({ data_type: 'non_teaching_faculty_schedule' }).toArray();
     } catch (error) {
@@ -2434,6 +2895,8 @@ class NonTeachingScheduleManager {
 
   async clearAllNonTeachingSchedules() {
   try {
+    if (!(await this.db.backupBeforeClear('before_clear_non_teaching_schedules'))) return;
+
     console.log('🔍 Searching for non-teaching schedule collections...');
     
     // Get the actual MongoDB database object
@@ -2503,14 +2966,14 @@ class AdminManager {
    */
   async storeAdmin(adminData) {
     try {
-      const dept = (adminData.metadata.department || 'ADMIN').toLowerCase();
+      const dept = departmentRegistry.collectionKey('admin', adminData.metadata.department);
       
       // Get the admin collection for this department
       const collection = this.db.db.collection(`admin_${dept}`);
       
       const adminDoc = {
         // Identification
-        admin_id: `ADMIN_${adminData.metadata.surname.replace(/\s+/g, '_').toUpperCase()}_${Date.now()}`,
+        admin_id: buildRecordId('ADMIN', adminData.metadata.surname, adminData.metadata.first_name),
         full_name: adminData.metadata.full_name,
         surname: adminData.metadata.surname,
         first_name: adminData.metadata.first_name,
@@ -2540,18 +3003,23 @@ class AdminManager {
         updated_at: new Date()
       };
       
-      // Insert the document
-      const result = await collection.insertOne(adminDoc);
+      assertValidRecord('admin', adminDoc);
+
+      // Upsert by admin_id (re-processing the same admin updates it)
+      const { inserted } = await upsertRecord(collection, 'admin_id', adminDoc);
       
-      console.log(`✅ Admin stored in: admin_${dept}`);
+      console.log(`✅ Admin ${inserted ? 'stored' : 'updated'} in: admin_${dept}`);
       console.log(`   Admin ID: ${adminDoc.admin_id}`);
       console.log(`   Name: ${adminDoc.full_name}`);
       console.log(`   Type: ${adminDoc.admin_type}`);
-      console.log(`   MongoDB _id: ${result.insertedId}`);
       
       return adminDoc.admin_id;
       
     } catch (error) {
+      if (error instanceof RecordValidationError) {
+        logValidationErrors(error, adminData.metadata?.source_file);
+        throw error;
+      }
       console.error(`❌ Error storing admin: ${error.message}`);
       return null;
     }
@@ -2588,7 +3056,7 @@ class AdminManager {
    */
   async getAdminsByDepartment(department) {
     try {
-      const dept = department.toLowerCase();
+      const dept = departmentRegistry.collectionKey('admin', department);
       const collection = this.db.db.collection(`admin_${dept}`);
       return await collection.find({ data_type: 'admin_excel' }).toArray();
     } catch (error) {
@@ -2665,6 +3133,8 @@ class AdminManager {
    */
   async clearAllAdmins() {
     try {
+      if (!(await this.db.backupBeforeClear('before_clear_admins'))) return;
+
       console.log('🔍 Searching for admin collections...');
       
       // Get the actual MongoDB database object
@@ -2740,7 +3210,7 @@ class GeneralInfoManager {
       const collection = this.db.db.collection('general_info');
       
       const infoDoc = {
-        info_id: `INFO_${infoType.toUpperCase()}_${Date.now()}`,
+        info_id: buildRecordId('INFO', infoType),
         info_type: infoType,
         
         // Content based on type
@@ -2759,6 +3229,8 @@ class GeneralInfoManager {
         updated_at: new Date()
       };
       
+      assertValidRecord('general_info', infoDoc);
+
       // Check if this info type already exists and update or insert
       const existing = await collection.findOne({ info_type: infoType });
       
@@ -2783,6 +3255,10 @@ class GeneralInfoManager {
       return infoDoc.info_id;
       
     } catch (error) {
+      if (error instanceof RecordValidationError) {
+        logValidationErrors(error, generalInfoData.metadata?.source_file);
+        throw error;
+      }
       console.error(`❌ Error storing general info: ${error.message}`);
       return null;
     }
@@ -2857,8 +3333,8 @@ class GeneralInfoManager {
       const collection = this.db.db.collection('general_info');
       return await collection.find({
         $or: [
-          { raw_text: { $regex: searchText, $options: 'i' } },
-          { info_type: { $regex: searchText, $options: 'i' } }
+          { raw_text: { $regex: escapeRegex(searchText), $options: 'i' } },
+          { info_type: { $regex: escapeRegex(searchText), $options: 'i' } }
         ]
       }).toArray();
     } catch (error) {
@@ -2898,6 +3374,8 @@ class GeneralInfoManager {
    */
   async clearAllGeneralInfo() {
     try {
+      if (!(await this.db.backupBeforeClear('before_clear_general_info'))) return;
+
       console.log('🔍 Clearing general info collection...');
       
       const database = this.db.db || this.db.client.db();
@@ -2981,13 +3459,13 @@ class TeachingFacultyResumeManager {
    */
   async storeTeachingFacultyResume(resumeData) {
     try {
-      const dept = (resumeData.metadata.department || 'UNKNOWN').toLowerCase();
+      const dept = departmentRegistry.collectionKey('faculty', resumeData.metadata.department);
       
       // Use teaching_faculty_resume_ prefix to distinguish from Excel data
       const collection = this.db.db.collection(`teaching_faculty_resume_${dept}`);
       
       const facultyDoc = {
-        faculty_id: `FACULTY_RESUME_${resumeData.metadata.surname.replace(/\s+/g, '_').toUpperCase()}_${Date.now()}`,
+        faculty_id: buildRecordId('FACULTY_RESUME', resumeData.metadata.surname, resumeData.metadata.first_name),
         full_name: resumeData.metadata.full_name,
         surname: resumeData.metadata.surname,
         first_name: resumeData.metadata.first_name,
@@ -3002,14 +3480,9 @@ class TeachingFacultyResumeManager {
         // Full faculty data
         faculty_info: resumeData.faculty_data,
         
-        // Photo data (if available)
+        // Photo data (if available), stored in GridFS below
         has_photo: resumeData.metadata.has_photo,
-        photo: resumeData.photo_data ? {
-          buffer: resumeData.photo_data.buffer,
-          extension: resumeData.photo_data.extension,
-          size: resumeData.photo_data.size,
-          filename: resumeData.photo_data.filename
-        } : null,
+        photo: null,
         
         // Raw and formatted text
         raw_text: resumeData.raw_text,
@@ -3023,18 +3496,41 @@ class TeachingFacultyResumeManager {
         updated_at: new Date()
       };
       
-      // Insert the document
-      const result = await collection.insertOne(facultyDoc);
+      assertValidRecord('teaching_faculty_resume', facultyDoc);
+
+      const existing = await collection.findOne({ faculty_id: facultyDoc.faculty_id });
+
+      if (resumeData.photo_data) {
+        const photo = resumeData.photo_data;
+        const stored = await this.db.mediaStore.saveMedia(photo.buffer, photo.filename || `${facultyDoc.faculty_id}.${photo.extension || 'png'}`, {
+          record_type: 'teaching_faculty_resume',
+          record_id: facultyDoc.faculty_id,
+          media_type: 'photo',
+          department: facultyDoc.department
+        });
+        facultyDoc.photo = { ...stored, extension: photo.extension || null };
+      }
+
+      // Upsert by faculty_id (re-processing the same resume updates it)
+      const { inserted } = await upsertRecord(collection, 'faculty_id', facultyDoc);
+
+      // Re-processing replaces the photo, so the previous GridFS copy goes
+      if (existing && existing.photo) {
+        await this.db.mediaStore.deleteMedia(existing.photo);
+      }
       
-      console.log(`✅ Faculty resume stored in: teaching_faculty_resume_${dept}`);
+      console.log(`✅ Faculty resume ${inserted ? 'stored' : 'updated'} in: teaching_faculty_resume_${dept}`);
       console.log(`   Faculty ID: ${facultyDoc.faculty_id}`);
       console.log(`   Name: ${facultyDoc.full_name}`);
       console.log(`   Has Photo: ${facultyDoc.has_photo ? 'Yes' : 'No'}`);
-      console.log(`   MongoDB _id: ${result.insertedId}`);
       
       return facultyDoc.faculty_id;
       
     } catch (error) {
+      if (error instanceof RecordValidationError) {
+        logValidationErrors(error, resumeData.metadata?.source_file);
+        throw error;
+      }
       console.error(`❌ Error storing faculty resume: ${error.message}`);
       return null;
     }
@@ -3076,7 +3572,7 @@ class TeachingFacultyResumeManager {
    */
   async getFacultyResumesByDepartment(department) {
     try {
-      const dept = department.toLowerCase();
+      const dept = departmentRegistry.collectionKey('faculty', department);
       const collection = this.db.db.collection(`teaching_faculty_resume_${dept}`);
       return await collection.find({ data_type: 'teaching_faculty_resume_pdf' }).toArray();
     } catch (error) {
@@ -3114,7 +3610,7 @@ class TeachingFacultyResumeManager {
   }
 
   /**
-   * Get faculty photo
+   * Get faculty photo (GridFS reference, or the inline buffer of older records)
    */
   async getFacultyPhoto(facultyId) {
     try {
@@ -3176,6 +3672,8 @@ class TeachingFacultyResumeManager {
    */
   async clearAllFacultyResumes() {
     try {
+      if (!(await this.db.backupBeforeClear('before_clear_faculty_resumes'))) return;
+
       console.log('🔍 Searching for teaching faculty resume collections...');
       
       const database = this.db.db || this.db.client.db();
@@ -3235,8 +3733,17 @@ class TeachingFacultyResumeManager {
         return false;
       }
       
+      const buffer = MediaStore.isStored(photo)
+        ? await this.db.mediaStore.readMedia(photo.data)
+        : MediaStore.toBuffer(photo.buffer);
+
+      if (!buffer) {
+        console.log('❌ Photo file is missing from storage');
+        return false;
+      }
+
       const fs = require('fs').promises;
-      await fs.writeFile(outputPath, photo.buffer);
+      await fs.writeFile(outputPath, buffer);
       
       console.log(`✅ Photo exported to: ${outputPath}`);
       return true;
@@ -0,0 +1,243 @@
+// media_batch_importer.js
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const xlsx = require('xlsx');
+
+const DEFAULT_PATTERNS_PATH = path.join(__dirname, 'media_id_patterns.json');
+
+// Which media field a file goes into, by extension
+const MediaExtensions = {
+  image: ['.png', '.jpg', '.jpeg', '.gif', '.bmp', '.webp'],
+  audio: ['.mp3', '.wav', '.m4a', '.ogg', '.webm']
+};
+
+function getMediaType(filename) {
+  const ext = path.extname(filename).toLowerCase();
+  return Object.keys(MediaExtensions).find(type => MediaExtensions[type].includes(ext)) || null;
+}
+
+/**
+ * Filename → student ID patterns from media_id_patterns.json (or MEDIA_ID_PATTERNS_FILE)
+ */
+function loadIdPatterns(configPath = null) {
+  const file = configPath || process.env.MEDIA_ID_PATTERNS_FILE || DEFAULT_PATTERNS_PATH;
+  const config = JSON.parse(fsSync.readFileSync(file, 'utf8'));
+  return compileIdPatterns(config.patterns || []);
+}
+
+/**
+ * { name, match: regex source (case-insensitive), id: template } → usable pattern
+ */
+function compileIdPatterns(patterns) {
+  return patterns.map((pattern, index) => ({
+    name: pattern.name || `pattern_${index + 1}`,
+    match: pattern.match instanceof RegExp ? pattern.match : new RegExp(pattern.match, 'i'),
+    id: pattern.id
+  }));
+}
+
+/**
+ * Fill an ID template from regex groups: {1} → group 1, {2:6} → group 2 zero-padded to 6 digits
+ */
+function formatStudentId(template, groups) {
+  return template.replace(/\{(\d+)(?::(\d+))?\}/g, (_, index, width) => {
+    const value = groups[Number(index)] || '';
+    return width ? value.padStart(Number(width), '0') : value;
+  }).toUpperCase();
+}
+
+/**
+ * Attaches a folder (or .zip) of student photos/recordings in one run.
+ * Filenames are turned into student IDs with the configured patterns
+ * (2025-0001.png → PDM-2025-000001) and stored through StudentDatabase.updateMedia.
+ */
+class MediaBatchImporter {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.patterns = options.patterns ? compileIdPatterns(options.patterns) : loadIdPatterns(options.patternsPath);
+  }
+
+  /**
+   * Candidate student IDs for a filename → [{ student_id, pattern }], one per matching pattern
+   */
+  matchFilename(filename) {
+    const base = path.basename(filename, path.extname(filename)).trim();
+    const candidates = [];
+
+    for (const pattern of this.patterns) {
+      const groups = base.match(pattern.match);
+      if (!groups) continue;
+
+      const studentId = formatStudentId(pattern.id, groups);
+      if (!candidates.some(candidate => candidate.student_id === studentId)) {
+        candidates.push({ student_id: studentId, pattern: pattern.name });
+      }
+    }
+    return candidates;
+  }
+
+  /**
+   * Import every media file in a folder or .zip.
+   * mediaType limits the import to 'image' or 'audio' (default: both, by extension);
+   * dryRun only reports the matches; overwrite replaces media that is already complete.
+   * → { source, dry_run, total, imported, unmatched, ambiguous, skipped, failed, error }
+   */
+  async importFrom(sourcePath, { mediaType = null, dryRun = false, overwrite = false } = {}) {
+    const report = {
+      source: sourcePath,
+      dry_run: dryRun,
+      total: 0,
+      imported: [],
+      unmatched: [],
+      ambiguous: [],
+      skipped: [],
+      failed: [],
+      error: null
+    };
+
+    let files;
+    try {
+      files = await this.listMediaFiles(sourcePath, mediaType);
+    } catch (error) {
+      console.error(`❌ Error reading ${sourcePath}: ${error.message}`);
+      report.error = error.message;
+      return report;
+    }
+    report.total = files.length;
+
+    // Match every file first, so two files claiming the same student are both caught
+    const matches = [];
+    for (const file of files) {
+      const candidates = this.matchFilename(file.name);
+      if (candidates.length === 0) {
+        report.unmatched.push({ file: file.path, reason: 'no_pattern_matched', candidates: [] });
+        continue;
+      }
+
+      const students = [];
+      for (const candidate of candidates) {
+        const student = await this.db.getStudentById(candidate.student_id);
+        if (student) students.push(student);
+      }
+
+      const candidateIds = candidates.map(candidate => candidate.student_id);
+      if (students.length === 0) {
+        report.unmatched.push({ file: file.path, reason: 'student_not_found', candidates: candidateIds });
+      } else if (students.length > 1) {
+        report.ambiguous.push({ file: file.path, reason: 'several_students', candidates: students.map(student => student.student_id) });
+      } else {
+        matches.push({ file, student: students[0] });
+      }
+    }
+
+    const claims = new Map();
+    matches.forEach(match => {
+      const key = `${match.student.student_id}:${match.file.mediaType}`;
+      claims.set(key, [...(claims.get(key) || []), match]);
+    });
+
+    for (const claim of claims.values()) {
+      if (claim.length > 1) {
+        claim.forEach(({ file, student }) => report.ambiguous.push({
+          file: file.path,
+          reason: 'several_files',
+          candidates: [student.student_id],
+          files: claim.map(other => other.file.path)
+        }));
+        continue;
+      }
+
+      const { file, student } = claim[0];
+      const entry = { file: file.path, student_id: student.student_id, department: student.department, media_type: file.mediaType };
+
+      if (!overwrite && student[file.mediaType]?.status === 'complete') {
+        report.skipped.push({ ...entry, reason: 'already_complete' });
+        continue;
+      }
+      if (dryRun) {
+        report.imported.push(entry);
+        continue;
+      }
+
+      try {
+        const updated = await this.db.updateMedia(student.student_id, file.mediaType, await file.read(), file.name, student.department);
+        if (updated) {
+          report.imported.push(entry);
+        } else {
+          report.failed.push({ ...entry, error: 'Student record was not updated' });
+        }
+      } catch (error) {
+        report.failed.push({ ...entry, error: error.message });
+      }
+    }
+
+    this.printSummary(report);
+    return report;
+  }
+
+  /**
+   * Media files in a folder (including subfolders) or a .zip
+   * → [{ name, path, mediaType, read() → Buffer }]
+   */
+  async listMediaFiles(sourcePath, mediaType = null) {
+    const stat = await fs.stat(sourcePath);
+    let entries;
+
+    if (stat.isDirectory()) {
+      const relativePaths = await fs.readdir(sourcePath, { recursive: true });
+      entries = relativePaths.map(relativePath => ({
+        path: relativePath.split(path.sep).join('/'),
+        read: () => fs.readFile(path.join(sourcePath, relativePath))
+      }));
+    } else if (path.extname(sourcePath).toLowerCase() === '.zip') {
+      // xlsx bundles a zip reader (xlsx files are zips)
+      const archive = xlsx.CFB.read(await fs.readFile(sourcePath), { type: 'buffer' });
+      entries = archive.FileIndex
+        .map((entry, index) => ({ entry, fullPath: archive.FullPaths[index] }))
+        .filter(({ entry }) => entry.type === 2 && entry.content)
+        .map(({ entry, fullPath }) => ({
+          path: fullPath.replace(/^Root Entry\//, ''),
+          read: async () => Buffer.from(entry.content)
+        }));
+    } else {
+      throw new Error('Source must be a folder or a .zip file');
+    }
+
+    return entries
+      .map(entry => ({ ...entry, name: path.posix.basename(entry.path), mediaType: getMediaType(entry.path) }))
+      .filter(entry => entry.mediaType && (!mediaType || entry.mediaType === mediaType))
+      // Hidden files and macOS resource forks are never media
+      .filter(entry => !entry.name.startsWith('.') && !entry.path.startsWith('__MACOSX/'))
+      .sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  printSummary(report) {
+    console.log(`\n📸 Media import from ${report.source}${report.dry_run ? ' (dry run - nothing stored)' : ''}`);
+    console.log(`   Files: ${report.total}`);
+    console.log(`   ✅ ${report.dry_run ? 'Would import' : 'Imported'}: ${report.imported.length}`);
+    if (report.skipped.length > 0) console.log(`   ⏭️  Already complete: ${report.skipped.length}`);
+
+    if (report.unmatched.length > 0) {
+      console.log(`   ❓ Unmatched: ${report.unmatched.length}`);
+      report.unmatched.forEach(item => console.log(`      ${item.file} - ${item.reason === 'no_pattern_matched'
+        ? 'filename does not look like a student ID'
+        : `no student ${item.candidates.join(' / ')}`}`));
+    }
+    if (report.ambiguous.length > 0) {
+      console.log(`   ⚠️  Ambiguous: ${report.ambiguous.length}`);
+      report.ambiguous.forEach(item => console.log(`      ${item.file} - ${item.reason === 'several_files'
+        ? `${item.candidates[0]} also claimed by ${item.files.filter(file => file !== item.file).join(', ')}`
+        : `matches ${item.candidates.join(' and ')}`}`));
+    }
+    if (report.failed.length > 0) {
+      console.log(`   ❌ Failed: ${report.failed.length}`);
+      report.failed.forEach(item => console.log(`      ${item.file} → ${item.student_id}: ${item.error}`));
+    }
+  }
+}
+
+module.exports = MediaBatchImporter;
+module.exports.MediaExtensions = MediaExtensions;
+module.exports.loadIdPatterns = loadIdPatterns;
+module.exports.formatStudentId = formatStudentId;
@@ -0,0 +1,287 @@
+// media_store.js
+const { GridFSBucket, ObjectId } = require('mongodb');
+const path = require('path');
+const sharp = require('sharp');
+const { getSchemaCollections } = require('./record_schemas');
+
+// Default GridFS bucket, the same one python-backend's gridfs.GridFS(db) writes to
+const MEDIA_BUCKET = 'fs';
+const MediaCollections = [`${MEDIA_BUCKET}.files`, `${MEDIA_BUCKET}.chunks`];
+
+// Longest side of a generated thumbnail, in pixels
+const THUMBNAIL_SIZE = 200;
+
+const ContentTypes = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.bmp': 'image/bmp',
+  '.webp': 'image/webp',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.m4a': 'audio/mp4',
+  '.ogg': 'audio/ogg',
+  '.webm': 'audio/webm'
+};
+
+function getContentType(filename) {
+  return ContentTypes[path.extname(filename || '').toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Raw bytes from whatever a caller has: Buffer, BSON Binary, base64 or a data: URL
+ */
+function toBuffer(mediaData) {
+  if (!mediaData) return null;
+  if (Buffer.isBuffer(mediaData)) return mediaData;
+  if (mediaData instanceof Uint8Array) return Buffer.from(mediaData);
+  if (mediaData.buffer && mediaData._bsontype === 'Binary') return Buffer.from(mediaData.buffer);
+  if (typeof mediaData === 'string') {
+    return Buffer.from(mediaData.replace(/^data:[^;]+;base64,/, ''), 'base64');
+  }
+  return null;
+}
+
+/**
+ * Student and faculty photos/recordings in GridFS.
+ * Records keep a small reference ({ data: <file id>, storage: 'gridfs', thumbnail_id, ... })
+ * instead of the bytes; images also get a JPEG thumbnail for list views.
+ */
+class MediaStore {
+  constructor(db) {
+    this.db = db;
+  }
+
+  get bucket() {
+    return new GridFSBucket(this.db.db, { bucketName: MEDIA_BUCKET });
+  }
+
+  /**
+   * True when a media field points at GridFS rather than holding the bytes inline
+   * (python-backend's GridFS uploads leave just the file id in data, without storage)
+   */
+  static isStored(media) {
+    if (!media || !media.data) return false;
+    return media.storage === 'gridfs' || (typeof media.data === 'string' && /^[0-9a-f]{24}$/i.test(media.data));
+  }
+
+  /**
+   * Upload media (and a thumbnail for images).
+   * owner = { record_type, record_id, media_type, department } is kept in the file metadata.
+   * → reference fields to $set on the record's media field
+   */
+  async saveMedia(mediaData, filename, owner = {}) {
+    const buffer = toBuffer(mediaData);
+    if (!buffer || buffer.length === 0) {
+      throw new Error('No media data to store');
+    }
+
+    const contentType = getContentType(filename);
+    const fileId = await this._upload(buffer, filename, { ...owner, kind: 'original', content_type: contentType });
+
+    let thumbnailId = null;
+    if (contentType.startsWith('image/')) {
+      try {
+        const thumbnail = await this.createThumbnail(buffer);
+        thumbnailId = await this._upload(thumbnail, `thumb_${path.parse(filename || 'image').name}.jpg`, {
+          ...owner,
+          kind: 'thumbnail',
+          content_type: 'image/jpeg',
+          original_id: fileId
+        });
+      } catch (error) {
+        // A photo sharp cannot decode is still stored, just without a thumbnail
+        console.log(`   ⚠️  No thumbnail for ${filename}: ${error.message}`);
+      }
+    }
+
+    return {
+      data: fileId.toHexString(),
+      storage: 'gridfs',
+      thumbnail_id: thumbnailId ? thumbnailId.toHexString() : null,
+      content_type: contentType,
+      size: buffer.length,
+      filename: filename || null
+    };
+  }
+
+  /**
+   * JPEG thumbnail, at most THUMBNAIL_SIZE on its longest side
+   */
+  async createThumbnail(buffer) {
+    return sharp(buffer)
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: 80 })
+      .toBuffer();
+  }
+
+  _upload(buffer, filename, metadata) {
+    return new Promise((resolve, reject) => {
+      const upload = this.bucket.openUploadStream(filename || 'media', { metadata });
+      upload.once('finish', () => resolve(upload.id));
+      upload.once('error', reject);
+      upload.end(buffer);
+    });
+  }
+
+  /**
+   * GridFS file document (length, filename, metadata) or null
+   */
+  async getFile(fileId) {
+    const id = this._toObjectId(fileId);
+    if (!id) return null;
+    return this.db.db.collection(`${MEDIA_BUCKET}.files`).findOne({ _id: id });
+  }
+
+  /**
+   * Readable stream of a stored file, for piping straight into a response
+   */
+  openDownloadStream(fileId) {
+    return this.bucket.openDownloadStream(this._toObjectId(fileId));
+  }
+
+  /**
+   * Whole file as a Buffer, or null when it does not exist
+   */
+  async readMedia(fileId) {
+    try {
+      if (!await this.getFile(fileId)) return null;
+
+      const chunks = [];
+      for await (const chunk of this.openDownloadStream(fileId)) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks);
+    } catch (error) {
+      console.error(`❌ Error reading media ${fileId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Remove a media field's GridFS files (original and thumbnail); inline media is left alone
+   */
+  async deleteMedia(media) {
+    if (!MediaStore.isStored(media)) return 0;
+
+    let deleted = 0;
+    for (const fileId of [media.data, media.thumbnail_id].filter(Boolean)) {
+      try {
+        await this.bucket.delete(this._toObjectId(fileId));
+        deleted++;
+      } catch (error) {
+        console.log(`   ⚠️  Could not delete media ${fileId}: ${error.message}`);
+      }
+    }
+    return deleted;
+  }
+
+  /**
+   * Move media still stored inline (base64 image/audio data, resume photo buffers) into GridFS.
+   * → { migrated, failed }
+   */
+  async migrateInlineMedia() {
+    const summary = { migrated: 0, failed: 0 };
+    const collections = await this.db.db.listCollections().toArray();
+    const names = collections.map(collection => collection.name);
+
+    for (const recordType of ['student', 'teaching_faculty', 'non_teaching_faculty']) {
+      const idField = recordType === 'student' ? 'student_id' : 'faculty_id';
+
+      for (const name of getSchemaCollections(recordType).filter(name => names.includes(name))) {
+        const collection = this.db.db.collection(name);
+        const records = await collection.find({
+          $or: ['image', 'audio'].map(field => ({ [`${field}.data`]: { $ne: null }, [`${field}.storage`]: { $ne: 'gridfs' } }))
+        }).toArray();
+
+        for (const record of records) {
+          for (const mediaType of ['image', 'audio']) {
+            const media = record[mediaType];
+            // 'default_profile' and short strings are placeholders or python GridFS ids, not bytes
+            if (!media || typeof media.data !== 'string' || media.storage === 'gridfs' || media.data.length < 100) continue;
+
+            try {
+              const stored = await this.saveMedia(media.data, media.filename || `${record[idField]}_${mediaType}`, {
+                record_type: recordType,
+                record_id: record[idField],
+                media_type: mediaType,
+                department: record.department || null
+              });
+              await collection.updateOne({ _id: record._id }, { $set: this.toMediaUpdate(mediaType, stored) });
+              summary.migrated++;
+            } catch (error) {
+              console.error(`❌ Could not migrate ${mediaType} of ${record[idField]}: ${error.message}`);
+              summary.failed++;
+            }
+          }
+        }
+      }
+    }
+
+    for (const name of getSchemaCollections('teaching_faculty_resume').filter(name => names.includes(name))) {
+      const collection = this.db.db.collection(name);
+      const resumes = await collection.find({ 'photo.buffer': { $ne: null } }).toArray();
+
+      for (const resume of resumes) {
+        const photo = resume.photo;
+        if (!photo || !photo.buffer) continue;
+
+        try {
+          const stored = await this.saveMedia(photo.buffer, photo.filename || `${resume.faculty_id}.${photo.extension || 'png'}`, {
+            record_type: 'teaching_faculty_resume',
+            record_id: resume.faculty_id,
+            media_type: 'photo',
+            department: resume.department || null
+          });
+          await collection.updateOne(
+            { _id: resume._id },
+            { $set: { photo: { ...stored, extension: photo.extension || null } } }
+          );
+          summary.migrated++;
+        } catch (error) {
+          console.error(`❌ Could not migrate photo of ${resume.faculty_id}: ${error.message}`);
+          summary.failed++;
+        }
+      }
+    }
+
+    console.log(`✅ Moved ${summary.migrated} inline media file(s) to GridFS${summary.failed ? ` (${summary.failed} failed)` : ''}`);
+    return summary;
+  }
+
+  /**
+   * $set fields for a record's image/audio field after saveMedia
+   */
+  toMediaUpdate(mediaType, stored) {
+    return Object.fromEntries(Object.entries(stored).map(([field, value]) => [`${mediaType}.${field}`, value]));
+  }
+
+  /**
+   * Drop every stored media file
+   */
+  async clearAll() {
+    try {
+      await this.bucket.drop();
+      return true;
+    } catch (error) {
+      // Dropping a bucket that was never written to is fine
+      if (error.code === 26 || /ns not found/i.test(error.message)) return true;
+      console.error(`❌ Error clearing media: ${error.message}`);
+      return false;
+    }
+  }
+
+  _toObjectId(fileId) {
+    if (fileId instanceof ObjectId) return fileId;
+    return ObjectId.isValid(String(fileId)) ? new ObjectId(String(fileId)) : null;
+  }
+}
+
+module.exports = MediaStore;
+module.exports.MediaCollections = MediaCollections;
+module.exports.MEDIA_BUCKET = MEDIA_BUCKET;
+module.exports.getContentType = getContentType;
+module.exports.toBuffer = toBuffer;
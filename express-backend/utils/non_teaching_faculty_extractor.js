@@ -1,5 +1,6 @@
 // non_teaching_faculty_extractor.js
 const xlsx = require('xlsx');
+const { readSheet } = require('./workbook_reader');
 const path = require('path');
 
 class NonTeachingFacultyExtractor {
@@ -36,12 +37,10 @@ class NonTeachingFacultyExtractor {
    * MAIN EXTRACTION METHOD
    * Reuses the same extraction logic as teaching faculty
    */
-  async extractNonTeachingFacultyExcelInfo(filename) {
+  async extractNonTeachingFacultyExcelInfo(filename, sheetName = null) {
     try {
       // Read Excel file (no headers, raw 2D array)
-      const workbook = xlsx.readFile(filename);
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
+      const { worksheet } = readSheet(filename, sheetName);
       const data = xlsx.utils.sheet_to_json(worksheet, { header: 1, defval: '' });
 
       console.log(`📋 Non-Teaching Faculty Excel dimensions: ${data.length} rows x ${data[0]?.length || 0} cols`);
@@ -633,10 +632,10 @@ PhilHealth: ${formatField(philhealth)}`;
   /**
    * PROCESS: Main processing method
    */
-  async processNonTeachingFacultyExcel(filename) {
+  async processNonTeachingFacultyExcel(filename, sheetName = null) {
     try {
       // EXTRACT
-      const facultyInfo = await this.extractNonTeachingFacultyExcelInfo(filename);
+      const facultyInfo = await this.extractNonTeachingFacultyExcelInfo(filename, sheetName);
 
       if (!facultyInfo) {
         console.log('❌ Could not extract non-teaching faculty data from Excel');
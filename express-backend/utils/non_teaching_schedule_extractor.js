@@ -1,6 +1,9 @@
 // non_teaching_schedule_extractor.js
 const xlsx = require('xlsx');
+const { readSheet } = require('./workbook_reader');
 const fs = require('fs');
+const departmentRegistry = require('./department_registry');
+const { findSheetTerm } = require('./academic_terms');
 
 class NonTeachingScheduleExtractor {
   constructor() {
@@ -10,14 +13,12 @@ class NonTeachingScheduleExtractor {
   /**
    * Main function to process non-teaching faculty schedule Excel file
    */
-  async processNonTeachingScheduleExcel(filePath) {
+  async processNonTeachingScheduleExcel(filePath, sheetName = null) {
     try {
       console.log(`\n📋 Processing non-teaching schedule file: ${filePath}`);
       
       // Read the Excel file
-      const workbook = xlsx.readFile(filePath);
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
+      const { worksheet } = readSheet(filePath, sheetName);
       
       // Convert to array of arrays for easier processing
       const data = xlsx.utils.sheet_to_json(worksheet, { header: 1, defval: null });
@@ -31,6 +32,9 @@ class NonTeachingScheduleExtractor {
       // STEP 2: Extract schedule data
       const scheduleData = this.extractScheduleData(data);
       console.log(`📋 Found ${scheduleData.length} scheduled shifts/duties`);
+
+      // STEP 3: School year and semester the schedule is for
+      const term = findSheetTerm(data, filePath);
       
       // Format the output
       const result = {
@@ -39,6 +43,8 @@ class NonTeachingScheduleExtractor {
           full_name: staffInfo.name,
           department: this.standardizeDepartment(staffInfo.department),
           position: staffInfo.position || 'Staff',
+          school_year: term.school_year,
+          semester: term.semester,
           data_type: 'non_teaching_faculty_schedule',
           faculty_type: 'non_teaching_schedule',
           total_shifts: scheduleData.length,
@@ -340,13 +346,7 @@ class NonTeachingScheduleExtractor {
     'PROCUREMENT': 'SUPPLY',
     
     // Only if they work FOR an academic department (rare)
-    'CCS': 'CCS_ADMIN',
-    'CHTM': 'CHTM_ADMIN',
-    'CBA': 'CBA_ADMIN',
-    'CTE': 'CTE_ADMIN',
-    'COE': 'COE_ADMIN',
-    'CON': 'CON_ADMIN',
-    'CAS': 'CAS_ADMIN'
+    ...Object.fromEntries(departmentRegistry.getCollegeCodes().map(code => [code, `${code}_ADMIN`]))
   };
     
     const upper = dept.toUpperCase();
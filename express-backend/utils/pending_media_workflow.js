@@ -0,0 +1,369 @@
+// pending_media_workflow.js
+const { escapeRegex } = require('./query_helpers');
+
+// Who can be in `pending_media`, how their entries are told apart and what they must hand in
+const PendingPersonTypes = {
+  student: { idField: 'student_id', query: { student_id: { $exists: true } }, items: ['image', 'audio'] },
+  teaching: { idField: 'faculty_id', query: { faculty_type: 'teaching' }, items: ['image', 'audio', 'descriptor'] },
+  non_teaching: { idField: 'faculty_id', query: { faculty_type: 'non_teaching' }, items: ['image', 'audio', 'descriptor'] }
+};
+
+const PendingItems = ['image', 'audio', 'descriptor'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getPersonType(entry) {
+  if (entry.student_id) return 'student';
+  return entry.faculty_type === 'non_teaching' ? 'non_teaching' : 'teaching';
+}
+
+/**
+ * Dates come in as Date, 'YYYY-MM-DD' or ISO strings. A bare date means the start of that day,
+ * or its end with endOfDay (a follow-up due 2025-03-01 is still on time that evening).
+ */
+function parseDate(value, { endOfDay = false } = {}) {
+  if (!value) return null;
+  if (value instanceof Date) return isNaN(value) ? null : value;
+
+  const text = String(value).trim();
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(text)
+    ? new Date(`${text}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}`)
+    : new Date(text);
+  return isNaN(date) ? null : date;
+}
+
+/**
+ * Follow-up workflow over `pending_media`: filtering by department/section/missing item,
+ * assigning entries to staff with due dates, reminders for overdue work, and a
+ * `pending_media_completions` log of when each photo/recording/descriptor came in.
+ */
+class PendingMediaWorkflow {
+  constructor(db) {
+    this.db = db;
+  }
+
+  get pending() {
+    return this.db.db.collection('pending_media');
+  }
+
+  get completions() {
+    return this.db.db.collection('pending_media_completions');
+  }
+
+  async ensureIndexes() {
+    await this.pending.createIndex({ 'assignment.assigned_to': 1 });
+    await this.pending.createIndex({ 'assignment.due_date': 1 });
+    await this.completions.createIndex({ completed_at: -1 });
+    await this.completions.createIndex({ person_id: 1, item: 1 });
+  }
+
+  /**
+   * MongoDB filter for { type, department, course, year, section, missing (or item), assigned_to, overdue, ids }
+   * assigned_to: a staff name, or 'unassigned'; overdue: true for assignments past their due date.
+   * Other keys (since, until) only apply to the completion history.
+   */
+  buildQuery(filters = {}, asOf = new Date()) {
+    const query = {};
+
+    if (filters.type) {
+      if (!PendingPersonTypes[filters.type]) {
+        throw new Error(`Unknown type '${filters.type}'. Use one of: ${Object.keys(PendingPersonTypes).join(', ')}`);
+      }
+      Object.assign(query, PendingPersonTypes[filters.type].query);
+    }
+
+    ['department', 'course', 'year', 'section'].forEach(field => {
+      if (filters[field]) {
+        query[field] = { $regex: `^${escapeRegex(String(filters[field]).trim())}$`, $options: 'i' };
+      }
+    });
+
+    const missing = filters.missing || filters.item;
+    if (missing) {
+      if (!PendingItems.includes(missing)) {
+        throw new Error(`Unknown item '${missing}'. Use one of: ${PendingItems.join(', ')}`);
+      }
+      query[`waiting_for.${missing}`] = true;
+    }
+
+    if (filters.assigned_to === 'unassigned') {
+      query.assignment = { $exists: false };
+    } else if (filters.assigned_to) {
+      query['assignment.assigned_to'] = { $regex: `^${escapeRegex(String(filters.assigned_to).trim())}$`, $options: 'i' };
+    }
+
+    if (filters.overdue === true || filters.overdue === 'true') {
+      query['assignment.due_date'] = { $lt: asOf };
+    }
+
+    if (filters.ids && filters.ids.length > 0) {
+      query.$or = [{ student_id: { $in: filters.ids } }, { faculty_id: { $in: filters.ids } }];
+    }
+
+    return query;
+  }
+
+  /**
+   * Pending entries matching the filters, sorted by department/course/year/section/name,
+   * each with person_type, person_id, missing items and an overdue flag
+   */
+  async getPendingItems(filters = {}) {
+    try {
+      const asOf = new Date();
+      const entries = await this.pending.find(this.buildQuery(filters, asOf)).toArray();
+
+      return entries
+        .map(entry => this._describe(entry, asOf))
+        .filter(entry => entry.missing.length > 0)
+        .sort((a, b) => ['department', 'course', 'year', 'section', 'full_name']
+          .map(field => String(a[field] ?? '').localeCompare(String(b[field] ?? ''), undefined, { numeric: true }))
+          .find(order => order !== 0) || 0);
+    } catch (error) {
+      console.error(`❌ Error getting pending media: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Assign the matching entries (filters, or { ids }) to a staff member.
+   * → { assigned } or { assigned: 0, error }
+   */
+  async assign(filters, { assignedTo, dueDate = null, note = null }) {
+    try {
+      if (!assignedTo || !String(assignedTo).trim()) {
+        return { assigned: 0, error: 'A staff member to assign to is required' };
+      }
+
+      const due = parseDate(dueDate, { endOfDay: true });
+      if (dueDate && !due) {
+        return { assigned: 0, error: `Invalid due date '${dueDate}' (use YYYY-MM-DD)` };
+      }
+
+      // Filters that select nothing would reassign every pending entry
+      const query = this.buildQuery(filters);
+      if (Object.keys(query).length === 0) {
+        return { assigned: 0, error: 'Pick the entries to assign with ids or filters' };
+      }
+
+      const result = await this.pending.updateMany(query, {
+        $set: {
+          assignment: {
+            assigned_to: String(assignedTo).trim(),
+            assigned_at: new Date(),
+            due_date: due,
+            note: note || null,
+            last_reminded_at: null,
+            reminder_count: 0
+          }
+        }
+      });
+
+      console.log(`✅ Assigned ${result.modifiedCount} pending item(s) to ${String(assignedTo).trim()}${due ? ` (due ${due.toDateString()})` : ''}`);
+      return { assigned: result.modifiedCount };
+    } catch (error) {
+      console.error(`❌ Error assigning pending media: ${error.message}`);
+      return { assigned: 0, error: error.message };
+    }
+  }
+
+  async unassign(filters) {
+    try {
+      const query = this.buildQuery(filters);
+      if (Object.keys(query).length === 0) {
+        return { unassigned: 0, error: 'Pick the entries to unassign with ids or filters' };
+      }
+
+      const result = await this.pending.updateMany(query, { $unset: { assignment: '' } });
+      return { unassigned: result.modifiedCount };
+    } catch (error) {
+      console.error(`❌ Error unassigning pending media: ${error.message}`);
+      return { unassigned: 0, error: error.message };
+    }
+  }
+
+  /**
+   * Assigned follow-ups that are overdue or due within `withinDays`, grouped per staff member
+   * → [{ assigned_to, overdue: [...], due_soon: [...] }]
+   */
+  async getReminders({ withinDays = 3, asOf = new Date() } = {}) {
+    try {
+      const dueBy = new Date(asOf.getTime() + withinDays * DAY_MS);
+      const entries = await this.pending.find({ 'assignment.due_date': { $lte: dueBy } }).toArray();
+      const byStaff = new Map();
+
+      entries.map(entry => this._describe(entry, asOf)).forEach(entry => {
+        const staff = entry.assignment.assigned_to;
+        if (!byStaff.has(staff)) byStaff.set(staff, { assigned_to: staff, overdue: [], due_soon: [] });
+        byStaff.get(staff)[entry.overdue ? 'overdue' : 'due_soon'].push(entry);
+      });
+
+      return [...byStaff.values()].sort((a, b) => b.overdue.length - a.overdue.length || a.assigned_to.localeCompare(b.assigned_to));
+    } catch (error) {
+      console.error(`❌ Error getting reminders: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Note that the staff behind these entries were reminded
+   */
+  async markReminded(entries) {
+    const ids = entries.map(entry => entry.person_id);
+    if (ids.length === 0) return 0;
+
+    const result = await this.pending.updateMany(this.buildQuery({ ids }), {
+      $set: { 'assignment.last_reminded_at': new Date() },
+      $inc: { 'assignment.reminder_count': 1 }
+    });
+    return result.modifiedCount;
+  }
+
+  /**
+   * Bring an entry in step with what a person still lacks (waitingFor: { image, audio, descriptor }).
+   * Items that were waiting and are now in are logged to `pending_media_completions`;
+   * the entry is removed once nothing is left. → { completed: [items], done } or null
+   */
+  async recordProgress(personType, personId, waitingFor) {
+    try {
+      const { idField } = PendingPersonTypes[personType];
+      const entry = await this.pending.findOne({ [idField]: personId });
+      if (!entry) return null;
+
+      const completedAt = new Date();
+      const completed = Object.keys(waitingFor).filter(item => entry.waiting_for?.[item] && !waitingFor[item]);
+
+      for (const item of completed) {
+        const dueDate = entry.assignment?.due_date || null;
+        await this.completions.insertOne({
+          person_type: personType,
+          person_id: personId,
+          full_name: entry.full_name || null,
+          department: entry.department || null,
+          course: entry.course || null,
+          year: entry.year || null,
+          section: entry.section || null,
+          item,
+          assigned_to: entry.assignment?.assigned_to || null,
+          due_date: dueDate,
+          on_time: dueDate ? completedAt <= new Date(dueDate) : null,
+          waited_days: entry.added_at ? Math.floor((completedAt - new Date(entry.added_at)) / DAY_MS) : null,
+          completed_at: completedAt
+        });
+      }
+
+      const waiting = { ...entry.waiting_for, ...waitingFor };
+      const done = PendingPersonTypes[personType].items.every(item => !waiting[item]);
+
+      if (done) {
+        await this.pending.deleteOne({ [idField]: personId });
+      } else {
+        await this.pending.updateOne({ [idField]: personId }, { $set: { waiting_for: waiting } });
+      }
+      return { completed, done };
+    } catch (error) {
+      console.error(`❌ Error recording media progress for ${personId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Completed items, newest first. filters: type, department, course, year, section, item,
+   * assigned_to, since, until (dates or YYYY-MM-DD)
+   */
+  async getCompletionHistory(filters = {}) {
+    try {
+      const query = {};
+      if (filters.type) query.person_type = filters.type;
+      if (filters.item) query.item = filters.item;
+
+      ['department', 'course', 'year', 'section', 'assigned_to'].forEach(field => {
+        if (filters[field]) {
+          query[field] = { $regex: `^${escapeRegex(String(filters[field]).trim())}$`, $options: 'i' };
+        }
+      });
+
+      const since = parseDate(filters.since);
+      const until = parseDate(filters.until, { endOfDay: true });
+      if (since || until) {
+        query.completed_at = {};
+        if (since) query.completed_at.$gte = since;
+        if (until) query.completed_at.$lte = until;
+      }
+
+      return await this.completions.find(query, { projection: { _id: 0 } }).sort({ completed_at: -1 }).toArray();
+    } catch (error) {
+      console.error(`❌ Error reading completion history: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Totals for a dashboard: pending entries, what is missing, assignment state, and completions
+   */
+  async getSummary(filters = {}) {
+    const entries = await this.getPendingItems(filters);
+    const { missing, assigned_to, overdue, ...historyFilters } = filters;
+    const history = await this.getCompletionHistory({ ...historyFilters, item: missing });
+
+    const summary = {
+      pending: entries.length,
+      missing: Object.fromEntries(PendingItems.map(item => [item, 0])),
+      assigned: 0,
+      unassigned: 0,
+      overdue: 0,
+      completed_items: history.length,
+      completed_on_time: history.filter(entry => entry.on_time === true).length,
+      completed_late: history.filter(entry => entry.on_time === false).length,
+      groups: []
+    };
+
+    const groups = new Map();
+    entries.forEach(entry => {
+      entry.missing.forEach(item => { summary.missing[item]++; });
+      summary[entry.assignment ? 'assigned' : 'unassigned']++;
+      if (entry.overdue) summary.overdue++;
+
+      const label = entry.person_type === 'student'
+        ? `${entry.department || 'UNKNOWN'} ${entry.course || ''} ${entry.year || ''}-${entry.section || ''}`.replace(/\s+/g, ' ').trim()
+        : `${entry.department || 'UNKNOWN'} (${entry.person_type === 'teaching' ? 'teaching' : 'non-teaching'})`;
+
+      if (!groups.has(label)) groups.set(label, { group: label, pending: 0, overdue: 0, image: 0, audio: 0, descriptor: 0 });
+      const group = groups.get(label);
+      group.pending++;
+      if (entry.overdue) group.overdue++;
+      entry.missing.forEach(item => { group[item]++; });
+    });
+
+    summary.groups = [...groups.values()].sort((a, b) => a.group.localeCompare(b.group, undefined, { numeric: true }));
+    return summary;
+  }
+
+  async clearHistory() {
+    try {
+      const result = await this.completions.deleteMany({});
+      return result.deletedCount;
+    } catch (error) {
+      console.error(`❌ Error clearing completion history: ${error.message}`);
+      return 0;
+    }
+  }
+
+  _describe(entry, asOf) {
+    const personType = getPersonType(entry);
+    const { idField, items } = PendingPersonTypes[personType];
+    const dueDate = entry.assignment?.due_date ? new Date(entry.assignment.due_date) : null;
+
+    return {
+      ...entry,
+      person_type: personType,
+      person_id: entry[idField],
+      missing: items.filter(item => entry.waiting_for?.[item]),
+      overdue: Boolean(dueDate && dueDate < asOf)
+    };
+  }
+}
+
+module.exports = PendingMediaWorkflow;
+module.exports.PendingPersonTypes = PendingPersonTypes;
+module.exports.PendingItems = PendingItems;
+module.exports.parseDate = parseDate;
@@ -0,0 +1,265 @@
+// prerequisite_graph.js
+const { Semesters } = require('./academic_terms');
+
+// Cell values that mean "no requisite"
+const NO_REQUISITE = ['', '-', '--', 'NONE', 'N/A', 'NA', 'NOTHING'];
+
+// IT101, MATH102, GE1, CS101L, PE1 … (matched after normalizeSubjectCode)
+const SUBJECT_CODE_PATTERN = /^[A-Z]{2,}[A-Z ]*\s*-?\s*\d{1,4}[A-Z]?$/;
+
+/**
+ * 'IT 101', 'it-101', 'IT101' → 'IT101' (curricula, grade sheets and CORs write codes differently)
+ */
+function normalizeSubjectCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * A pre-/co-requisite cell → { codes, notes }
+ * 'IT 101, MATH 101' / 'IT101 & IT102' / 'IT 101 and 3rd Year Standing' → codes ['IT101', ...],
+ * anything that isn't a subject code ('3rd Year Standing', 'Graduating') → notes
+ */
+function parseRequisites(value) {
+  const result = { codes: [], notes: [] };
+
+  String(value ?? '')
+    .split(/[,;/&+\n]|\band\b/i)
+    .map(token => token.replace(/\s+/g, ' ').trim())
+    .forEach(token => {
+      const upper = token.toUpperCase();
+      if (NO_REQUISITE.includes(upper)) return;
+      // Dotted codes such as 'P.E. 1' or 'N.S.T.P. 1' are subject codes too
+      if (SUBJECT_CODE_PATTERN.test(normalizeSubjectCode(upper))) {
+        const code = upper.replace(/[^A-Z0-9-]/g, '');
+        if (!result.codes.includes(code)) result.codes.push(code);
+      } else {
+        result.notes.push(token);
+      }
+    });
+
+  return result;
+}
+
+/**
+ * Curriculum structure ({ year: { semester: [subjects] } }) → prerequisite graph:
+ * {
+ *   nodes: { key: { subject_code, subject_name, year_level, semester, prerequisites, corequisites, notes } },
+ *   edges: [{ from, to, type: 'prerequisite' | 'corequisite' }],   // from must be taken before/with to
+ *   cycles: [[key, ...]],                                           // prerequisite loops
+ *   unknown_references: [{ subject_code, reference, type }]        // requisites not in the curriculum
+ * }
+ * Nodes are keyed by the normalized code ('P.E. 1' → 'PE1', which also keeps dots out of
+ * MongoDB field names); prerequisites, corequisites, edges and cycles hold those keys, and
+ * subject_code keeps the curriculum's own spelling.
+ */
+function buildPrerequisiteGraph(curriculum = {}) {
+  const graph = { nodes: {}, edges: [], cycles: [], unknown_references: [] };
+
+  Object.entries(curriculum || {}).forEach(([year, semesters]) => {
+    Object.entries(semesters || {}).forEach(([semester, subjects]) => {
+      (subjects || []).forEach(subject => {
+        const key = normalizeSubjectCode(subject.subject_code);
+        if (!key || key === 'NA' || graph.nodes[key]) return;
+
+        graph.nodes[key] = {
+          subject_code: subject.subject_code,
+          subject_name: subject.subject_name || null,
+          year_level: subject.year_level || String(year),
+          semester: subject.semester || semester,
+          prerequisites: [],
+          corequisites: [],
+          notes: subject.requisite_notes || []
+        };
+      });
+    });
+  });
+
+  Object.values(curriculum || {}).forEach(semesters => {
+    Object.values(semesters || {}).forEach(subjects => {
+      (subjects || []).forEach(subject => {
+        const key = normalizeSubjectCode(subject.subject_code);
+        const node = graph.nodes[key];
+        if (!node) return;
+
+        [['prerequisites', 'prerequisite'], ['corequisites', 'corequisite']].forEach(([field, type]) => {
+          (subject[field] || []).forEach(reference => {
+            const code = normalizeSubjectCode(reference);
+            if (!graph.nodes[code]) {
+              graph.unknown_references.push({ subject_code: node.subject_code, reference, type });
+              return;
+            }
+            if (code === key || node[field].includes(code)) return;
+            node[field].push(code);
+            graph.edges.push({ from: code, to: key, type });
+          });
+        });
+      });
+    });
+  });
+
+  graph.cycles = findCycles(graph);
+  return graph;
+}
+
+/**
+ * Prerequisite loops (corequisites are allowed to point at each other) → [[A, B, A], ...]
+ */
+function findCycles(graph) {
+  const cycles = [];
+  const seen = new Set();
+  const state = {}; // 1 = on the current path, 2 = done
+  const path = [];
+
+  const visit = code => {
+    state[code] = 1;
+    path.push(code);
+
+    for (const prerequisite of graph.nodes[code]?.prerequisites || []) {
+      if (state[prerequisite] === 1) {
+        const cycle = [...path.slice(path.indexOf(prerequisite)), prerequisite];
+        const key = [...new Set(cycle)].sort().join('>');
+        if (!seen.has(key)) {
+          seen.add(key);
+          cycles.push(cycle);
+        }
+      } else if (!state[prerequisite]) {
+        visit(prerequisite);
+      }
+    }
+
+    path.pop();
+    state[code] = 2;
+  };
+
+  Object.keys(graph.nodes).forEach(code => {
+    if (!state[code]) visit(code);
+  });
+
+  return cycles;
+}
+
+/**
+ * Node key of a subject however its code is written (null when it is not in the graph)
+ */
+function findNodeKey(graph, subjectCode) {
+  const normalized = normalizeSubjectCode(subjectCode);
+  if (graph.nodes[normalized]) return normalized;
+  // Graphs stored before nodes were keyed by the normalized code
+  return Object.keys(graph.nodes).find(key => normalizeSubjectCode(key) === normalized) || null;
+}
+
+/**
+ * Node keys → the curriculum's own codes, for anything shown to people
+ */
+function displayCodes(graph, keys) {
+  return keys.map(key => graph.nodes[key]?.subject_code || key);
+}
+
+/**
+ * Everything that has to be passed before a subject, directly or through other prerequisites
+ * → { subject_code, subject_name, tree, chain } or null when the subject is not in the graph.
+ * tree nests prerequisites under each subject; chain lists each prerequisite once, in the
+ * order they can be taken (earliest first).
+ */
+function getPrerequisiteChain(graph, subjectCode) {
+  const rootKey = findNodeKey(graph, subjectCode);
+  if (!rootKey) return null;
+  const root = graph.nodes[rootKey];
+
+  const chain = [];
+  const listed = new Set();
+
+  const expand = (code, onPath) => {
+    const node = graph.nodes[code];
+    const tree = { subject_code: node?.subject_code || code, subject_name: node?.subject_name || null, prerequisites: [] };
+
+    (node?.prerequisites || []).forEach(prerequisite => {
+      if (onPath.has(prerequisite)) {
+        tree.prerequisites.push({ subject_code: graph.nodes[prerequisite]?.subject_code || prerequisite, cycle: true, prerequisites: [] });
+        return;
+      }
+      tree.prerequisites.push(expand(prerequisite, new Set([...onPath, prerequisite])));
+      if (!listed.has(prerequisite)) {
+        listed.add(prerequisite);
+        const { subject_code, subject_name, year_level, semester } = graph.nodes[prerequisite];
+        chain.push({ subject_code, subject_name, year_level, semester });
+      }
+    });
+
+    return tree;
+  };
+
+  const tree = expand(rootKey, new Set([rootKey]));
+  chain.sort((a, b) =>
+    (parseInt(a.year_level, 10) || 0) - (parseInt(b.year_level, 10) || 0) ||
+    Semesters.indexOf(a.semester) - Semesters.indexOf(b.semester)
+  );
+
+  return {
+    subject_code: root.subject_code,
+    subject_name: root.subject_name,
+    corequisites: displayCodes(graph, root.corequisites),
+    notes: root.notes,
+    tree,
+    chain
+  };
+}
+
+/**
+ * Check subjects a student wants to enroll in against the subjects they have passed.
+ * Prerequisites must already be passed; corequisites may be passed or taken in the same enrollment.
+ * → { allowed, subjects: [{ subject_code, allowed, in_curriculum, already_passed,
+ *     missing_prerequisites, missing_corequisites, notes }] }
+ * Notes such as '3rd Year Standing' are returned for the adviser to check; they never block.
+ */
+function checkEnrollment(graph, passedCodes = [], proposedCodes = []) {
+  const passed = new Set(passedCodes.map(normalizeSubjectCode));
+  const proposed = new Set(proposedCodes.map(normalizeSubjectCode));
+  const isSatisfied = (code, allowSameTerm) => {
+    const normalized = normalizeSubjectCode(code);
+    return passed.has(normalized) || (allowSameTerm && proposed.has(normalized));
+  };
+
+  const subjects = proposedCodes.map(subjectCode => {
+    const key = findNodeKey(graph, subjectCode);
+    const node = key && graph.nodes[key];
+    if (!node) {
+      return {
+        subject_code: subjectCode,
+        allowed: false,
+        in_curriculum: false,
+        already_passed: passed.has(normalizeSubjectCode(subjectCode)),
+        missing_prerequisites: [],
+        missing_corequisites: [],
+        notes: ['Not in the curriculum']
+      };
+    }
+
+    const missingPrerequisites = node.prerequisites.filter(code => !isSatisfied(code, false));
+    const missingCorequisites = node.corequisites.filter(code => !isSatisfied(code, true));
+    const alreadyPassed = passed.has(normalizeSubjectCode(node.subject_code));
+
+    return {
+      subject_code: node.subject_code,
+      subject_name: node.subject_name,
+      allowed: !alreadyPassed && missingPrerequisites.length === 0 && missingCorequisites.length === 0,
+      in_curriculum: true,
+      already_passed: alreadyPassed,
+      missing_prerequisites: displayCodes(graph, missingPrerequisites),
+      missing_corequisites: displayCodes(graph, missingCorequisites),
+      notes: node.notes
+    };
+  });
+
+  return { allowed: subjects.every(subject => subject.allowed), subjects };
+}
+
+module.exports = {
+  normalizeSubjectCode,
+  parseRequisites,
+  buildPrerequisiteGraph,
+  findCycles,
+  displayCodes,
+  getPrerequisiteChain,
+  checkEnrollment
+};
@@ -7,6 +7,7 @@ const readline = require('readline');
 const path = require('path');
 const fs = require('fs').promises;
 const { StudentDatabase, StudentDataExtractor } = require('./main');
+const departmentRegistry = require('./department_registry');
 
 class ExcelProcessor {
   constructor() {
@@ -224,10 +225,7 @@ class ExcelProcessor {
       console.log('\n📚 Students by Department:');
       
       const deptNames = {
-        'CCS': 'Computer Studies',
-        'CHTM': 'Hospitality & Tourism',
-        'CBA': 'Business Administration',
-        'CTE': 'Teacher Education',
+        ...Object.fromEntries(departmentRegistry.getColleges().map(college => [college.code, college.name])),
         'UNKNOWN': 'Unclassified'
       };
 
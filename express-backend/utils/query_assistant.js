@@ -1,4 +1,7 @@
 // query_assistant.js
+const departmentRegistry = require('./department_registry');
+const { termLabel } = require('./academic_terms');
+
 class QueryAssistant {
   constructor(db, corManager, gradesManager) {
     this.db = db;
@@ -84,7 +87,7 @@ class QueryAssistant {
   }
 
   isDepartmentQuery(query) {
-    const keywords = ['department', 'ccs', 'chtm', 'cba', 'cte', 'college'];
+    const keywords = ['department', 'college', ...departmentRegistry.getCollegeCodes().map(code => code.toLowerCase())];
     return keywords.some(kw => query.includes(kw));
   }
 
@@ -146,7 +149,7 @@ class QueryAssistant {
 
     // How many students have grades
     if (query.includes('how many')) {
-      const departments = ['ccs', 'chtm', 'cba', 'cte', 'unknown'];
+      const departments = departmentRegistry.getCollectionKeys('college');
       let total = 0;
 
       for (const dept of departments) {
@@ -225,7 +228,8 @@ class QueryAssistant {
 
   async handleDepartmentQuery(query) {
     // Extract department
-    const deptMatch = query.match(/\b(ccs|chtm|cba|cte)\b/i);
+    const codePattern = departmentRegistry.getCollegeCodes().join('|');
+    const deptMatch = query.match(new RegExp(`\\b(${codePattern})\\b`, 'i'));
 
     if (deptMatch) {
       const dept = deptMatch[0].toUpperCase();
@@ -268,7 +272,7 @@ class QueryAssistant {
 
     // Grades
     if (query.includes('grade')) {
-      const departments = ['ccs', 'chtm', 'cba', 'cte', 'unknown'];
+      const departments = departmentRegistry.getCollectionKeys('college');
       let total = 0;
 
       for (const dept of departments) {
@@ -333,7 +337,8 @@ class QueryAssistant {
     let formatted = `
 📊 Grades for ${grades.full_name || grades.student_name}
 🆔 ID: ${grades.student_id}
-📈 GWA: ${grades.gwa || 'N/A'}
+🗓️  Term: ${termLabel(grades)}
+📈 GWA: ${grades.gwa || 'N/A'}${grades.gwa_check?.status === 'mismatch' ? ` (⚠️ sheet says ${grades.sheet_gwa})` : ''}
 📚 Subjects: ${grades.total_subjects}
 
 Subjects:`;
@@ -0,0 +1,13 @@
+// query_helpers.js
+
+/**
+ * Escape text for use inside a MongoDB $regex, so user input is matched literally
+ * ('(' no longer errors, crafted patterns can't make mongod backtrack)
+ */
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  escapeRegex
+};
@@ -0,0 +1,261 @@
+// record_history.js
+const { ObjectId } = require('mongodb');
+const { assertValidRecord } = require('./record_schemas');
+
+// Record types with a change history, and the field that identifies them
+const HistoryRecordTypes = {
+  student: { idField: 'student_id' },
+  teaching_faculty: { idField: 'faculty_id' },
+  non_teaching_faculty: { idField: 'faculty_id' }
+};
+
+// Bookkeeping fields that change on every write and are not worth a history entry
+const IGNORED_FIELDS = ['_id', 'created_at', 'updated_at', 'completion_percentage', 'field_status'];
+
+// Uploaded media is too large to copy into every version - only its filename/status is tracked
+const MEDIA_FIELDS = ['image', 'audio'];
+
+// Concurrent writes to one record can pick the same next version; the unique index rejects
+// all but one and the others take the next number
+const VERSION_ATTEMPTS = 5;
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Versioned change history in `record_history`.
+ * Every create/update of a tracked record stores a before/after diff, who changed it
+ * (source + source file) and a snapshot, so a record's timeline can be viewed and restored.
+ */
+class RecordHistory {
+  constructor(db) {
+    this.db = db;
+  }
+
+  get collection() {
+    return this.db.db.collection('record_history');
+  }
+
+  async ensureIndexes() {
+    await this.collection.createIndex({ record_type: 1, record_id: 1, version: 1 }, { unique: true });
+    await this.collection.createIndex({ changed_at: -1 });
+  }
+
+  /**
+   * Run a write against one record and store what it changed.
+   * options: { recordType, collection, recordId, source, sourceFile, action }
+   * Returns whatever write() returns; history errors never fail the write.
+   */
+  async track(options, write) {
+    const { idField } = HistoryRecordTypes[options.recordType];
+    const filter = { [idField]: options.recordId };
+
+    const before = await options.collection.findOne(filter);
+    const result = await write();
+    const after = await options.collection.findOne(filter);
+
+    await this.recordChange({ ...options, collectionName: options.collection.collectionName, before, after });
+    return result;
+  }
+
+  /**
+   * Store a new version if the record changed. Returns the history entry, or null if nothing changed.
+   */
+  async recordChange({ recordType, recordId, collectionName, before, after, source, sourceFile = null, action = null, restoredFromVersion = null }) {
+    try {
+      if (!after) return null;
+
+      const changes = this.diff(before, after);
+      if (before && changes.length === 0) return null;
+
+      const entry = {
+        history_id: `HIST_${new ObjectId().toHexString().toUpperCase()}`,
+        record_type: recordType,
+        record_id: recordId,
+        collection: collectionName,
+        version: null,
+        action: action || (before ? 'updated' : 'created'),
+        source: source || null,
+        source_file: sourceFile,
+        restored_from_version: restoredFromVersion,
+        changes,
+        snapshot: this.snapshot(after),
+        changed_at: new Date()
+      };
+
+      for (let attempt = 1; ; attempt++) {
+        const latest = await this.collection.findOne(
+          { record_type: recordType, record_id: recordId },
+          { sort: { version: -1 }, projection: { version: 1 } }
+        );
+        entry.version = (latest?.version || 0) + 1;
+
+        try {
+          await this.collection.insertOne({ ...entry });
+          return entry;
+        } catch (error) {
+          if (error.code !== DUPLICATE_KEY || attempt >= VERSION_ATTEMPTS) throw error;
+        }
+      }
+    } catch (error) {
+      console.error(`❌ Error recording history for ${recordType} ${recordId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * [{ field, before, after }] for every tracked field that differs (nested fields as dotted paths)
+   */
+  diff(before, after) {
+    const beforeFields = this._flatten(before || {});
+    const afterFields = this._flatten(after || {});
+    const fields = [...new Set([...Object.keys(beforeFields), ...Object.keys(afterFields)])].sort();
+
+    return fields
+      .filter(field => !this._sameValue(beforeFields[field], afterFields[field]))
+      .map(field => ({
+        field,
+        before: beforeFields[field] === undefined ? null : beforeFields[field],
+        after: afterFields[field] === undefined ? null : afterFields[field]
+      }));
+  }
+
+  /**
+   * Record copy stored with each version (without _id and media data)
+   */
+  snapshot(doc) {
+    const { _id, ...copy } = doc;
+    MEDIA_FIELDS.forEach(field => {
+      if (copy[field] && typeof copy[field] === 'object') {
+        const { data, ...media } = copy[field];
+        copy[field] = { ...media, has_data: data !== null && data !== undefined };
+      }
+    });
+    return copy;
+  }
+
+  /**
+   * All versions of a record, oldest first (snapshots only when asked for)
+   */
+  async getTimeline(recordType, recordId, { includeSnapshots = false } = {}) {
+    try {
+      const projection = includeSnapshots ? { _id: 0 } : { _id: 0, snapshot: 0 };
+      return await this.collection
+        .find({ record_type: recordType, record_id: recordId }, { projection })
+        .sort({ version: 1 })
+        .toArray();
+    } catch (error) {
+      console.error(`❌ Error reading history: ${error.message}`);
+      return [];
+    }
+  }
+
+  async getVersion(recordType, recordId, version) {
+    try {
+      return await this.collection.findOne(
+        { record_type: recordType, record_id: recordId, version: Number(version) },
+        { projection: { _id: 0 } }
+      );
+    } catch (error) {
+      console.error(`❌ Error reading history version: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Put a record's fields back to how they were at a version. Media, completion and
+   * field status are left as they are now. The restore itself becomes a new version.
+   * Returns { success, entry } or { success: false, reason }
+   */
+  async restoreVersion(recordType, recordId, version) {
+    try {
+      const target = await this.getVersion(recordType, recordId, version);
+      if (!target) {
+        return { success: false, reason: 'version_not_found' };
+      }
+
+      const latest = await this.collection.findOne(
+        { record_type: recordType, record_id: recordId },
+        { sort: { version: -1 } }
+      );
+      const collection = this.db.db.collection(latest.collection);
+      const { idField } = HistoryRecordTypes[recordType];
+
+      const current = await collection.findOne({ [idField]: recordId });
+      if (!current) {
+        return { success: false, reason: 'record_not_found' };
+      }
+
+      const restored = {};
+      Object.entries(target.snapshot).forEach(([field, value]) => {
+        if (!IGNORED_FIELDS.includes(field) && !MEDIA_FIELDS.includes(field)) {
+          restored[field] = value;
+        }
+      });
+      restored.updated_at = new Date();
+
+      assertValidRecord(recordType, { ...current, ...restored });
+
+      await collection.updateOne({ [idField]: recordId }, { $set: restored });
+      const after = await collection.findOne({ [idField]: recordId });
+
+      const entry = await this.recordChange({
+        recordType,
+        recordId,
+        collectionName: latest.collection,
+        before: current,
+        after,
+        source: 'restore',
+        sourceFile: target.source_file,
+        action: 'restored',
+        restoredFromVersion: target.version
+      });
+
+      console.log(`✅ Restored ${recordType} ${recordId} to version ${target.version}`);
+      return { success: true, entry };
+    } catch (error) {
+      console.error(`❌ Error restoring ${recordType} ${recordId}: ${error.message}`);
+      return { success: false, reason: error.message, errors: error.errors || null };
+    }
+  }
+
+  async clear() {
+    try {
+      if (!(await this.db.backupBeforeClear('before_clear_record_history'))) return 0;
+
+      const result = await this.collection.deleteMany({});
+      return result.deletedCount;
+    } catch (error) {
+      console.error(`❌ Error clearing record history: ${error.message}`);
+      return 0;
+    }
+  }
+
+  _flatten(doc, prefix = '', fields = {}) {
+    Object.entries(doc).forEach(([key, value]) => {
+      const field = prefix ? `${prefix}.${key}` : key;
+      if (!prefix && IGNORED_FIELDS.includes(key)) return;
+
+      if (!prefix && MEDIA_FIELDS.includes(key) && value && typeof value === 'object') {
+        const { data, ...media } = value;
+        fields[`${field}.has_data`] = data !== null && data !== undefined;
+        Object.entries(media).forEach(([mediaKey, mediaValue]) => { fields[`${field}.${mediaKey}`] = mediaValue; });
+        return;
+      }
+
+      if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) && !value._bsontype && !Buffer.isBuffer(value)) {
+        this._flatten(value, field, fields);
+      } else {
+        fields[field] = value;
+      }
+    });
+    return fields;
+  }
+
+  _sameValue(a, b) {
+    if ((a === undefined || a === null) && (b === undefined || b === null)) return true;
+    if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+}
+
+module.exports = RecordHistory;
+module.exports.HistoryRecordTypes = HistoryRecordTypes;
@@ -0,0 +1,545 @@
+// record_schemas.js
+const departmentRegistry = require('./department_registry');
+
+/**
+ * MongoDB $jsonSchema definitions for every stored document type.
+ * validateRecord() checks a document against them before it is written, and
+ * installValidators() installs the same schemas as collection validators.
+ */
+
+// Field type shorthands (optional fields may always be null)
+const requiredText = { bsonType: 'string', minLength: 1 };
+const text = { bsonType: ['string', 'null'] };
+const number = { bsonType: ['number', 'null'] };
+const numberOrText = { bsonType: ['number', 'string', 'null'] };
+const flag = { bsonType: ['bool', 'null'] };
+const date = { bsonType: ['date', 'null'] };
+const object = { bsonType: ['object', 'null'] };
+const percentage = { bsonType: ['number', 'null'], minimum: 0, maximum: 100 };
+const yearLevel = { bsonType: 'string', pattern: '^[1-9]$' };
+
+const mediaField = {
+  bsonType: ['object', 'null'],
+  properties: {
+    filename: text,
+    status: { enum: ['complete', 'waiting', 'missing', null] },
+    // GridFS reference: data holds the file id when storage is 'gridfs'
+    storage: { enum: ['gridfs', null] },
+    thumbnail_id: text,
+    content_type: text,
+    size: number
+  }
+};
+
+// Shared by teaching and non-teaching faculty profiles
+const facultyProfileProperties = {
+  faculty_id: requiredText,
+  full_name: requiredText,
+  surname: text,
+  first_name: text,
+  date_of_birth: text,
+  place_of_birth: text,
+  citizenship: text,
+  sex: text,
+  civil_status: text,
+  address: text,
+  zip_code: numberOrText,
+  phone: numberOrText,
+  email: text,
+  position: text,
+  department: requiredText,
+  employment_status: text,
+  image: mediaField,
+  audio: mediaField,
+  family_info: object,
+  government_ids: object,
+  field_status: object,
+  completion_percentage: percentage,
+  formatted_text: text,
+  source_file: text,
+  created_at: date,
+  updated_at: date
+};
+
+/**
+ * Schema per record type, plus the collections it guards:
+ * { prefix, group } → one collection per department key of the group, or { names } for fixed collections
+ */
+const RecordSchemas = {
+  student: {
+    collections: { prefix: 'students', group: 'college' },
+    schema: {
+      bsonType: 'object',
+      required: ['student_id', 'full_name', 'course', 'department'],
+      properties: {
+        student_id: { bsonType: 'string', pattern: '^[A-Z0-9-]+$' },
+        surname: text,
+        first_name: text,
+        full_name: requiredText,
+        course: requiredText,
+        section: text,
+        year: { bsonType: ['string', 'null'], pattern: '^[1-9]?$' },
+        contact_number: text,
+        guardian_name: text,
+        guardian_contact: text,
+        department: requiredText,
+        image: mediaField,
+        audio: mediaField,
+        field_status: object,
+        source: text,
+        source_file: text,
+        completion_percentage: percentage,
+        batch_year: number,
+        curriculum_id: text,
+        curriculum_effective_year: numberOrText,
+        created_at: date,
+        updated_at: date
+      }
+    }
+  },
+
+  cor_schedule: {
+    collections: { prefix: 'schedules', group: 'college' },
+    schema: {
+      bsonType: 'object',
+      required: ['schedule_id', 'course', 'section', 'year', 'department', 'subjects', 'data_type'],
+      properties: {
+        schedule_id: requiredText,
+        course: requiredText,
+        section: requiredText,
+        year: yearLevel,
+        adviser: text,
+        department: requiredText,
+        school_year: { bsonType: ['string', 'null'], pattern: '^\\d{4}-\\d{4}$' },
+        semester: { enum: ['1st Semester', '2nd Semester', 'Summer', null] },
+        total_units: numberOrText,
+        subject_count: number,
+        subject_codes: text,
+        subjects: { bsonType: 'array', minItems: 1, items: { bsonType: 'object' } },
+        formatted_text: text,
+        source_file: text,
+        data_type: { enum: ['cor_schedule'] },
+        created_at: date,
+        updated_at: date
+      }
+    }
+  },
+
+  student_grades: {
+    collections: { prefix: 'grades', group: 'college' },
+    schema: {
+      bsonType: 'object',
+      required: ['student_id', 'course', 'department', 'grades', 'data_type'],
+      properties: {
+        student_id: requiredText,
+        student_name: text,
+        full_name: text,
+        course: requiredText,
+        department: requiredText,
+        year: { bsonType: ['string', 'null'], pattern: '^[1-9]?$' },
+        section: text,
+        school_year: { bsonType: ['string', 'null'], pattern: '^\\d{4}-\\d{4}$' },
+        semester: { enum: ['1st Semester', '2nd Semester', 'Summer', null] },
+        gwa: numberOrText,
+        sheet_gwa: numberOrText,
+        gwa_check: object,
+        total_subjects: number,
+        grades: {
+          bsonType: 'array',
+          items: {
+            bsonType: 'object',
+            required: ['subject_code'],
+            properties: {
+              subject_code: requiredText,
+              units: numberOrText,
+              equivalent: numberOrText,
+              remarks: text
+            }
+          }
+        },
+        source_file: text,
+        data_type: { enum: ['student_grades'] },
+        created_at: date,
+        updated_at: date
+      }
+    }
+  },
+
+  teaching_faculty: {
+    collections: { prefix: 'faculty', group: 'faculty' },
+    schema: {
+      bsonType: 'object',
+      required: ['faculty_id', 'full_name', 'department', 'data_type'],
+      properties: {
+        ...facultyProfileProperties,
+        data_type: { enum: ['teaching_faculty'] },
+        faculty_type: { enum: ['teaching', null] }
+      }
+    }
+  },
+
+  non_teaching_faculty: {
+    collections: { prefix: 'non_teaching_faculty', group: 'office' },
+    schema: {
+      bsonType: 'object',
+      required: ['faculty_id', 'full_name', 'department', 'data_type'],
+      properties: {
+        ...facultyProfileProperties,
+        data_type: { enum: ['non_teaching_faculty'] },
+        faculty_type: { enum: ['non_teaching', null] }
+      }
+    }
+  },
+
+  teaching_faculty_schedule: {
+    collections: { prefix: 'faculty_schedules', group: 'faculty' },
+    schema: {
+      bsonType: 'object',
+      required: ['schedule_id', 'adviser_name', 'department', 'schedule', 'data_type'],
+      properties: {
+        schedule_id: requiredText,
+        adviser_name: requiredText,
+        full_name: text,
+        department: requiredText,
+        total_subjects: number,
+        days_teaching: number,
+        schedule: { bsonType: 'array', items: { bsonType: 'object' } },
+        formatted_text: text,
+        source_file: text,
+        data_type: { enum: ['teaching_faculty_schedule'] },
+        faculty_type: text,
+        created_at: date,
+        updated_at: date
+      }
+    }
+  },
+
+  non_teaching_schedule: {
+    collections: { prefix: 'non_teaching_schedule', group: 'staff_schedule' },
+    schema: {
+      bsonType: 'object',
+      required: ['schedule_id', 'staff_name', 'department', 'schedule', 'data_type'],
+      properties: {
+        schedule_id: requiredText,
+        staff_name: requiredText,
+        full_name: text,
+        department: requiredText,
+        position: text,
+        school_year: { bsonType: ['string', 'null'], pattern: '^\\d{4}-\\d{4}$' },
+        semester: { enum: ['1st Semester', '2nd Semester', 'Summer', null] },
+        total_shifts: number,
+        days_working: number,
+        schedule: { bsonType: 'array', items: { bsonType: 'object' } },
+        schedule_by_day: object,
+        formatted_text: text,
+        source_file: text,
+        data_type: { enum: ['non_teaching_faculty_schedule'] },
+        faculty_type: text,
+        created_at: date,
+        updated_at: date
+      }
+    }
+  },
+
+  curriculum: {
+    collections: { prefix: 'curriculum', group: 'college' },
+    schema: {
+      bsonType: 'object',
+      required: ['curriculum_id', 'course', 'department', 'curriculum', 'data_type'],
+      properties: {
+        curriculum_id: requiredText,
+        program: text,
+        course: requiredText,
+        department: requiredText,
+        effective_year: numberOrText,
+        curriculum_year: numberOrText,
+        revision: numberOrText,
+        total_subjects: { bsonType: ['number', 'null'], minimum: 1 },
+        curriculum: { bsonType: 'object' },
+        prerequisite_graph: object,
+        version: number,
+        previous_curriculum_id: text,
+        next_curriculum_id: text,
+        is_current: flag,
+        formatted_text: text,
+        source_file: text,
+        data_type: { enum: ['curriculum'] },
+        created_at: date,
+        updated_at: date
+      }
+    }
+  },
+
+  admin: {
+    collections: { prefix: 'admin', group: 'admin' },
+    schema: {
+      bsonType: 'object',
+      required: ['admin_id', 'full_name', 'department', 'data_type'],
+      properties: {
+        admin_id: requiredText,
+        full_name: requiredText,
+        surname: text,
+        first_name: text,
+        middle_name: text,
+        department: requiredText,
+        position: text,
+        admin_type: text,
+        employment_status: text,
+        email: text,
+        phone: numberOrText,
+        admin_info: object,
+        formatted_text: text,
+        source_file: text,
+        data_type: { enum: ['admin_excel'] },
+        faculty_type: text,
+        created_at: date,
+        updated_at: date
+      }
+    }
+  },
+
+  general_info: {
+    collections: { names: ['general_info'] },
+    schema: {
+      bsonType: 'object',
+      required: ['info_id', 'info_type', 'content', 'data_type'],
+      properties: {
+        info_id: requiredText,
+        info_type: requiredText,
+        content: { bsonType: ['object', 'array', 'string'] },
+        raw_text: text,
+        formatted_text: text,
+        source_file: text,
+        data_type: { enum: ['general_info_pdf'] },
+        character_count: number,
+        extracted_at: date,
+        created_at: date,
+        updated_at: date
+      }
+    }
+  },
+
+  teaching_faculty_resume: {
+    collections: { prefix: 'teaching_faculty_resume', group: 'faculty' },
+    schema: {
+      bsonType: 'object',
+      required: ['faculty_id', 'full_name', 'data_type'],
+      properties: {
+        faculty_id: requiredText,
+        full_name: requiredText,
+        surname: text,
+        first_name: text,
+        middle_name: text,
+        department: text,
+        position: text,
+        email: text,
+        phone: numberOrText,
+        faculty_info: object,
+        has_photo: flag,
+        photo: {
+          bsonType: ['object', 'null'],
+          properties: {
+            buffer: { bsonType: ['binData', 'null'] },
+            data: text,
+            storage: { enum: ['gridfs', null] },
+            thumbnail_id: text,
+            content_type: text,
+            extension: text,
+            size: number,
+            filename: text
+          }
+        },
+        raw_text: text,
+        formatted_text: text,
+        source_file: text,
+        data_type: { enum: ['teaching_faculty_resume_pdf'] },
+        extracted_at: date,
+        created_at: date,
+        updated_at: date
+      }
+    }
+  }
+};
+
+/**
+ * Thrown when a record does not match its schema; errors is [{ field, message }]
+ */
+class RecordValidationError extends Error {
+  constructor(recordType, errors) {
+    super(`Invalid ${recordType} record: ${errors.map(error => `${error.field} ${error.message}`).join('; ')}`);
+    this.name = 'RecordValidationError';
+    this.recordType = recordType;
+    this.errors = errors;
+  }
+}
+
+// $jsonSchema bsonType → JS check
+const typeChecks = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  int: value => Number.isInteger(value),
+  long: value => Number.isInteger(value),
+  double: value => typeof value === 'number',
+  bool: value => typeof value === 'boolean',
+  date: value => value instanceof Date && !isNaN(value),
+  null: value => value === null || value === undefined,
+  array: value => Array.isArray(value),
+  binData: value => Buffer.isBuffer(value) || value instanceof Uint8Array || value?._bsontype === 'Binary',
+  objectId: value => value?._bsontype === 'ObjectId',
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Date) && !Buffer.isBuffer(value) && !value._bsontype
+};
+
+function describeValue(value) {
+  if (value === null || value === undefined) return 'empty';
+  if (Array.isArray(value)) return 'an array';
+  if (value instanceof Date) return 'a date';
+  return `${typeof value} ${JSON.stringify(value).slice(0, 40)}`;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Collect field errors of value against a $jsonSchema node
+ */
+function checkNode(schema, value, field, errors) {
+  if (schema.bsonType) {
+    const types = [].concat(schema.bsonType);
+    if (!types.some(type => typeChecks[type] && typeChecks[type](value))) {
+      errors.push({ field, message: `must be ${types.join(' or ')} (got ${describeValue(value)})` });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value === undefined ? null : value)) {
+    errors.push({ field, message: `must be one of ${schema.enum.filter(option => option !== null).join(', ')} (got ${describeValue(value)})` });
+    return;
+  }
+
+  if (value === null || value === undefined) return;
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ field, message: 'must not be empty' });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field, message: `has an invalid format (got "${value}")` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, message: `must be at least ${schema.minimum} (got ${value})` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field, message: `must be at most ${schema.maximum} (got ${value})` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => checkNode(schema.items, item, `${field}[${index}]`, errors));
+    }
+  }
+
+  if (typeChecks.object(value)) {
+    (schema.required || []).forEach(key => {
+      if (isEmpty(value[key])) {
+        errors.push({ field: field ? `${field}.${key}` : key, message: 'is required' });
+      }
+    });
+
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      // Missing required fields were reported above; missing optional fields are fine
+      if (value[key] === undefined || (isEmpty(value[key]) && (schema.required || []).includes(key))) return;
+      checkNode(propertySchema, value[key], field ? `${field}.${key}` : key, errors);
+    });
+  }
+}
+
+/**
+ * Check a document against its record type's schema → { valid, errors: [{ field, message }] }
+ */
+function validateRecord(recordType, doc) {
+  const definition = RecordSchemas[recordType];
+  if (!definition) throw new Error(`Unknown record type '${recordType}'`);
+
+  const errors = [];
+  checkNode(definition.schema, doc, '', errors);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Throw a RecordValidationError unless the document matches its schema
+ */
+function assertValidRecord(recordType, doc) {
+  const { valid, errors } = validateRecord(recordType, doc);
+  if (!valid) throw new RecordValidationError(recordType, errors);
+  return doc;
+}
+
+/**
+ * Print a field-level report for a rejected record
+ */
+function logValidationErrors(error, label = '') {
+  console.error(`❌ Rejected invalid ${error.recordType} record${label ? ` (${label})` : ''}:`);
+  error.errors.forEach(({ field, message }) => console.error(`   • ${field}: ${message}`));
+}
+
+/**
+ * Collection names a record type's schema applies to
+ */
+function getSchemaCollections(recordType) {
+  const { collections } = RecordSchemas[recordType];
+  if (collections.names) return [...collections.names];
+  return departmentRegistry.getCollectionKeys(collections.group).map(dept => `${collections.prefix}_${dept}`);
+}
+
+/**
+ * Install the schemas as MongoDB collection validators (creating missing collections).
+ * validationLevel 'moderate' leaves existing non-conforming documents alone until they are updated.
+ */
+async function installValidators(database, options = {}) {
+  const validationAction = options.validationAction || 'error';
+  const recordTypes = options.recordTypes || Object.keys(RecordSchemas);
+  const summary = { installed: [], failed: [] };
+
+  const existing = new Set((await database.listCollections({}, { nameOnly: true }).toArray()).map(info => info.name));
+
+  for (const recordType of recordTypes) {
+    const validator = { $jsonSchema: RecordSchemas[recordType].schema };
+
+    for (const name of getSchemaCollections(recordType)) {
+      try {
+        if (existing.has(name)) {
+          await database.command({ collMod: name, validator, validationLevel: 'moderate', validationAction });
+        } else {
+          await database.createCollection(name, { validator, validationLevel: 'moderate', validationAction });
+        }
+        summary.installed.push({ collection: name, record_type: recordType });
+      } catch (error) {
+        console.error(`❌ Error installing validator on ${name}: ${error.message}`);
+        summary.failed.push({ collection: name, record_type: recordType, error: error.message });
+      }
+    }
+  }
+
+  console.log(`✅ Schema validators installed on ${summary.installed.length} collection(s)` +
+    (summary.failed.length > 0 ? `, ${summary.failed.length} failed` : ''));
+  return summary;
+}
+
+module.exports = {
+  RecordSchemas,
+  RecordValidationError,
+  validateRecord,
+  assertValidRecord,
+  logValidationErrors,
+  getSchemaCollections,
+  installValidators
+};
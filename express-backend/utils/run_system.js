@@ -18,11 +18,28 @@ const {
   TeachingFacultyResumeManager
 } = require('./main');
 const CORExcelExtractor = require('./cor_excel_extractor');
+const DocumentClassifier = require('./document_classifier');
+const { DocumentTypes } = DocumentClassifier;
+const IngestionService = require('./ingestion_service');
+const IngestionJobQueue = require('./ingestion_job_queue');
+const ExtractionPreview = require('./extraction_preview');
+const { getBackupDocumentTypes } = require('./backup_manager');
+const { isTabularFile, TABULAR_EXTENSIONS } = require('./workbook_reader');
+const ExportService = require('./export_service');
+const MediaBatchImporter = require('./media_batch_importer');
+const departmentRegistry = require('./department_registry');
+const { validateRecord } = require('./record_schemas');
+const { termLabel } = require('./academic_terms');
+const AcademicStandingEngine = require('./academic_standing');
+const DegreeAudit = require('./degree_audit');
 
 class SchoolInformationSystem {
-  constructor(connectionString = null) {
+  constructor(connectionString = null, dataMode = null) {
     // Initialize database
     this.db = new StudentDatabase(connectionString);
+
+    // 'persistent' keeps data between runs, 'ephemeral' wipes everything on exit
+    this.dataMode = dataMode || process.env.SCHOOL_DATA_MODE || 'persistent';
     
     // Define base path
     this.basePath = path.join(__dirname, 'uploaded_files');
@@ -43,6 +60,7 @@ class SchoolInformationSystem {
     
     // Initialize managers (will be set after DB connection)
     this.corExtractor = new CORExcelExtractor();
+    this.classifier = new DocumentClassifier();
     this.corManager = null;
     this.gradesManager = null;
     this.teachingFacultyManager = null;
@@ -54,6 +72,11 @@ class SchoolInformationSystem {
     this.teachingFacultyResumeManager = null;
     this.curriculumManager = null;
     this.queryAssistant = null;
+    this.ingestionService = null;
+    this.ingestionLedger = null;
+    this.ingestionJobs = null;
+    this.extractionPreview = null;
+    this.backupManager = null;
     
     // Create readline interface
     this.rl = readline.createInterface({
@@ -76,6 +99,7 @@ class SchoolInformationSystem {
     console.log(`   Teaching Faculty Resumes: ${this.teachingFacultyResumesFolder}`); 
     console.log(`   Curriculum Excel: ${this.curriculumExcelFolder}`);
     console.log(`   Processed Files: ${this.processedFolder}`);
+    console.log(`   Data Mode: ${this.dataMode}`);
   }
 
   /**
@@ -88,637 +112,174 @@ class SchoolInformationSystem {
   }
 
   /**
-   * AUTO-SCAN: Automatically scan and process all files on startup
+   * Department menu built from departments.json.
+   * Returns the chosen code, null for "All Departments", or undefined for an invalid choice.
    */
-  async autoScanAndProcessAllFiles() {
-    console.log('\n' + '='.repeat(60));
-    console.log('🔄 AUTO-SCAN: Processing all files...');
-    console.log('='.repeat(60));
+  async promptDepartment(title, { extraOptions = [], includeAll = false } = {}) {
+    const options = [
+      ...departmentRegistry.getColleges().map(college => ({ code: college.code, label: college.name })),
+      ...extraOptions
+    ];
+    if (includeAll) options.push({ code: null, label: 'All Departments' });
+
+    console.log(`\n${title}`);
+    options.forEach((option, index) => {
+      console.log(option.code ? `${index + 1}. ${option.code} - ${option.label}` : `${index + 1}. ${option.label}`);
+    });
 
-    let totalProcessed = 0;
+    const choice = parseInt(await this.prompt(`\nSelect (1-${options.length}): `), 10);
+    const selected = options[choice - 1];
+    return selected ? selected.code : undefined;
+  }
 
-    // ============================================================
-    // STEP 1: Process Student Excel Files
-    // ============================================================
-    try {
-      await fs.access(this.studentExcelFolder);
-      const studentFiles = await fs.readdir(this.studentExcelFolder);
-      const studentExcelFiles = studentFiles.filter(file => 
-        file.endsWith('.xlsx') || file.endsWith('.xls')
-      );
-
-      if (studentExcelFiles.length > 0) {
-        console.log(`\n👥 Found ${studentExcelFiles.length} student Excel file(s)`);
-        
-        for (const file of studentExcelFiles) {
-          const filePath = path.join(this.studentExcelFolder, file);
-          console.log(`   Processing: ${file}`);
-          
-          try {
-            const extractor = new StudentDataExtractor();
-            const studentData = await extractor.extractFromExcel(filePath);
-            
-            if (studentData && studentData.student_id) {
-              await this.db.addStudent(studentData);
-              totalProcessed++;
-              console.log(`   ✅ ${file}`);
-            } else {
-              console.log(`   ❌ ${file} - Invalid data`);
-            }
-          } catch (error) {
-            console.error(`   ❌ ${file} - Error: ${error.message}`);
-          }
-        }
-      } else {
-        console.log('\n👥 No student Excel files found');
-      }
-    } catch {
-      console.log('\n👥 Student Excel folder not found, creating...');
-      await fs.mkdir(this.studentExcelFolder, { recursive: true });
-    }
+  /**
+   * Classify every upload and move misfiled ones to the folder of their detected type
+   */
+  async routeMisfiledUploads() {
+    const { DocumentTypeFolders } = DocumentClassifier;
+    let rerouted = 0;
 
-    // ============================================================
-    // STEP 2: Process COR Excel Files
-    // ============================================================
-    try {
-      await fs.access(this.corExcelFolder);
-      const corFiles = await fs.readdir(this.corExcelFolder);
-      const corExcelFiles = corFiles.filter(file => 
-        file.endsWith('.xlsx') || file.endsWith('.xls')
-      );
-
-      if (corExcelFiles.length > 0) {
-        console.log(`\n📚 Found ${corExcelFiles.length} COR Excel file(s)`);
-        
-        for (const file of corExcelFiles) {
-          const filePath = path.join(this.corExcelFolder, file);
-          console.log(`   Processing: ${file}`);
-          
-          try {
-            const scheduleData = await this.corExtractor.processCORExcel(filePath);
-            
-            if (scheduleData) {
-              const result = await this.corManager.storeCORSchedule(scheduleData);
-              
-              if (result) {
-                totalProcessed++;
-                console.log(`   ✅ ${file}`);
-              } else {
-                console.log(`   ❌ ${file} - Failed to store`);
-              }
-            } else {
-              console.log(`   ❌ ${file} - Could not extract data`);
-            }
-          } catch (error) {
-            console.error(`   ❌ ${file} - Error: ${error.message}`);
-          }
-        }
-      } else {
-        console.log('\n📚 No COR Excel files found');
-      }
-    } catch {
-      console.log('\n📚 COR Excel folder not found, creating...');
-      await fs.mkdir(this.corExcelFolder, { recursive: true });
-    }
+    for (const folderName of Object.values(DocumentTypeFolders)) {
+      const folderPath = path.join(this.basePath, folderName);
+      const expectedType = this.classifier.getTypeForFolder(folderName);
 
-    // ============================================================
-    // STEP 3: Process Student Grades Excel Files
-    // ============================================================
-    try {
-      await fs.access(this.gradesExcelFolder);
-      const gradesFiles = await fs.readdir(this.gradesExcelFolder);
-      const gradesExcelFiles = gradesFiles.filter(file => 
-        file.endsWith('.xlsx') || file.endsWith('.xls')
-      );
-
-      if (gradesExcelFiles.length > 0) {
-        console.log(`\n📝 Found ${gradesExcelFiles.length} Grades Excel file(s)`);
-        
-        const GradesExtractor = require('./grades_extractor');
-        const gradesExtractor = new GradesExtractor();
-        
-        let gradesProcessed = 0;
-        let gradesSkipped = 0;
-        
-        for (const file of gradesExcelFiles) {
-          const filePath = path.join(this.gradesExcelFolder, file);
-          console.log(`   Processing: ${file}`);
-          
-          try {
-            const gradesData = await gradesExtractor.processGradesExcel(filePath);
-            
-            if (gradesData) {
-              const result = await this.gradesManager.storeGrades(gradesData);
-              
-              if (result) {
-                totalProcessed++;
-                gradesProcessed++;
-                console.log(`   ✅ ${file}`);
-              } else {
-                gradesSkipped++;
-                console.log(`   ❌ ${file} - Failed to store`);
-              }
-            } else {
-              gradesSkipped++;
-              console.log(`   ❌ ${file} - Could not extract data`);
-            }
-          } catch (error) {
-            gradesSkipped++;
-            console.error(`   ❌ ${file} - Error: ${error.message}`);
-          }
-        }
-        
-        if (gradesSkipped > 0) {
-          console.log(`\n   ℹ️  Summary: ${gradesProcessed} processed, ${gradesSkipped} skipped`);
-        }
-      } else {
-        console.log('\n📝 No grades Excel files found');
+      let files;
+      try {
+        files = await fs.readdir(folderPath);
+      } catch {
+        continue;
       }
-    } catch {
-      console.log('\n📝 Grades Excel folder not found, creating...');
-      await fs.mkdir(this.gradesExcelFolder, { recursive: true });
-    }
 
-    // ============================================================
-    // STEP 4: Process Teaching Faculty Excel Files
-    // ============================================================
-    try {
-      await fs.access(this.teachingFacultyExcelFolder);
-      const facultyFiles = await fs.readdir(this.teachingFacultyExcelFolder);
-      const facultyExcelFiles = facultyFiles.filter(file => 
-        file.endsWith('.xlsx') || file.endsWith('.xls')
-      );
-
-      if (facultyExcelFiles.length > 0) {
-        console.log(`\n👨‍🏫 Found ${facultyExcelFiles.length} Teaching Faculty Excel file(s)`);
-        
-        const TeachingFacultyExtractor = require('./teaching_faculty_extractor');
-        const facultyExtractor = new TeachingFacultyExtractor();
-        
-        let facultyProcessed = 0;
-        let facultySkipped = 0;
-        
-        for (const file of facultyExcelFiles) {
-          const filePath = path.join(this.teachingFacultyExcelFolder, file);
-          console.log(`   Processing: ${file}`);
-          
-          try {
-            const facultyData = await facultyExtractor.processTeachingFacultyExcel(filePath);
-            
-            if (facultyData) {
-              const result = await this.teachingFacultyManager.storeTeachingFaculty(facultyData);
-              
-              if (result) {
-                totalProcessed++;
-                facultyProcessed++;
-                console.log(`   ✅ ${file}`);
-              } else {
-                facultySkipped++;
-                console.log(`   ❌ ${file} - Failed to store`);
-              }
-            } else {
-              facultySkipped++;
-              console.log(`   ❌ ${file} - Could not extract data`);
-            }
-          } catch (error) {
-            facultySkipped++;
-            console.error(`   ❌ ${file} - Error: ${error.message}`);
-          }
-        }
-        
-        if (facultySkipped > 0) {
-          console.log(`\n   ℹ️  Summary: ${facultyProcessed} processed, ${facultySkipped} skipped`);
-        }
-      } else {
-        console.log('\n👨‍🏫 No teaching faculty Excel files found');
-      }
-    } catch {
-      console.log('\n👨‍🏫 Teaching faculty Excel folder not found, creating...');
-      await fs.mkdir(this.teachingFacultyExcelFolder, { recursive: true });
-    }
+      for (const file of files.filter(f => isTabularFile(f) || /\.pdf$/i.test(f))) {
+        const result = await this.classifier.classifyFile(path.join(folderPath, file));
 
-    // ============================================================
-    // STEP 5: Process Teaching Faculty Schedule Excel Files
-    // ============================================================
-    try {
-      await fs.access(this.teachingFacultySchedExcelFolder);
-      const schedFiles = await fs.readdir(this.teachingFacultySchedExcelFolder);
-      const schedExcelFiles = schedFiles.filter(file => 
-        file.endsWith('.xlsx') || file.endsWith('.xls')
-      );
-
-      if (schedExcelFiles.length > 0) {
-        console.log(`\n📅 Found ${schedExcelFiles.length} Faculty Schedule Excel file(s)`);
-        
-        const FacultyScheduleExtractor = require('./teaching_faculty_schedule_extractor');
-        const schedExtractor = new FacultyScheduleExtractor();
-        
-        let schedProcessed = 0;
-        let schedSkipped = 0;
-        
-        for (const file of schedExcelFiles) {
-          const filePath = path.join(this.teachingFacultySchedExcelFolder, file);
-          console.log(`   Processing: ${file}`);
-          
-          try {
-            const schedData = await schedExtractor.processFacultyScheduleExcel(filePath);
-            
-            if (schedData) {
-              const result = await this.teachingFacultyScheduleManager.storeTeachingFacultySchedule(schedData);
-              
-              if (result) {
-                totalProcessed++;
-                schedProcessed++;
-                console.log(`   ✅ ${file}`);
-              } else {
-                schedSkipped++;
-                console.log(`   ❌ ${file} - Failed to store`);
-              }
-            } else {
-              schedSkipped++;
-              console.log(`   ❌ ${file} - Could not extract data`);
-            }
-          } catch (error) {
-            schedSkipped++;
-            console.error(`   ❌ ${file} - Error: ${error.message}`);
-          }
-        }
-        
-        if (schedSkipped > 0) {
-          console.log(`\n   ℹ️  Summary: ${schedProcessed} processed, ${schedSkipped} skipped`);
-        }
-      } else {
-        console.log('\n📅 No faculty schedule Excel files found');
-      }
-    } catch {
-      console.log('\n📅 Faculty schedule Excel folder not found, creating...');
-      await fs.mkdir(this.teachingFacultySchedExcelFolder, { recursive: true });
-    }
+        if (result.type === expectedType || result.type === 'unknown') continue;
 
-    // ============================================================
-    // STEP 6: Process Non-Teaching Faculty Excel Files
-    // ============================================================
-    try {
-      await fs.access(this.nonTeachingFacultyExcelFolder);
-      const nonTeachingFiles = await fs.readdir(this.nonTeachingFacultyExcelFolder);
-      const nonTeachingExcelFiles = nonTeachingFiles.filter(file => 
-        file.endsWith('.xlsx') || file.endsWith('.xls')
-      );
-
-      if (nonTeachingExcelFiles.length > 0) {
-        console.log(`\n👨‍💼 Found ${nonTeachingExcelFiles.length} Non-Teaching Faculty Excel file(s)`);
-        
-        const NonTeachingFacultyExtractor = require('./non_teaching_faculty_extractor');
-        const nonTeachingExtractor = new NonTeachingFacultyExtractor();
-        
-        let nonTeachingProcessed = 0;
-        let nonTeachingSkipped = 0;
-        
-        for (const file of nonTeachingExcelFiles) {
-          const filePath = path.join(this.nonTeachingFacultyExcelFolder, file);
-          console.log(`   Processing: ${file}`);
-          
-          try {
-            const facultyData = await nonTeachingExtractor.processNonTeachingFacultyExcel(filePath);
-            
-            if (facultyData) {
-              const result = await this.nonTeachingFacultyManager.storeNonTeachingFaculty(facultyData);
-              
-              if (result) {
-                totalProcessed++;
-                nonTeachingProcessed++;
-                console.log(`   ✅ ${file}`);
-              } else {
-                nonTeachingSkipped++;
-                console.log(`   ❌ ${file} - Failed to store`);
-              }
-            } else {
-              nonTeachingSkipped++;
-              console.log(`   ❌ ${file} - Could not extract data`);
-            }
-          } catch (error) {
-            nonTeachingSkipped++;
-            console.error(`   ❌ ${file} - Error: ${error.message}`);
-          }
+        if (result.confidence < this.classifier.minConfidence || (result.scores[expectedType] || 0) >= result.scores[result.type]) {
+          console.log(`   ⚠️  ${folderName}/${file} looks like ${result.type} (confidence ${result.confidence}), leaving in place`);
+          continue;
         }
-        
-        if (nonTeachingSkipped > 0) {
-          console.log(`\n   ℹ️  Summary: ${nonTeachingProcessed} processed, ${nonTeachingSkipped} skipped`);
+
+        const targetPath = path.join(this.basePath, result.folder, file);
+        try {
+          await fs.mkdir(path.join(this.basePath, result.folder), { recursive: true });
+          await fs.access(targetPath);
+          console.log(`   ⚠️  ${file} belongs in ${result.folder} but a file with that name already exists there`);
+          continue;
+        } catch {
+          // Target does not exist yet - safe to move
         }
-      } else {
-        console.log('\n👨‍💼 No non-teaching faculty Excel files found');
+
+        await fs.rename(path.join(folderPath, file), targetPath);
+        rerouted++;
+        console.log(`   🔀 ${file}: ${folderName} → ${result.folder} (${result.type}, confidence ${result.confidence})`);
       }
-    } catch {
-      console.log('\n👨‍💼 Non-teaching faculty Excel folder not found, creating...');
-      await fs.mkdir(this.nonTeachingFacultyExcelFolder, { recursive: true });
     }
 
-    // ============================================================
-    // STEP 7: Process Curriculum Excel Files
-    // ============================================================
-    try {
-      await fs.access(this.curriculumExcelFolder);
-      const curriculumFiles = await fs.readdir(this.curriculumExcelFolder);
-      const curriculumExcelFiles = curriculumFiles.filter(file => 
-        file.endsWith('.xlsx') || file.endsWith('.xls')
-      );
-
-      if (curriculumExcelFiles.length > 0) {
-        console.log(`\n📚 Found ${curriculumExcelFiles.length} Curriculum Excel file(s)`);
-        
-        const CurriculumExtractor = require('./curriculum_extractor');
-        const curriculumExtractor = new CurriculumExtractor();
-        
-        let curriculumProcessed = 0;
-        let curriculumSkipped = 0;
-        
-        for (const file of curriculumExcelFiles) {
-          const filePath = path.join(this.curriculumExcelFolder, file);
-          console.log(`   Processing: ${file}`);
-          
-          try {
-            const curriculumData = await curriculumExtractor.processCurriculumExcel(filePath);
-            
-            if (curriculumData) {
-              const result = await this.curriculumManager.storeCurriculum(curriculumData);
-              
-              if (result) {
-                totalProcessed++;
-                curriculumProcessed++;
-                console.log(`   ✅ ${file}`);
-              } else {
-                curriculumSkipped++;
-                console.log(`   ❌ ${file} - Failed to store`);
-              }
-            } else {
-              curriculumSkipped++;
-              console.log(`   ❌ ${file} - Could not extract data`);
-            }
-          } catch (error) {
-            curriculumSkipped++;
-            console.error(`   ❌ ${file} - Error: ${error.message}`);
-          }
-        }
-        
-        if (curriculumSkipped > 0) {
-          console.log(`\n   ℹ️  Summary: ${curriculumProcessed} processed, ${curriculumSkipped} skipped`);
-        }
-      } else {
-        console.log('\n📚 No curriculum Excel files found');
-      }
-    } catch (err) {
-      console.log('\n📚 Curriculum Excel folder not found, creating...');
-      await fs.mkdir(this.curriculumExcelFolder, { recursive: true });
+    if (rerouted > 0) {
+      console.log(`\n🔀 Rerouted ${rerouted} misfiled upload(s)`);
     }
 
-    // ============================================================
-    // STEP 8: Process Non-Teaching Faculty Schedule Excel Files
-    // ============================================================
-    try {
-      await fs.access(this.nonTeachingScheduleExcelFolder);
-      const scheduleFiles = await fs.readdir(this.nonTeachingScheduleExcelFolder);
-      const scheduleExcelFiles = scheduleFiles.filter(file => 
-        file.endsWith('.xlsx') || file.endsWith('.xls')
-      );
-
-      if (scheduleExcelFiles.length > 0) {
-        console.log(`\n📅 Found ${scheduleExcelFiles.length} Non-Teaching Schedule Excel file(s)`);
-        
-        const NonTeachingScheduleExtractor = require('./non_teaching_schedule_extractor');
-        const scheduleExtractor = new NonTeachingScheduleExtractor();
-        
-        let scheduleProcessed = 0;
-        let scheduleSkipped = 0;
-        
-        for (const file of scheduleExcelFiles) {
-          const filePath = path.join(this.nonTeachingScheduleExcelFolder, file);
-          console.log(`   Processing: ${file}`);
-          
-          try {
-            const scheduleData = await scheduleExtractor.processNonTeachingScheduleExcel(filePath);
-            
-            if (scheduleData) {
-              const result = await this.nonTeachingScheduleManager.storeNonTeachingSchedule(scheduleData);
-              
-              if (result) {
-                totalProcessed++;
-                scheduleProcessed++;
-                console.log(`   ✅ ${file}`);
-              } else {
-                scheduleSkipped++;
-                console.log(`   ❌ ${file} - Failed to store`);
-              }
-            } else {
-              scheduleSkipped++;
-              console.log(`   ❌ ${file} - Could not extract data`);
-            }
-          } catch (error) {
-            scheduleSkipped++;
-            console.error(`   ❌ ${file} - Error: ${error.message}`);
-          }
-        }
-        
-        if (scheduleSkipped > 0) {
-          console.log(`\n   ℹ️  Summary: ${scheduleProcessed} processed, ${scheduleSkipped} skipped`);
-        }
-      } else {
-        console.log('\n📅 No non-teaching schedule Excel files found');
-      }
-    } catch (err) {
-      console.log('\n📅 Non-teaching schedule Excel folder not found, creating...');
-      await fs.mkdir(this.nonTeachingScheduleExcelFolder, { recursive: true });
+    return rerouted;
+  }
+
+  /**
+   * AUTO-SCAN: Automatically scan and process all files on startup
+   */
+  async autoScanAndProcessAllFiles() {
+    console.log('\n' + '='.repeat(60));
+    console.log('🔄 AUTO-SCAN: Processing all files...');
+    console.log('='.repeat(60));
+
+    if (this.dataMode === 'persistent') {
+      console.log('💾 Persistent mode: unchanged files already in the database are skipped');
     }
 
+    let totalProcessed = 0;
+
     // ============================================================
-    // STEP 9: Process Admin Excel Files
+    // STEP 0: Route misfiled uploads to the right folder
     // ============================================================
     try {
-      await fs.access(this.adminExcelFolder);
-      const adminFiles = await fs.readdir(this.adminExcelFolder);
-      const adminExcelFiles = adminFiles.filter(file => 
-        file.endsWith('.xlsx') || file.endsWith('.xls')
-      );
-
-      if (adminExcelFiles.length > 0) {
-        console.log(`\n👔 Found ${adminExcelFiles.length} Admin Excel file(s)`);
-        
-        const AdminExtractor = require('./admin_extractor');
-        const adminExtractor = new AdminExtractor();
-        
-        let adminProcessed = 0;
-        let adminSkipped = 0;
-        
-        for (const file of adminExcelFiles) {
-          const filePath = path.join(this.adminExcelFolder, file);
-          console.log(`   Processing: ${file}`);
-          
-          try {
-            const adminData = await adminExtractor.processAdminExcel(filePath);
-            
-            if (adminData) {
-              const result = await this.adminManager.storeAdmin(adminData);
-              
-              if (result) {
-                totalProcessed++;
-                adminProcessed++;
-                console.log(`   ✅ ${file}`);
-              } else {
-                adminSkipped++;
-                console.log(`   ❌ ${file} - Failed to store`);
-              }
-            } else {
-              adminSkipped++;
-              console.log(`   ❌ ${file} - Could not extract data`);
-            }
-          } catch (error) {
-            adminSkipped++;
-            console.error(`   ❌ ${file} - Error: ${error.message}`);
-          }
-        }
-        
-        if (adminSkipped > 0) {
-          console.log(`\n   ℹ️  Summary: ${adminProcessed} processed, ${adminSkipped} skipped`);
-        }
-      } else {
-        console.log('\n👔 No admin Excel files found');
-      }
-    } catch (err) {
-      console.log('\n👔 Admin Excel folder not found, creating...');
-      await fs.mkdir(this.adminExcelFolder, { recursive: true });
+      await this.routeMisfiledUploads();
+    } catch (error) {
+      console.error(`\n❌ Error classifying uploads: ${error.message}`);
     }
 
     // ============================================================
-    // STEP 10: Process General Info PDF Files
+    // STEPS 1-11: One ingestion job per file, folder by folder
     // ============================================================
-    try {
-      await fs.access(this.generalInfoFolder);
-      const generalInfoFiles = await fs.readdir(this.generalInfoFolder);
-      const pdfFiles = generalInfoFiles.filter(file => 
-        file.toLowerCase().endsWith('.pdf')
-      );
-
-      if (pdfFiles.length > 0) {
-        console.log(`\n📄 Found ${pdfFiles.length} General Info PDF file(s)`);
-        
-        const GeneralInfoExtractor = require('./general_info_extractor');
-        const generalExtractor = new GeneralInfoExtractor();
-        
-        let generalProcessed = 0;
-        let generalSkipped = 0;
-        
-        for (const file of pdfFiles) {
-          const filePath = path.join(this.generalInfoFolder, file);
-          console.log(`   Processing: ${file}`);
-          
-          try {
-            const generalData = await generalExtractor.processGeneralInfoPDF(filePath);
-            
-            if (generalData) {
-              const result = await this.generalInfoManager.storeGeneralInfo(generalData);
-              
-              if (result) {
-                totalProcessed++;
-                generalProcessed++;
-                console.log(`   ✅ ${file}`);
-              } else {
-                generalSkipped++;
-                console.log(`   ❌ ${file} - Failed to store`);
-              }
-            } else {
-              generalSkipped++;
-              console.log(`   ❌ ${file} - Could not extract data`);
-            }
-          } catch (error) {
-            generalSkipped++;
-            console.error(`   ❌ ${file} - Error: ${error.message}`);
-          }
+    const tabular = TABULAR_EXTENSIONS; // Excel, CSV and JSON
+    const pdf = ['.pdf'];
+    const steps = [
+      { type: DocumentTypes.STUDENT_LIST, folder: this.studentExcelFolder, icon: '👥', label: 'Student Excel', extensions: tabular },
+      { type: DocumentTypes.COR, folder: this.corExcelFolder, icon: '📚', label: 'COR Excel', extensions: tabular },
+      { type: DocumentTypes.STUDENT_GRADES, folder: this.gradesExcelFolder, icon: '📝', label: 'Grades Excel', extensions: tabular },
+      { type: DocumentTypes.TEACHING_FACULTY, folder: this.teachingFacultyExcelFolder, icon: '👨‍🏫', label: 'Teaching Faculty Excel', extensions: tabular },
+      { type: DocumentTypes.TEACHING_FACULTY_SCHEDULE, folder: this.teachingFacultySchedExcelFolder, icon: '📅', label: 'Faculty Schedule Excel', extensions: tabular },
+      { type: DocumentTypes.NON_TEACHING_FACULTY, folder: this.nonTeachingFacultyExcelFolder, icon: '👨‍💼', label: 'Non-Teaching Faculty Excel', extensions: tabular },
+      { type: DocumentTypes.CURRICULUM, folder: this.curriculumExcelFolder, icon: '📚', label: 'Curriculum Excel', extensions: tabular },
+      { type: DocumentTypes.NON_TEACHING_SCHEDULE, folder: this.nonTeachingScheduleExcelFolder, icon: '📅', label: 'Non-Teaching Schedule Excel', extensions: tabular },
+      { type: DocumentTypes.ADMIN, folder: this.adminExcelFolder, icon: '👔', label: 'Admin Excel', extensions: tabular },
+      { type: DocumentTypes.GENERAL_INFO, folder: this.generalInfoFolder, icon: '📄', label: 'General Info PDF', extensions: pdf },
+      { type: DocumentTypes.TEACHING_FACULTY_RESUME_PDF, folder: this.teachingFacultyResumesFolder, icon: '👨‍🏫', label: 'Teaching Faculty Resume PDF', extensions: pdf }
+    ];
+    const jobCounts = { succeeded: 0, skipped: 0, failed: 0 };
+
+    for (const step of steps) {
+      try {
+        try {
+          await fs.access(step.folder);
+        } catch {
+          console.log(`\n${step.icon} ${step.label} folder not found, creating...`);
+          await fs.mkdir(step.folder, { recursive: true });
+          continue;
         }
-        
-        if (generalSkipped > 0) {
-          console.log(`\n   ℹ️  Summary: ${generalProcessed} processed, ${generalSkipped} skipped`);
+
+        const files = (await fs.readdir(step.folder)).filter(file =>
+          !file.startsWith('~$') && step.extensions.includes(path.extname(file).toLowerCase())
+        );
+
+        if (files.length === 0) {
+          console.log(`\n${step.icon} No ${step.label} files found`);
+          continue;
         }
-      } else {
-        console.log('\n📄 No general info PDF files found');
-      }
-    } catch (err) {
-      console.log('\n📄 General Info folder not found, creating...');
-      await fs.mkdir(this.generalInfoFolder, { recursive: true });
-    }
 
-    // ============================================================
-    // STEP 11: Process Teaching Faculty Resume PDF Files
-    // ============================================================
-    try {
-  // Check if folder exists, create if not
-  try {
-    await fs.access(this.teachingFacultyResumesFolder);
-  } catch (err) {
-    console.log('\n👨‍🏫 Teaching Faculty Resumes folder not found, creating...');
-    await fs.mkdir(this.teachingFacultyResumesFolder, { recursive: true });
-  }
+        console.log(`\n${step.icon} Found ${files.length} ${step.label} file(s)`);
 
-  const resumeFiles = await fs.readdir(this.teachingFacultyResumesFolder);
-  const pdfFiles = resumeFiles.filter(file => 
-    file.toLowerCase().endsWith('.pdf')
-  );
+        for (const file of files) {
+          console.log(`   Processing: ${file}`);
+          const job = await this.ingestionJobs.runFile(path.join(step.folder, file), { type: step.type, source: 'auto_scan' });
+          jobCounts[job.status] = (jobCounts[job.status] || 0) + 1;
 
-  if (pdfFiles.length > 0) {
-    console.log(`\n👨‍🏫 Found ${pdfFiles.length} Teaching Faculty Resume PDF file(s)`);
-    
-    const TeachingFacultyResumeExtractor = require('./teaching_faculty_resume_pdf_extractor');
-    const resumeExtractor = new TeachingFacultyResumeExtractor();
-    
-    let resumeProcessed = 0;
-    let resumeSkipped = 0;
-    
-    for (const file of pdfFiles) {
-      const filePath = path.join(this.teachingFacultyResumesFolder, file);
-      console.log(`   Processing: ${file}`);
-      
-      try {
-        const resumeData = await resumeExtractor.processTeachingFacultyResumePDF(filePath);
-        
-        if (resumeData) {
-          const result = await this.teachingFacultyResumeManager.storeTeachingFacultyResume(resumeData);
-          
-          if (result) {
+          if (job.status === 'succeeded') {
             totalProcessed++;
-            resumeProcessed++;
-            console.log(`   ✅ ${file}`);
+            console.log(`   ✅ ${file} (${job.records} record(s), ${job.duration_ms}ms)`);
+          } else if (job.status === 'skipped') {
+            console.log(`   ⏭️  ${file} - already ingested, skipped`);
           } else {
-            resumeSkipped++;
-            console.log(`   ❌ ${file} - Failed to store`);
+            console.log(`   ❌ ${file} - ${job.error}`);
           }
-        } else {
-          resumeSkipped++;
-          console.log(`   ❌ ${file} - Could not extract data`);
         }
       } catch (error) {
-        resumeSkipped++;
-        console.error(`   ❌ ${file} - Error: ${error.message}`);
+        console.error(`\n❌ Error processing ${step.label} files: ${error.message}`);
       }
     }
-    
-    if (resumeSkipped > 0) {
-      console.log(`\n   ℹ️  Summary: ${resumeProcessed} processed, ${resumeSkipped} skipped`);
-    }
-  } else {
-    console.log('\n👨‍🏫 No teaching faculty resume PDF files found');
-  }
-} catch (error) {
-  console.error(`\n❌ Error processing teaching faculty resumes: ${error.message}`);
-}
 
     // ============================================================
     // SUMMARY
     // ============================================================
     console.log('\n' + '='.repeat(60));
     console.log(`✅ Auto-scan complete: ${totalProcessed} files processed`);
+    if (jobCounts.skipped > 0 || jobCounts.failed > 0) {
+      console.log(`   ⏭️  ${jobCounts.skipped} skipped, ❌ ${jobCounts.failed} failed`);
+    }
+    console.log('   📋 Job details: GET /api/v1/ingestion/jobs');
     console.log('='.repeat(60));
   }
 
   /**
-   * AUTO-CLEANUP: Clear all data on exit
+   * AUTO-CLEANUP: Clear all data on exit (after a backup)
    */
   async autoCleanupOnExit() {
   console.log('\n' + '='.repeat(60));
@@ -726,38 +287,12 @@ class SchoolInformationSystem {
   console.log('='.repeat(60));
 
   try {
-    // Clear student data
-    await this.db.clearAllData();
-    
-    // Clear COR schedules
-    await this.clearAllCORSchedules();
-    
-    // Clear student grades
-    await this.gradesManager.clearAllGrades();
-    
-    // Clear teaching faculty
-    await this.teachingFacultyManager.clearAllTeachingFaculty();
-    
-    // Clear teaching faculty schedules
-    await this.teachingFacultyScheduleManager.clearAllTeachingFacultySchedules();
-    
-    // Clear non-teaching faculty
-    await this.nonTeachingFacultyManager.clearAllNonTeachingFaculty();
-    
-    // Clear non-teaching schedules
-    await this.nonTeachingScheduleManager.clearAllNonTeachingSchedules();
-    
-    // Clear admin resumes
-    await this.adminManager.clearAllAdmins();
-
-    // Clear general info
-    await this.generalInfoManager.clearAllGeneralInfo();
-
-    // Clear teaching resumes
-    await this.teachingFacultyResumeManager.clearAllFacultyResumes();
+    if (!(await this.db.backupBeforeClear('before_exit_cleanup'))) {
+      console.log('⚠️  Data was kept in MongoDB');
+      return;
+    }
 
-    // Clear curricula
-    await this.curriculumManager.clearAllCurricula();
+    await this.db.withoutAutoBackup(() => this.clearAllCollections());
     
     console.log('✅ All data cleared from database');
   } catch (error) {
@@ -765,12 +300,82 @@ class SchoolInformationSystem {
   }
 }
 
+  /**
+   * Clear every record collection, the ingestion ledger/jobs, the record history and stored media.
+   * Callers back up first (see clearAllData / autoCleanupOnExit).
+   */
+  async clearAllCollections() {
+  // Clear student data
+  console.log('📋 Clearing student data...');
+  await this.db.clearAllData();
+
+  // Clear COR schedules
+  console.log('📅 Clearing COR schedules...');
+  await this.clearAllCORSchedules();
+
+  // Clear student grades
+  console.log('📊 Clearing student grades...');
+  await this.gradesManager.clearAllGrades();
+
+  // Clear teaching faculty
+  console.log('👨‍🏫 Clearing teaching faculty...');
+  await this.teachingFacultyManager.clearAllTeachingFaculty();
+
+  // Clear teaching faculty schedules
+  console.log('📅 Clearing teaching faculty schedules...');
+  await this.teachingFacultyScheduleManager.clearAllTeachingFacultySchedules();
+
+  // Clear non-teaching faculty
+  console.log('👨‍💼 Clearing non-teaching faculty...');
+  await this.nonTeachingFacultyManager.clearAllNonTeachingFaculty();
+
+  // Clear non-teaching schedules
+  console.log('📅 Clearing non-teaching schedules...');
+  await this.nonTeachingScheduleManager.clearAllNonTeachingSchedules();
+
+  // Clear admins
+  console.log('👔 Clearing administrators...');
+  await this.adminManager.clearAllAdmins();
+
+  // Clear general info
+  console.log('📄 Clearing general information...');
+  await this.generalInfoManager.clearAllGeneralInfo();
+
+  // Clear teaching faculty resumes
+  console.log('👨‍🏫 Clearing teaching faculty resumes...');
+  await this.teachingFacultyResumeManager.clearAllFacultyResumes();
+
+  // Clear curricula
+  console.log('📚 Clearing curricula...');
+  await this.curriculumManager.clearAllCurricula();
+
+  // Forget ingested files so the next scan re-ingests everything
+  console.log('📒 Clearing ingestion ledger...');
+  await this.ingestionLedger.clear();
+  await this.ingestionJobs.clear();
+
+  // Clear record history and the media completion log
+  console.log('🕓 Clearing record history...');
+  await this.db.history.clear();
+  await this.db.pendingWorkflow.clearHistory();
+
+  // Clear computed academic standings
+  console.log('🎖️  Clearing academic standings...');
+  await this.academicStanding.clear();
+
+  // Clear photos and recordings
+  console.log('🖼️  Clearing stored media...');
+  await this.db.mediaStore.clearAll();
+}
+
   /**
  * Clear all COR schedules from all departments
  */
 async clearAllCORSchedules() {
   try {
-    const departments = ['ccs', 'chtm', 'cba', 'cte', 'unknown'];
+    if (!(await this.db.backupBeforeClear('before_clear_cor_schedules'))) return;
+
+    const departments = departmentRegistry.getCollectionKeys('college');
     let totalCleared = 0;
 
     for (const dept of departments) {
@@ -837,75 +442,133 @@ async clearAllCORSchedules() {
   }
 }
 
+  /**
+   * DRY RUN: Show what a file would import without writing to MongoDB
+   */
+  async previewFile() {
+  console.log('\n' + '='.repeat(60));
+  console.log('🔍 PREVIEW FILE (DRY RUN)');
+  console.log('='.repeat(60));
+
+  try {
+    const filePath = (await this.prompt('\nPath to Excel/PDF file: ')).trim().replace(/^["']|["']$/g, '');
+    if (!filePath) {
+      console.log('❌ No file given');
+      return;
+    }
+
+    try {
+      await fs.access(filePath);
+    } catch {
+      console.log(`❌ File not found: ${filePath}`);
+      return;
+    }
+
+    const type = (await this.prompt(`Document type (Enter to auto-detect; ${Object.values(DocumentTypes).filter(t => t !== 'unknown').join(', ')}): `)).trim();
+    if (type && !Object.values(DocumentTypes).includes(type)) {
+      console.log(`❌ Unknown document type: ${type}`);
+      return;
+    }
+
+    const report = await this.extractionPreview.previewFile(path.resolve(filePath), type || null);
+
+    console.log('\n' + '-'.repeat(60));
+    console.log(`📄 File: ${report.file}`);
+
+    if (report.sheets) {
+      console.log(`📑 ${report.sheets.length} sheets, ${report.record_count} record(s) in total`);
+      report.sheets.forEach(sheetReport => {
+        console.log('\n' + '-'.repeat(60));
+        console.log(`📑 Sheet: ${sheetReport.sheet}`);
+        this.printPreviewReport(sheetReport);
+      });
+      if (report.error) {
+        console.log(`\n❌ ${report.error}`);
+      }
+    } else {
+      this.printPreviewReport(report);
+    }
+
+    console.log('\nℹ️  Nothing was written to MongoDB. Copy the file into its uploaded_files folder to import it.');
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+  }
+}
+
+  /**
+   * Print one preview report (a file, or one sheet of a workbook)
+   */
+  printPreviewReport(report) {
+    console.log(`📋 Type: ${report.document_type}` +
+      (report.classification ? ` (detected: ${report.classification.type}, confidence ${report.classification.confidence})` : ''));
+
+    if (report.status === 'skipped') {
+      console.log('⏭️  Not recognised - this sheet will be skipped');
+      return;
+    }
+    if (report.status === 'failed') {
+      console.log(`❌ ${report.error}`);
+      return;
+    }
+
+    console.log(`🏫 Department: ${report.department || 'N/A'}`);
+    console.log(`📊 Records: ${report.record_count}`);
+
+    if (report.metadata) {
+      console.log('\n📋 Metadata:');
+      Object.entries(report.metadata)
+        .filter(([, value]) => value !== null && typeof value !== 'object')
+        .forEach(([key, value]) => console.log(`   ${key}: ${value}`));
+    }
+
+    if (report.columns) {
+      console.log('\n🎯 Columns:');
+      report.columns.mapped.forEach(({ column, header, field }) => console.log(`   ${column}: "${header}" → ${field}`));
+      report.columns.unmapped.forEach(({ column, header }) => console.log(`   ${column}: "${header}" → (not used)`));
+    }
+
+    if (report.records.length > 0) {
+      console.log('\n📚 First records:');
+      report.records.slice(0, 5).forEach((record, index) => {
+        const summary = Object.entries(record)
+          .filter(([, value]) => value !== null && typeof value !== 'object')
+          .map(([key, value]) => `${key}=${value}`)
+          .join(', ');
+        console.log(`   ${index + 1}. ${summary}`);
+      });
+      if (report.records.length > 5) {
+        console.log(`   ... and ${report.records.length - 5} more`);
+      }
+    }
+
+    if (report.warnings.length > 0) {
+      console.log(`\n⚠️  ${report.warnings.length} warning(s):`);
+      report.warnings.forEach(warning => console.log(`   • ${warning.message}`));
+    } else {
+      console.log('\n✅ No warnings - ready to import');
+    }
+  }
 
   async clearAllData() {
   try {
     const confirm = await this.prompt('⚠️  Clear ALL data (students, COR schedules, curricula, faculty schedules) from MongoDB? (yes/no): ');
     
     if (confirm.trim().toLowerCase() === 'yes') {
-      console.log('\n🗑️  Clearing all data...\n');
-      
-      // Check if manager exists
-      if (!this.nonTeachingScheduleManager) {
-        console.log('⚠️  Non-teaching schedule manager not initialized!');
+      // Always back up before wiping
+      console.log('\n💾 Creating backup before clearing...');
+      const backupPath = await this.backupManager.createBackup('before_clear_all');
+
+      if (!backupPath) {
+        console.log('❌ Backup failed - data was NOT cleared');
         return;
       }
-      
-      // Clear student data
-      console.log('📋 Clearing student data...');
-      await this.db.clearAllData();
-      
-      // Clear COR schedules
-      console.log('📅 Clearing COR schedules...');
-      await this.clearAllCORSchedules();
-      
-      // Clear student grades
-      if (this.studentGradesManager) {
-        console.log('📊 Clearing student grades...');
-        await this.studentGradesManager.clearAllGrades();
-      }
-      
-      // Clear teaching faculty
-      if (this.teachingFacultyManager) {
-        console.log('👨‍🏫 Clearing teaching faculty...');
-        await this.teachingFacultyManager.clearAllTeachingFaculty();
-      }
-      
-      // Clear teaching faculty schedules
-      if (this.teachingFacultyScheduleManager) {
-        console.log('📅 Clearing teaching faculty schedules...');
-        await this.teachingFacultyScheduleManager.clearAllTeachingFacultySchedules();
-      }
-      
-      // Clear non-teaching faculty
-      if (this.nonTeachingFacultyManager) {
-        console.log('👨‍💼 Clearing non-teaching faculty...');
-        await this.nonTeachingFacultyManager.clearAllNonTeachingFaculty();
-      }
-      
-      // Clear non-teaching schedules
-      console.log('📅 Clearing non-teaching schedules...');
-      await this.nonTeachingScheduleManager.clearAllNonTeachingSchedules();
-
-      // Clear admins
-      console.log('👔 Clearing administrators...');
-      await this.adminManager.clearAllAdmins();
 
-      // Clear general info
-      console.log('📄 Clearing general information...');
-      await this.generalInfoManager.clearAllGeneralInfo();
-
-      // Clear teaching faculty resumes
-      console.log('👨‍🏫 Clearing teaching faculty resumes...');
-      await this.teachingFacultyResumeManager.clearAllFacultyResumes();
-      
-      // Clear curricula
-      if (this.curriculumManager) {
-        console.log('📚 Clearing curricula...');
-        await this.curriculumManager.clearAllCurricula();
-      }
+      console.log('\n🗑️  Clearing all data...\n');
+      await this.db.withoutAutoBackup(() => this.clearAllCollections());
       
       console.log('\n✅ All data cleared from MongoDB');
+      console.log(`💾 Backup saved at: ${backupPath}`);
+      console.log(`ℹ️  Ingested files are kept in ${this.processedFolder} - move them back to re-ingest`);
     } else {
       console.log('❌ Operation cancelled');
     }
@@ -927,11 +590,9 @@ async clearAllCORSchedules() {
         return false;
       }
 
-      // Find all Excel files
+      // Find all Excel/CSV/JSON files
       const files = await fs.readdir(this.studentExcelFolder);
-      const excelFiles = files.filter(file => 
-        file.endsWith('.xlsx') || file.endsWith('.xls')
-      );
+      const excelFiles = files.filter(file => isTabularFile(file));
 
       if (excelFiles.length === 0) {
         console.log(`⚠️  No Excel files found in: ${this.studentExcelFolder}`);
@@ -946,17 +607,15 @@ async clearAllCORSchedules() {
         const filePath = path.join(this.studentExcelFolder, excelFile);
         console.log(`\n📄 Processing: ${excelFile}`);
         
-        try {
-          const success = await StudentDataExtractor.processExcel(filePath, this.db);
-          
-          if (success) {
-            console.log(`✅ Successfully processed: ${excelFile}`);
-            totalProcessed++;
-          } else {
-            console.log(`⚠️  No data extracted from: ${excelFile}`);
-          }
-        } catch (error) {
-          console.error(`❌ Error processing ${excelFile}: ${error.message}`);
+        const job = await this.ingestionJobs.runFile(filePath, { type: DocumentTypes.STUDENT_LIST, source: 'manual' });
+
+        if (job.status === 'succeeded') {
+          console.log(`✅ Successfully processed: ${excelFile}`);
+          totalProcessed++;
+        } else if (job.status === 'skipped') {
+          console.log(`⏭️  ${excelFile} - already ingested, skipped`);
+        } else {
+          console.error(`❌ Error processing ${excelFile}: ${job.error}`);
         }
       }
 
@@ -1162,23 +821,7 @@ async viewCurricula() {
 
     if (filterChoice === '1') {
       // Filter by department
-      console.log('\nSelect Department:');
-      console.log('1. CAS - Arts & Sciences');
-      console.log('2. CCS - Computer Studies');
-      console.log('3. CHTM - Hospitality & Tourism');
-      console.log('4. CBA - Business Administration');
-      console.log('5. CTE - Teacher Education');
-      console.log('6. COE - Engineering');
-      console.log('7. CON - Nursing');
-
-      const deptChoice = await this.prompt('\nSelect (1-7): ');
-      
-      const deptMap = {
-        '1': 'CAS', '2': 'CCS', '3': 'CHTM', '4': 'CBA',
-        '5': 'CTE', '6': 'COE', '7': 'CON'
-      };
-
-      const department = deptMap[deptChoice];
+      const department = await this.promptDepartment('Select Department:');
       if (department) {
         curricula = await this.curriculumManager.getCurriculaByDepartment(department);
       }
@@ -1207,6 +850,11 @@ async viewCurricula() {
       console.log(`   Department: ${curr.department}`);
       console.log(`   Effective Year: ${curr.effective_year || 'N/A'}`);
       console.log(`   Revision: ${curr.revision || 'N/A'}`);
+      if (curr.version) {
+        console.log(`   Version: ${curr.version}${curr.is_current ? ' (current)' : ` (superseded by ${curr.next_curriculum_id})`}`);
+      } else if (!curr.effective_year) {
+        console.log('   Version: ⚠️  none (no effective year; not assigned to any batch)');
+      }
       console.log(`   Total Subjects: ${curr.total_subjects}`);
       console.log(`   Source: ${curr.source_file}`);
     });
@@ -1222,9 +870,40 @@ async viewCurricula() {
       console.log('='.repeat(60));
       console.log('\n' + selectedCurriculum.formatted_text);
     }
+
+    if (curricula.length > 1) {
+      const compare = (await this.prompt('\nCompare two versions? Enter "older,newer" numbers (or press Enter to skip): ')).trim();
+      const [fromIndex, toIndex] = compare.split(',').map(value => parseInt(value, 10) - 1);
+      if (curricula[fromIndex] && curricula[toIndex]) {
+        this.printCurriculumDiff(await this.curriculumManager.compareCurricula(curricula[fromIndex].curriculum_id, curricula[toIndex].curriculum_id));
+      }
+    }
   }
 }
 
+printCurriculumDiff(diff) {
+  console.log('\n' + '='.repeat(60));
+  console.log(`🔀 ${diff.from.curriculum_id} (${diff.from.effective_year}) → ${diff.to.curriculum_id} (${diff.to.effective_year})`);
+  console.log('='.repeat(60));
+  console.log(`   Subjects: ${diff.from.total_subjects} → ${diff.to.total_subjects}, units: ${diff.from.total_units} → ${diff.to.total_units}, unchanged: ${diff.unchanged}`);
+
+  const place = ({ year_level: year, semester }) => `Y${year} ${semester}`;
+  const sections = [
+    ['➕ Added', diff.added, subject => `${subject.subject_code} ${subject.subject_name || ''} [${place(subject)}, ${subject.units} u]`],
+    ['➖ Removed', diff.removed, subject => `${subject.subject_code} ${subject.subject_name || ''} [${place(subject)}, ${subject.units} u]`],
+    ['↔️  Moved', diff.moved, subject => `${subject.subject_code}: ${place(subject.from)} → ${place(subject.to)}`],
+    ['🔢 Re-united', diff.re_united, subject => `${subject.subject_code}: ${subject.from_units} → ${subject.to_units} units`],
+    ['✏️  Renamed', diff.renamed, subject => `${subject.subject_code}: ${subject.from_name} → ${subject.to_name}`],
+    ['🔗 Prerequisites changed', diff.requisites_changed, subject => `${subject.subject_code}: ${subject.from_prerequisites.join(', ') || 'none'} → ${subject.to_prerequisites.join(', ') || 'none'}`]
+  ];
+
+  sections.forEach(([title, subjects, describe]) => {
+    if (subjects.length === 0) return;
+    console.log(`\n${title} (${subjects.length}):`);
+    subjects.forEach(subject => console.log(`   ${describe(subject)}`));
+  });
+}
+
 async viewNonTeachingFaculty() {
   console.log('\n' + '='.repeat(60));
   console.log('👨‍💼 NON-TEACHING FACULTY');
@@ -1367,32 +1046,10 @@ async viewTeachingFacultySchedules() {
   const viewDetails = await this.prompt('\nView detailed schedules? (yes/no): ');
 
   if (viewDetails.trim().toLowerCase() === 'yes') {
-    console.log('\nFilter by department:');
-    console.log('1. CAS - Arts & Sciences');
-    console.log('2. CCS - Computer Studies');
-    console.log('3. CHTM - Hospitality & Tourism');
-    console.log('4. CBA - Business Administration');
-    console.log('5. CTE - Teacher Education');
-    console.log('6. COE - Engineering');
-    console.log('7. CON - Nursing');
-    console.log('8. ADMIN - Administration');
-    console.log('9. All Departments');
-
-    const deptChoice = await this.prompt('\nSelect (1-9): ');
-    
-    const deptMap = {
-      '1': 'CAS',
-      '2': 'CCS',
-      '3': 'CHTM',
-      '4': 'CBA',
-      '5': 'CTE',
-      '6': 'COE',
-      '7': 'CON',
-      '8': 'ADMIN',
-      '9': null
-    };
-
-    const department = deptMap[deptChoice];
+    const department = await this.promptDepartment('Filter by department:', {
+      extraOptions: [{ code: 'ADMIN', label: 'Administration' }],
+      includeAll: true
+    });
 
     let schedules;
     if (department) {
@@ -1462,32 +1119,10 @@ async viewTeachingFacultySchedules() {
   const viewDetails = await this.prompt('\nView detailed faculty list? (yes/no): ');
 
   if (viewDetails.trim().toLowerCase() === 'yes') {
-    console.log('\nFilter by department:');
-    console.log('1. CAS - Arts & Sciences');
-    console.log('2. CCS - Computer Studies');
-    console.log('3. CHTM - Hospitality & Tourism');
-    console.log('4. CBA - Business Administration');
-    console.log('5. CTE - Teacher Education');
-    console.log('6. COE - Engineering');
-    console.log('7. CON - Nursing');
-    console.log('8. ADMIN - Administration');
-    console.log('9. All Departments');
-
-    const deptChoice = await this.prompt('\nSelect (1-9): ');
-    
-    const deptMap = {
-      '1': 'CAS',
-      '2': 'CCS',
-      '3': 'CHTM',
-      '4': 'CBA',
-      '5': 'CTE',
-      '6': 'COE',
-      '7': 'CON',
-      '8': 'ADMIN',
-      '9': null
-    };
-
-    const department = deptMap[deptChoice];
+    const department = await this.promptDepartment('Filter by department:', {
+      extraOptions: [{ code: 'ADMIN', label: 'Administration' }],
+      includeAll: true
+    });
 
     let faculty;
     if (department) {
@@ -1537,88 +1172,198 @@ async viewTeachingFacultySchedules() {
 }
 
   async showPendingMedia() {
-  // Get student pending media
-  const pendingStudents = await this.db.getPendingMediaStudents();
-  
-  // Get teaching faculty pending media
-  const pendingTeaching = await this.teachingFacultyManager.getTeachingPendingMedia();
-  
-  // Get non-teaching faculty pending media
-  const pendingNonTeaching = await this.nonTeachingFacultyManager.getNonTeachingPendingMedia();
+  while (true) {
+    const summary = await this.db.pendingWorkflow.getSummary();
 
-  const totalPending = pendingStudents.length + pendingTeaching.length + pendingNonTeaching.length;
+    console.log('\n' + '='.repeat(60));
+    console.log(`⏳ PENDING MEDIA (${summary.pending} total)`);
+    console.log('='.repeat(60));
+    console.log(`   Missing: 📸 ${summary.missing.image} image | 🎤 ${summary.missing.audio} audio | 🔑 ${summary.missing.descriptor} descriptor`);
+    console.log(`   Assigned: ${summary.assigned} | Unassigned: ${summary.unassigned} | ⏰ Overdue: ${summary.overdue}`);
+    console.log(`   Completed so far: ${summary.completed_items} item(s) (${summary.completed_on_time} on time, ${summary.completed_late} late)`);
+
+    console.log('\n1. List Pending (Filter)');
+    console.log('2. Assign Follow-ups');
+    console.log('3. Reminders (Overdue / Due Soon)');
+    console.log('4. Export Per-Section Checklists');
+    console.log('5. Completion History');
+    console.log('6. Back');
+
+    const choice = (await this.prompt('\nSelect option (1-6): ')).trim();
+
+    if (choice === '1') {
+      this.printPendingEntries(await this.db.pendingWorkflow.getPendingItems(await this.promptPendingFilters()));
+    } else if (choice === '2') {
+      await this.assignPendingMedia();
+    } else if (choice === '3') {
+      await this.showPendingReminders();
+    } else if (choice === '4') {
+      await this.exportPendingChecklists();
+    } else if (choice === '5') {
+      await this.showCompletionHistory();
+    } else if (choice === '6') {
+      return;
+    } else {
+      console.log('\n❌ Invalid option. Please select 1-6');
+      continue;
+    }
 
-  if (totalPending === 0) {
-    console.log('\n✅ No one waiting for media!');
-    return;
+    await this.prompt('\nPress Enter to continue...');
   }
+}
 
-  console.log('\n' + '='.repeat(60));
-  console.log(`⏳ PENDING MEDIA (${totalPending} total)`);
-  console.log('='.repeat(60));
+  /**
+   * Ask for pending-media filters: who, department, course/year/section, missing item, assignee
+   */
+  async promptPendingFilters({ askAssignee = true } = {}) {
+    const filters = {};
 
-  // Show Students
-  if (pendingStudents.length > 0) {
-    console.log(`\n👥 STUDENTS (${pendingStudents.length}):`);
-    pendingStudents.slice(0, 10).forEach((student, index) => {
-      console.log(`\n${index + 1}. ${student.full_name || 'N/A'} (${student.student_id})`);
-      console.log(`   Course: ${student.course} | Year: ${student.year} | Section: ${student.section}`);
+    const type = (await this.prompt('\nWho? 1. Students  2. Teaching faculty  3. Non-teaching staff  [Enter = everyone]: ')).trim();
+    if (type === '1') filters.type = 'student';
+    if (type === '2') filters.type = 'teaching';
+    if (type === '3') filters.type = 'non_teaching';
 
-      const waiting = [];
-      if (student.waiting_for.image) waiting.push('📸 Image');
-      if (student.waiting_for.audio) waiting.push('🎤 Audio');
+    const department = (await this.prompt('Department (e.g. CCS, blank for all): ')).trim().toUpperCase();
+    if (department) filters.department = department;
 
-      console.log(`   Waiting for: ${waiting.join(', ')}`);
-    });
+    if (!filters.type || filters.type === 'student') {
+      const course = (await this.prompt('Course (e.g. BSIT, blank for all): ')).trim().toUpperCase();
+      if (course) filters.course = course;
+      const year = (await this.prompt('Year level (blank for all): ')).trim();
+      if (year) filters.year = year;
+      const section = (await this.prompt('Section (blank for all): ')).trim().toUpperCase();
+      if (section) filters.section = section;
+    }
+
+    const missing = (await this.prompt('Missing: 1. Image  2. Audio  3. Descriptor  [Enter = anything]: ')).trim();
+    if (missing === '1') filters.missing = 'image';
+    if (missing === '2') filters.missing = 'audio';
+    if (missing === '3') filters.missing = 'descriptor';
 
-    if (pendingStudents.length > 10) {
-      console.log(`\n   ... and ${pendingStudents.length - 10} more students`);
+    if (askAssignee) {
+      const assignee = (await this.prompt('Assigned to (name, "unassigned", blank for any): ')).trim();
+      if (assignee) filters.assigned_to = assignee;
     }
+
+    return filters;
   }
 
-  // ← ADD THIS: Show Teaching Faculty
-  if (pendingTeaching.length > 0) {
-    console.log(`\n\n👨‍🏫 TEACHING FACULTY (${pendingTeaching.length}):`);
-    pendingTeaching.slice(0, 10).forEach((faculty, index) => {
-      console.log(`\n${index + 1}. ${faculty.full_name || 'N/A'} (${faculty.faculty_id})`);
-      console.log(`   Position: ${faculty.position} | Department: ${faculty.department}`);
+  printPendingEntries(entries) {
+  if (entries.length === 0) {
+    console.log('\n✅ No one matches - nothing pending');
+    return;
+  }
 
-      const waiting = [];
-      if (faculty.waiting_for.image) waiting.push('📸 Image');
-      if (faculty.waiting_for.audio) waiting.push('🎤 Audio');
-      if (faculty.waiting_for.descriptor) waiting.push('🔑 Descriptor');
+  const labels = { image: '📸 Image', audio: '🎤 Audio', descriptor: '🔑 Descriptor' };
+  console.log(`\n⏳ ${entries.length} pending:`);
 
-      console.log(`   Waiting for: ${waiting.join(', ')}`);
-    });
+  entries.forEach((entry, index) => {
+    console.log(`\n${index + 1}. ${entry.full_name || 'N/A'} (${entry.person_id})`);
+    if (entry.person_type === 'student') {
+      console.log(`   Course: ${entry.course} | Year: ${entry.year} | Section: ${entry.section} | Department: ${entry.department || 'N/A'}`);
+    } else {
+      console.log(`   Position: ${entry.position || 'N/A'} | Department: ${entry.department} | ${entry.person_type === 'teaching' ? 'Teaching' : 'Non-teaching'}`);
+    }
+    console.log(`   Waiting for: ${entry.missing.map(item => labels[item]).join(', ')}`);
 
-    if (pendingTeaching.length > 10) {
-      console.log(`\n   ... and ${pendingTeaching.length - 10} more teaching faculty`);
+    if (entry.assignment) {
+      const due = entry.assignment.due_date ? ` | Due: ${new Date(entry.assignment.due_date).toDateString()}` : '';
+      console.log(`   Assigned to: ${entry.assignment.assigned_to}${due}${entry.overdue ? ' ⏰ OVERDUE' : ''}`);
     }
+  });
+}
+
+  async assignPendingMedia() {
+  console.log('\n' + '='.repeat(60));
+  console.log('📋 ASSIGN FOLLOW-UPS');
+  console.log('='.repeat(60));
+  console.log('\nPick who to assign (e.g. one section), then the staff member and due date.');
+
+  const filters = await this.promptPendingFilters({ askAssignee: false });
+  const entries = await this.db.pendingWorkflow.getPendingItems(filters);
+  if (entries.length === 0) {
+    console.log('\n⚠️  Nothing pending matches those filters');
+    return;
+  }
+
+  const assignedTo = (await this.prompt(`\n${entries.length} pending entr${entries.length === 1 ? 'y' : 'ies'}. Assign to (staff name): `)).trim();
+  if (!assignedTo) {
+    console.log('❌ Assignment cancelled');
+    return;
   }
 
-  // Show Non-Teaching Faculty
-  if (pendingNonTeaching.length > 0) {
-    console.log(`\n\n👨‍💼 NON-TEACHING FACULTY (${pendingNonTeaching.length}):`);
-    pendingNonTeaching.slice(0, 10).forEach((faculty, index) => {
-      const deptDisplay = faculty.department.replace(/_/g, ' ').split(' ')
-        .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
-        .join(' ');
+  const dueDate = (await this.prompt('Due date (YYYY-MM-DD, blank for none): ')).trim() || null;
+  const note = (await this.prompt('Note (optional): ')).trim() || null;
 
-      console.log(`\n${index + 1}. ${faculty.full_name || 'N/A'} (${faculty.faculty_id})`);
-      console.log(`   Position: ${faculty.position} | Department: ${deptDisplay}`);
+  const result = await this.db.pendingWorkflow.assign({ ...filters, ids: entries.map(entry => entry.person_id) }, { assignedTo, dueDate, note });
+  if (result.error) console.log(`❌ ${result.error}`);
+}
+
+  async showPendingReminders() {
+  const withinDays = parseInt(await this.prompt('\nInclude items due within how many days? [3]: '), 10);
+  const reminders = await this.db.pendingWorkflow.getReminders({ withinDays: isNaN(withinDays) ? 3 : withinDays });
+
+  if (reminders.length === 0) {
+    console.log('\n✅ No assigned follow-ups are overdue or due soon');
+    return;
+  }
 
-      const waiting = [];
-      if (faculty.waiting_for.image) waiting.push('📸 Image');
-      if (faculty.waiting_for.audio) waiting.push('🎤 Audio');
-      if (faculty.waiting_for.descriptor) waiting.push('🔑 Descriptor');
+  console.log('\n' + '='.repeat(60));
+  console.log('⏰ REMINDERS');
+  console.log('='.repeat(60));
 
-      console.log(`   Waiting for: ${waiting.join(', ')}`);
+  for (const reminder of reminders) {
+    console.log(`\n👤 ${reminder.assigned_to}: ${reminder.overdue.length} overdue, ${reminder.due_soon.length} due soon`);
+    [...reminder.overdue, ...reminder.due_soon].forEach(entry => {
+      const where = entry.person_type === 'student' ? `${entry.course} ${entry.year}-${entry.section}` : entry.department;
+      console.log(`   ${entry.overdue ? '⏰' : '📅'} ${entry.full_name || entry.person_id} (${where}) - ${entry.missing.join(', ')} - due ${new Date(entry.assignment.due_date).toDateString()}`);
     });
+  }
 
-    if (pendingNonTeaching.length > 10) {
-      console.log(`\n   ... and ${pendingNonTeaching.length - 10} more non-teaching faculty`);
-    }
+  const mark = (await this.prompt('\nMark these staff as reminded? (yes/no): ')).trim().toLowerCase();
+  if (mark === 'yes') {
+    const entries = reminders.flatMap(reminder => [...reminder.overdue, ...reminder.due_soon]);
+    await this.db.pendingWorkflow.markReminded(entries);
+    console.log(`✅ Reminder noted for ${entries.length} follow-up(s)`);
+  }
+}
+
+  async exportPendingChecklists() {
+  const filters = {};
+  const department = await this.promptDepartment('Checklists for department:', { includeAll: true });
+  if (department === undefined) {
+    console.log('❌ Invalid choice');
+    return;
+  }
+  if (department) filters.department = department;
+
+  const course = (await this.prompt('Course (e.g. BSIT, blank for all): ')).trim().toUpperCase();
+  if (course) filters.course = course;
+
+  const result = await this.exportService.exportToFile('pending_media', { filters });
+  if (result && result.rows === 0) {
+    console.log('⚠️  No pending students matched - the file only has the header row');
+  }
+}
+
+  async showCompletionHistory() {
+  const filters = await this.promptPendingFilters({ askAssignee: false });
+  const { missing, ...historyFilters } = filters;
+  const since = (await this.prompt('Since (YYYY-MM-DD, blank for all): ')).trim();
+  if (since) historyFilters.since = since;
+
+  const history = await this.db.pendingWorkflow.getCompletionHistory({ ...historyFilters, item: missing });
+  if (history.length === 0) {
+    console.log('\n📭 Nothing completed yet for those filters');
+    return;
   }
+
+  console.log(`\n✅ ${history.length} item(s) completed:`);
+  history.forEach(entry => {
+    const timing = entry.on_time === null ? '' : entry.on_time ? ' ✅ on time' : ' ⚠️ late';
+    const by = entry.assigned_to ? ` (follow-up: ${entry.assigned_to})` : '';
+    console.log(`   ${new Date(entry.completed_at).toLocaleString()} - ${entry.full_name || entry.person_id}: ${entry.item}${by}${timing}`);
+  });
 }
 
   async searchStudents() {
@@ -1640,7 +1385,7 @@ async viewTeachingFacultySchedules() {
     
     // Ask for department
     console.log('\nWhich department? (or press Enter to search all)');
-    console.log('  Options: CCS, CHTM, CBA, CTE');
+    console.log(`  Options: ${departmentRegistry.getCollegeCodes().join(', ')}`);
     const department = (await this.prompt('Department: ')).trim().toUpperCase() || null;
     if (department) filters.department = department;
     
@@ -1816,24 +1561,7 @@ async viewTeachingFacultySchedules() {
   const viewDetails = await this.prompt('\nView detailed schedules? (yes/no): ');
 
   if (viewDetails.trim().toLowerCase() === 'yes') {
-    console.log('\nFilter by department:');
-    console.log('1. CCS - Computer Studies');
-    console.log('2. CHTM - Hospitality & Tourism');
-    console.log('3. CBA - Business Administration');
-    console.log('4. CTE - Teacher Education');
-    console.log('5. All Departments');
-
-    const deptChoice = await this.prompt('\nSelect (1-5): ');
-    
-    const deptMap = {
-      '1': 'CCS',
-      '2': 'CHTM',
-      '3': 'CBA',
-      '4': 'CTE',
-      '5': null
-    };
-
-    const department = deptMap[deptChoice];
+    const department = await this.promptDepartment('Filter by department:', { includeAll: true });
 
     let schedules;
     if (department) {
@@ -1870,7 +1598,7 @@ async viewTeachingFacultySchedules() {
       console.log('\n' + '='.repeat(60));
       console.log('📋 FULL SCHEDULE DETAILS');
       console.log('='.repeat(60));
-      console.log(`\n${selectedSchedule.course} - Year ${selectedSchedule.year_level} - Section ${selectedSchedule.section}`);
+      console.log(`\n${selectedSchedule.course} - Year ${selectedSchedule.year} - Section ${selectedSchedule.section}`);
       console.log(`Adviser: ${selectedSchedule.adviser || 'N/A'}\n`);
 
       selectedSchedule.subjects.forEach((subject, i) => {
@@ -1906,7 +1634,7 @@ async viewTeachingFacultySchedules() {
     console.log('='.repeat(60));
     console.log(`Source File: ${schedule.source_file}`);
     console.log(`Current Course: "${schedule.course}"`);
-    console.log(`Current Year: "${schedule.year_level}"`);
+    console.log(`Current Year: "${schedule.year || schedule.year_level}"`);
     console.log(`Current Section: "${schedule.section}"`);
     console.log(`Subject Count: ${schedule.subject_count}`);
     
@@ -1933,12 +1661,20 @@ async viewTeachingFacultySchedules() {
         
         // Update the schedule
         schedule.course = correctCourse;
-        schedule.year_level = correctYear;
+        schedule.year = correctYear;
+        delete schedule.year_level;
         schedule.section = correctSection;
         schedule.department = correctDept;
         schedule.schedule_id = `COR_${correctDept}_${correctCourse}_Y${correctYear}_${correctSection}_${Date.now()}`;
         schedule.updated_at = new Date();
 
+        const { valid, errors } = validateRecord('cor_schedule', schedule);
+        if (!valid) {
+          console.log('❌ Skipped - the corrected schedule is still invalid:');
+          errors.forEach(({ field, message }) => console.log(`   • ${field}: ${message}`));
+          continue;
+        }
+
         // Move to correct collection
         const correctCollection = this.db.db.collection(`schedules_${correctDept.toLowerCase()}`);
         await correctCollection.insertOne(schedule);
@@ -1962,24 +1698,9 @@ async viewTeachingFacultySchedules() {
     console.log('📚 VIEW STUDENTS BY DEPARTMENT');
     console.log('='.repeat(60));
     
-    console.log('\nAvailable Departments:');
-    console.log('1. CCS - Computer Studies');
-    console.log('2. CHTM - Hospitality & Tourism Management');
-    console.log('3. CBA - Business Administration');
-    console.log('4. CTE - Teacher Education');
-    console.log('5. UNKNOWN - Unclassified');
-    
-    const choice = await this.prompt('\nSelect department (1-5): ');
-    
-    const deptMap = {
-      '1': 'CCS',
-      '2': 'CHTM',
-      '3': 'CBA',
-      '4': 'CTE',
-      '5': 'UNKNOWN'
-    };
-    
-    const department = deptMap[choice];
+    const department = await this.promptDepartment('Available Departments:', {
+      extraOptions: [{ code: 'UNKNOWN', label: 'Unclassified' }]
+    });
     
     if (!department) {
       console.log('❌ Invalid choice');
@@ -2098,12 +1819,20 @@ async viewTeachingFacultySchedules() {
       // Convert full course name to code if needed
       const courseCode = extractor.cleanProgramInfoValue(schedule.course, 'Program') || schedule.course;
 
-      // Update the schedule
+      // Update the schedule (older documents stored the year as year_level)
       schedule.course = courseCode;
       schedule.department = correctDept;
-      schedule.schedule_id = `COR_${correctDept}_${courseCode}_Y${schedule.year_level}_${schedule.section}_${Date.now()}`;
+      schedule.year = schedule.year || schedule.year_level;
+      delete schedule.year_level;
+      schedule.schedule_id = `COR_${correctDept}_${courseCode}_Y${schedule.year}_${schedule.section}_${Date.now()}`;
       schedule.updated_at = new Date();
 
+      const { valid, errors } = validateRecord('cor_schedule', schedule);
+      if (!valid) {
+        console.log(`   ⚠️  Not moved - invalid schedule: ${errors.map(({ field, message }) => `${field} ${message}`).join('; ')}`);
+        continue;
+      }
+
       // Insert into correct collection
       const correctCollection = this.db.db.collection(`schedules_${correctDept.toLowerCase()}`);
       await correctCollection.insertOne(schedule);
@@ -2458,7 +2187,7 @@ wrapText(text, maxWidth) {
     console.log('\n1. Process Excel Files (Manual)');
     console.log('2. Manual Student Entry');
     console.log('3. Search Students');
-    console.log('4. Show Pending Media');
+    console.log('4. Pending Media (Assign / Reminders / Checklists)');
     console.log('5. Show Statistics');
     console.log('6. View by Department');
     console.log('7. View COR Schedules');
@@ -2472,12 +2201,23 @@ wrapText(text, maxWidth) {
     console.log('15. View Administrators');
     console.log('16. View General Information');
     console.log('17. View Teaching Faculty Resumes'); 
-    console.log('18. Clear All Data (Manual)');
+    console.log('18. Clear All Data (Backup + Confirm)');
     console.log('19. Cleanup Orphaned Collections');
     console.log('20. Query Assistant');
-    console.log('21. Exit'); 
-
-    const choice = (await this.prompt('\nSelect option (1-21): ')).trim();  
+    console.log('21. Preview File (Dry Run)');
+    console.log('22. Install Schema Validators');
+    console.log('23. Export Data (Excel/CSV)');
+    console.log('24. Backup Database');
+    console.log('25. Restore Backup');
+    console.log('26. Import Student Photos/Audio (Batch)');
+    console.log('27. Move Inline Media to GridFS');
+    console.log('28. Data Quality Report');
+    console.log('29. Verify Student GWAs');
+    console.log('30. Academic Standing (Probation / Dean\'s List / Honors)');
+    console.log('31. Degree Audit (Back Subjects / Irregular Students)');
+    console.log('32. Exit'); 
+
+    const choice = (await this.prompt('\nSelect option (1-32): ')).trim();  
 
     try {
       if (choice === '1') {
@@ -2521,11 +2261,33 @@ wrapText(text, maxWidth) {
         await this.cleanupOrphanedCollections();
       } else if (choice === '20') {
         await this.runQueryAssistant();
-      } else if (choice === '21') {  
+      } else if (choice === '21') {
+        await this.previewFile();
+      } else if (choice === '22') {
+        await this.installSchemaValidators();
+      } else if (choice === '23') {
+        await this.exportData();
+      } else if (choice === '24') {
+        await this.backupDatabase();
+      } else if (choice === '25') {
+        await this.restoreBackup();
+      } else if (choice === '26') {
+        await this.importStudentMedia();
+      } else if (choice === '27') {
+        await this.migrateInlineMedia();
+      } else if (choice === '28') {
+        await this.showDataQualityReport();
+      } else if (choice === '29') {
+        await this.verifyStudentGwas();
+      } else if (choice === '30') {
+        await this.showAcademicStanding();
+      } else if (choice === '31') {
+        await this.showDegreeAudit();
+      } else if (choice === '32') {  
         console.log('\n👋 Exiting...');
         break;
       } else {
-        console.log('\n❌ Invalid option. Please select 1-20');  
+        console.log('\n❌ Invalid option. Please select 1-32');  
       }
 
       if (choice !== '19') {
@@ -2539,6 +2301,376 @@ wrapText(text, maxWidth) {
   }
 }
 
+  async installSchemaValidators() {
+  console.log('\n' + '='.repeat(60));
+  console.log('🛡️  INSTALL SCHEMA VALIDATORS');
+  console.log('='.repeat(60));
+  console.log('\nMongoDB will reject documents that do not match the record schemas.');
+  console.log('Existing documents are left alone until they are next updated.');
+
+  const mode = (await this.prompt('\nOn invalid writes: 1. Reject (error)  2. Only log (warn) [1]: ')).trim();
+  const summary = await this.db.installSchemaValidators({ validationAction: mode === '2' ? 'warn' : 'error' });
+
+  summary.failed.forEach(({ collection, error }) => console.log(`   ❌ ${collection}: ${error}`));
+}
+
+  async exportData() {
+  console.log('\n' + '='.repeat(60));
+  console.log('📤 EXPORT DATA');
+  console.log('='.repeat(60));
+
+  const exportTypes = this.exportService.getExportTypes();
+  console.log('\nWhat to export:');
+  exportTypes.forEach((exportType, index) => console.log(`${index + 1}. ${exportType.label}`));
+
+  const selected = exportTypes[parseInt(await this.prompt(`\nSelect (1-${exportTypes.length}): `), 10) - 1];
+  if (!selected) {
+    console.log('❌ Invalid choice');
+    return;
+  }
+
+  const filters = {};
+  if (selected.filters.includes('department')) {
+    const department = await this.promptDepartment('Filter by department:', { includeAll: true });
+    if (department === undefined) {
+      console.log('❌ Invalid choice');
+      return;
+    }
+    if (department) filters.department = department;
+  }
+
+  const prompts = {
+    course: 'Course (e.g. BSIT, blank for all): ',
+    year: 'Year level (blank for all): ',
+    section: 'Section (blank for all): ',
+    student_id: 'Student ID (blank for all): ',
+    school_year: 'School year (e.g. 2024-2025, blank for all): ',
+    semester: 'Semester (1st, 2nd, Summer, blank for all): ',
+    standing: 'Standing (e.g. probation, deans_list, blank for all): ',
+    q: 'Name/ID search (blank for all): '
+  };
+  for (const key of selected.filters.filter(filter => prompts[filter])) {
+    const value = (await this.prompt(prompts[key])).trim();
+    if (value) filters[key] = key === 'course' || key === 'section' ? value.toUpperCase() : value;
+  }
+
+  const format = (await this.prompt('Format: 1. Excel (.xlsx)  2. CSV [1]: ')).trim() === '2' ? 'csv' : 'xlsx';
+  const result = await this.exportService.exportToFile(selected.type, { filters, format });
+
+  if (result && result.rows === 0) {
+    console.log('⚠️  Nothing matched the filters - the file only has the header row');
+  }
+}
+
+  async importStudentMedia() {
+  console.log('\n' + '='.repeat(60));
+  console.log('📸 IMPORT STUDENT PHOTOS/AUDIO (BATCH)');
+  console.log('='.repeat(60));
+  console.log(`\nFilenames are matched to student IDs (e.g. 2025-0001.png → PDM-2025-000001)`);
+
+  const defaultSource = path.join(__dirname, '..', '..', 'student_images_for_batch_upload');
+  const source = (await this.prompt(`Folder or .zip [${defaultSource}]: `)).trim().replace(/^["']|["']$/g, '') || defaultSource;
+
+  const report = await this.mediaImporter.importFrom(path.resolve(source), { dryRun: true });
+  if (report.error) return;
+  if (report.imported.length === 0) {
+    console.log('\n⚠️  Nothing to import');
+    return;
+  }
+
+  const confirm = await this.prompt(`\nImport ${report.imported.length} file(s)? (yes/no): `);
+  if (confirm.trim().toLowerCase() !== 'yes') {
+    console.log('❌ Import cancelled');
+    return;
+  }
+
+  await this.mediaImporter.importFrom(path.resolve(source));
+}
+
+  async migrateInlineMedia() {
+  console.log('\n' + '='.repeat(60));
+  console.log('🖼️  MOVE INLINE MEDIA TO GRIDFS');
+  console.log('='.repeat(60));
+  console.log('\nPhotos/recordings stored inside records (base64 or resume photo buffers)');
+  console.log('are moved to GridFS and get thumbnails; records keep a reference.');
+
+  const confirm = await this.prompt('\nContinue? (yes/no): ');
+  if (confirm.trim().toLowerCase() !== 'yes') {
+    console.log('❌ Cancelled');
+    return;
+  }
+
+  await this.db.mediaStore.migrateInlineMedia();
+}
+
+  async showDataQualityReport() {
+  console.log('\n' + '='.repeat(60));
+  console.log('🩺 DATA QUALITY REPORT');
+  console.log('='.repeat(60));
+  console.log('\nRecords are checked against utils/completeness_rules.json.');
+
+  const filters = {};
+  const type = (await this.prompt('\nWhich? 1. Students  2. Teaching faculty  3. Non-teaching staff  [Enter = all]: ')).trim();
+  if (type === '1') filters.type = 'student';
+  if (type === '2') filters.type = 'teaching_faculty';
+  if (type === '3') filters.type = 'non_teaching_faculty';
+
+  const department = (await this.prompt('Department (e.g. CCS, blank for all): ')).trim().toUpperCase();
+  if (department) filters.department = department;
+
+  if (!filters.type || filters.type === 'student') {
+    const section = (await this.prompt('Section (students only, blank for all): ')).trim().toUpperCase();
+    if (section) filters.section = section;
+  }
+
+  const rescore = (await this.prompt('Also update stored field status/completion with the current rules? (yes/no) [no]: '))
+    .trim().toLowerCase() === 'yes';
+
+  const report = await this.db.dataQuality.generate(filters, { rescore });
+  this.db.dataQuality.printReport(report);
+}
+
+  async verifyStudentGwas() {
+  console.log('\n' + '='.repeat(60));
+  console.log('🧮 VERIFY STUDENT GWAs');
+  console.log('='.repeat(60));
+  console.log('\nGWAs are recomputed from the subject rows (units x grade) with utils/gwa_policy.json');
+  console.log('and compared with the GWA written on each grades sheet.');
+
+  const filters = {};
+  const department = (await this.prompt('\nDepartment (e.g. CCS, blank for all): ')).trim().toUpperCase();
+  if (department) filters.department = department;
+  const course = (await this.prompt('Course (e.g. BSIT, blank for all): ')).trim().toUpperCase();
+  if (course) filters.course = course;
+
+  await this.gradesManager.recomputeGwa(filters);
+
+  const mismatches = await this.gradesManager.getGwaMismatches(filters);
+  if (mismatches.length === 0) {
+    console.log('\n✅ Every sheet GWA matches its subject rows');
+    return;
+  }
+
+  console.log(`\n⚠️  ${mismatches.length} sheet(s) with a GWA that does not match the subjects:`);
+  mismatches.forEach(record => {
+    const check = record.gwa_check;
+    console.log(`   ${record.student_id} - ${record.full_name || record.student_name || 'N/A'}, ${termLabel(record)} (${record.source_file || 'no file'})`);
+    console.log(`      Sheet: ${record.sheet_gwa} | Computed: ${check.computed_gwa} | Difference: ${check.difference}`);
+    console.log(`      ${check.counted_subjects} subject(s), ${check.total_units} unit(s) counted` +
+      (check.excluded.length > 0 ? `; left out: ${check.excluded.map(row => `${row.subject_code} (${row.reason})`).join(', ')}` : ''));
+  });
+}
+
+  async showAcademicStanding() {
+  console.log('\n' + '='.repeat(60));
+  console.log('🎖️  ACADEMIC STANDING');
+  console.log('='.repeat(60));
+  console.log('\nRules: utils/academic_standing_rules.json');
+
+  const filters = {};
+  const department = (await this.prompt('\nDepartment (e.g. CCS, blank for all): ')).trim().toUpperCase();
+  if (department) filters.department = department;
+  const schoolYear = (await this.prompt('School year (e.g. 2024-2025, blank for all): ')).trim();
+  if (schoolYear) filters.school_year = schoolYear;
+  const semester = (await this.prompt('Semester (1st, 2nd, Summer, blank for all): ')).trim();
+  if (semester) filters.semester = semester;
+
+  const reevaluate = (await this.prompt('Re-evaluate from the current grades first? (yes/no) [yes]: ')).trim().toLowerCase();
+  if (reevaluate !== 'no') {
+    await this.academicStanding.evaluate(filters);
+  }
+
+  const summary = await this.academicStanding.getSummary(filters);
+  console.log(`\n📊 ${summary.total} student term(s)`);
+  Object.entries(summary.by_department).sort(([a], [b]) => a.localeCompare(b)).forEach(([dept, counts]) => {
+    console.log(`   ${dept}: ${Object.entries(counts).map(([standing, count]) => `${standing} ${count}`).join(', ')}`);
+  });
+
+  // One list per standing other than good standing, and one per distinction (dean's list, honors)
+  const lists = new Map();
+  (await this.academicStanding.getStandings(filters)).forEach(row => {
+    const entries = (row.distinctions || []).map(({ name, label, reasons }) => ({ name, label, reasons }));
+    if (row.standing !== 'good_standing') entries.unshift({ name: row.standing, label: row.standing_label, reasons: row.reasons });
+
+    entries.forEach(({ name, label, reasons }) => {
+      if (!lists.has(name)) lists.set(name, { label, rows: [] });
+      lists.get(name).rows.push({ row, reasons });
+    });
+  });
+  if (lists.size === 0) return;
+
+  [...lists.keys()].sort().forEach(name => {
+    const { label, rows } = lists.get(name);
+    console.log(`\n${label}:`);
+    rows.forEach(({ row, reasons }) => {
+      const honor = name === 'honors_candidate' && row.latin_honor ? ` [${row.latin_honor}]` : '';
+      console.log(`   ${row.student_id} - ${row.full_name || 'N/A'} (${row.course} ${row.year}-${row.section}), ${row.term}: GWA ${row.metrics.gwa ?? 'N/A'}${honor}`);
+      if (reasons.length > 0) console.log(`      ${reasons.join('; ')}`);
+    });
+  });
+
+  console.log('\n💡 Export these lists per department with "23. Export Data" → Academic standing lists');
+}
+
+  async showDegreeAudit() {
+  console.log('\n' + '='.repeat(60));
+  console.log('🎓 DEGREE AUDIT');
+  console.log('='.repeat(60));
+
+  const studentId = (await this.prompt('\nStudent ID (blank to list a course/section): ')).trim();
+
+  if (!studentId) {
+    const filters = {};
+    const course = (await this.prompt('Course (e.g. BSIT): ')).trim().toUpperCase();
+    if (course) filters.course = course;
+    const year = (await this.prompt('Year (blank for all): ')).trim();
+    if (year) filters.year = year;
+    const section = (await this.prompt('Section (blank for all): ')).trim();
+    if (section) filters.section = section;
+
+    const rows = await this.degreeAudit.auditStudents(filters);
+    if (rows.length === 0) {
+      console.log('\n⚠️  No students found');
+      return;
+    }
+
+    console.log(`\n📊 ${rows.length} student(s), ${rows.filter(row => row.irregular).length} irregular`);
+    rows.forEach(row => {
+      const flag = row.irregular ? '⚠️  IRREGULAR' : '✅ Regular';
+      console.log(`   ${row.student_id} - ${row.full_name || 'N/A'} (${row.course} ${row.year}-${row.section}): ${flag}, ${row.earned_units}/${row.required_units} units (${row.percent_complete}%)`);
+      if (row.back_subjects.length > 0) console.log(`      Back subjects: ${row.back_subjects.join(', ')}`);
+    });
+    console.log('\n💡 Export this list with "23. Export Data" → Degree audit');
+    return;
+  }
+
+  const audit = await this.degreeAudit.auditStudent(studentId);
+  if (!audit) {
+    console.log(`\n❌ No student record or grades found for ${studentId}`);
+    return;
+  }
+
+  console.log(`\n👤 ${audit.student_id} - ${audit.full_name || 'N/A'} (${audit.course} ${audit.year}-${audit.section})`);
+  if (!audit.curriculum) {
+    console.log(`⚠️  ${audit.irregular_reasons.join('; ')}`);
+    return;
+  }
+  console.log(`📚 Curriculum: ${audit.curriculum.curriculum_id} (effective ${audit.curriculum.effective_year})`);
+  console.log(`📈 ${audit.totals.earned_units}/${audit.totals.required_units} units earned (${audit.totals.percent_complete}%), ${audit.totals.in_progress_units} in progress, ${audit.totals.remaining_units} remaining`);
+
+  console.log('\nUnits per year:');
+  Object.entries(audit.by_year).forEach(([year, totals]) => {
+    console.log(`   Year ${year}: ${totals.earned_units}/${totals.required_units} earned, ${totals.in_progress_units} in progress, ${totals.failed_units} failed, ${totals.incomplete_units} INC, ${totals.remaining_units} remaining`);
+  });
+
+  const printSubjects = (title, subjects) => {
+    if (subjects.length === 0) return;
+    console.log(`\n${title} (${subjects.length}):`);
+    subjects.forEach(subject => {
+      const grade = subject.grade !== null && subject.grade !== undefined ? ` - ${subject.grade} (${subject.term})` : '';
+      console.log(`   ${subject.subject_code} ${subject.subject_name || ''} [Y${subject.year_level} ${subject.semester}, ${subject.units} u]${grade}`);
+    });
+  };
+  printSubjects('✅ Completed', audit.completed);
+  printSubjects('❌ Failed', audit.failed);
+  printSubjects('⏸️  Incomplete (INC)', audit.incomplete);
+  printSubjects('📝 In progress (current COR)', audit.in_progress);
+  printSubjects('⏳ Remaining', audit.remaining);
+
+  if (audit.not_in_curriculum.length > 0) {
+    console.log(`\nGraded but not in the curriculum: ${audit.not_in_curriculum.map(subject => subject.subject_code).join(', ')}`);
+  }
+
+  console.log(`\n${audit.irregular ? '⚠️  IRREGULAR' : '✅ Regular'}`);
+  audit.irregular_reasons.forEach(reason => console.log(`   ${reason}`));
+}
+
+  async backupDatabase() {
+  console.log('\n' + '='.repeat(60));
+  console.log('💾 BACKUP DATABASE');
+  console.log('='.repeat(60));
+
+  const format = (await this.prompt('\nFormat: 1. JSON (EJSON lines)  2. BSON [1]: ')).trim() === '2' ? 'bson' : 'json';
+  await this.backupManager.createBackup('manual', { format });
+}
+
+  async restoreBackup() {
+  console.log('\n' + '='.repeat(60));
+  console.log('♻️  RESTORE BACKUP');
+  console.log('='.repeat(60));
+
+  const backups = await this.backupManager.listBackups();
+  if (backups.length === 0) {
+    console.log(`\n⚠️  No backups found in ${this.backupManager.backupRoot}`);
+    return;
+  }
+
+  console.log('\nBackups (newest first):');
+  backups.forEach((backup, index) => {
+    console.log(`${index + 1}. ${backup.backup_name} [${backup.format}] - ${backup.reason}, ${backup.total_documents} document(s)`);
+  });
+
+  const backup = backups[parseInt(await this.prompt(`\nSelect (1-${backups.length}): `), 10) - 1];
+  if (!backup) {
+    console.log('❌ Invalid choice');
+    return;
+  }
+
+  const departments = (await this.prompt('Departments (comma-separated, e.g. CCS,REGISTRAR - blank for all): '))
+    .split(',').map(value => value.trim()).filter(Boolean);
+
+  console.log(`\nDocument types: ${getBackupDocumentTypes().join(', ')}`);
+  const documentTypes = (await this.prompt('Document types (comma-separated - blank for all): '))
+    .split(',').map(value => value.trim()).filter(Boolean);
+
+  console.log('\n1. Merge   - add/overwrite the backed-up documents, keep everything else');
+  console.log('2. Replace - delete what the restore covers first (backed up automatically)');
+  const mode = (await this.prompt('Mode [1]: ')).trim() === '2' ? 'replace' : 'merge';
+
+  const confirm = await this.prompt(`\n⚠️  Restore ${backup.backup_name} (${mode})? (yes/no): `);
+  if (confirm.trim().toLowerCase() !== 'yes') {
+    console.log('❌ Operation cancelled');
+    return;
+  }
+
+  await this.backupManager.restoreBackup(backup.path, { departments, documentTypes, mode });
+}
+
+  /**
+   * Drop department collections whose department is no longer in departments.json
+   */
+  async cleanupOrphanedCollections() {
+  console.log('\n' + '='.repeat(60));
+  console.log('🧹 CLEANUP ORPHANED COLLECTIONS');
+  console.log('='.repeat(60));
+
+  const orphaned = await this.backupManager.findOrphanedCollections();
+  if (orphaned.length === 0) {
+    console.log('\n✅ No orphaned collections - every department collection is in the registry');
+    return;
+  }
+
+  console.log('\nCollections for departments that are not in departments.json:');
+  orphaned.forEach(({ name, documents }) => console.log(`   • ${name} (${documents} document(s))`));
+
+  const confirm = await this.prompt(`\n⚠️  Drop these ${orphaned.length} collection(s)? (yes/no): `);
+  if (confirm.trim().toLowerCase() !== 'yes') {
+    console.log('❌ Operation cancelled');
+    return;
+  }
+
+  if (!(await this.db.backupBeforeClear('before_cleanup_orphaned'))) return;
+
+  for (const { name } of orphaned) {
+    try {
+      await this.db.db.collection(name).drop();
+      console.log(`   🗑️  Dropped ${name}`);
+    } catch (error) {
+      console.error(`   ⚠️  Error dropping ${name}: ${error.message}`);
+    }
+  }
+}
+
   async runQueryAssistant() {
   console.log('\n' + '='.repeat(60));
   console.log('🤖 QUERY ASSISTANT');
@@ -2631,7 +2763,17 @@ wrapText(text, maxWidth) {
     this.generalInfoManager = new GeneralInfoManager(this.db);
     this.teachingFacultyResumeManager = new TeachingFacultyResumeManager(this.db);
     this.curriculumManager = new CurriculumManager(this.db);  
+    this.academicStanding = new AcademicStandingEngine(this.db, this.gradesManager);
+    this.degreeAudit = new DegreeAudit(this.db, this.gradesManager, this.curriculumManager, this.corManager);
     this.queryAssistant = new QueryAssistant(this.db, this.corManager, this.gradesManager);
+    this.ingestionService = new IngestionService(this);
+    this.ingestionLedger = this.ingestionService.ledger;
+    this.ingestionJobs = new IngestionJobQueue(this.ingestionService);
+    await this.ingestionJobs.recoverInterruptedJobs();
+    this.extractionPreview = new ExtractionPreview(this.ingestionService);
+    this.backupManager = this.db.backupManager;
+    this.exportService = new ExportService(this);
+    this.mediaImporter = new MediaBatchImporter(this.db);
 
     // AUTO-SCAN: Process all files on startup
     await this.autoScanAndProcessAllFiles();
@@ -2645,8 +2787,12 @@ wrapText(text, maxWidth) {
   } catch (error) {
     console.error(`\n❌ System error: ${error.message}`);
   } finally {
-    // AUTO-CLEANUP: Clear data before exit
-    await this.autoCleanupOnExit();
+    // AUTO-CLEANUP: Only wipe on exit in ephemeral mode
+    if (this.dataMode === 'ephemeral') {
+      await this.autoCleanupOnExit();
+    } else {
+      console.log('\n💾 Persistent mode: data kept in MongoDB');
+    }
     
     await this.db.close();
     this.rl.close();
@@ -2659,6 +2805,7 @@ async function main() {
   try {
     // You can change connection string here
     // For local MongoDB:
+    // (set SCHOOL_DATA_MODE=ephemeral to wipe all data on exit)
     const system = new SchoolInformationSystem();
 
     // For MongoDB Atlas:
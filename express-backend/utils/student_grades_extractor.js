@@ -1,20 +1,29 @@
 // student_grades_extractor.js
 const xlsx = require('xlsx');
+const { readSheet } = require('./workbook_reader');
 const path = require('path');
+const { findTerm, normalizeSemester, normalizeSchoolYear } = require('./academic_terms');
 
 class StudentGradesExtractor {
   constructor() {
     this.validGradeStatuses = ['PASSED', 'FAILED', 'INCOMPLETE', 'DROPPED', 'WITHDREW', 'INC', 'DRP', 'P', 'F'];
+
+    // Grade table columns and the header labels that map to them
+    this.gradesFieldMappings = {
+      subject_code: ['SUBJECT CODE', 'SUBJ CODE', 'CODE', 'COURSE CODE'],
+      subject_description: ['SUBJECT DESCRIPTION', 'DESCRIPTION', 'SUBJECT NAME', 'COURSE TITLE', 'TITLE'],
+      units: ['UNITS', 'CREDITS', 'CREDIT UNITS', 'CR'],
+      equivalent: ['EQUIVALENT', 'GRADE', 'FINAL GRADE', 'RATING'],
+      remarks: ['REMARKS', 'STATUS', 'RESULT', 'COMMENT']
+    };
   }
 
   /**
    * Main extraction method for student grades
    */
-  async extractStudentGradesExcelInfo(filename) {
+  async extractStudentGradesExcelInfo(filename, sheetName = null) {
     try {
-      const workbook = xlsx.readFile(filename);
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
+      const { worksheet } = readSheet(filename, sheetName);
       const data = xlsx.utils.sheet_to_json(worksheet, { header: 1, defval: '' });
 
       console.log(`📋 Student Grades Excel dimensions: ${data.length} rows x ${data[0]?.length || 0} cols`);
@@ -96,7 +105,9 @@ class StudentGradesExtractor {
       student_number: '',
       student_name: '',
       course: '',
-      gwa: ''
+      gwa: '',
+      school_year: '',
+      semester: ''
     };
 
     // Search first 20 rows
@@ -206,6 +217,29 @@ class StudentGradesExtractor {
             console.log(`🎯 Found GWA: ${gwaValue}`);
           }
         }
+
+        // Look for the term: "SEMESTER: | 2nd", "S.Y.: | 2024-2025" or a title like "1st Semester, A.Y. 2024-2025"
+        const rightValue = j + 1 < row.length && row[j + 1] ? String(row[j + 1]).trim() : '';
+        const labelValue = cellValue.includes(':') ? cellValue.split(':').slice(1).join(':').trim() || rightValue : rightValue;
+        const term = findTerm(cellValue);
+
+        if (!studentInfo.semester) {
+          const semester = /^(SEMESTER|SEM|TERM)\b/.test(cellUpper) ? normalizeSemester(labelValue) : term.semester;
+          if (semester) {
+            studentInfo.semester = semester;
+            console.log(`🎯 Found semester: ${semester}`);
+          }
+        }
+
+        if (!studentInfo.school_year) {
+          const schoolYear = /^(SCHOOL YEAR|ACADEMIC YEAR|A\.?Y\.?|S\.?Y\.?)(\s|:|$)/.test(cellUpper)
+            ? normalizeSchoolYear(labelValue) || term.school_year
+            : term.school_year;
+          if (schoolYear) {
+            studentInfo.school_year = schoolYear;
+            console.log(`🎯 Found school year: ${schoolYear}`);
+          }
+        }
       }
     }
 
@@ -218,6 +252,17 @@ class StudentGradesExtractor {
       }
     }
 
+    // Fallback: term from the filename (e.g. JuanCruz_BSIT_2ndSem_2024-2025_grade.xlsx)
+    if (!studentInfo.school_year || !studentInfo.semester) {
+      const filenameTerm = findTerm(path.basename(filename).replace(/([a-z])([A-Z0-9])/g, '$1 $2'));
+      studentInfo.school_year = studentInfo.school_year || filenameTerm.school_year || '';
+      studentInfo.semester = studentInfo.semester || filenameTerm.semester || '';
+    }
+
+    if (!studentInfo.school_year || !studentInfo.semester) {
+      console.log('⚠️  School year/semester not found on the sheet; grades are kept under an unspecified term');
+    }
+
     return studentInfo;
   }
 
@@ -229,13 +274,7 @@ class StudentGradesExtractor {
     let headerRow = -1;
     const columnMapping = {};
 
-    const fieldMappings = {
-      subject_code: ['SUBJECT CODE', 'SUBJ CODE', 'CODE', 'COURSE CODE'],
-      subject_description: ['SUBJECT DESCRIPTION', 'DESCRIPTION', 'SUBJECT NAME', 'COURSE TITLE', 'TITLE'],
-      units: ['UNITS', 'CREDITS', 'CREDIT UNITS', 'CR'],
-      equivalent: ['EQUIVALENT', 'GRADE', 'FINAL GRADE', 'RATING'],
-      remarks: ['REMARKS', 'STATUS', 'RESULT', 'COMMENT']
-    };
+    const fieldMappings = this.gradesFieldMappings;
 
     // Find header row
     for (let i = 0; i < Math.min(15, data.length); i++) {
@@ -396,7 +435,10 @@ class StudentGradesExtractor {
       const numericMatch = value.match(/(\d+(?:\.\d+)?)/);
       return numericMatch ? numericMatch[1] : '3';
     } else if (fieldType === 'equivalent') {
-      return this.isValidGrade(value) ? value : null;
+      if (this.isValidGrade(value)) return value;
+      // Keep INC/DRP/W written in the grade column so the GWA policy can exclude the row
+      const marker = value.toUpperCase();
+      return [...this.validGradeStatuses, 'W', 'WITHDRAWN', 'UW', 'NG'].includes(marker) ? marker : null;
     } else if (fieldType === 'remarks') {
       const cleaned = value.toUpperCase().trim();
       for (const remark of this.validGradeStatuses) {
@@ -428,9 +470,9 @@ class StudentGradesExtractor {
   /**
    * Process student grades Excel and return structured data
    */
-  async processStudentGradesExcel(filename) {
+  async processStudentGradesExcel(filename, sheetName = null) {
   try {
-    const gradesInfo = await this.extractStudentGradesExcelInfo(filename);
+    const gradesInfo = await this.extractStudentGradesExcelInfo(filename, sheetName);
 
     if (!gradesInfo || !gradesInfo.student_info.student_number) {
       console.log('❌ Could not extract student grades data');
@@ -442,6 +484,8 @@ class StudentGradesExtractor {
       student_name: gradesInfo.student_info.student_name,
       course: gradesInfo.student_info.course,
       gwa: gradesInfo.student_info.gwa,
+      school_year: gradesInfo.student_info.school_year || null,
+      semester: gradesInfo.student_info.semester || null,
       total_subjects: gradesInfo.grades.length,
       data_type: 'student_grades',
       source_file: path.basename(filename),
@@ -451,6 +495,7 @@ class StudentGradesExtractor {
     console.log('✅ Student grades processing complete');
     console.log(`   Student: ${metadata.student_name} (${metadata.student_number})`);
     console.log(`   Subjects: ${metadata.total_subjects}, GWA: ${metadata.gwa}`);
+    console.log(`   Term: ${metadata.semester || 'N/A'}, ${metadata.school_year || 'N/A'}`);
 
     return {
       grades_info: gradesInfo,
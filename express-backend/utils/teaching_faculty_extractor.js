@@ -1,43 +1,23 @@
 // teaching_faculty_extractor.js
 const xlsx = require('xlsx');
+const { readSheet } = require('./workbook_reader');
 const path = require('path');
+const departmentRegistry = require('./department_registry');
 
 class TeachingFacultyExtractor {
   constructor() {
-    // Known department mappings
-    this.departmentMappings = {
-      'COLLEGE OF ARTS & SCIENCES': 'CAS',
-      'COLLEGE OF ARTS AND SCIENCES': 'CAS',
-      'ARTS AND SCIENCES': 'CAS',
-      'MATHEMATICS DEPARTMENT': 'CAS',
-      'COLLEGE OF COMPUTER STUDIES': 'CCS',
-      'COMPUTER STUDIES': 'CCS',
-      'INFORMATION TECHNOLOGY': 'CCS',
-      'COLLEGE OF EDUCATION': 'CTE',
-      'EDUCATION': 'CTE',
-      'COLLEGE OF HOSPITALITY': 'CHTM',
-      'HOSPITALITY': 'CHTM',
-      'TOURISM': 'CHTM',
-      'COLLEGE OF BUSINESS': 'CBA',
-      'BUSINESS': 'CBA',
-      'OFFICE ADMINISTRATION': 'CBA',
-      'COLLEGE OF ENGINEERING': 'COE',
-      'ENGINEERING': 'COE',
-      'COLLEGE OF NURSING': 'CON',
-      'NURSING': 'CON'
-    };
+    // Known department mappings (college names and aliases from departments.json)
+    this.departmentMappings = departmentRegistry.getAliasMap();
   }
 
   /**
    * MAIN EXTRACTION METHOD
    * Universal teaching faculty extraction that works with ANY Excel format
    */
-  async extractTeachingFacultyExcelInfo(filename) {
+  async extractTeachingFacultyExcelInfo(filename, sheetName = null) {
     try {
       // STEP 1: Read Excel file (no headers, raw 2D array)
-      const workbook = xlsx.readFile(filename);
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
+      const { worksheet } = readSheet(filename, sheetName);
       const data = xlsx.utils.sheet_to_json(worksheet, { header: 1, defval: '' });
 
       console.log(`📋 Teaching Faculty Excel dimensions: ${data.length} rows x ${data[0]?.length || 0} cols`);
@@ -427,7 +407,7 @@ class TeachingFacultyExtractor {
     const deptUpper = department.toUpperCase().trim();
 
     // Direct abbreviation match
-    const directMatch = ['CAS', 'CCS', 'CTE', 'CHTM', 'CBA', 'COE', 'CON'];
+    const directMatch = departmentRegistry.getCollegeCodes();
     if (directMatch.includes(deptUpper)) {
       return deptUpper;
     }
@@ -449,51 +429,14 @@ class TeachingFacultyExtractor {
     if (!position) return null;
 
     const positionUpper = position.toUpperCase();
+    const detected = departmentRegistry.detectByKeywords(positionUpper);
 
-    // Dean positions
+    // Dean positions without a college in the title belong to administration
     if (positionUpper.includes('DEAN')) {
-      if (['COMPUTER', 'TECHNOLOGY', 'IT'].some(word => positionUpper.includes(word))) {
-        return 'CCS';
-      }
-      if (['BUSINESS', 'ADMIN'].some(word => positionUpper.includes(word))) {
-        return 'CBA';
-      }
-      if (['HOSPITALITY', 'TOURISM'].some(word => positionUpper.includes(word))) {
-        return 'CHTM';
-      }
-      if (positionUpper.includes('EDUCATION')) {
-        return 'CTE';
-      }
-      if (positionUpper.includes('ENGINEERING')) {
-        return 'COE';
-      }
-      if (positionUpper.includes('NURSING')) {
-        return 'CON';
-      }
-      return 'ADMIN';
-    }
-
-    // Subject-based positions
-    if (['COMPUTER', 'IT', 'PROGRAMMING', 'SOFTWARE'].some(word => positionUpper.includes(word))) {
-      return 'CCS';
-    }
-    if (['BUSINESS', 'ACCOUNTING', 'FINANCE', 'MARKETING'].some(word => positionUpper.includes(word))) {
-      return 'CBA';
-    }
-    if (['HOSPITALITY', 'TOURISM', 'CULINARY'].some(word => positionUpper.includes(word))) {
-      return 'CHTM';
-    }
-    if (['EDUCATION', 'TEACHING'].some(word => positionUpper.includes(word))) {
-      return 'CTE';
-    }
-    if (['ENGINEERING', 'MECHANICAL', 'ELECTRICAL'].some(word => positionUpper.includes(word))) {
-      return 'COE';
-    }
-    if (['NURSING', 'HEALTH'].some(word => positionUpper.includes(word))) {
-      return 'CON';
+      return detected || 'ADMIN';
     }
 
-    return null;
+    return detected;
   }
 
   /**
@@ -502,56 +445,25 @@ class TeachingFacultyExtractor {
   inferDepartmentFromEmail(email) {
     if (!email) return null;
 
-    const emailLower = email.toLowerCase();
-
-    if (['cs.', 'ccs.', 'compsci', 'computer'].some(prefix => emailLower.includes(prefix))) {
-      return 'CCS';
-    }
-    if (['business', 'admin', 'acct', 'finance'].some(prefix => emailLower.includes(prefix))) {
-      return 'CBA';
-    }
-    if (['hospitality', 'tourism', 'hotel'].some(prefix => emailLower.includes(prefix))) {
-      return 'CHTM';
-    }
-    if (['education', 'teaching'].some(prefix => emailLower.includes(prefix))) {
-      return 'CTE';
-    }
-    if (emailLower.includes('engineering')) {
-      return 'COE';
-    }
-    if (['nursing', 'health'].some(prefix => emailLower.includes(prefix))) {
-      return 'CON';
-    }
-
-    return null;
+    return this.inferDepartmentFromText(email);
   }
 
   /**
    * ENRICH: Infer department from filename
    */
   inferDepartmentFromFilename(filename) {
-    const filenameLower = filename.toLowerCase();
+    return this.inferDepartmentFromText(path.basename(filename, path.extname(filename)));
+  }
 
-    if (['ccs', 'computer', 'cs'].some(dept => filenameLower.includes(dept))) {
-      return 'CCS';
-    }
-    if (['cba', 'business', 'admin'].some(dept => filenameLower.includes(dept))) {
-      return 'CBA';
-    }
-    if (['chtm', 'hospitality', 'tourism'].some(dept => filenameLower.includes(dept))) {
-      return 'CHTM';
-    }
-    if (['cte', 'education'].some(dept => filenameLower.includes(dept))) {
-      return 'CTE';
-    }
-    if (['coe', 'engineering'].some(dept => filenameLower.includes(dept))) {
-      return 'COE';
-    }
-    if (['con', 'nursing'].some(dept => filenameLower.includes(dept))) {
-      return 'CON';
-    }
+  /**
+   * ENRICH: College code or keyword inside free text (emails, filenames)
+   */
+  inferDepartmentFromText(text) {
+    const words = String(text || '').toUpperCase().replace(/[^A-Z0-9]+/g, ' ').trim();
+    if (!words) return null;
 
-    return null;
+    const code = words.split(' ').find(word => departmentRegistry.getCollege(word));
+    return code || departmentRegistry.detectByKeywords(words);
   }
 
   /**
@@ -636,10 +548,10 @@ PhilHealth: ${formatField(philhealth)}`;
   /**
    * PROCESS: Main processing method
    */
-  async processTeachingFacultyExcel(filename) {
+  async processTeachingFacultyExcel(filename, sheetName = null) {
     try {
       // EXTRACT
-      const facultyInfo = await this.extractTeachingFacultyExcelInfo(filename);
+      const facultyInfo = await this.extractTeachingFacultyExcelInfo(filename, sheetName);
 
       if (!facultyInfo) {
         console.log('❌ Could not extract teaching faculty data from Excel');
@@ -2,6 +2,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const pdf = require('pdf-parse');
+const departmentRegistry = require('./department_registry');
 
 class TeachingFacultyResumeExtractor {
   constructor() {
@@ -474,22 +475,10 @@ class TeachingFacultyResumeExtractor {
     const department = (facultyInfo.department || '').toUpperCase();
     const combinedText = `${position} ${specialization} ${department}`;
     
-    // Department mappings
-    const deptMappings = {
-      'CCS': ['COMPUTER', 'CS', 'IT', 'INFORMATION TECHNOLOGY', 'SOFTWARE'],
-      'CHTM': ['TOURISM', 'HOSPITALITY', 'HOTEL', 'HM', 'TM'],
-      'CBA': ['BUSINESS', 'ACCOUNTANCY', 'ACCOUNTING', 'MANAGEMENT'],
-      'CET': ['ENGINEERING', 'CIVIL', 'ELECTRICAL', 'MECHANICAL'],
-      'COED': ['EDUCATION', 'TEACHER', 'TEACHING'],
-      'CAS': ['ARTS', 'SCIENCES', 'MATH', 'ENGLISH', 'SOCIAL']
-    };
-    
-    for (const [dept, keywords] of Object.entries(deptMappings)) {
-      for (const keyword of keywords) {
-        if (combinedText.includes(keyword)) {
-          return dept;
-        }
-      }
+    // Keyword detection against departments.json
+    const detected = departmentRegistry.detectByKeywords(combinedText);
+    if (detected) {
+      return detected;
     }
     
     return facultyInfo.department || '';
@@ -1,6 +1,8 @@
 // teaching_faculty_schedule_extractor.js
 const xlsx = require('xlsx');
+const { readSheet } = require('./workbook_reader');
 const path = require('path');
+const departmentRegistry = require('./department_registry');
 
 class TeachingFacultyScheduleExtractor {
   constructor() {
@@ -11,12 +13,10 @@ class TeachingFacultyScheduleExtractor {
    * MAIN EXTRACTION METHOD
    * Universal teaching faculty schedule extraction
    */
-  async extractTeachingFacultyScheduleInfo(filename) {
+  async extractTeachingFacultyScheduleInfo(filename, sheetName = null) {
     try {
       // STEP 1: Read Excel file (no headers, raw 2D array)
-      const workbook = xlsx.readFile(filename);
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
+      const { worksheet } = readSheet(filename, sheetName);
       const data = xlsx.utils.sheet_to_json(worksheet, { header: 1, defval: '' });
 
       console.log(`📋 Faculty Schedule Excel dimensions: ${data.length} rows x ${data[0]?.length || 0} cols`);
@@ -463,52 +463,8 @@ WEEKLY TEACHING SCHEDULE (${scheduleInfo.schedule?.length || 0} scheduled classe
 
     const deptUpper = department.toUpperCase().trim();
 
-    // Direct abbreviation match
-    const directMatch = {
-      'CAS': 'CAS',
-      'CCS': 'CCS',
-      'IT': 'CCS',
-      'CTE': 'CTE',
-      'CHTM': 'CHTM',
-      'CBA': 'CBA',
-      'COE': 'COE',
-      'CON': 'CON'
-    };
-
-    if (directMatch[deptUpper]) {
-      return directMatch[deptUpper];
-    }
-
-    // Map full names to abbreviations
-    const deptMappings = {
-      'COLLEGE OF ARTS & SCIENCES': 'CAS',
-      'COLLEGE OF ARTS AND SCIENCES': 'CAS',
-      'ARTS AND SCIENCES': 'CAS',
-      'MATHEMATICS DEPARTMENT': 'CAS',
-      'COLLEGE OF COMPUTER STUDIES': 'CCS',
-      'COMPUTER STUDIES': 'CCS',
-      'INFORMATION TECHNOLOGY': 'CCS',
-      'COLLEGE OF EDUCATION': 'CTE',
-      'EDUCATION': 'CTE',
-      'COLLEGE OF HOSPITALITY': 'CHTM',
-      'HOSPITALITY': 'CHTM',
-      'TOURISM': 'CHTM',
-      'COLLEGE OF BUSINESS': 'CBA',
-      'BUSINESS': 'CBA',
-      'OFFICE ADMINISTRATION': 'CBA',
-      'COLLEGE OF ENGINEERING': 'COE',
-      'ENGINEERING': 'COE',
-      'COLLEGE OF NURSING': 'CON',
-      'NURSING': 'CON'
-    };
-
-    for (const [fullName, abbrev] of Object.entries(deptMappings)) {
-      if (deptUpper.includes(fullName)) {
-        return abbrev;
-      }
-    }
-
-    return deptUpper;
+    // Code, short form (IT) or college name from departments.json
+    return departmentRegistry.matchCollege(deptUpper) || deptUpper;
   }
 
   /**
@@ -523,10 +479,10 @@ WEEKLY TEACHING SCHEDULE (${scheduleInfo.schedule?.length || 0} scheduled classe
   /**
    * PROCESS: Main processing method
    */
-  async processTeachingFacultyScheduleExcel(filename) {
+  async processTeachingFacultyScheduleExcel(filename, sheetName = null) {
     try {
       // EXTRACT
-      const scheduleInfo = await this.extractTeachingFacultyScheduleInfo(filename);
+      const scheduleInfo = await this.extractTeachingFacultyScheduleInfo(filename, sheetName);
 
       if (!scheduleInfo) {
         console.log('❌ Could not extract teaching faculty schedule data from Excel');
@@ -0,0 +1,119 @@
+// workbook_reader.js
+const fs = require('fs');
+const path = require('path');
+const xlsx = require('xlsx');
+
+// Files every extractor can read (PDFs go through their own extractors)
+const TABULAR_EXTENSIONS = ['.xlsx', '.xls', '.csv', '.json'];
+
+function isTabularFile(filePath) {
+  return TABULAR_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Read an Excel, CSV or JSON file as an xlsx workbook, so every extractor
+ * parses all three through the same sheet → rows logic.
+ *
+ * CSV is read as text (keeps leading zeros in IDs and phone numbers).
+ * JSON is laid out like our Excel templates (see jsonToRows).
+ */
+function readWorkbook(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (ext === '.csv') {
+    return xlsx.readFile(filePath, { raw: true });
+  }
+
+  if (ext === '.json') {
+    const content = JSON.parse(fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, ''));
+    const workbook = xlsx.utils.book_new();
+    xlsx.utils.book_append_sheet(workbook, xlsx.utils.aoa_to_sheet(jsonToRows(content)), 'Sheet1');
+    return workbook;
+  }
+
+  return xlsx.readFile(filePath);
+}
+
+/**
+ * One sheet of a workbook → { sheetName, worksheet }. Defaults to the first sheet.
+ */
+function readSheet(filePath, sheetName = null) {
+  const workbook = readWorkbook(filePath);
+  const name = sheetName || workbook.SheetNames[0];
+
+  if (!workbook.Sheets[name]) {
+    throw new Error(`Sheet '${sheetName}' not found in ${path.basename(filePath)}`);
+  }
+  return { sheetName: name, worksheet: workbook.Sheets[name] };
+}
+
+/**
+ * Names of the sheets that hold any data (blank sheets are left out)
+ */
+function getSheetNames(filePath) {
+  const workbook = readWorkbook(filePath);
+  return workbook.SheetNames.filter(name => {
+    const rows = xlsx.utils.sheet_to_json(workbook.Sheets[name], { header: 1, defval: '' });
+    return rows.some(row => row.some(cell => String(cell).trim() !== ''));
+  });
+}
+
+/**
+ * JSON → template-shaped rows:
+ *   [{...}, {...}]             → header row from the keys, then one row per object (student list, curriculum, ...)
+ *   [[...], [...]]             → rows as they are
+ *   { field: value, ... }      → "Field:" | value rows (COR/grades/schedule metadata, resume fields)
+ *   { section: { ... } }       → "SECTION" row followed by its "Field:" | value rows
+ *   { rows_name: [{...}] }     → blank row, then a table (COR subjects, grades, ...)
+ * snake_case keys become words (student_number → Student Number) to match the Excel headers.
+ */
+function jsonToRows(content) {
+  if (Array.isArray(content)) {
+    return content.every(Array.isArray) ? content : tableRows(content);
+  }
+
+  if (!content || typeof content !== 'object') {
+    throw new Error('JSON upload must be an array of rows or an object');
+  }
+
+  const rows = [];
+  Object.entries(content).forEach(([key, value]) => {
+    if (Array.isArray(value)) {
+      if (rows.length > 0) rows.push([]);
+      rows.push(...(value.every(Array.isArray) ? value : tableRows(value)));
+      rows.push([]);
+    } else if (value && typeof value === 'object') {
+      rows.push([humanizeKey(key).toUpperCase()]);
+      Object.entries(value).forEach(([field, fieldValue]) => rows.push([`${humanizeKey(field)}:`, cellValue(fieldValue)]));
+      rows.push([]);
+    } else {
+      rows.push([`${humanizeKey(key)}:`, cellValue(value)]);
+    }
+  });
+  return rows;
+}
+
+function tableRows(records) {
+  const objects = records.filter(record => record && typeof record === 'object');
+  const keys = [...new Set(objects.flatMap(record => Object.keys(record)))];
+  return [
+    keys.map(humanizeKey),
+    ...objects.map(record => keys.map(key => cellValue(record[key])))
+  ];
+}
+
+function humanizeKey(key) {
+  if (!/_/.test(key) || /\s/.test(key)) return key;
+  return key.split('_').filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+function cellValue(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+module.exports = { readWorkbook, readSheet, getSheetNames, jsonToRows, isTabularFile, TABULAR_EXTENSIONS };
@@ -88,11 +88,11 @@ function FileUpload({ onFileUpload, onUploadStatus, studentData }) {
     if (!file) return;
 
     // ✅ Allowed file extensions
-    const allowedExtensions = [".xlsx", ".json", ".pdf"];
+    const allowedExtensions = [".xlsx", ".csv", ".json", ".pdf"];
 
     // Check if the file is one of the allowed types
     if (!allowedExtensions.some((ext) => file.name.toLowerCase().endsWith(ext))) {
-      alert("Only Excel (.xlsx), JSON (.json), and PDF (.pdf) files are allowed ❌");
+      alert("Only Excel (.xlsx), CSV (.csv), JSON (.json), and PDF (.pdf) files are allowed ❌");
       e.target.value = null;
       return;
     }
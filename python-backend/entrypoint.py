@@ -23,7 +23,7 @@ data_dir = Path(__file__).resolve().parent / 'database' / 'chroma_store'
 api_mode = 'online'
 
 # === Allowed extensions
-ALLOWED_EXTENSIONS = {".xlsx", ".json", ".pdf"}
+ALLOWED_EXTENSIONS = {".xlsx", ".csv", ".json", ".pdf"}
 def is_allowed(filename):
     # function to store files that ends with allowed extensions
     return any(filename.lower().endswith(ext) for ext in ALLOWED_EXTENSIONS)